@@ -0,0 +1,89 @@
+/**
+ * Accessibility Checker
+ * Deterministic check of building specs against accessibility rule packs, with rule references, severities and fixes
+ */
+
+import { ACCESSIBILITY_RULE_PACKS, SEVERITIES } from './accessibility-rules.js';
+import { DEFAULT_FLOOR_HEIGHT } from './massing-model.js';
+import { ValidationError, VALIDATION_CODES, assertValid } from './validation.js';
+import { ACCESSIBILITY_RULE_PACKS_SCHEMA, BUILDING_SPECS_SCHEMA } from './schemas.js';
+
+/**
+ * Check building specs against one or more rule packs
+ * Each rule only runs when the specs describe its feature: a building without `ramps` has no ramp violations,
+ * and lists the ramp rules under `notEvaluated`.
+ * @param {Object} buildingSpecs - Building specifications with elevators, entrances, ramps, restrooms and corridors
+ *   (see BUILDING_SPECS_SCHEMA)
+ * @param {string[]} rulePacks - Rule pack ids (see ACCESSIBILITY_RULE_PACKS), e.g. ['ada-ny'] or ['jp-barrier-free']
+ * @returns {Object} { rulePacks, compliant, violations, counts, evaluated, notEvaluated }; violations are
+ *   { ruleId, rulePack, reference, severity, title, message, fix, anchor, value, limit }, most severe first
+ * @throws {ValidationError} For invalid specs, an unknown rule pack, or features on levels the building does not have
+ */
+export function checkAccessibility(buildingSpecs, rulePacks) {
+  assertValid(BUILDING_SPECS_SCHEMA, buildingSpecs, 'buildingSpecs');
+  assertValid(ACCESSIBILITY_RULE_PACKS_SCHEMA, rulePacks, 'rulePacks');
+  const building = { ...buildingSpecs, floors: floorsOf(buildingSpecs) };
+  assertConsistent(building);
+
+  const violations = [];
+  const evaluated = [];
+  const notEvaluated = [];
+  rulePacks.forEach(packId => {
+    ACCESSIBILITY_RULE_PACKS[packId].rules.forEach(({ id, reference, severity, title, evaluate }) => {
+      const findings = evaluate(building);
+      if (findings === null) {
+        notEvaluated.push(id);
+        return;
+      }
+      evaluated.push(id);
+      findings.forEach(finding => violations.push({ ruleId: id, rulePack: packId, reference, severity, title, ...finding }));
+    });
+  });
+  violations.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  return {
+    rulePacks: [...rulePacks],
+    compliant: violations.length === 0,
+    violations,
+    counts: Object.fromEntries(SEVERITIES.map(severity => [severity, violations.filter(v => v.severity === severity).length])),
+    evaluated,
+    notEvaluated
+  };
+}
+
+/**
+ * Stories of the building, as generateMassing counts them
+ * @private
+ */
+function floorsOf({ floors, height }) {
+  return floors ?? Math.max(1, Math.round((height ?? DEFAULT_FLOOR_HEIGHT) / DEFAULT_FLOOR_HEIGHT));
+}
+
+/**
+ * Reject specs the schema allows but that contradict themselves
+ * @private
+ */
+function assertConsistent({ floors, entrances = [], ramps = [], corridors = [], restrooms }) {
+  if (restrooms && restrooms.accessible > restrooms.total) {
+    throw new ValidationError({
+      code: VALIDATION_CODES.INCONSISTENT_VALUES,
+      path: 'buildingSpecs.restrooms.accessible',
+      allowed: `at most restrooms.total (${restrooms.total})`,
+      value: restrooms.accessible,
+      message: `${restrooms.accessible} accessible restrooms is more than the ${restrooms.total} in total`
+    });
+  }
+  Object.entries({ entrances, ramps, corridors }).forEach(([feature, items]) => {
+    items.forEach((item, index) => {
+      if (item.level !== undefined && item.level >= floors) {
+        throw new ValidationError({
+          code: VALIDATION_CODES.INCONSISTENT_VALUES,
+          path: `buildingSpecs.${feature}[${index}].level`,
+          allowed: `a level from 0 to ${floors - 1}`,
+          value: item.level,
+          message: `buildingSpecs.${feature}[${index}].level ${item.level} is above the top story of a ${floors}-story building`
+        });
+      }
+    });
+  });
+}
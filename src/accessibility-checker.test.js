@@ -0,0 +1,137 @@
+/**
+ * Tests for the Accessibility Checker
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { checkAccessibility } from './accessibility-checker.js';
+import { ACCESSIBILITY_RULE_PACKS } from './accessibility-rules.js';
+
+const compliant = {
+  name: 'Harlem Cultural Center',
+  floors: 4,
+  elevators: [{ cabWidth: 2.03, cabDepth: 1.4, doorWidth: 1.0 }],
+  entrances: [{ width: 0.9, stepFree: true }, { width: 0.9, stepFree: true }, { width: 0.8, stepFree: false }],
+  ramps: [{ rise: 0.15, run: 2.4, width: 1.5, handrails: true }],
+  restrooms: { total: 4, accessible: 4 },
+  corridors: [{ level: 0, width: 1.8 }, { level: 3, width: 1.5 }]
+};
+
+const ruleIds = report => report.violations.map(v => v.ruleId);
+
+test('checkAccessibility - a building meeting both codes has no violations', () => {
+  for (const pack of ['ada-ny', 'jp-barrier-free']) {
+    const report = checkAccessibility(compliant, [pack]);
+    assert.strictEqual(report.compliant, true, pack);
+    assert.deepStrictEqual(report.violations, []);
+    assert.deepStrictEqual(report.counts, { critical: 0, major: 0, minor: 0 });
+    assert.deepStrictEqual(report.evaluated, ACCESSIBILITY_RULE_PACKS[pack].rules.map(rule => rule.id));
+    assert.deepStrictEqual(report.notEvaluated, []);
+  }
+});
+
+test('checkAccessibility - reports a violation with its rule reference, severity, fix and anchor', () => {
+  const report = checkAccessibility({ ...compliant, corridors: [{ level: 2, width: 0.9 }] }, ['ada-ny']);
+  assert.strictEqual(report.compliant, false);
+  assert.deepStrictEqual(report.violations, [{
+    ruleId: 'ada-ny/route-width',
+    rulePack: 'ada-ny',
+    reference: 'ADA 2010 §403.5.1',
+    severity: 'major',
+    title: 'Corridor clear width',
+    message: 'Corridor 1 on level 2 is 0.9 m wide; ADA requires at least 0.915 m',
+    fix: 'Widen the corridor on level 2 to 0.915 m clear',
+    anchor: { element: 'slabs', level: 2 },
+    value: 0.9,
+    limit: 0.915
+  }]);
+});
+
+test('checkAccessibility - the same building can pass one code and fail another', () => {
+  // 1.0 m corridors and ramps clear ADA's 0.915 m but not the Barrier-Free Act's 1.2 m
+  const specs = { ...compliant, ramps: [{ rise: 0.15, run: 2.4, width: 1.0, handrails: true }], corridors: [{ level: 1, width: 1.0 }] };
+  assert.strictEqual(checkAccessibility(specs, ['ada-ny']).compliant, true);
+  const both = checkAccessibility(specs, ['ada-ny', 'jp-barrier-free']);
+  assert.deepStrictEqual(ruleIds(both), ['jp-barrier-free/ramp-width', 'jp-barrier-free/corridor-width']);
+  assert.deepStrictEqual(both.rulePacks, ['ada-ny', 'jp-barrier-free']);
+
+  // A single accessible toilet room meets the Barrier-Free Act; ADA wants every one
+  const restrooms = { ...compliant, restrooms: { total: 3, accessible: 1 } };
+  assert.deepStrictEqual(ruleIds(checkAccessibility(restrooms, ['ada-ny'])), ['ada-ny/toilet-rooms']);
+  assert.strictEqual(checkAccessibility(restrooms, ['jp-barrier-free']).compliant, true);
+  assert.deepStrictEqual(ruleIds(checkAccessibility({ ...compliant, restrooms: { total: 3, accessible: 0 } }, ['jp-barrier-free'])), [
+    'jp-barrier-free/wheelchair-toilet'
+  ]);
+});
+
+test('checkAccessibility - ramp slope, rise, width and handrails', () => {
+  const ramp = fields => checkAccessibility({ ...compliant, ramps: [{ rise: 0.5, run: 6, width: 1.5, handrails: true, ...fields }] }, ['ada-ny', 'jp-barrier-free']);
+  assert.deepStrictEqual(ruleIds(ramp({})), []);
+
+  const steep = ramp({ run: 5 });
+  assert.deepStrictEqual(ruleIds(steep), ['ada-ny/ramp-slope', 'jp-barrier-free/ramp-slope']);
+  assert.strictEqual(steep.violations[0].message, 'Ramp 1 slopes 1:10; the code allows at most 1:12');
+  assert.strictEqual(steep.violations[0].fix, 'Lengthen ramp 1 to a run of at least 6 m');
+
+  // Japan allows 1:8 for a rise of up to 16 cm
+  assert.deepStrictEqual(ruleIds(ramp({ rise: 0.15, run: 1.2 })), ['ada-ny/ramp-slope']);
+
+  const long = ramp({ rise: 0.9, run: 12 });
+  assert.deepStrictEqual(ruleIds(long), ['ada-ny/ramp-rise', 'jp-barrier-free/ramp-landings']);
+  assert.strictEqual(long.violations[1].fix, 'Split ramp 1 with 1 intermediate landing(s)');
+
+  // ADA needs handrails above a 150 mm rise; the Barrier-Free Act on every ramp
+  const low = ramp({ rise: 0.1, run: 1.2, handrails: false });
+  assert.deepStrictEqual(low.violations.map(v => [v.ruleId, v.severity]), [['jp-barrier-free/ramp-handrails', 'minor']]);
+  assert.deepStrictEqual(ruleIds(ramp({ handrails: false })), ['ada-ny/ramp-handrails', 'jp-barrier-free/ramp-handrails']);
+  assert.deepStrictEqual(ramp({ level: 2 }).violations, []);
+});
+
+test('checkAccessibility - elevators and entrances, most severe first', () => {
+  const report = checkAccessibility({
+    ...compliant,
+    elevators: [],
+    entrances: [{ width: 0.75, stepFree: true }, { width: 0.9, stepFree: false }, { width: 0.9, stepFree: false }]
+  }, ['ada-ny']);
+  assert.deepStrictEqual(report.violations.map(v => [v.ruleId, v.severity]), [
+    ['ada-ny/elevator-required', 'critical'],
+    ['ada-ny/accessible-entrances', 'critical'],
+    ['ada-ny/entrance-width', 'major']
+  ]);
+  assert.deepStrictEqual(report.counts, { critical: 2, major: 1, minor: 0 });
+  assert.strictEqual(report.violations[1].message, '1 of 3 entrances are step-free; the code requires at least 60% of public entrances (2)');
+  assert.deepStrictEqual(report.violations[0].anchor, { element: 'core' });
+
+  const smallCar = checkAccessibility({ ...compliant, elevators: [{ cabWidth: 1.6, cabDepth: 1.3, doorWidth: 0.8 }] }, ['jp-barrier-free']);
+  assert.deepStrictEqual(smallCar.violations.map(v => [v.limit, v.value]), [[1.35, 1.3]]);
+  assert.strictEqual(checkAccessibility({ ...compliant, floors: 1, elevators: [], corridors: [] }, ['ada-ny']).compliant, true);
+});
+
+test('checkAccessibility - rules for features the specs leave out are not evaluated', () => {
+  const report = checkAccessibility({ name: 'Pavilion', floors: 2, corridors: [{ level: 1, width: 1.2 }] }, ['jp-barrier-free']);
+  assert.deepStrictEqual(report.evaluated, ['jp-barrier-free/corridor-width']);
+  assert.strictEqual(report.notEvaluated.length, 9);
+  assert.strictEqual(report.compliant, true);
+
+  // Floors come from the height, as for the massing model
+  assert.deepStrictEqual(ruleIds(checkAccessibility({ height: 14, elevators: [] }, ['ada-ny'])), ['ada-ny/elevator-required']);
+});
+
+test('checkAccessibility - rejects unknown packs and inconsistent specs', () => {
+  assert.throws(() => checkAccessibility(compliant, ['ibc-2021']), { code: 'INVALID_ENUM', path: 'rulePacks[0]' });
+  assert.throws(() => checkAccessibility(compliant, []), { code: 'TOO_FEW_ITEMS', path: 'rulePacks' });
+  assert.throws(() => checkAccessibility({ ...compliant, restrooms: { total: 2, accessible: 3 } }, ['ada-ny']), {
+    code: 'INCONSISTENT_VALUES',
+    path: 'buildingSpecs.restrooms.accessible'
+  });
+  assert.throws(() => checkAccessibility({ ...compliant, corridors: [{ level: 4, width: 1.5 }] }, ['ada-ny']), {
+    code: 'INCONSISTENT_VALUES',
+    message: 'buildingSpecs.corridors[0].level 4 is above the top story of a 4-story building'
+  });
+  assert.throws(() => checkAccessibility({ ...compliant, ramps: [{ rise: 0.2, width: 1.2 }] }, ['ada-ny']), {
+    code: 'REQUIRED',
+    path: 'buildingSpecs.ramps[0].run'
+  });
+});
+
+console.log('✓ All Accessibility Checker tests passed');
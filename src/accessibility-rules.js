@@ -0,0 +1,297 @@
+/**
+ * Accessibility Rules
+ * Rule packs for accessibility codes: the ADA Standards as applied in New York, and Japan's Barrier-Free Act
+ */
+
+/**
+ * Violation severities, most serious first
+ * critical: a story or the building cannot be reached; major: a feature fails its dimension or count;
+ * minor: a supporting provision such as handrails is missing
+ */
+export const SEVERITIES = ['critical', 'major', 'minor'];
+
+const TOLERANCE = 1e-9; // Meters; keeps a ramp built exactly to the maximum slope from failing on rounding
+
+/**
+ * Rule packs by id
+ * Each rule's evaluate(building) returns its findings, [] when the building complies, or null when the
+ * specs do not describe the feature it checks. `building` is the building specs with `floors` filled in.
+ * Lengths are meters.
+ */
+export const ACCESSIBILITY_RULE_PACKS = {
+  'ada-ny': {
+    id: 'ada-ny',
+    name: 'ADA 2010 Standards for Accessible Design (New York)',
+    jurisdiction: 'New York, USA',
+    rules: [
+      elevatorRequired('ada-ny/elevator-required', 'ADA 2010 §206.2.3'),
+      elevatorCab('ada-ny/elevator-car', 'ADA 2010 §407.4.1', { width: 1.73, depth: 1.295, door: 0.915 }, 'ADA'),
+      accessibleEntrances('ada-ny/accessible-entrances', 'ADA 2010 §206.4.1', total => Math.ceil(total * 0.6), 'at least 60% of public entrances'),
+      entranceWidth('ada-ny/entrance-width', 'ADA 2010 §404.2.3', 0.815, 'ADA'),
+      rampSlope('ada-ny/ramp-slope', 'ADA 2010 §405.2', () => 1 / 12, '1:12'),
+      rampRise('ada-ny/ramp-rise', 'ADA 2010 §405.6', 0.76, 'ADA'),
+      rampWidth('ada-ny/ramp-width', 'ADA 2010 §405.5', 0.915, 'ADA'),
+      rampHandrails('ada-ny/ramp-handrails', 'ADA 2010 §405.8', 0.15, 'ADA'),
+      accessibleRestrooms('ada-ny/toilet-rooms', 'ADA 2010 §213.2', total => total, 'every toilet room'),
+      corridorWidth('ada-ny/route-width', 'ADA 2010 §403.5.1', 0.915, 'ADA')
+    ]
+  },
+  'jp-barrier-free': {
+    id: 'jp-barrier-free',
+    name: 'Barrier-Free Act building design standards (Japan)',
+    jurisdiction: 'Tokyo, Japan',
+    rules: [
+      elevatorRequired('jp-barrier-free/elevator-required', 'Barrier-Free Act Enforcement Order Art. 18(1)'),
+      elevatorCab('jp-barrier-free/elevator-car', 'Barrier-Free Act Enforcement Order Art. 18(2)(v)', { width: 1.4, depth: 1.35, door: 0.8 }, 'the Barrier-Free Act'),
+      accessibleEntrances('jp-barrier-free/accessible-entrances', 'Barrier-Free Act Enforcement Order Art. 18(1)', () => 1, 'at least one step-free entrance'),
+      entranceWidth('jp-barrier-free/entrance-width', 'Barrier-Free Act Enforcement Order Art. 18(2)(i)', 0.8, 'the Barrier-Free Act'),
+      rampSlope('jp-barrier-free/ramp-slope', 'Barrier-Free Act Enforcement Order Art. 18(2)(iv)', ramp => (ramp.rise <= 0.16 ? 1 / 8 : 1 / 12), '1:12, or 1:8 for a rise of up to 16 cm'),
+      rampRise('jp-barrier-free/ramp-landings', 'Barrier-Free Act Enforcement Order Art. 18(2)(iv)', 0.75, 'the Barrier-Free Act'),
+      rampWidth('jp-barrier-free/ramp-width', 'Barrier-Free Act Enforcement Order Art. 18(2)(iv)', 1.2, 'the Barrier-Free Act'),
+      rampHandrails('jp-barrier-free/ramp-handrails', 'Barrier-Free Act Enforcement Order Art. 13', 0, 'the Barrier-Free Act'),
+      accessibleRestrooms('jp-barrier-free/wheelchair-toilet', 'Barrier-Free Act Enforcement Order Art. 14', total => Math.min(total, 1), 'at least one wheelchair-accessible toilet'),
+      corridorWidth('jp-barrier-free/corridor-width', 'Barrier-Free Act Enforcement Order Art. 18(2)(iii)', 1.2, 'the Barrier-Free Act')
+    ]
+  }
+};
+
+/**
+ * Rule pack ids
+ */
+export const ACCESSIBILITY_RULE_PACK_IDS = Object.keys(ACCESSIBILITY_RULE_PACKS);
+
+/**
+ * Every story above the ground needs an elevator on the accessible route
+ * @private
+ */
+function elevatorRequired(id, reference) {
+  return {
+    id,
+    reference,
+    severity: 'critical',
+    title: 'Elevator to every story',
+    evaluate: ({ floors, elevators }) => {
+      if (floors <= 1) return [];
+      if (elevators === undefined) return null;
+      return elevators.length > 0 ? [] : [{
+        message: `${floors} stories but no elevator; upper stories are not on an accessible route`,
+        fix: 'Add a passenger elevator in the core serving every story',
+        anchor: { element: 'core' },
+        value: 0,
+        limit: 1
+      }];
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function elevatorCab(id, reference, minimum, code) {
+  const dimensions = [['width', 'cabWidth', 'car width'], ['depth', 'cabDepth', 'car depth'], ['door', 'doorWidth', 'door clear width']];
+  return {
+    id,
+    reference,
+    severity: 'major',
+    title: 'Elevator car and door size',
+    evaluate: ({ elevators }) => elevators?.flatMap((elevator, index) => dimensions
+      .filter(([key, field]) => elevator[field] < minimum[key])
+      .map(([key, field, label]) => ({
+        message: `Elevator ${index + 1} ${label} is ${meters(elevator[field])}; ${code} requires at least ${meters(minimum[key])}`,
+        fix: `Enlarge the ${label} of elevator ${index + 1} to ${meters(minimum[key])}`,
+        anchor: { element: 'core' },
+        value: elevator[field],
+        limit: minimum[key]
+      }))) ?? null
+  };
+}
+
+/**
+ * @private
+ */
+function accessibleEntrances(id, reference, required, requirement) {
+  return {
+    id,
+    reference,
+    severity: 'critical',
+    title: 'Step-free entrances',
+    evaluate: ({ entrances }) => {
+      if (entrances === undefined) return null;
+      const stepFree = entrances.filter(entrance => entrance.stepFree).length;
+      const needed = Math.max(1, required(entrances.length));
+      return stepFree >= needed ? [] : [{
+        message: `${stepFree} of ${entrances.length} entrances are step-free; the code requires ${requirement} (${needed})`,
+        fix: `Make ${needed - stepFree} more entrance${needed - stepFree === 1 ? '' : 's'} step-free with a ramp or level threshold`,
+        anchor: { element: 'facade', level: 0 },
+        value: stepFree,
+        limit: needed
+      }];
+    }
+  };
+}
+
+/**
+ * Door width of the step-free entrances, which are on the accessible route
+ * @private
+ */
+function entranceWidth(id, reference, minimum, code) {
+  return {
+    id,
+    reference,
+    severity: 'major',
+    title: 'Entrance door clear width',
+    evaluate: ({ entrances }) => entrances?.flatMap((entrance, index) => (entrance.stepFree && entrance.width < minimum ? [{
+      message: `Entrance ${index + 1} is ${meters(entrance.width)} clear; ${code} requires at least ${meters(minimum)}`,
+      fix: `Widen entrance ${index + 1} to a clear width of ${meters(minimum)}`,
+      anchor: { element: 'facade', level: entrance.level ?? 0 },
+      value: entrance.width,
+      limit: minimum
+    }] : [])) ?? null
+  };
+}
+
+/**
+ * @private
+ */
+function rampSlope(id, reference, maximum, requirement) {
+  return {
+    id,
+    reference,
+    severity: 'major',
+    title: 'Ramp running slope',
+    evaluate: ({ ramps }) => ramps?.flatMap((ramp, index) => {
+      const slope = ramp.rise / ramp.run;
+      const limit = maximum(ramp);
+      return ramp.run + TOLERANCE < ramp.rise / limit ? [{
+        message: `Ramp ${index + 1} slopes 1:${Math.round(10 / slope) / 10}; the code allows at most ${requirement}`,
+        fix: `Lengthen ramp ${index + 1} to a run of at least ${meters(ramp.rise / limit)}`,
+        anchor: rampAnchor(ramp),
+        value: round(slope),
+        limit: round(limit)
+      }] : [];
+    }) ?? null
+  };
+}
+
+/**
+ * Rise of one ramp run between landings
+ * @private
+ */
+function rampRise(id, reference, maximum, code) {
+  return {
+    id,
+    reference,
+    severity: 'major',
+    title: 'Ramp rise between landings',
+    evaluate: ({ ramps }) => ramps?.flatMap((ramp, index) => (ramp.rise > maximum ? [{
+      message: `Ramp ${index + 1} rises ${meters(ramp.rise)} in one run; ${code} allows at most ${meters(maximum)} between landings`,
+      fix: `Split ramp ${index + 1} with ${Math.ceil(ramp.rise / maximum) - 1} intermediate landing(s)`,
+      anchor: rampAnchor(ramp),
+      value: ramp.rise,
+      limit: maximum
+    }] : [])) ?? null
+  };
+}
+
+/**
+ * @private
+ */
+function rampWidth(id, reference, minimum, code) {
+  return {
+    id,
+    reference,
+    severity: 'major',
+    title: 'Ramp clear width',
+    evaluate: ({ ramps }) => ramps?.flatMap((ramp, index) => (ramp.width < minimum ? [{
+      message: `Ramp ${index + 1} is ${meters(ramp.width)} wide; ${code} requires at least ${meters(minimum)}`,
+      fix: `Widen ramp ${index + 1} to ${meters(minimum)} between handrails`,
+      anchor: rampAnchor(ramp),
+      value: ramp.width,
+      limit: minimum
+    }] : [])) ?? null
+  };
+}
+
+/**
+ * Handrails on ramps rising more than a threshold
+ * @private
+ */
+function rampHandrails(id, reference, threshold, code) {
+  return {
+    id,
+    reference,
+    severity: 'minor',
+    title: 'Ramp handrails',
+    evaluate: ({ ramps }) => ramps?.flatMap((ramp, index) => (ramp.rise > threshold && !ramp.handrails ? [{
+      message: `Ramp ${index + 1} rises ${meters(ramp.rise)} without handrails; ${code} requires them${threshold > 0 ? ` above ${meters(threshold)}` : ''}`,
+      fix: `Add handrails to ramp ${index + 1}`,
+      anchor: rampAnchor(ramp),
+      value: false,
+      limit: true
+    }] : [])) ?? null
+  };
+}
+
+/**
+ * @private
+ */
+function accessibleRestrooms(id, reference, required, requirement) {
+  return {
+    id,
+    reference,
+    severity: 'major',
+    title: 'Accessible toilet rooms',
+    evaluate: ({ restrooms }) => {
+      if (restrooms === undefined) return null;
+      const needed = required(restrooms.total);
+      return restrooms.accessible >= needed ? [] : [{
+        message: `${restrooms.accessible} of ${restrooms.total} toilet rooms are accessible; the code requires ${requirement} (${needed})`,
+        fix: `Make ${needed - restrooms.accessible} more toilet room${needed - restrooms.accessible === 1 ? '' : 's'} wheelchair accessible`,
+        anchor: { element: 'core' },
+        value: restrooms.accessible,
+        limit: needed
+      }];
+    }
+  };
+}
+
+/**
+ * @private
+ */
+function corridorWidth(id, reference, minimum, code) {
+  return {
+    id,
+    reference,
+    severity: 'major',
+    title: 'Corridor clear width',
+    evaluate: ({ corridors }) => corridors?.flatMap((corridor, index) => (corridor.width < minimum ? [{
+      message: `Corridor ${index + 1} on level ${corridor.level} is ${meters(corridor.width)} wide; ${code} requires at least ${meters(minimum)}`,
+      fix: `Widen the corridor on level ${corridor.level} to ${meters(minimum)} clear`,
+      anchor: { element: 'slabs', level: corridor.level },
+      value: corridor.width,
+      limit: minimum
+    }] : [])) ?? null
+  };
+}
+
+/**
+ * @private
+ */
+function rampAnchor(ramp) {
+  return { element: 'slabs', level: ramp.level ?? 0 };
+}
+
+/**
+ * Meters with the millimeters, e.g. '0.915 m'
+ * @private
+ */
+function meters(value) {
+  return `${round(value)} m`;
+}
+
+/**
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
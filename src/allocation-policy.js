@@ -0,0 +1,332 @@
+/**
+ * Allocation Policy
+ * Versioned beneficiary allocation policies mapped to the eight asnaf, with caps and per-project overrides
+ */
+
+import Money from './money.js';
+import { ASNAF } from './asnaf.js';
+import { fingerprint } from './analysis-runs.js';
+import { ValidationError, VALIDATION_CODES, assertValid, validate } from './validation.js';
+import { ALLOCATION_POLICY_SCHEMA } from './schemas.js';
+
+/**
+ * The original fixed split: community 40%, education 30%, infrastructure 20%, emergency 10%
+ */
+export const DEFAULT_ALLOCATION_POLICY = deepFreeze({
+  id: 'harlem-default',
+  version: 1,
+  name: 'Harlem default split',
+  recipients: [
+    { id: 'community', share: 40, asnaf: ['fuqara', 'masakin'] },
+    { id: 'education', share: 30, asnaf: ['fiSabilillah'] },
+    { id: 'infrastructure', share: 20, asnaf: ['fiSabilillah'] },
+    { id: 'emergency', share: 10, asnaf: ['fuqara', 'masakin', 'gharimin', 'ibnSabil'] }
+  ]
+});
+
+/**
+ * Validate a policy document, including the rules the schema cannot express
+ * @param {Object} policy - Allocation policy (see ALLOCATION_POLICY_SCHEMA)
+ * @returns {ValidationError[]} Every failure, in document order
+ */
+export function validatePolicy(policy) {
+  const errors = validate(ALLOCATION_POLICY_SCHEMA, policy, 'policy');
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  errors.push(...recipientErrors(policy.recipients, 'policy.recipients'));
+  Object.entries(policy.projectOverrides ?? {}).forEach(([projectId, override]) => {
+    const path = `policy.projectOverrides.${projectId}.recipients`;
+    const ids = new Set(policy.recipients.map(r => r.id));
+    override.recipients.forEach((r, index) => {
+      ['share', 'asnaf'].forEach(field => {
+        if (!ids.has(r.id) && r[field] === undefined) {
+          errors.push(new ValidationError({
+            code: VALIDATION_CODES.REQUIRED,
+            path: `${path}[${index}].${field}`,
+            allowed: `the ${field} of new recipient ${r.id}`,
+            value: undefined,
+            message: `${path}[${index}].${field} is required for new recipient ${r.id}`
+          }));
+        }
+      });
+    });
+    if (errors.length === 0) {
+      errors.push(...recipientErrors(resolvePolicy(policy, projectId).recipients, path));
+    }
+  });
+  return errors;
+}
+
+/**
+ * Effective recipients of a policy for a project
+ * Override entries replace the fields they set on the recipient with the same id, or add a recipient.
+ * @param {Object} policy - Allocation policy
+ * @param {string} projectId - Project, or null for the base policy
+ * @returns {Object} Policy with the project's recipients and `projectId`, `overridden` set
+ */
+export function resolvePolicy(policy, projectId = null) {
+  const override = projectId ? policy.projectOverrides?.[projectId] : undefined;
+  const recipients = policy.recipients.map(r => ({ ...r }));
+  (override?.recipients ?? []).forEach(change => {
+    const existing = recipients.find(r => r.id === change.id);
+    if (existing) {
+      Object.assign(existing, change);
+    } else {
+      recipients.push({ ...change });
+    }
+  });
+  return { ...policy, recipients, projectId, overridden: Boolean(override) };
+}
+
+/**
+ * Split an amount across a policy's recipients
+ * Each recipient receives its share of the amount, clamped to its minimum and maximum; what a clamp frees
+ * or takes is spread over the unclamped recipients by share. If the minimums exceed the amount it is split
+ * in proportion to them; if the maximums fall short of it the rest is left `unallocated`.
+ * @param {Money} amount - Amount to allocate
+ * @param {Object} policy - Allocation policy
+ * @param {string} projectId - Project whose overrides apply (default: none)
+ * @returns {Object} { policy, total, allocations, byAsnaf, capsApplied, unallocated } with amounts as Money
+ */
+export function allocateByPolicy(amount, policy, projectId = null) {
+  assertValid({ type: 'money', minimum: 0 }, amount, 'amount');
+  const resolved = resolvePolicy(policy, projectId);
+  const { recipients } = resolved;
+  const { currency } = amount;
+  const limit = value => (value === undefined ? null : Money.of(value, currency).minor);
+  const minimums = recipients.map(r => limit(r.minimum) ?? 0);
+  const maximums = recipients.map(r => limit(r.maximum));
+  const shares = recipients.map(r => r.share);
+
+  const uncapped = amount.allocate(shares.some(s => s > 0) ? shares : recipients.map(() => 1));
+  const parts = clampedSplit(amount.minor, shares, minimums, maximums).map(minor => new Money(minor, currency));
+  const allocated = Money.sum(parts, currency);
+
+  const capsApplied = [];
+  recipients.forEach((r, index) => {
+    if (parts[index].equals(uncapped[index])) {
+      return;
+    }
+    if (maximums[index] !== null && parts[index].minor === maximums[index] && uncapped[index].minor > maximums[index]) {
+      capsApplied.push({ recipientId: r.id, cap: 'maximum', limit: new Money(maximums[index], currency), uncapped: uncapped[index] });
+    } else if (minimums[index] > 0 && uncapped[index].minor < minimums[index]) {
+      capsApplied.push({
+        recipientId: r.id,
+        cap: 'minimum',
+        limit: new Money(minimums[index], currency),
+        uncapped: uncapped[index],
+        shortfall: new Money(Math.max(0, minimums[index] - parts[index].minor), currency)
+      });
+    }
+  });
+
+  // Each recipient's amount counts equally towards the asnaf it serves
+  const byAsnaf = Object.fromEntries(ASNAF.map(category => [category, Money.zero(currency)]));
+  recipients.forEach((r, index) => {
+    parts[index].allocate(r.asnaf.map(() => 1)).forEach((part, i) => {
+      byAsnaf[r.asnaf[i]] = byAsnaf[r.asnaf[i]].add(part);
+    });
+  });
+
+  return {
+    policy: describePolicy(policy, resolved),
+    total: amount,
+    allocations: Object.fromEntries(recipients.map((r, index) => [r.id, parts[index]])),
+    byAsnaf,
+    capsApplied,
+    unallocated: amount.subtract(allocated)
+  };
+}
+
+export class AllocationPolicyRegistry {
+  /**
+   * @param {Object[]} policies - Policies to define up front (default: [DEFAULT_ALLOCATION_POLICY])
+   */
+  constructor(policies = [DEFAULT_ALLOCATION_POLICY]) {
+    this.policies = {};
+    policies.forEach(policy => this.define(policy));
+  }
+
+  /**
+   * Define a policy version. Versions are immutable: redefining one with different content throws.
+   * @param {Object} policy - Allocation policy (see ALLOCATION_POLICY_SCHEMA)
+   * @returns {Object} Frozen copy of the policy
+   * @throws {ValidationError} For an invalid policy or a changed existing version
+   */
+  define(policy) {
+    const [error] = validatePolicy(policy);
+    if (error) {
+      throw error;
+    }
+
+    const versions = this.policies[policy.id] ?? (this.policies[policy.id] = {});
+    const existing = versions[policy.version];
+    if (existing) {
+      if (fingerprint(existing) !== fingerprint(policy)) {
+        throw new ValidationError({
+          code: VALIDATION_CODES.INCONSISTENT_VALUES,
+          path: 'policy.version',
+          allowed: `a version other than ${Object.keys(versions).join(', ')}`,
+          value: policy.version,
+          message: `Allocation policy ${policy.id} version ${policy.version} is already defined with different content`
+        });
+      }
+      return existing;
+    }
+
+    versions[policy.version] = deepFreeze(structuredClone(policy));
+    return versions[policy.version];
+  }
+
+  /**
+   * @param {string} id - Policy id
+   * @param {number} version - Version (default: the latest)
+   * @returns {Object} Policy
+   * @throws {ValidationError} When the policy or version is not defined
+   */
+  get(id, version = null) {
+    const versions = this.policies[id];
+    if (!versions) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: 'policyId',
+        allowed: `one of ${Object.keys(this.policies).map(v => JSON.stringify(v)).join(', ')}`,
+        value: id,
+        message: `Allocation policy not found: ${id}`
+      });
+    }
+    const resolved = version ?? Math.max(...Object.keys(versions).map(Number));
+    if (!versions[resolved]) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: 'policyVersion',
+        allowed: `one of ${Object.keys(versions).join(', ')}`,
+        value: version,
+        message: `Allocation policy ${id} has no version ${version}`
+      });
+    }
+    return versions[resolved];
+  }
+
+  /**
+   * @param {string} id - Policy id
+   * @returns {number[]} Defined versions, oldest first
+   */
+  versions(id) {
+    return Object.keys(this.policies[id] ?? {}).map(Number).sort((a, b) => a - b);
+  }
+
+  /**
+   * @returns {Object[]} Latest version of every policy
+   */
+  list() {
+    return Object.keys(this.policies).map(id => this.get(id));
+  }
+}
+
+/**
+ * The record of which policy a calculation used; the fingerprint covers the whole policy document
+ * @private
+ */
+function describePolicy(policy, { projectId, overridden }) {
+  return {
+    id: policy.id,
+    version: policy.version,
+    fingerprint: fingerprint(policy),
+    projectId,
+    overridden
+  };
+}
+
+/**
+ * Recipient checks the schema cannot express
+ * @private
+ */
+function recipientErrors(recipients, path) {
+  const errors = [];
+  const seen = new Set();
+  recipients.forEach((r, index) => {
+    if (seen.has(r.id)) {
+      errors.push(new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: `${path}[${index}].id`,
+        allowed: 'a recipient id not used earlier in the policy',
+        value: r.id,
+        message: `Duplicate recipient id: ${r.id}`
+      }));
+    }
+    seen.add(r.id);
+    if (r.minimum !== undefined && r.maximum !== undefined && r.minimum > r.maximum) {
+      errors.push(new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: `${path}[${index}].minimum`,
+        allowed: `at most maximum (${r.maximum})`,
+        value: r.minimum,
+        message: `Recipient ${r.id} has a minimum above its maximum`
+      }));
+    }
+  });
+  if (recipients.every(r => !(r.share > 0))) {
+    errors.push(new ValidationError({
+      code: VALIDATION_CODES.INCONSISTENT_VALUES,
+      path: `${path}`,
+      allowed: 'at least one recipient with a share greater than 0',
+      value: recipients.map(r => r.share),
+      message: `${path} must give at least one recipient a share greater than 0`
+    }));
+  }
+  return errors;
+}
+
+/**
+ * Split minor units by share with each part clamped to [minimum, maximum]
+ * Finds the scale at which the clamped shares add up to the total, then splits exactly what is left
+ * after the clamped parts across the unclamped recipients by largest remainder.
+ * @private
+ */
+function clampedSplit(total, shares, minimums, maximums) {
+  const upper = maximums.map(m => m ?? Infinity);
+  const totalMinimum = minimums.reduce((sum, m) => sum + m, 0);
+  if (totalMinimum >= total) {
+    return totalMinimum === 0 ? minimums : new Money(total).allocate(minimums).map(m => m.minor);
+  }
+  if (upper.reduce((sum, m) => sum + m, 0) <= total) {
+    return upper;
+  }
+
+  const clamp = (scale, index) => Math.min(upper[index], Math.max(minimums[index], scale * shares[index]));
+  const sumAt = scale => shares.reduce((sum, _, index) => sum + clamp(scale, index), 0);
+  let low = 0;
+  let high = Math.max(...shares.map((share, index) => (share > 0 ? Math.max(minimums[index], Math.min(upper[index], total)) / share : 0)));
+  for (let i = 0; i < 200 && high - low > high * 1e-15; i++) {
+    const mid = (low + high) / 2;
+    if (sumAt(mid) < total) low = mid; else high = mid;
+  }
+
+  // Recipients clamped across the whole bracket are fixed; the rest share what remains
+  const parts = shares.map((share, index) => {
+    if (share * high <= minimums[index]) return minimums[index];
+    if (share * low >= upper[index]) return upper[index];
+    return null;
+  });
+  const active = parts.map((part, index) => (part === null ? index : -1)).filter(index => index >= 0);
+  const remaining = total - parts.reduce((sum, part) => sum + (part ?? 0), 0);
+  if (active.length > 0) {
+    new Money(remaining).allocate(active.map(index => shares[index])).forEach((part, i) => {
+      parts[active[i]] = part.minor;
+    });
+  }
+  return parts;
+}
+
+/**
+ * @private
+ */
+function deepFreeze(value) {
+  Object.values(value).forEach(child => {
+    if (child && typeof child === 'object') deepFreeze(child);
+  });
+  return Object.freeze(value);
+}
@@ -0,0 +1,142 @@
+/**
+ * Tests for Allocation Policy
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  AllocationPolicyRegistry,
+  DEFAULT_ALLOCATION_POLICY,
+  allocateByPolicy,
+  resolvePolicy,
+  validatePolicy
+} from './allocation-policy.js';
+import { ASNAF } from './asnaf.js';
+import Money from './money.js';
+
+const minors = allocations => Object.fromEntries(Object.entries(allocations).map(([id, m]) => [id, m.minor]));
+
+const reliefPolicy = {
+  id: 'relief',
+  version: 1,
+  recipients: [
+    { id: 'foodBank', share: 60, asnaf: ['fuqara', 'masakin'], maximum: 500 },
+    { id: 'debtRelief', share: 30, asnaf: ['gharimin'] },
+    { id: 'administration', share: 10, asnaf: ['amilin'], minimum: 150 }
+  ],
+  projectOverrides: {
+    'harlem-center': {
+      recipients: [
+        { id: 'debtRelief', share: 10 },
+        { id: 'travellers', share: 20, asnaf: ['ibnSabil'] }
+      ]
+    }
+  }
+};
+
+test('allocateByPolicy - the default policy reproduces the original fixed split', () => {
+  const result = allocateByPolicy(Money.of(2500), DEFAULT_ALLOCATION_POLICY);
+
+  assert.deepStrictEqual(minors(result.allocations), { community: 100000, education: 75000, infrastructure: 50000, emergency: 25000 });
+  assert.deepStrictEqual(Object.keys(result.byAsnaf), ASNAF);
+  assert.strictEqual(result.byAsnaf.fiSabilillah.toDecimalString(), '1250.00');
+  assert.strictEqual(result.byAsnaf.fuqara.toDecimalString(), '562.50');
+  assert.strictEqual(Money.sum(Object.values(result.byAsnaf)).minor, 250000);
+  assert.ok(result.unallocated.isZero());
+  assert.deepStrictEqual(result.capsApplied, []);
+  assert.strictEqual(result.policy.id, 'harlem-default');
+  assert.strictEqual(result.policy.version, 1);
+  assert.match(result.policy.fingerprint, /^[0-9a-f]{16}$/);
+});
+
+test('allocateByPolicy - applies maximum and minimum caps and respreads the difference', () => {
+  const result = allocateByPolicy(Money.of(1000), reliefPolicy);
+
+  // foodBank's 600 is capped at 500; administration's 100 is raised to 150; debtRelief takes the rest
+  assert.deepStrictEqual(minors(result.allocations), { foodBank: 50000, debtRelief: 35000, administration: 15000 });
+  assert.deepStrictEqual(result.capsApplied.map(c => [c.recipientId, c.cap, c.uncapped.minor]), [
+    ['foodBank', 'maximum', 60000],
+    ['administration', 'minimum', 10000]
+  ]);
+
+  const small = allocateByPolicy(Money.of(100), reliefPolicy);
+  assert.deepStrictEqual(minors(small.allocations), { foodBank: 0, debtRelief: 0, administration: 10000 });
+  assert.strictEqual(small.capsApplied.find(c => c.recipientId === 'administration').shortfall.minor, 5000);
+
+  const capped = allocateByPolicy(Money.of(100), {
+    id: 'capped',
+    version: 1,
+    recipients: [{ id: 'a', share: 1, asnaf: ['riqab'], maximum: 30 }, { id: 'b', share: 1, asnaf: ['riqab'], maximum: 20 }]
+  });
+  assert.strictEqual(capped.unallocated.toDecimalString(), '50.00');
+});
+
+test('allocateByPolicy - parts always add up to the amount', () => {
+  for (const cents of [0, 1, 7, 15001, 99999, 123456789]) {
+    const result = allocateByPolicy(new Money(cents), reliefPolicy, 'harlem-center');
+    assert.strictEqual(Money.sum(Object.values(result.allocations)).add(result.unallocated).minor, cents);
+    assert.strictEqual(Money.sum(Object.values(result.byAsnaf)).minor, cents - result.unallocated.minor);
+  }
+});
+
+test('resolvePolicy - project overrides change and add recipients', () => {
+  const resolved = resolvePolicy(reliefPolicy, 'harlem-center');
+  assert.deepStrictEqual(resolved.recipients.map(r => [r.id, r.share]), [['foodBank', 60], ['debtRelief', 10], ['administration', 10], ['travellers', 20]]);
+  assert.strictEqual(resolved.overridden, true);
+  assert.strictEqual(resolvePolicy(reliefPolicy, 'elsewhere').overridden, false);
+
+  const result = allocateByPolicy(Money.of(1000), reliefPolicy, 'harlem-center');
+  assert.strictEqual(result.policy.projectId, 'harlem-center');
+  // foodBank is capped at 500 and administration raised to 150; the other 350 splits 10:20
+  assert.deepStrictEqual(minors(result.allocations), { foodBank: 50000, debtRelief: 11667, administration: 15000, travellers: 23333 });
+  assert.strictEqual(result.byAsnaf.ibnSabil.toDecimalString(), '233.33');
+});
+
+test('validatePolicy - rejects policies that cannot be applied', () => {
+  assert.deepStrictEqual(validatePolicy(reliefPolicy), []);
+
+  const errors = validatePolicy({
+    id: 'bad',
+    version: 1,
+    recipients: [
+      { id: 'a', share: 0, asnaf: ['fuqara'], minimum: 50, maximum: 10 },
+      { id: 'a', share: 0, asnaf: ['fuqara'] }
+    ]
+  });
+  assert.deepStrictEqual(errors.map(e => [e.code, e.path]), [
+    ['INCONSISTENT_VALUES', 'policy.recipients[0].minimum'],
+    ['INCONSISTENT_VALUES', 'policy.recipients[1].id'],
+    ['INCONSISTENT_VALUES', 'policy.recipients']
+  ]);
+
+  assert.deepStrictEqual(validatePolicy({ id: 'x', version: 0, recipients: [{ id: 'a', share: 1, asnaf: ['charity'] }] }).map(e => [e.code, e.path]), [
+    ['OUT_OF_RANGE', 'policy.version'],
+    ['INVALID_ENUM', 'policy.recipients[0].asnaf[0]']
+  ]);
+  assert.deepStrictEqual(validatePolicy({
+    ...reliefPolicy,
+    projectOverrides: { p: { recipients: [{ id: 'newcomer', share: 5 }] } }
+  }).map(e => [e.code, e.path]), [['REQUIRED', 'policy.projectOverrides.p.recipients[0].asnaf']]);
+});
+
+test('AllocationPolicyRegistry - versions are immutable and the latest is the default', () => {
+  const registry = new AllocationPolicyRegistry();
+  registry.define(reliefPolicy);
+  const v2 = registry.define({ ...reliefPolicy, version: 2, recipients: reliefPolicy.recipients.slice(0, 2) });
+
+  assert.strictEqual(registry.get('relief'), v2);
+  assert.strictEqual(registry.get('relief', 1).recipients.length, 3);
+  assert.deepStrictEqual(registry.versions('relief'), [1, 2]);
+  assert.deepStrictEqual(registry.list().map(p => p.id), ['harlem-default', 'relief']);
+  assert.ok(Object.isFrozen(v2.recipients[0]));
+  assert.strictEqual(registry.define(structuredClone(reliefPolicy)), registry.get('relief', 1));
+
+  assert.throws(() => registry.define({ ...reliefPolicy, name: 'changed' }), {
+    code: 'INCONSISTENT_VALUES',
+    message: 'Allocation policy relief version 1 is already defined with different content'
+  });
+  assert.throws(() => registry.get('missing'), { code: 'INVALID_ENUM', path: 'policyId' });
+  assert.throws(() => registry.get('relief', 3), { message: 'Allocation policy relief has no version 3' });
+});
+
+console.log('✓ All Allocation Policy tests passed');
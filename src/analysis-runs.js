@@ -0,0 +1,88 @@
+/**
+ * Analysis Runs
+ * Fingerprints and structural diffs of recorded analysis runs
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Version of the framework state snapshot produced by getState
+ */
+export const STATE_VERSION = 1;
+
+/**
+ * JSON with object keys sorted, so equal values always serialize identically
+ * @param {*} value - JSON-serializable value
+ * @returns {string} Canonical JSON
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item ?? null)).join(',')}]`;
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Short content hash of a value; runs with the same fingerprint have the same inputs
+ * @param {*} value - JSON-serializable value
+ * @returns {string} 16 hex characters of the SHA-256 digest
+ */
+export function fingerprint(value) {
+  return createHash('sha256').update(stableStringify(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Leaf-level differences between two values
+ * Objects are compared key by key; arrays and scalars are compared whole.
+ * @param {*} before - Earlier value
+ * @param {*} after - Later value
+ * @param {string[]} keys - Path of the values being compared
+ * @returns {Array<{path: string, keys: string[], before: *, after: *}>} Changed leaves, sorted by path
+ */
+export function diffValues(before, after, keys = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .sort()
+      .flatMap(key => diffValues(before[key], after[key], [...keys, key]));
+  }
+  if (stableStringify(before) === stableStringify(after)) {
+    return [];
+  }
+  return [{ path: keys.join('.'), keys, before, after }];
+}
+
+/**
+ * Set (or, for undefined, delete) the value at a path, creating objects along the way
+ * @param {Object} target - Object to modify
+ * @param {string[]} keys - Path to the value
+ * @param {*} value - New value
+ * @returns {Object} The target
+ */
+export function setPath(target, keys, value) {
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+  const last = keys[keys.length - 1];
+
+  if (value === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = structuredClone(value);
+  }
+  return target;
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
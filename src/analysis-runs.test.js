@@ -0,0 +1,51 @@
+/**
+ * Tests for Analysis Runs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { diffValues, fingerprint, setPath, stableStringify } from './analysis-runs.js';
+
+test('stableStringify - ignores key order and undefined values', () => {
+  assert.strictEqual(stableStringify({ b: 1, a: { d: [1, 2], c: undefined } }), '{"a":{"d":[1,2]},"b":1}');
+  assert.strictEqual(stableStringify({ a: 1, b: 2 }), stableStringify({ b: 2, a: 1 }));
+  assert.strictEqual(stableStringify([undefined, null]), '[null,null]');
+});
+
+test('fingerprint - equal values share a fingerprint', () => {
+  const a = fingerprint({ config: { discountRate: 0.08 }, inputs: { projection: { years: 10 } } });
+  const b = fingerprint({ inputs: { projection: { years: 10 } }, config: { discountRate: 0.08 } });
+
+  assert.strictEqual(a, b);
+  assert.match(a, /^[0-9a-f]{16}$/);
+  assert.notStrictEqual(fingerprint({ years: 10 }), fingerprint({ years: 11 }));
+});
+
+test('diffValues - reports changed leaves, comparing arrays whole', () => {
+  const changes = diffValues(
+    { projection: { years: 10, growthRate: [0.1, 0.05] }, fx: { spot: 150 } },
+    { projection: { years: 10, growthRate: [0.1, 0.04] }, terminalValue: { method: 'gordon' } }
+  );
+
+  assert.deepStrictEqual(changes.map(c => c.path), ['fx', 'projection.growthRate', 'terminalValue']);
+  assert.deepStrictEqual(changes[0], { path: 'fx', keys: ['fx'], before: { spot: 150 }, after: undefined });
+  assert.deepStrictEqual(changes[1].after, [0.1, 0.04]);
+  assert.deepStrictEqual(diffValues({ a: 1 }, { a: 1 }), []);
+});
+
+test('setPath - sets nested values and deletes undefined ones', () => {
+  const target = { inputs: { projection: { years: 10 } } };
+
+  setPath(target, ['inputs', 'projection', 'growthRate'], 0.05);
+  setPath(target, ['inputs', 'terminalValue', 'method'], 'gordon');
+  setPath(target, ['inputs', 'projection', 'years'], undefined);
+
+  assert.deepStrictEqual(target, { inputs: { projection: { growthRate: 0.05 }, terminalValue: { method: 'gordon' } } });
+
+  const curve = [150, 148];
+  setPath(target, ['fx'], curve);
+  curve.push(146);
+  assert.deepStrictEqual(target.fx, [150, 148]);
+});
+
+console.log('✓ All Analysis Runs tests passed');
@@ -0,0 +1,279 @@
+/**
+ * Annotation Store
+ * Comment threads pinned to points or elements of an AR visualization, with authorship and resolution status,
+ * saved to a store adapter after every change
+ */
+
+import { MemoryJobStore } from './job-store.js';
+import { ValidationError, VALIDATION_CODES, assertValid } from './validation.js';
+import {
+  ANNOTATION_COMMENT_SCHEMA,
+  ANNOTATION_SAVED_THREAD_SCHEMA,
+  ANNOTATION_STORE_CONFIG_SCHEMA,
+  ANNOTATION_THREAD_SCHEMA
+} from './schemas.js';
+
+const EXPORT_VERSION = 1;
+
+/**
+ * Thread statuses
+ */
+export const ANNOTATION_STATUS = Object.freeze({
+  OPEN: 'open',
+  RESOLVED: 'resolved'
+});
+
+export class AnnotationStore {
+  /**
+   * @param {Object} config - Store configuration
+   * @param {JobStore} config.store - Adapter every change is saved to, e.g. a FileJobStore to keep threads
+   *   across restarts (see restore)
+   */
+  constructor(config = {}) {
+    this.config = {
+      store: new MemoryJobStore(),
+      ...config
+    };
+    assertValid(ANNOTATION_STORE_CONFIG_SCHEMA, this.config, 'config');
+    this.threads = new Map(); // By thread id, in creation order
+    this.saving = Promise.resolve();
+    this.lastSaveError = null;
+  }
+
+  /**
+   * Restore a store exported with toJSON()
+   * @param {Object} data - Exported store
+   * @param {Object} config - Store configuration (see the constructor)
+   * @returns {AnnotationStore} The restored store
+   * @throws {ValidationError} For an unsupported export version or an invalid thread
+   */
+  static fromJSON(data, config = {}) {
+    const store = new AnnotationStore(config);
+    store.load(data);
+    return store;
+  }
+
+  /**
+   * Load the threads saved in the store adapter, after a restart
+   * @returns {Promise<number>} Threads restored
+   * @throws {ValidationError} If this store already has threads, or the snapshot is invalid
+   */
+  async restore() {
+    if (this.threads.size > 0) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'store',
+        allowed: 'an empty annotation store',
+        value: this.threads.size,
+        message: 'Annotation threads can only be restored into an empty store'
+      });
+    }
+    const snapshot = await this.config.store.load();
+    if (snapshot !== null) this.load(snapshot);
+    return this.threads.size;
+  }
+
+  /**
+   * Wait until every change is saved; a failed save is kept in lastSaveError
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.saving;
+  }
+
+  /**
+   * Start a thread with its first comment
+   * @param {Object} thread - { visualizationId, anchor, author, body } (see ANNOTATION_THREAD_SCHEMA)
+   * @param {Object} thread.anchor - { position: [x, y, z] } in model coordinates, { element, level }, or both
+   * @returns {Object} The thread
+   * @throws {ValidationError} For an invalid thread, or an anchor with neither a position nor an element
+   */
+  createThread(thread) {
+    assertValid(ANNOTATION_THREAD_SCHEMA, thread, 'thread');
+    const { visualizationId, anchor, author, body } = thread;
+    assertAnchored(anchor, 'thread.anchor');
+    const now = new Date().toISOString();
+    const created = {
+      id: crypto.randomUUID(),
+      visualizationId,
+      anchor: structuredClone(anchor),
+      status: ANNOTATION_STATUS.OPEN,
+      author,
+      createdAt: now,
+      updatedAt: now,
+      resolvedBy: null,
+      resolvedAt: null,
+      comments: [comment(author, body, now)],
+      history: [{ status: ANNOTATION_STATUS.OPEN, by: author, at: now }]
+    };
+    this.threads.set(created.id, created);
+    this.persistInBackground();
+    return structuredClone(created);
+  }
+
+  /**
+   * Add a comment to a thread; replying does not change its status
+   * @param {string} threadId - Thread id
+   * @param {Object} reply - { author, body }
+   * @returns {Object} The thread
+   */
+  reply(threadId, reply) {
+    const thread = this.findThread(threadId);
+    assertValid(ANNOTATION_COMMENT_SCHEMA, reply, 'reply');
+    const now = new Date().toISOString();
+    thread.comments.push(comment(reply.author, reply.body, now));
+    thread.updatedAt = now;
+    this.persistInBackground();
+    return structuredClone(thread);
+  }
+
+  /**
+   * Mark an open thread resolved
+   * @param {string} threadId - Thread id
+   * @param {string} author - Who resolved it
+   * @returns {Object} The thread
+   * @throws {ValidationError} If the thread is already resolved
+   */
+  resolve(threadId, author) {
+    return this.setStatus(threadId, author, ANNOTATION_STATUS.RESOLVED);
+  }
+
+  /**
+   * Open a resolved thread again
+   * @param {string} threadId - Thread id
+   * @param {string} author - Who reopened it
+   * @returns {Object} The thread
+   * @throws {ValidationError} If the thread is already open
+   */
+  reopen(threadId, author) {
+    return this.setStatus(threadId, author, ANNOTATION_STATUS.OPEN);
+  }
+
+  /**
+   * @param {string} threadId - Thread id
+   * @returns {Object} { id, visualizationId, anchor, status, author, createdAt, updatedAt, resolvedBy, resolvedAt, comments, history }
+   *   with `history` listing each status change as { status, by, at }
+   */
+  getThread(threadId) {
+    return structuredClone(this.findThread(threadId));
+  }
+
+  /**
+   * Threads in creation order
+   * @param {Object} filter - Optional { visualizationId, status, element, author }; `author` matches any comment's author
+   * @returns {Object[]} Matching threads
+   */
+  list({ visualizationId, status, element, author } = {}) {
+    return [...this.threads.values()]
+      .filter(thread => visualizationId === undefined || thread.visualizationId === visualizationId)
+      .filter(thread => status === undefined || thread.status === status)
+      .filter(thread => element === undefined || thread.anchor.element === element)
+      .filter(thread => author === undefined || thread.comments.some(c => c.author === author))
+      .map(thread => structuredClone(thread));
+  }
+
+  /**
+   * Export every thread, e.g. to continue after a restart (see fromJSON)
+   * @returns {Object} Export document
+   */
+  toJSON() {
+    return { version: EXPORT_VERSION, threads: [...this.threads.values()].map(thread => structuredClone(thread)) };
+  }
+
+  /**
+   * Replace the threads with those of an export or snapshot, checking each one
+   * @private
+   */
+  load(data) {
+    if (data?.version !== EXPORT_VERSION || !Array.isArray(data.threads)) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: 'annotations.version',
+        allowed: `${EXPORT_VERSION}`,
+        value: data?.version,
+        message: `Unsupported annotation store export version: ${data?.version}`
+      });
+    }
+    data.threads.forEach((thread, index) => {
+      assertValid(ANNOTATION_SAVED_THREAD_SCHEMA, thread, `annotations.threads[${index}]`);
+      assertAnchored(thread.anchor, `annotations.threads[${index}].anchor`);
+    });
+    this.threads = new Map(data.threads.map(thread => [thread.id, structuredClone(thread)]));
+  }
+
+  /**
+   * Save every thread behind the saves in progress; failures are kept in lastSaveError
+   * @private
+   */
+  persistInBackground() {
+    const snapshot = this.toJSON();
+    this.saving = this.saving
+      .then(() => this.config.store.save(snapshot))
+      .then(() => { this.lastSaveError = null; }, error => { this.lastSaveError = error; });
+  }
+
+  /**
+   * @private
+   */
+  setStatus(threadId, author, status) {
+    const thread = this.findThread(threadId);
+    assertValid(ANNOTATION_COMMENT_SCHEMA.properties.author, author, 'author');
+    if (thread.status === status) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'threadId',
+        allowed: `a thread that is not ${status}`,
+        value: threadId,
+        message: `Annotation thread ${threadId} is already ${status}`
+      });
+    }
+    const now = new Date().toISOString();
+    const resolved = status === ANNOTATION_STATUS.RESOLVED;
+    Object.assign(thread, { status, updatedAt: now, resolvedBy: resolved ? author : null, resolvedAt: resolved ? now : null });
+    thread.history.push({ status, by: author, at: now });
+    this.persistInBackground();
+    return structuredClone(thread);
+  }
+
+  /**
+   * @private
+   */
+  findThread(threadId) {
+    const thread = this.threads.get(threadId);
+    if (!thread) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: 'threadId',
+        allowed: 'an existing thread id',
+        value: threadId,
+        message: `Unknown annotation thread: ${threadId}`
+      });
+    }
+    return thread;
+  }
+}
+
+/**
+ * An anchor needs a position, an element or both
+ * @private
+ */
+function assertAnchored(anchor, path) {
+  if (anchor.position === undefined && anchor.element === undefined) {
+    throw new ValidationError({
+      code: VALIDATION_CODES.REQUIRED,
+      path: `${path}.position`,
+      allowed: 'a position, an element or both',
+      value: anchor,
+      message: `${path} needs a position or an element`
+    });
+  }
+}
+
+/**
+ * @private
+ */
+function comment(author, body, createdAt) {
+  return { id: crypto.randomUUID(), author, body, createdAt };
+}
+
+export default AnnotationStore;
@@ -0,0 +1,167 @@
+/**
+ * Tests for AnnotationStore
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import AnnotationStore, { ANNOTATION_STATUS } from './annotation-store.js';
+import { FileJobStore, MemoryJobStore } from './job-store.js';
+
+const pinned = (store, fields = {}) => store.createThread({
+  visualizationId: 'viz-1',
+  anchor: { position: [12, 3.5, 4] },
+  author: 'aiko',
+  body: 'Check the canopy clearance here',
+  ...fields
+});
+
+test('AnnotationStore - starts threads anchored to a point or an element', () => {
+  const store = new AnnotationStore();
+  const point = pinned(store);
+  assert.strictEqual(point.status, ANNOTATION_STATUS.OPEN);
+  assert.strictEqual(point.author, 'aiko');
+  assert.deepStrictEqual(point.anchor, { position: [12, 3.5, 4] });
+  assert.strictEqual(point.comments.length, 1);
+  assert.strictEqual(point.comments[0].body, 'Check the canopy clearance here');
+  assert.deepStrictEqual(point.history.map(({ status, by }) => [status, by]), [['open', 'aiko']]);
+
+  const element = pinned(store, { anchor: { element: 'facade', level: 3 }, author: 'marcus', body: 'Mullion spacing' });
+  assert.deepStrictEqual(store.getThread(element.id).anchor, { element: 'facade', level: 3 });
+
+  assert.throws(() => pinned(store, { anchor: {} }), { code: 'REQUIRED', path: 'thread.anchor.position' });
+  assert.throws(() => pinned(store, { anchor: { level: 2 } }), { code: 'REQUIRED', path: 'thread.anchor.position' });
+  assert.throws(() => pinned(store, { anchor: { element: 'roof' } }), { code: 'INVALID_ENUM', path: 'thread.anchor.element' });
+  assert.throws(() => pinned(store, { anchor: { position: [1, 2] } }), { code: 'TOO_FEW_ITEMS', path: 'thread.anchor.position' });
+  assert.throws(() => pinned(store, { author: undefined }), { code: 'REQUIRED', path: 'thread.author' });
+});
+
+test('AnnotationStore - threads replies and tracks resolution', () => {
+  const store = new AnnotationStore();
+  const { id } = pinned(store);
+
+  const replied = store.reply(id, { author: 'marcus', body: 'Raised to 3.2 m' });
+  assert.deepStrictEqual(replied.comments.map(c => [c.author, c.body]), [
+    ['aiko', 'Check the canopy clearance here'],
+    ['marcus', 'Raised to 3.2 m']
+  ]);
+
+  const resolved = store.resolve(id, 'aiko');
+  assert.strictEqual(resolved.status, ANNOTATION_STATUS.RESOLVED);
+  assert.strictEqual(resolved.resolvedBy, 'aiko');
+  assert.ok(resolved.resolvedAt);
+  assert.throws(() => store.resolve(id, 'aiko'), { code: 'INCONSISTENT_VALUES', message: `Annotation thread ${id} is already resolved` });
+
+  store.reply(id, { author: 'marcus', body: 'Reopening: the fire code needs 3.5 m' });
+  assert.strictEqual(store.getThread(id).status, ANNOTATION_STATUS.RESOLVED); // Replies do not change the status
+  const reopened = store.reopen(id, 'marcus');
+  assert.strictEqual(reopened.status, ANNOTATION_STATUS.OPEN);
+  assert.strictEqual(reopened.resolvedBy, null);
+  assert.deepStrictEqual(reopened.history.map(({ status, by }) => [status, by]), [['open', 'aiko'], ['resolved', 'aiko'], ['open', 'marcus']]);
+  assert.throws(() => store.reopen(id, 'marcus'), { code: 'INCONSISTENT_VALUES' });
+
+  assert.throws(() => store.reply('missing', { author: 'aiko', body: 'Hi' }), { code: 'INVALID_ENUM', message: 'Unknown annotation thread: missing' });
+  assert.throws(() => store.reply(id, { author: 'aiko' }), { code: 'REQUIRED', path: 'reply.body' });
+  assert.throws(() => store.resolve(id), { code: 'REQUIRED', path: 'author' });
+});
+
+test('AnnotationStore - returns copies, not the stored threads', () => {
+  const store = new AnnotationStore();
+  const thread = pinned(store);
+  thread.comments.push({ body: 'Edited outside' });
+  thread.anchor.position[0] = 99;
+  assert.strictEqual(store.getThread(thread.id).comments.length, 1);
+  assert.deepStrictEqual(store.getThread(thread.id).anchor.position, [12, 3.5, 4]);
+});
+
+test('AnnotationStore - lists threads by visualization, status, element and author', () => {
+  const store = new AnnotationStore();
+  const a = pinned(store);
+  const b = pinned(store, { anchor: { element: 'core' }, author: 'marcus' });
+  const c = pinned(store, { visualizationId: 'viz-2' });
+  store.reply(a.id, { author: 'lena', body: 'Agreed' });
+  store.resolve(b.id, 'marcus');
+
+  const ids = filter => store.list(filter).map(thread => thread.id);
+  assert.deepStrictEqual(ids(), [a.id, b.id, c.id]);
+  assert.deepStrictEqual(ids({ visualizationId: 'viz-1' }), [a.id, b.id]);
+  assert.deepStrictEqual(ids({ visualizationId: 'viz-1', status: 'open' }), [a.id]);
+  assert.deepStrictEqual(ids({ element: 'core' }), [b.id]);
+  assert.deepStrictEqual(ids({ author: 'lena' }), [a.id]);
+});
+
+test('AnnotationStore - exports and restores every thread', () => {
+  const store = new AnnotationStore();
+  const { id } = pinned(store);
+  store.reply(id, { author: 'marcus', body: 'Noted' });
+  store.resolve(id, 'aiko');
+
+  const restored = AnnotationStore.fromJSON(JSON.parse(JSON.stringify(store)));
+  assert.deepStrictEqual(restored.getThread(id), store.getThread(id));
+  restored.reopen(id, 'marcus');
+  assert.strictEqual(store.getThread(id).status, ANNOTATION_STATUS.RESOLVED);
+
+  assert.throws(() => AnnotationStore.fromJSON({ version: 2, threads: [] }), { code: 'INVALID_ENUM', path: 'annotations.version' });
+});
+
+test('AnnotationStore - checks each restored thread', () => {
+  const store = new AnnotationStore();
+  pinned(store);
+  const exported = JSON.parse(JSON.stringify(store));
+  const withThread = fields => ({ ...exported, threads: [{ ...exported.threads[0], ...fields }] });
+
+  assert.throws(() => AnnotationStore.fromJSON(withThread({ status: 'closed' })), { code: 'INVALID_ENUM', path: 'annotations.threads[0].status' });
+  assert.throws(() => AnnotationStore.fromJSON(withThread({ comments: [] })), { code: 'TOO_FEW_ITEMS', path: 'annotations.threads[0].comments' });
+  assert.throws(() => AnnotationStore.fromJSON(withThread({ anchor: { element: 'roof' } })), { code: 'INVALID_ENUM', path: 'annotations.threads[0].anchor.element' });
+  assert.throws(() => AnnotationStore.fromJSON(withThread({ anchor: { level: 1 } })), { code: 'REQUIRED', path: 'annotations.threads[0].anchor.position' });
+  assert.throws(() => AnnotationStore.fromJSON({ ...exported, threads: [{ id: 'x' }] }), { code: 'REQUIRED', path: 'annotations.threads[0].visualizationId' });
+  assert.throws(() => AnnotationStore.fromJSON({ version: 1 }), { code: 'INVALID_ENUM', path: 'annotations.version' });
+});
+
+test('AnnotationStore - saves every change to its store adapter', async () => {
+  const adapter = new MemoryJobStore();
+  const store = new AnnotationStore({ store: adapter });
+  const { id } = pinned(store);
+  store.reply(id, { author: 'marcus', body: 'Raised to 3.2 m' });
+  store.resolve(id, 'aiko');
+  store.reopen(id, 'marcus');
+  await store.flush();
+  assert.strictEqual(adapter.saveCount, 4);
+  assert.deepStrictEqual(await adapter.load(), store.toJSON());
+
+  const restarted = new AnnotationStore({ store: adapter });
+  assert.strictEqual(await restarted.restore(), 1);
+  assert.deepStrictEqual(restarted.getThread(id), store.getThread(id));
+  await assert.rejects(() => restarted.restore(), { code: 'INCONSISTENT_VALUES', path: 'store' });
+  assert.strictEqual(await new AnnotationStore().restore(), 0);
+
+  // A failed save is reported, and the next change saves again
+  const failing = new MemoryJobStore();
+  failing.save = async () => { throw new Error('Disk full'); };
+  const unsaved = new AnnotationStore({ store: failing });
+  pinned(unsaved);
+  await unsaved.flush();
+  assert.strictEqual(unsaved.lastSaveError.message, 'Disk full');
+  assert.throws(() => new AnnotationStore({ store: null }), { code: 'INVALID_TYPE', path: 'config.store' });
+});
+
+test('AnnotationStore - threads in a FileJobStore survive a restart', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'annotations-'));
+  try {
+    const file = path.join(dir, 'annotations.json');
+    const store = new AnnotationStore({ store: new FileJobStore({ path: file }) });
+    const { id } = pinned(store);
+    store.resolve(id, 'aiko');
+    await store.flush();
+
+    const restarted = new AnnotationStore({ store: new FileJobStore({ path: file }) });
+    await restarted.restore();
+    assert.strictEqual(restarted.getThread(id).status, ANNOTATION_STATUS.RESOLVED);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+console.log('✓ All Annotation Store tests passed');
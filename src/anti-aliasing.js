@@ -0,0 +1,24 @@
+/**
+ * Anti-Aliasing
+ * Sample patterns for the anti-aliasing modes named in the renderer config
+ */
+
+/**
+ * Sub-pixel sample offsets from the pixel center, in 1/16 pixel, per mode.
+ * MSAA modes use the standard Direct3D patterns; 'none' samples the pixel center only.
+ */
+export const SAMPLE_PATTERNS = {
+  none: [[0, 0]],
+  'MSAA-2x': [[4, 4], [-4, -4]],
+  'MSAA-4x': [[-2, -6], [6, -2], [-6, 2], [2, 6]],
+  'MSAA-8x': [[1, -3], [-1, 3], [5, 1], [-3, -5], [-5, 5], [-7, -1], [3, 7], [7, -7]],
+  'MSAA-16x': [
+    [1, 1], [-1, -3], [-3, 2], [4, -1], [-5, -2], [2, 5], [5, 3], [3, -5],
+    [-2, 6], [0, -7], [-4, -6], [-6, 4], [-8, 0], [7, -4], [6, 7], [-7, -8]
+  ]
+};
+
+/**
+ * Anti-aliasing mode names
+ */
+export const ANTI_ALIASING_MODES = Object.keys(SAMPLE_PATTERNS);
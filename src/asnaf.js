@@ -0,0 +1,32 @@
+/**
+ * Asnaf
+ * The eight categories of zakat recipients named in Quran 9:60
+ */
+
+/**
+ * Asnaf keys, in the order of the verse
+ */
+export const ASNAF = [
+  'fuqara',
+  'masakin',
+  'amilin',
+  'muallafatQulub',
+  'riqab',
+  'gharimin',
+  'fiSabilillah',
+  'ibnSabil'
+];
+
+/**
+ * Plain-language description of each category
+ */
+export const ASNAF_DESCRIPTIONS = {
+  fuqara: 'The poor, with little or no means',
+  masakin: 'The needy, whose means fall short of their needs',
+  amilin: 'Those who collect and administer zakat',
+  muallafatQulub: 'Those whose hearts are to be reconciled',
+  riqab: 'Freeing those in bondage',
+  gharimin: 'Debtors unable to repay',
+  fiSabilillah: 'In the cause of God',
+  ibnSabil: 'Stranded travellers'
+};
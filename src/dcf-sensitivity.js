@@ -0,0 +1,286 @@
+/**
+ * DCF Sensitivity Analysis
+ * Scenario comparison, one-way tornado and two-way grid analysis over generateComprehensiveDCF
+ */
+
+import RussellDCFFramework from './russell-dcf-framework.js';
+import { VALIDATION_CODES } from './validation.js';
+
+/**
+ * Parameters that can be swept and where each one lives in a DCF run
+ */
+export const SENSITIVITY_PARAMETERS = {
+  growthRate: 'projection',
+  occupancyRate: 'projection',
+  discountRate: 'config',
+  phiRatio: 'config'
+};
+
+/**
+ * Output metrics that can be reported for each DCF run
+ */
+export const SENSITIVITY_METRICS = ['npv', 'irr', 'phiHedgedIRR', 'mirr'];
+
+/**
+ * Default named scenarios, expressed as overrides of the base case
+ */
+export const DEFAULT_SCENARIOS = {
+  base: {},
+  bull: { growthRate: 0.15, occupancyRate: 0.97, discountRate: 0.07 },
+  bear: { growthRate: 0.06, occupancyRate: 0.85, discountRate: 0.10 }
+};
+
+export class DCFSensitivityAnalyzer {
+  constructor(config = {}) {
+    this.config = {
+      frameworkConfig: {}, // RussellDCFFramework config shared by every run
+      baseParams: { projection: {}, liquidity: {} }, // generateComprehensiveDCF params for the base case
+      ...config
+    };
+  }
+
+  /**
+   * Run one DCF with parameter overrides applied to the base case
+   * A point where the discount rate does not exceed the Gordon growth rate has no terminal value;
+   * it is reported with null metrics and the reason in `skipped` rather than aborting the analysis.
+   * @param {Object} overrides - Values keyed by SENSITIVITY_PARAMETERS name
+   * @returns {Object} Inputs used, headline metrics and `skipped` (null for a feasible point)
+   */
+  evaluate(overrides = {}) {
+    const frameworkConfig = { ...this.config.frameworkConfig };
+    const projection = { ...this.config.baseParams.projection };
+
+    for (const [parameter, value] of Object.entries(overrides)) {
+      const target = this.resolveParameter(parameter);
+      if (target === 'config') {
+        frameworkConfig[parameter] = value;
+      } else {
+        projection[parameter] = value;
+      }
+    }
+
+    // A fresh framework per run applies the config overrides without touching other evaluations
+    const framework = new RussellDCFFramework(frameworkConfig);
+    let dcf;
+    try {
+      dcf = framework.generateComprehensiveDCF({ ...this.config.baseParams, projection });
+    } catch (error) {
+      if (error.code !== VALIDATION_CODES.INCONSISTENT_VALUES || error.path !== 'terminalValue.growthRate') {
+        throw error;
+      }
+      const yieldProjection = framework.calculateYieldProjection(projection);
+      return {
+        inputs: this.inputs(framework, yieldProjection),
+        metrics: Object.fromEntries(SENSITIVITY_METRICS.map(metric => [metric, null])),
+        investmentViability: null,
+        skipped: error.message
+      };
+    }
+
+    return {
+      inputs: this.inputs(framework, dcf.analysis.yieldProjection),
+      metrics: {
+        npv: dcf.analysis.npv.value,
+        irr: dcf.analysis.irrAnalysis.rates.baseIRR,
+        phiHedgedIRR: dcf.analysis.irrAnalysis.rates.phiHedgedIRR,
+        mirr: dcf.analysis.irrAnalysis.rates.mirr
+      },
+      investmentViability: dcf.overallAssessment.investmentViability,
+      skipped: null
+    };
+  }
+
+  /**
+   * Sweep a single parameter across a range of values
+   * @param {string} parameter - Parameter name
+   * @param {(number[]|Object)} range - Explicit values or { min, max, steps }
+   * @param {string} metric - Metric to report (default: 'npv')
+   * @returns {Object} Sweep series, counting infeasible points in `skippedPoints`
+   */
+  sweep(parameter, range, metric = 'npv') {
+    this.resolveParameter(parameter);
+    this.resolveMetric(metric);
+
+    const values = this.expandRange(range);
+    const points = values.map(value => {
+      const result = this.evaluate({ [parameter]: value });
+      return { value, [metric]: result.metrics[metric], skipped: result.skipped };
+    });
+    return {
+      parameter,
+      metric,
+      points,
+      skippedPoints: points.filter(point => point.skipped).length
+    };
+  }
+
+  /**
+   * One-way sensitivity for a tornado chart
+   * Each parameter is moved to its low and high value while the others stay at base
+   * @param {Object} ranges - { parameter: { low, high } }
+   * @param {string} metric - Metric to report (default: 'npv')
+   * @returns {Object} Tornado bars sorted by swing, widest first
+   */
+  tornado(ranges, metric = 'npv') {
+    this.resolveMetric(metric);
+    const baseValue = this.evaluate().metrics[metric];
+
+    const bars = Object.entries(ranges).map(([parameter, { low, high }]) => {
+      this.resolveParameter(parameter);
+      const lowResult = this.evaluate({ [parameter]: low });
+      const highResult = this.evaluate({ [parameter]: high });
+      const lowValue = lowResult.metrics[metric];
+      const highValue = highResult.metrics[metric];
+
+      return {
+        parameter,
+        low: { input: low, value: lowValue, delta: this.delta(lowValue, baseValue), skipped: lowResult.skipped },
+        high: { input: high, value: highValue, delta: this.delta(highValue, baseValue), skipped: highResult.skipped },
+        swing: lowValue === null || highValue === null ? null : Math.abs(highValue - lowValue)
+      };
+    });
+
+    bars.sort((a, b) => (b.swing ?? -Infinity) - (a.swing ?? -Infinity));
+
+    return {
+      metric,
+      baseValue,
+      bars
+    };
+  }
+
+  /**
+   * Two-way sensitivity grid, e.g. NPV by growth rate x discount rate
+   * @param {Object} gridSpec - Grid specification
+   * @param {Object} gridSpec.rows - { parameter, values | min/max/steps }
+   * @param {Object} gridSpec.columns - { parameter, values | min/max/steps }
+   * @param {string} gridSpec.metric - Metric to report (default: 'npv')
+   * @returns {Object} Grid with row/column values, a metric matrix and the infeasible cells in `skippedCells`
+   */
+  twoWayGrid({ rows, columns, metric = 'npv' }) {
+    this.resolveParameter(rows.parameter);
+    this.resolveParameter(columns.parameter);
+    this.resolveMetric(metric);
+
+    if (rows.parameter === columns.parameter) {
+      throw new Error('Two-way grid requires two different parameters');
+    }
+
+    const rowValues = this.expandRange(rows.values || rows);
+    const columnValues = this.expandRange(columns.values || columns);
+
+    const skippedCells = [];
+    const matrix = rowValues.map(rowValue => columnValues.map(columnValue => {
+      const result = this.evaluate({
+        [rows.parameter]: rowValue,
+        [columns.parameter]: columnValue
+      });
+      if (result.skipped) {
+        skippedCells.push({ rowValue, columnValue, reason: result.skipped });
+      }
+      return result.metrics[metric];
+    }));
+
+    return {
+      metric,
+      rowParameter: rows.parameter,
+      columnParameter: columns.parameter,
+      rowValues,
+      columnValues,
+      matrix,
+      skippedCells
+    };
+  }
+
+  /**
+   * Compare named scenarios side by side
+   * @param {Object} scenarios - { name: overrides } (default: DEFAULT_SCENARIOS)
+   * @param {string} baseName - Scenario used as the reference for deltas (default: 'base')
+   * @returns {Object} Scenario results with deltas against the base scenario
+   */
+  compareScenarios(scenarios = DEFAULT_SCENARIOS, baseName = 'base') {
+    if (!scenarios[baseName]) {
+      throw new Error(`Base scenario "${baseName}" not found`);
+    }
+
+    const results = Object.fromEntries(
+      Object.entries(scenarios).map(([name, overrides]) => [name, this.evaluate(overrides)])
+    );
+    const base = results[baseName].metrics;
+
+    const comparison = Object.entries(results).map(([name, result]) => ({
+      scenario: name,
+      inputs: result.inputs,
+      metrics: result.metrics,
+      deltas: Object.fromEntries(
+        SENSITIVITY_METRICS.map(metric => [metric, this.delta(result.metrics[metric], base[metric])])
+      ),
+      investmentViability: result.investmentViability,
+      skipped: result.skipped
+    }));
+
+    return {
+      baseScenario: baseName,
+      scenarios: comparison,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Expand a range specification into explicit values
+   * @private
+   */
+  expandRange(range) {
+    if (Array.isArray(range)) {
+      return range;
+    }
+
+    const { min, max, steps = 5 } = range;
+    if (typeof min !== 'number' || typeof max !== 'number' || steps < 2) {
+      throw new Error('Range requires numeric min and max and at least 2 steps');
+    }
+
+    return Array.from({ length: steps }, (_, i) => min + ((max - min) * i) / (steps - 1));
+  }
+
+  /**
+   * @private
+   */
+  resolveParameter(parameter) {
+    const target = SENSITIVITY_PARAMETERS[parameter];
+    if (!target) {
+      throw new Error(`Unknown sensitivity parameter: ${parameter}`);
+    }
+    return target;
+  }
+
+  /**
+   * @private
+   */
+  resolveMetric(metric) {
+    if (!SENSITIVITY_METRICS.includes(metric)) {
+      throw new Error(`Unknown sensitivity metric: ${metric}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  inputs(framework, yieldProjection) {
+    return {
+      growthRate: yieldProjection.growthRate,
+      occupancyRate: yieldProjection.occupancyRate,
+      discountRate: framework.config.discountRate,
+      phiRatio: framework.config.phiRatio
+    };
+  }
+
+  /**
+   * @private
+   */
+  delta(value, baseValue) {
+    return value === null || baseValue === null ? null : value - baseValue;
+  }
+}
+
+export default DCFSensitivityAnalyzer;
@@ -0,0 +1,133 @@
+/**
+ * Tests for DCF Sensitivity Analysis
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import DCFSensitivityAnalyzer, { DEFAULT_SCENARIOS } from './dcf-sensitivity.js';
+import RussellDCFFramework from './russell-dcf-framework.js';
+
+const baseParams = {
+  projection: {
+    initialInvestment: 50000000,
+    years: 10,
+    growthRate: 0.12,
+    occupancyRate: 0.92
+  },
+  liquidity: {
+    totalAssetValue: 100000000,
+    currentLiquidity: 25000000
+  }
+};
+
+test('DCFSensitivityAnalyzer - evaluate matches a direct generateComprehensiveDCF run', () => {
+  const analyzer = new DCFSensitivityAnalyzer({ baseParams });
+  const result = analyzer.evaluate();
+  const direct = new RussellDCFFramework().generateComprehensiveDCF(baseParams);
+
+  assert.strictEqual(result.metrics.npv, direct.analysis.npv.value);
+  assert.strictEqual(result.inputs.growthRate, 0.12);
+  assert.strictEqual(result.inputs.discountRate, 0.08);
+});
+
+test('DCFSensitivityAnalyzer - evaluate routes config parameters to the framework', () => {
+  const analyzer = new DCFSensitivityAnalyzer({ baseParams });
+  const base = analyzer.evaluate();
+  const higherDiscount = analyzer.evaluate({ discountRate: 0.12 });
+
+  assert.strictEqual(higherDiscount.inputs.discountRate, 0.12);
+  assert.ok(higherDiscount.metrics.npv < base.metrics.npv);
+  assert.strictEqual(higherDiscount.metrics.irr, base.metrics.irr);
+});
+
+test('DCFSensitivityAnalyzer - sweep expands min/max/steps ranges', () => {
+  const analyzer = new DCFSensitivityAnalyzer({ baseParams });
+  const result = analyzer.sweep('growthRate', { min: 0.04, max: 0.12, steps: 3 });
+
+  assert.strictEqual(result.points.length, 3);
+  [0.04, 0.08, 0.12].forEach((expected, i) => {
+    assert.ok(Math.abs(result.points[i].value - expected) < 1e-12);
+  });
+  assert.ok(result.points[0].npv < result.points[2].npv);
+});
+
+test('DCFSensitivityAnalyzer - tornado sorts bars by swing', () => {
+  const analyzer = new DCFSensitivityAnalyzer({ baseParams });
+  const result = analyzer.tornado({
+    phiRatio: { low: 1.5, high: 1.7 },
+    growthRate: { low: 0.06, high: 0.18 },
+    discountRate: { low: 0.06, high: 0.10 }
+  });
+
+  assert.strictEqual(result.bars.length, 3);
+  assert.strictEqual(result.bars[0].parameter, 'growthRate');
+  for (let i = 1; i < result.bars.length; i++) {
+    assert.ok(result.bars[i - 1].swing >= result.bars[i].swing);
+  }
+  assert.ok(result.bars[0].low.delta < 0);
+  assert.ok(result.bars[0].high.delta > 0);
+});
+
+test('DCFSensitivityAnalyzer - twoWayGrid produces a rows x columns matrix', () => {
+  const analyzer = new DCFSensitivityAnalyzer({ baseParams });
+  const result = analyzer.twoWayGrid({
+    rows: { parameter: 'growthRate', values: [0.08, 0.12] },
+    columns: { parameter: 'discountRate', min: 0.06, max: 0.10, steps: 3 }
+  });
+
+  assert.strictEqual(result.matrix.length, 2);
+  assert.strictEqual(result.matrix[0].length, 3);
+  assert.ok(result.matrix[0][0] > result.matrix[0][2]);
+  assert.ok(result.matrix[1][1] > result.matrix[0][1]);
+});
+
+test('DCFSensitivityAnalyzer - compareScenarios reports deltas against base', () => {
+  const analyzer = new DCFSensitivityAnalyzer({ baseParams });
+  const result = analyzer.compareScenarios();
+
+  assert.deepStrictEqual(result.scenarios.map(s => s.scenario), Object.keys(DEFAULT_SCENARIOS));
+  const [base, bull, bear] = result.scenarios;
+  assert.strictEqual(base.deltas.npv, 0);
+  assert.ok(bull.deltas.npv > 0);
+  assert.ok(bear.deltas.npv < 0);
+});
+
+test('DCFSensitivityAnalyzer - skips points where the discount rate does not exceed the Gordon growth rate', () => {
+  const analyzer = new DCFSensitivityAnalyzer({
+    baseParams: { ...baseParams, terminalValue: { method: 'gordon', growthRate: 0.03 } }
+  });
+  const reason = 'Gordon growth terminal value requires discountRate greater than growthRate';
+
+  const sweep = analyzer.sweep('discountRate', { min: 0.02, max: 0.1, steps: 5 });
+  assert.strictEqual(sweep.skippedPoints, 1);
+  assert.deepStrictEqual([sweep.points[0].npv, sweep.points[0].skipped], [null, reason]);
+  assert.ok(sweep.points.slice(1).every(point => point.skipped === null && Number.isFinite(point.npv)));
+
+  const tornado = analyzer.tornado({ discountRate: { low: 0.03, high: 0.1 } });
+  assert.deepStrictEqual(tornado.bars[0].low, { input: 0.03, value: null, delta: null, skipped: reason });
+  assert.strictEqual(tornado.bars[0].swing, null);
+
+  const grid = analyzer.twoWayGrid({
+    rows: { parameter: 'growthRate', values: [0.08, 0.12] },
+    columns: { parameter: 'discountRate', values: [0.02, 0.08] }
+  });
+  assert.deepStrictEqual(grid.matrix.map(row => row[0]), [null, null]);
+  assert.ok(grid.matrix.every(row => Number.isFinite(row[1])));
+  assert.deepStrictEqual(grid.skippedCells.map(cell => [cell.rowValue, cell.columnValue]), [[0.08, 0.02], [0.12, 0.02]]);
+
+  const scenarios = analyzer.compareScenarios({ base: {}, easing: { discountRate: 0.025 } });
+  const easing = scenarios.scenarios[1];
+  assert.deepStrictEqual([easing.metrics.npv, easing.deltas.npv, easing.investmentViability, easing.skipped], [null, null, null, reason]);
+  assert.strictEqual(easing.inputs.discountRate, 0.025);
+  assert.strictEqual(scenarios.scenarios[0].skipped, null);
+});
+
+test('DCFSensitivityAnalyzer - rejects unknown parameters and metrics', () => {
+  const analyzer = new DCFSensitivityAnalyzer({ baseParams });
+
+  assert.throws(() => analyzer.sweep('rentPerSqm', [1, 2]), /Unknown sensitivity parameter/);
+  assert.throws(() => analyzer.sweep('growthRate', [0.1], 'payback'), /Unknown sensitivity metric/);
+  assert.throws(() => analyzer.compareScenarios({ bull: {} }), /Base scenario "base" not found/);
+});
+
+console.log('✓ All DCF Sensitivity tests passed');
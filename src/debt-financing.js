@@ -0,0 +1,275 @@
+/**
+ * Debt Financing Model
+ * Senior/mezzanine loan schedules, levered cash flows and covenant metrics for yen-financed acquisitions
+ */
+
+import IRRSolver from './irr-solver.js';
+
+export class DebtFinancingModel {
+  constructor(config = {}) {
+    this.config = {
+      tranches: [
+        {
+          name: 'Senior',
+          type: 'senior',
+          ltv: 0.55, // Loan amount as a share of purchase price (ignored when principal is set)
+          rateType: 'floating', // 'fixed' or 'floating'
+          baseRate: 0.005, // TONA-referenced base rate: number or per-year path
+          spread: 0.012,
+          rateFloor: 0, // Minimum all-in floating rate
+          interestOnlyYears: 2,
+          amortizationYears: 25, // Annuity amortization term after the interest-only period
+          amortizationType: 'annuity', // 'annuity', 'straightLine' or 'none'
+          maturityYears: 7, // Outstanding balance is repaid as a balloon at maturity
+          upfrontFeeRate: 0.005
+        }
+      ],
+      covenants: {
+        minDSCR: 1.25,
+        maxLTV: 0.65,
+        minDebtYield: 0.06
+      },
+      ...config
+    };
+  }
+
+  /**
+   * Build the yearly amortization schedule for every tranche
+   * @param {number} purchasePrice - Purchase price used to size LTV-based tranches
+   * @param {number} years - Projection period in years
+   * @returns {Object[]} Tranche schedules
+   */
+  buildSchedules(purchasePrice, years) {
+    return this.config.tranches.map(tranche => this.buildTrancheSchedule(tranche, purchasePrice, years));
+  }
+
+  /**
+   * Analyze financing against a yield projection
+   * @param {Object} params - Analysis inputs
+   * @param {Object} params.yieldProjection - Result of RussellDCFFramework.calculateYieldProjection
+   * @param {number[]} params.unleveredCashFlows - Unlevered cash flow per year (year 1 first)
+   * @param {number} params.purchasePrice - Purchase price
+   * @param {number} params.valuationCapRate - Cap rate used to value the asset for LTV (default: going-in cap rate)
+   * @param {number} params.terminalValue - Net sale proceeds received in the final year (default: 0)
+   * @returns {Object} Schedules, levered cash flows, yearly covenant metrics and breaches
+   */
+  analyze({ yieldProjection, unleveredCashFlows, purchasePrice, valuationCapRate, terminalValue = 0 }) {
+    const projections = yieldProjection.yearlyProjections;
+    const years = projections.length;
+    const schedules = this.buildSchedules(purchasePrice, years);
+    const capRate = valuationCapRate ?? projections[0].netOperatingIncome / purchasePrice;
+    const { minDSCR, maxLTV, minDebtYield } = this.config.covenants;
+
+    const loanProceeds = schedules.reduce((sum, s) => sum + s.principal, 0);
+    const upfrontFees = schedules.reduce((sum, s) => sum + s.upfrontFee, 0);
+    const equityInvestment = purchasePrice - loanProceeds + upfrontFees;
+
+    const yearlyMetrics = [];
+    const unleveredWithExit = [];
+    const leveredCashFlows = [];
+    const breaches = [];
+
+    for (let index = 0; index < years; index++) {
+      const year = index + 1;
+      const projection = projections[index];
+      const rows = schedules.map(s => s.schedule[index]);
+
+      const interest = rows.reduce((sum, r) => sum + r.interest, 0);
+      const scheduledPrincipal = rows.reduce((sum, r) => sum + r.scheduledPrincipal, 0);
+      const balloonPayment = rows.reduce((sum, r) => sum + r.balloonPayment, 0);
+      const openingBalance = rows.reduce((sum, r) => sum + r.openingBalance, 0);
+      const closingBalance = rows.reduce((sum, r) => sum + r.closingBalance, 0);
+      const debtService = interest + scheduledPrincipal;
+
+      // Outstanding debt is repaid from sale proceeds at the end of the hold
+      const exitRepayment = year === years ? closingBalance : 0;
+
+      // Interest is deductible against the taxable income already computed for the unlevered case
+      const effectiveTaxRate = projection.taxableIncome > 0 ? projection.corporateTax / projection.taxableIncome : 0;
+      const interestTaxShield = Math.min(interest, projection.taxableIncome) * effectiveTaxRate;
+
+      const propertyValue = projection.netOperatingIncome / capRate;
+      const noi = projection.netOperatingIncome;
+      const dscr = debtService > 0 ? noi / debtService : null;
+      const ltv = propertyValue > 0 ? closingBalance / propertyValue : null;
+      const debtYield = openingBalance > 0 ? noi / openingBalance : null;
+
+      const covenantBreaches = {
+        dscr: dscr !== null && dscr < minDSCR,
+        ltv: ltv !== null && ltv > maxLTV,
+        debtYield: debtYield !== null && debtYield < minDebtYield
+      };
+
+      Object.entries(covenantBreaches).forEach(([covenant, breached]) => {
+        if (breached) {
+          breaches.push({ year, covenant, value: { dscr, ltv, debtYield }[covenant] });
+        }
+      });
+
+      const saleProceeds = year === years ? terminalValue : 0;
+      const unlevered = unleveredCashFlows[index] + saleProceeds;
+      const levered = unlevered - debtService - balloonPayment - exitRepayment + interestTaxShield;
+      unleveredWithExit.push(unlevered);
+      leveredCashFlows.push(levered);
+
+      yearlyMetrics.push({
+        year,
+        netOperatingIncome: noi,
+        propertyValue,
+        openingBalance,
+        interest,
+        scheduledPrincipal,
+        balloonPayment,
+        exitRepayment,
+        closingBalance,
+        debtService,
+        interestTaxShield,
+        saleProceeds,
+        unleveredCashFlow: unlevered,
+        leveredCashFlow: levered,
+        dscr,
+        ltv,
+        debtYield,
+        covenantBreaches
+      });
+    }
+
+    const solver = new IRRSolver();
+    const unleveredIRR = solver.irr([-purchasePrice, ...unleveredWithExit]);
+    const leveredIRR = solver.irr([-equityInvestment, ...leveredCashFlows]);
+
+    return {
+      loanProceeds,
+      upfrontFees,
+      equityInvestment,
+      initialLTV: loanProceeds / purchasePrice,
+      valuationCapRate: capRate,
+      tranches: schedules,
+      yearlyMetrics,
+      unleveredCashFlows: unleveredWithExit,
+      leveredCashFlows,
+      unleveredIRR: unleveredIRR.rate,
+      leveredIRR: leveredIRR.rate,
+      minimumDSCR: this.minimum(yearlyMetrics.map(m => m.dscr)),
+      maximumLTV: this.maximum(yearlyMetrics.map(m => m.ltv)),
+      breaches,
+      covenantStatus: breaches.length === 0 ? 'COMPLIANT' : 'BREACH',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Yearly schedule for one tranche
+   * @private
+   */
+  buildTrancheSchedule(tranche, purchasePrice, years) {
+    const {
+      name,
+      type = 'senior',
+      principal = purchasePrice * (tranche.ltv ?? 0),
+      rateType = 'fixed',
+      fixedRate = 0,
+      baseRate = 0,
+      spread = 0,
+      rateFloor = 0,
+      interestOnlyYears = 0,
+      amortizationYears = 0,
+      amortizationType = amortizationYears > 0 ? 'annuity' : 'none',
+      maturityYears = years,
+      upfrontFeeRate = 0
+    } = tranche;
+
+    if (!['fixed', 'floating'].includes(rateType)) {
+      throw new Error(`Unknown rate type for tranche ${name}: ${rateType}`);
+    }
+    if (!['annuity', 'straightLine', 'none'].includes(amortizationType)) {
+      throw new Error(`Unknown amortization type for tranche ${name}: ${amortizationType}`);
+    }
+
+    const schedule = [];
+    let balance = principal;
+
+    for (let year = 1; year <= years; year++) {
+      const openingBalance = balance;
+      const rate = this.rateForYear({ rateType, fixedRate, baseRate, spread, rateFloor }, year);
+      const interest = openingBalance * rate;
+      let scheduledPrincipal = 0;
+      let balloonPayment = 0;
+
+      if (openingBalance > 0 && year > interestOnlyYears && amortizationType !== 'none') {
+        const amortizationYear = year - interestOnlyYears;
+        const remainingTerm = amortizationYears - amortizationYear + 1;
+
+        if (remainingTerm > 0) {
+          if (amortizationType === 'straightLine') {
+            scheduledPrincipal = openingBalance / remainingTerm;
+          } else {
+            // Level payment re-solved each year so floating rates re-amortize the balance
+            const payment = rate === 0
+              ? openingBalance / remainingTerm
+              : openingBalance * rate / (1 - Math.pow(1 + rate, -remainingTerm));
+            scheduledPrincipal = payment - interest;
+          }
+        }
+      }
+
+      balance = openingBalance - scheduledPrincipal;
+
+      if (year === maturityYears && balance > 0) {
+        balloonPayment = balance;
+        balance = 0;
+      }
+
+      schedule.push({
+        year,
+        rate,
+        openingBalance,
+        interest,
+        scheduledPrincipal,
+        balloonPayment,
+        closingBalance: balance
+      });
+    }
+
+    return {
+      name,
+      type,
+      principal,
+      rateType,
+      upfrontFee: principal * upfrontFeeRate,
+      maturityYears,
+      schedule
+    };
+  }
+
+  /**
+   * All-in interest rate for a tranche in a given year
+   * @private
+   */
+  rateForYear({ rateType, fixedRate, baseRate, spread, rateFloor }, year) {
+    if (rateType === 'fixed') {
+      return fixedRate;
+    }
+
+    const base = Array.isArray(baseRate) ? baseRate[Math.min(year, baseRate.length) - 1] : baseRate;
+    return Math.max(rateFloor, base + spread);
+  }
+
+  /**
+   * @private
+   */
+  minimum(values) {
+    const defined = values.filter(v => v !== null);
+    return defined.length > 0 ? Math.min(...defined) : null;
+  }
+
+  /**
+   * @private
+   */
+  maximum(values) {
+    const defined = values.filter(v => v !== null);
+    return defined.length > 0 ? Math.max(...defined) : null;
+  }
+}
+
+export default DebtFinancingModel;
@@ -0,0 +1,161 @@
+/**
+ * Tests for Debt Financing Model
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import DebtFinancingModel from './debt-financing.js';
+import RussellDCFFramework from './russell-dcf-framework.js';
+
+const flatProjection = (years, noi) => ({
+  yearlyProjections: Array.from({ length: years }, (_, i) => ({
+    year: i + 1,
+    netOperatingIncome: noi,
+    taxableIncome: 0,
+    corporateTax: 0
+  }))
+});
+
+test('DebtFinancingModel - interest-only period then annuity amortization', () => {
+  const model = new DebtFinancingModel({
+    tranches: [{
+      name: 'Senior',
+      principal: 1000000,
+      rateType: 'fixed',
+      fixedRate: 0.05,
+      interestOnlyYears: 2,
+      amortizationYears: 10,
+      maturityYears: 10
+    }]
+  });
+  const [tranche] = model.buildSchedules(2000000, 5);
+
+  assert.strictEqual(tranche.schedule[0].interest, 50000);
+  assert.strictEqual(tranche.schedule[0].scheduledPrincipal, 0);
+  assert.strictEqual(tranche.schedule[1].closingBalance, 1000000);
+
+  const payment = 1000000 * 0.05 / (1 - Math.pow(1.05, -10));
+  const year3 = tranche.schedule[2];
+  assert.ok(Math.abs(year3.interest + year3.scheduledPrincipal - payment) < 1e-6);
+  assert.ok(year3.closingBalance < 1000000);
+});
+
+test('DebtFinancingModel - balloon payment at maturity', () => {
+  const model = new DebtFinancingModel({
+    tranches: [{
+      name: 'Senior',
+      principal: 1000000,
+      rateType: 'fixed',
+      fixedRate: 0.04,
+      amortizationYears: 20,
+      maturityYears: 3
+    }]
+  });
+  const [tranche] = model.buildSchedules(2000000, 5);
+
+  assert.ok(tranche.schedule[2].balloonPayment > 0);
+  assert.strictEqual(tranche.schedule[2].closingBalance, 0);
+  assert.strictEqual(tranche.schedule[3].interest, 0);
+});
+
+test('DebtFinancingModel - floating rate follows the base rate curve with a floor', () => {
+  const model = new DebtFinancingModel({
+    tranches: [{
+      name: 'Senior',
+      principal: 1000000,
+      rateType: 'floating',
+      baseRate: [-0.001, 0.005, 0.01],
+      spread: 0.001,
+      rateFloor: 0.002
+    }]
+  });
+  const [tranche] = model.buildSchedules(2000000, 4);
+
+  assert.deepStrictEqual(tranche.schedule.map(r => r.rate), [0.002, 0.006, 0.011, 0.011]);
+});
+
+test('DebtFinancingModel - senior and mezzanine tranches size equity and levered flows', () => {
+  const model = new DebtFinancingModel({
+    tranches: [
+      { name: 'Senior', type: 'senior', ltv: 0.5, rateType: 'fixed', fixedRate: 0.02 },
+      { name: 'Mezzanine', type: 'mezzanine', ltv: 0.15, rateType: 'fixed', fixedRate: 0.08, upfrontFeeRate: 0.01 }
+    ]
+  });
+  const result = model.analyze({
+    yieldProjection: flatProjection(3, 500000),
+    unleveredCashFlows: [400000, 400000, 400000],
+    purchasePrice: 10000000,
+    terminalValue: 10000000
+  });
+
+  assert.strictEqual(result.loanProceeds, 6500000);
+  assert.strictEqual(result.upfrontFees, 15000);
+  assert.strictEqual(result.equityInvestment, 3515000);
+  assert.strictEqual(result.yearlyMetrics[0].debtService, 100000 + 120000);
+  assert.strictEqual(result.leveredCashFlows[0], 400000 - 220000);
+  // Final year: sale proceeds repay the outstanding debt
+  assert.strictEqual(result.leveredCashFlows[2], 400000 + 10000000 - 220000 - 6500000);
+  assert.ok(result.leveredIRR > result.unleveredIRR);
+});
+
+test('DebtFinancingModel - flags DSCR, LTV and debt-yield covenant breaches', () => {
+  const model = new DebtFinancingModel({
+    tranches: [{ name: 'Senior', ltv: 0.8, rateType: 'fixed', fixedRate: 0.06 }],
+    covenants: { minDSCR: 1.25, maxLTV: 0.65, minDebtYield: 0.08 }
+  });
+  const result = model.analyze({
+    yieldProjection: flatProjection(2, 500000),
+    unleveredCashFlows: [500000, 500000],
+    purchasePrice: 10000000
+  });
+
+  // NOI 500k vs 480k interest on 8M: DSCR 1.04, LTV 0.8, debt yield 6.25%
+  const year1 = result.yearlyMetrics[0];
+  assert.ok(Math.abs(year1.dscr - 500000 / 480000) < 1e-9);
+  assert.ok(Math.abs(year1.ltv - 0.8) < 1e-9);
+  assert.deepStrictEqual(year1.covenantBreaches, { dscr: true, ltv: true, debtYield: true });
+  assert.strictEqual(result.covenantStatus, 'BREACH');
+  assert.strictEqual(result.breaches.filter(b => b.year === 1).length, 3);
+});
+
+test('DebtFinancingModel - rejects unknown rate types', () => {
+  const model = new DebtFinancingModel({ tranches: [{ name: 'Bad', ltv: 0.5, rateType: 'variable' }] });
+
+  assert.throws(() => model.buildSchedules(1000000, 3), /Unknown rate type for tranche Bad/);
+});
+
+test('DebtFinancingModel - feeds levered IRR and liquidity validation in the DCF', () => {
+  const russellDCF = new RussellDCFFramework();
+  const result = russellDCF.generateComprehensiveDCF({
+    projection: { initialInvestment: 50000000, years: 10, growthRate: 0.02 },
+    liquidity: { totalAssetValue: 100000000, currentLiquidity: 25000000 },
+    terminalValue: { method: 'exitCapRate', exitCapRate: 0.035 },
+    financing: {
+      tranches: [{ name: 'Senior', ltv: 0.6, rateType: 'fixed', fixedRate: 0.015, amortizationYears: 30 }],
+      covenants: { minDSCR: 1.2, maxLTV: 0.7, minDebtYield: 0.05 }
+    }
+  });
+
+  const { financing, leveredIrrAnalysis, liquidityValidation } = result.analysis;
+  assert.ok(financing);
+  assert.strictEqual(leveredIrrAnalysis.solver.status, 'SOLVED');
+  assert.ok(leveredIrrAnalysis.rates.baseIRR > result.analysis.irrAnalysis.rates.baseIRR);
+  assert.ok(liquidityValidation.debtServiceReserve > 0);
+  assert.strictEqual(liquidityValidation.validations.debtServiceCovered, true);
+  assert.strictEqual(liquidityValidation.validations.covenantsMet, financing.breaches.length === 0);
+});
+
+test('DebtFinancingModel - covenant breaches fail liquidity validation', () => {
+  const russellDCF = new RussellDCFFramework();
+  const result = russellDCF.validateLiquidityMechanisms({
+    totalAssetValue: 100000000,
+    currentLiquidity: 25000000,
+    covenantBreaches: [{ year: 3, covenant: 'dscr', value: 1.1 }]
+  });
+
+  assert.strictEqual(result.status, 'NEEDS_ATTENTION');
+  assert.strictEqual(result.validations.covenantsMet, false);
+  assert.ok(result.recommendations.some(r => r.includes('DSCR') && r.includes('year 3')));
+});
+
+console.log('✓ All Debt Financing tests passed');
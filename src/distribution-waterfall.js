@@ -0,0 +1,313 @@
+/**
+ * Distribution Waterfall
+ * LP/GP distribution waterfall with return of capital, preferred return, GP catch-up and tiered promote,
+ * run deal-by-deal (American) or across the whole fund (European)
+ */
+
+import IRRSolver from './irr-solver.js';
+
+/**
+ * Supported waterfall styles
+ */
+export const WATERFALL_STYLES = ['american', 'european'];
+
+/**
+ * Rounding tolerance for clearing hurdle balances
+ * @private
+ */
+const EPSILON = 1e-6;
+
+export class DistributionWaterfall {
+  constructor(config = {}) {
+    this.config = {
+      style: 'european', // 'european' (whole fund) or 'american' (deal-by-deal)
+      commitments: null, // { lp, gp } capital commitments; null sizes them to the capital called
+      gpCommitmentShare: 0.1, // GP co-investment share when commitments are not given
+      preferredReturn: 0.08, // LP hurdle IRR before any promote
+      catchUp: 1.0, // Share of catch-up distributions paid to the GP (0 disables the catch-up)
+      carriedInterest: 0.2, // GP promote above the preferred return; the catch-up target
+      hurdleType: 'irr', // Promote tier hurdles measured by LP 'irr' or equity 'multiple'
+      tiers: [], // Further promote steps: [{ name, hurdle, gpShare }] in ascending hurdle order
+      ...config
+    };
+
+    const { style, catchUp, carriedInterest, hurdleType, tiers } = this.config;
+
+    if (!WATERFALL_STYLES.includes(style)) {
+      throw new Error(`Unknown waterfall style: ${style}`);
+    }
+    if (!['irr', 'multiple'].includes(hurdleType)) {
+      throw new Error(`Unknown hurdle type: ${hurdleType}`);
+    }
+    if (catchUp > 0 && catchUp <= carriedInterest) {
+      throw new Error('Catch-up share must exceed the carried interest');
+    }
+    tiers.forEach((tier, index) => {
+      if (index > 0 && tier.hurdle <= tiers[index - 1].hurdle) {
+        throw new Error('Promote tier hurdles must be in ascending order');
+      }
+    });
+  }
+
+  /**
+   * Run the waterfall
+   * Period 0 is the acquisition; each cash flow is one period later. Negative cash flows are
+   * further capital calls. Cash flows may be numbers or framework `cashFlows` entries ({ amount }).
+   * @param {Object} params - Waterfall inputs
+   * @param {Array<Object>} params.deals - Deals: [{ name, initialInvestment, cashFlows, startPeriod }]
+   * @param {number} params.initialInvestment - Single-deal shorthand for `deals`
+   * @param {Array<number|Object>} params.cashFlows - Single-deal shorthand for `deals`
+   * @returns {Object} Per-period distributions, tier totals and LP/GP IRR and multiple
+   */
+  run({ deals, initialInvestment, cashFlows } = {}) {
+    const dealList = deals ?? [{ name: 'Deal 1', initialInvestment, cashFlows }];
+    if (dealList.length === 0) {
+      throw new Error('Waterfall requires at least one deal');
+    }
+
+    const series = dealList.map((deal, index) => this.toSeries(deal, index));
+    const periods = Math.max(...series.map(s => s.contributions.length));
+    const totalCalled = series.reduce((sum, s) => sum + s.contributions.reduce((a, b) => a + b, 0), 0);
+    const commitments = this.resolveCommitments(totalCalled);
+
+    let results;
+    if (this.config.style === 'european') {
+      const fund = {
+        name: 'Fund',
+        contributions: this.sumSeries(series.map(s => s.contributions), periods),
+        distributions: this.sumSeries(series.map(s => s.distributions), periods)
+      };
+      results = [this.runSeries(fund, commitments)];
+    } else {
+      results = series.map(s => this.runSeries(s, commitments));
+    }
+
+    const combine = key => this.sumSeries(results.map(r => r.periods.map(p => p[key])), periods);
+    const lpContributed = combine('lpContributed');
+    const gpContributed = combine('gpContributed');
+    const lpDistributed = combine('lpDistributed');
+    const gpDistributed = combine('gpDistributed');
+    const promote = combine('promote');
+
+    const lp = this.partyResult(commitments.lp, lpContributed, lpDistributed);
+    const gp = this.partyResult(commitments.gp, gpContributed, gpDistributed);
+    gp.promote = promote.reduce((a, b) => a + b, 0);
+
+    return {
+      style: this.config.style,
+      commitments,
+      periods: Array.from({ length: periods }, (_, period) => ({
+        period,
+        contributed: { lp: lpContributed[period], gp: gpContributed[period] },
+        distributed: { lp: lpDistributed[period], gp: gpDistributed[period] },
+        promote: promote[period]
+      })),
+      tiers: this.combineTiers(results.map(r => r.tiers)),
+      parties: { lp, gp },
+      deals: this.config.style === 'american'
+        ? results.map(r => ({
+          name: r.name,
+          tiers: r.tiers,
+          promote: r.promote,
+          lp: this.partyResult(null, r.periods.map(p => p.lpContributed), r.periods.map(p => p.lpDistributed)),
+          gp: this.partyResult(null, r.periods.map(p => p.gpContributed), r.periods.map(p => p.gpDistributed))
+        }))
+        : null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Waterfall for one stream of contributions and distributions
+   * @private
+   */
+  runSeries({ name, contributions, distributions }, commitments) {
+    const lpShare = commitments.lp / (commitments.lp + commitments.gp);
+    const segments = this.buildSegments();
+    const tierTotals = segments.map(s => ({ name: s.name, lp: 0, gp: 0, promote: 0 }));
+    const periods = [];
+    let totalContributed = 0;
+    let totalDistributed = 0;
+    let totalPromote = 0;
+
+    contributions.forEach((contribution, period) => {
+      const lpContributed = contribution * lpShare;
+
+      segments.forEach(segment => {
+        if (!segment.hurdle) return;
+        if (period > 0 && segment.hurdle.type === 'irr') {
+          segment.balance *= 1 + segment.hurdle.rate;
+        }
+        segment.balance += segment.hurdle.type === 'multiple' ? lpContributed * segment.hurdle.rate : lpContributed;
+      });
+      totalContributed += contribution;
+
+      const row = {
+        period,
+        lpContributed,
+        gpContributed: contribution - lpContributed,
+        lpDistributed: 0,
+        gpDistributed: 0,
+        promote: 0
+      };
+
+      let remaining = distributions[period] ?? 0;
+
+      segments.forEach((segment, index) => {
+        if (remaining <= EPSILON) return;
+
+        const lpFraction = (1 - segment.gpShare) * lpShare;
+        let needed = Infinity;
+        if (segment.catchUp) {
+          const profit = totalDistributed - totalContributed;
+          needed = Math.max(0, (this.config.carriedInterest * profit - totalPromote) / (segment.gpShare - this.config.carriedInterest));
+        } else if (segment.hurdle) {
+          needed = Math.max(0, segment.balance) / lpFraction;
+        }
+
+        const amount = Math.min(remaining, needed);
+        if (amount <= EPSILON) return;
+
+        const promote = amount * segment.gpShare;
+        const lpAmount = amount * lpFraction;
+        const gpAmount = amount - lpAmount;
+
+        segments.forEach(s => {
+          if (s.hurdle) s.balance -= lpAmount;
+        });
+
+        row.lpDistributed += lpAmount;
+        row.gpDistributed += gpAmount;
+        row.promote += promote;
+        tierTotals[index].lp += lpAmount;
+        tierTotals[index].gp += gpAmount;
+        tierTotals[index].promote += promote;
+        totalDistributed += amount;
+        totalPromote += promote;
+        remaining -= amount;
+      });
+
+      periods.push(row);
+    });
+
+    return { name, periods, tiers: tierTotals, promote: totalPromote };
+  }
+
+  /**
+   * Ordered waterfall segments; each pays until the LP clears its hurdle (or the catch-up target)
+   * @private
+   */
+  buildSegments() {
+    const { preferredReturn, catchUp, carriedInterest, hurdleType, tiers } = this.config;
+    const hurdle = (type, rate) => (rate === undefined ? null : { type, rate });
+
+    const segments = [
+      { name: 'returnOfCapital', gpShare: 0, hurdle: hurdle('multiple', 1) },
+      { name: 'preferredReturn', gpShare: 0, hurdle: hurdle('irr', preferredReturn) }
+    ];
+    if (catchUp > 0) {
+      segments.push({ name: 'catchUp', gpShare: catchUp, catchUp: true });
+    }
+    segments.push({ name: 'carriedInterest', gpShare: carriedInterest, hurdle: hurdle(hurdleType, tiers[0]?.hurdle) });
+    tiers.forEach((tier, index) => {
+      segments.push({
+        name: tier.name ?? `tier${index + 1}`,
+        gpShare: tier.gpShare,
+        hurdle: hurdle(hurdleType, tiers[index + 1]?.hurdle)
+      });
+    });
+
+    return segments.map(segment => ({ ...segment, balance: 0 }));
+  }
+
+  /**
+   * Split a deal's cash flows into per-period contributions and distributions
+   * @private
+   */
+  toSeries({ name, initialInvestment, cashFlows, startPeriod = 0 }, index) {
+    if (!(initialInvestment > 0)) {
+      throw new Error('Waterfall deals require a positive initial investment');
+    }
+    if (!Array.isArray(cashFlows) || cashFlows.length === 0) {
+      throw new Error('Waterfall deals require cash flows');
+    }
+
+    const length = startPeriod + cashFlows.length + 1;
+    const contributions = new Array(length).fill(0);
+    const distributions = new Array(length).fill(0);
+    contributions[startPeriod] = initialInvestment;
+
+    cashFlows.forEach((cf, i) => {
+      const amount = typeof cf === 'number' ? cf : cf.amount;
+      const period = startPeriod + i + 1;
+      if (amount < 0) {
+        contributions[period] = -amount;
+      } else {
+        distributions[period] = amount;
+      }
+    });
+
+    return { name: name ?? `Deal ${index + 1}`, contributions, distributions };
+  }
+
+  /**
+   * LP and GP commitments, checked against the capital called
+   * @private
+   */
+  resolveCommitments(totalCalled) {
+    const { commitments, gpCommitmentShare } = this.config;
+
+    if (!commitments) {
+      return { lp: totalCalled * (1 - gpCommitmentShare), gp: totalCalled * gpCommitmentShare };
+    }
+    if (!(commitments.lp > 0) || !(commitments.gp >= 0)) {
+      throw new Error('LP commitment must be positive and GP commitment non-negative');
+    }
+    if (totalCalled > commitments.lp + commitments.gp + EPSILON) {
+      throw new Error(`Capital calls of ${totalCalled} exceed commitments of ${commitments.lp + commitments.gp}`);
+    }
+    return { lp: commitments.lp, gp: commitments.gp };
+  }
+
+  /**
+   * Contributions, distributions, IRR and multiple for one party
+   * @private
+   */
+  partyResult(commitment, contributed, distributed) {
+    const cashFlows = contributed.map((c, i) => distributed[i] - c);
+    const totalContributed = contributed.reduce((a, b) => a + b, 0);
+    const totalDistributed = distributed.reduce((a, b) => a + b, 0);
+    const irr = new IRRSolver().irr(cashFlows);
+
+    return {
+      ...(commitment !== null && { commitment }),
+      contributed: totalContributed,
+      distributed: totalDistributed,
+      profit: totalDistributed - totalContributed,
+      cashFlows,
+      irr: irr.rate,
+      multiple: totalContributed > 0 ? totalDistributed / totalContributed : null
+    };
+  }
+
+  /**
+   * @private
+   */
+  sumSeries(seriesList, length) {
+    return Array.from({ length }, (_, i) => seriesList.reduce((sum, s) => sum + (s[i] ?? 0), 0));
+  }
+
+  /**
+   * @private
+   */
+  combineTiers(tierLists) {
+    return tierLists[0].map((tier, index) => ({
+      name: tier.name,
+      lp: tierLists.reduce((sum, tiers) => sum + tiers[index].lp, 0),
+      gp: tierLists.reduce((sum, tiers) => sum + tiers[index].gp, 0),
+      promote: tierLists.reduce((sum, tiers) => sum + tiers[index].promote, 0)
+    }));
+  }
+}
+
+export default DistributionWaterfall;
@@ -0,0 +1,117 @@
+/**
+ * Tests for Distribution Waterfall
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import DistributionWaterfall from './distribution-waterfall.js';
+import RussellDCFFramework from './russell-dcf-framework.js';
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be close to ${expected}`);
+};
+
+test('DistributionWaterfall - pays capital, pref, full catch-up then 80/20 carry', () => {
+  const result = new DistributionWaterfall().run({ initialInvestment: 100, cashFlows: [150] });
+  const tiers = Object.fromEntries(result.tiers.map(t => [t.name, t]));
+
+  // LP 90 / GP 10 capital; 8% pref on 100 = 8; catch-up of 2 gives GP 20% of the 10 profit so far
+  close(tiers.returnOfCapital.lp, 90);
+  close(tiers.preferredReturn.lp + tiers.preferredReturn.gp, 8);
+  close(tiers.catchUp.gp, 2);
+  close(tiers.carriedInterest.promote, 8);
+  close(result.parties.lp.distributed, 126);
+  close(result.parties.gp.distributed, 24);
+  close(result.parties.gp.promote, 10); // 20% of the 50 total profit
+  close(result.parties.lp.multiple, 1.4);
+  close(result.parties.lp.irr, 0.4);
+});
+
+test('DistributionWaterfall - promote tier switches at an equity multiple hurdle', () => {
+  const waterfall = new DistributionWaterfall({
+    hurdleType: 'multiple',
+    tiers: [{ name: 'superPromote', hurdle: 1.2, gpShare: 0.3 }]
+  });
+  const result = waterfall.run({ initialInvestment: 100, cashFlows: [150] });
+  const tiers = Object.fromEntries(result.tiers.map(t => [t.name, t]));
+
+  // Carried interest runs until the LP has 108 (1.2x of 90), then the GP promote steps up to 30%
+  close(tiers.carriedInterest.lp, 10.8);
+  close(tiers.superPromote.promote, 7.5);
+  close(result.parties.lp.distributed, 123.75);
+  close(result.parties.gp.distributed, 26.25);
+});
+
+test('DistributionWaterfall - IRR hurdles compound over multiple periods', () => {
+  const waterfall = new DistributionWaterfall({ catchUp: 0, tiers: [{ hurdle: 0.15, gpShare: 0.35 }] });
+  const result = waterfall.run({ initialInvestment: 1000, cashFlows: [0, 0, 2000] });
+  const tiers = Object.fromEntries(result.tiers.map(t => [t.name, t]));
+
+  // LP pref: 900 × 1.08³; carried interest until the LP reaches 900 × 1.15³
+  close(tiers.returnOfCapital.lp + tiers.preferredReturn.lp, 900 * 1.08 ** 3);
+  close(tiers.returnOfCapital.lp + tiers.preferredReturn.lp + tiers.carriedInterest.lp, 900 * 1.15 ** 3);
+  assert.ok(tiers.tier1.promote > 0);
+  assert.strictEqual(tiers.catchUp, undefined);
+});
+
+test('DistributionWaterfall - per-period distributions add up to the cash flows', () => {
+  const cashFlows = [120, -50, 300, 900];
+  const result = new DistributionWaterfall({ commitments: { lp: 1800, gp: 200 } })
+    .run({ initialInvestment: 1000, cashFlows });
+
+  result.periods.slice(1).forEach((period, index) => {
+    const amount = cashFlows[index];
+    close(period.distributed.lp + period.distributed.gp, Math.max(0, amount));
+    close(period.contributed.lp + period.contributed.gp, Math.max(0, -amount));
+  });
+  close(result.periods[2].contributed.gp, 5); // Capital calls follow the 90/10 commitments
+  close(result.parties.lp.contributed + result.parties.gp.contributed, 1050);
+});
+
+test('DistributionWaterfall - American style pays promote on a winning deal the fund would not', () => {
+  const deals = [
+    { name: 'Shinjuku', initialInvestment: 100, cashFlows: [10, 10, 150] },
+    { name: 'Shibuya', initialInvestment: 100, cashFlows: [5, 5, 60], startPeriod: 1 }
+  ];
+  const american = new DistributionWaterfall({ style: 'american' }).run({ deals });
+  const european = new DistributionWaterfall({ style: 'european' }).run({ deals });
+
+  assert.ok(american.parties.gp.promote > 0);
+  assert.strictEqual(european.parties.gp.promote, 0);
+  assert.ok(american.parties.lp.irr < european.parties.lp.irr);
+  assert.strictEqual(american.deals.length, 2);
+  assert.strictEqual(american.deals[1].promote, 0);
+  assert.strictEqual(european.deals, null);
+});
+
+test('DistributionWaterfall - rejects invalid structures', () => {
+  assert.throws(() => new DistributionWaterfall({ style: 'asian' }), /Unknown waterfall style/);
+  assert.throws(() => new DistributionWaterfall({ catchUp: 0.1 }), /Catch-up share must exceed/);
+  assert.throws(
+    () => new DistributionWaterfall({ tiers: [{ hurdle: 0.2, gpShare: 0.3 }, { hurdle: 0.15, gpShare: 0.4 }] }),
+    /ascending order/
+  );
+  assert.throws(
+    () => new DistributionWaterfall({ commitments: { lp: 90, gp: 5 } }).run({ initialInvestment: 100, cashFlows: [110] }),
+    /exceed commitments/
+  );
+});
+
+test('RussellDCFFramework - waterfall distributes levered equity cash flows', () => {
+  const result = new RussellDCFFramework().generateComprehensiveDCF({
+    projection: { initialInvestment: 50000000, years: 10, growthRate: 0.02 },
+    terminalValue: { method: 'exitCapRate', exitCapRate: 0.035 },
+    financing: {
+      tranches: [{ name: 'Senior', ltv: 0.6, rateType: 'fixed', fixedRate: 0.015, amortizationYears: 30 }]
+    },
+    waterfall: { tiers: [{ hurdle: 0.15, gpShare: 0.3 }] }
+  });
+
+  const { waterfall, financing } = result.analysis;
+  close(waterfall.parties.lp.contributed + waterfall.parties.gp.contributed, financing.equityInvestment);
+  const distributed = financing.leveredCashFlows.reduce((sum, cf) => sum + Math.max(0, cf), 0);
+  close(waterfall.parties.lp.distributed + waterfall.parties.gp.distributed, distributed, 1e-3);
+  assert.ok(waterfall.parties.gp.irr > waterfall.parties.lp.irr);
+});
+
+console.log('✓ All Distribution Waterfall tests passed');
@@ -0,0 +1,285 @@
+/**
+ * Engagement Analytics
+ * Unique architects, interaction rates, daily/weekly active users and weekly cohort retention from
+ * AR session events, counted with fixed-memory HyperLogLog estimators
+ */
+
+import HyperLogLog from './hyperloglog.js';
+import { ENGAGEMENT_EVENT_TYPES, INTERACTION_EVENT_TYPES } from './engagement-events.js';
+import { ValidationError, VALIDATION_CODES, assertValid, validate } from './validation.js';
+import { ENGAGEMENT_ANALYTICS_CONFIG_SCHEMA, ENGAGEMENT_EVENT_SCHEMA } from './schemas.js';
+
+const EXPORT_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class EngagementAnalytics {
+  constructor(config = {}) {
+    this.config = {
+      precision: 14, // Overall, daily and weekly counters: 16 KiB each, about 0.8% standard error
+      projectPrecision: 12, // Per-project counters: 4 KiB each, about 1.6% standard error
+      dailyWindowDays: 35, // Days of daily active users kept, counted back from the latest event
+      cohortWeeks: 12, // Weeks of cohorts and weekly actives kept, counted back from the latest event
+      ...config
+    };
+    assertValid(ENGAGEMENT_ANALYTICS_CONFIG_SCHEMA, this.config, 'config');
+    this.totals = this.createScope(this.config.precision);
+    this.projects = new Map(); // By project id
+    this.days = new Map(); // 'YYYY-MM-DD' → architects active that day
+    this.weeks = new Map(); // Monday 'YYYY-MM-DD' → { active, ever }: architects active that week, and by its end
+    this.weeksDropped = false; // Once weeks before the earliest kept are missing, its cohort can no longer be told apart
+    this.latestDay = null;
+  }
+
+  /**
+   * Restore analytics exported with toJSON()
+   * @param {Object} data - Exported analytics
+   * @returns {EngagementAnalytics} The restored analytics
+   * @throws {ValidationError} For an unsupported export version
+   */
+  static fromJSON(data) {
+    if (data?.version !== EXPORT_VERSION) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: 'analytics.version',
+        allowed: `${EXPORT_VERSION}`,
+        value: data?.version,
+        message: `Unsupported engagement analytics export version: ${data?.version}`
+      });
+    }
+    const analytics = new EngagementAnalytics(data.config);
+    const scope = ({ architects, interacted, events }) => ({
+      architects: HyperLogLog.fromJSON(architects),
+      interacted: HyperLogLog.fromJSON(interacted),
+      events: { ...events }
+    });
+    analytics.totals = scope(data.totals);
+    analytics.projects = new Map(Object.entries(data.projects).map(([id, project]) => [id, scope(project)]));
+    analytics.days = new Map(Object.entries(data.days).map(([day, counter]) => [day, HyperLogLog.fromJSON(counter)]));
+    analytics.weeks = new Map(Object.entries(data.weeks).map(([week, { active, ever }]) => [
+      week,
+      { active: HyperLogLog.fromJSON(active), ever: HyperLogLog.fromJSON(ever) }
+    ]));
+    analytics.weeksDropped = data.weeksDropped;
+    analytics.latestDay = data.latestDay;
+    return analytics;
+  }
+
+  /**
+   * Record events from AR sessions
+   * Each event is checked on its own; invalid ones are returned with their errors and the rest recorded.
+   * Events older than the daily or weekly window still count toward unique architects and interaction rates.
+   * @param {(Object|Object[])} events - { type, architectId, projectId, timestamp } (see ENGAGEMENT_EVENT_SCHEMA)
+   * @returns {Object} { accepted, rejected: [{ index, errors }] } with errors as ValidationError JSON
+   */
+  ingest(events) {
+    const batch = Array.isArray(events) ? events : [events];
+    const rejected = [];
+    batch.forEach((event, index) => {
+      const errors = validate(ENGAGEMENT_EVENT_SCHEMA, event, `events[${index}]`);
+      if (errors.length > 0) {
+        rejected.push({ index, errors: errors.map(error => error.toJSON()) });
+        return;
+      }
+      this.record(event);
+    });
+    return { accepted: batch.length - rejected.length, rejected };
+  }
+
+  /**
+   * Engagement with one project
+   * @param {string} projectId - Project id of the events
+   * @returns {Object} { projectId, uniqueArchitects, interactingArchitects, interactionRate, events } (zeros before any event)
+   */
+  projectStats(projectId) {
+    return { projectId, ...describeScope(this.projects.get(projectId) ?? this.createScope(this.config.projectPrecision)) };
+  }
+
+  /**
+   * Distinct architects active on a day, and in the 7 days ending on it
+   * @param {string} date - 'YYYY-MM-DD' (default: the day of the latest event)
+   * @returns {Object} { date, daily, weekly }; days outside dailyWindowDays count as no activity
+   */
+  activeUsers(date = this.latestDay) {
+    if (date === null) return { date, daily: 0, weekly: 0 };
+    assertValid({ type: 'date' }, date, 'date');
+    const day = toDay(date);
+    const week = new HyperLogLog(this.config.precision);
+    for (let offset = 0; offset < 7; offset++) {
+      const counter = this.days.get(addDays(day, -offset));
+      if (counter) week.merge(counter);
+    }
+    return { date: day, daily: this.days.get(day)?.count() ?? 0, weekly: week.count() };
+  }
+
+  /**
+   * Weekly cohorts by the week of each architect's first event, and how many were active in each later week
+   * Cohort sizes and retention are estimated from the weekly counters by inclusion–exclusion, so small
+   * cohorts among many architects carry the counters' absolute error.
+   * @returns {Object[]} [{ cohort, size, retention: [{ week, weekStart, active, rate }] }] by cohort week (Mondays), week 0 first
+   */
+  cohortRetention() {
+    const starts = [...this.weeks.keys()].sort();
+    return starts.flatMap((cohort, i) => {
+      if (i === 0 && this.weeksDropped) return [];
+      const { ever } = this.weeks.get(cohort);
+      const before = i > 0 ? this.weeks.get(starts[i - 1]).ever : new HyperLogLog(this.config.precision);
+      const size = Math.max(0, ever.count() - before.count());
+      const retention = starts.slice(i).map(weekStart => {
+        const { active } = this.weeks.get(weekStart);
+        const retained = weekStart === cohort ? size : clamp(intersection(ever, active) - intersection(before, active), 0, size);
+        return {
+          week: Math.round((Date.parse(weekStart) - Date.parse(cohort)) / (7 * DAY_MS)),
+          weekStart,
+          active: retained,
+          rate: size > 0 ? round(retained / size) : 0
+        };
+      });
+      return [{ cohort, size, retention }];
+    });
+  }
+
+  /**
+   * @returns {Object} Overall { uniqueArchitects, interactingArchitects, interactionRate, events, projects, activeUsers }
+   */
+  summary() {
+    return { ...describeScope(this.totals), projects: this.projects.size, activeUsers: this.activeUsers() };
+  }
+
+  /**
+   * Export every counter, e.g. to continue after a restart (see fromJSON)
+   * @returns {Object} Export document
+   */
+  toJSON() {
+    const scope = ({ architects, interacted, events }) => ({ architects: architects.toJSON(), interacted: interacted.toJSON(), events: { ...events } });
+    return {
+      version: EXPORT_VERSION,
+      config: { ...this.config },
+      totals: scope(this.totals),
+      projects: Object.fromEntries([...this.projects].map(([id, project]) => [id, scope(project)])),
+      days: Object.fromEntries([...this.days].map(([day, counter]) => [day, counter.toJSON()])),
+      weeks: Object.fromEntries([...this.weeks].map(([week, { active, ever }]) => [week, { active: active.toJSON(), ever: ever.toJSON() }])),
+      weeksDropped: this.weeksDropped,
+      latestDay: this.latestDay
+    };
+  }
+
+  /**
+   * Count a valid event in the totals, its project, its day and its week
+   * @private
+   */
+  record({ type, architectId, projectId, timestamp }) {
+    const hash = HyperLogLog.hash(architectId);
+    if (!this.projects.has(projectId)) this.projects.set(projectId, this.createScope(this.config.projectPrecision));
+    for (const scope of [this.totals, this.projects.get(projectId)]) {
+      scope.events[type] += 1;
+      scope.architects.addHash(hash);
+      if (INTERACTION_EVENT_TYPES.includes(type)) scope.interacted.addHash(hash);
+    }
+
+    const day = toDay(timestamp);
+    if (this.latestDay === null || day > this.latestDay) this.latestDay = day;
+    const { dailyWindowDays, cohortWeeks, precision } = this.config;
+    const firstDay = addDays(this.latestDay, 1 - dailyWindowDays);
+    const firstWeek = addDays(weekOf(this.latestDay), -7 * (cohortWeeks - 1));
+
+    if (day >= firstDay) {
+      if (!this.days.has(day)) this.days.set(day, new HyperLogLog(precision));
+      this.days.get(day).addHash(hash);
+    }
+
+    const week = weekOf(day);
+    const starts = [...this.weeks.keys()].sort();
+    if (week < firstWeek) {
+      this.weeksDropped = true; // Architects first seen this early are not in any week's `ever`
+    } else if (!this.weeks.has(week) && !(this.weeksDropped && week < starts[0])) {
+      const previous = starts.filter(start => start < week).pop();
+      this.weeks.set(week, { active: new HyperLogLog(precision), ever: previous ? this.weeks.get(previous).ever.clone() : new HyperLogLog(precision) });
+    }
+    this.weeks.get(week)?.active.addHash(hash);
+    this.weeks.forEach(({ ever }, start) => {
+      if (start >= week) ever.addHash(hash);
+    });
+
+    this.days.forEach((_, key) => {
+      if (key < firstDay) this.days.delete(key);
+    });
+    this.weeks.forEach((_, key) => {
+      if (key < firstWeek) {
+        this.weeks.delete(key);
+        this.weeksDropped = true;
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  createScope(precision) {
+    return {
+      architects: new HyperLogLog(precision),
+      interacted: new HyperLogLog(precision),
+      events: Object.fromEntries(ENGAGEMENT_EVENT_TYPES.map(type => [type, 0]))
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function describeScope({ architects, interacted, events }) {
+  const uniqueArchitects = architects.count();
+  const interactingArchitects = Math.min(interacted.count(), uniqueArchitects);
+  return {
+    uniqueArchitects,
+    interactingArchitects,
+    interactionRate: uniqueArchitects > 0 ? round(interactingArchitects / uniqueArchitects) : 0,
+    events: { ...events }
+  };
+}
+
+/**
+ * Estimated size of the intersection of two counters: |A| + |B| − |A ∪ B|
+ * @private
+ */
+function intersection(a, b) {
+  return a.count() + b.count() - a.clone().merge(b).count();
+}
+
+/**
+ * UTC calendar day of a Date or ISO string, as 'YYYY-MM-DD'
+ * @private
+ */
+function toDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * @private
+ */
+function addDays(day, days) {
+  return new Date(Date.parse(day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Monday of the ISO week containing a day
+ * @private
+ */
+function weekOf(day) {
+  return addDays(day, -((new Date(day).getUTCDay() + 6) % 7));
+}
+
+/**
+ * @private
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * @private
+ */
+function round(ratio) {
+  return Math.round(ratio * 10000) / 10000;
+}
+
+export default EngagementAnalytics;
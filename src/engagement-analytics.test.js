@@ -0,0 +1,132 @@
+/**
+ * Tests for EngagementAnalytics
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import EngagementAnalytics from './engagement-analytics.js';
+
+const event = (type, architectId, timestamp, projectId = 'harlem-4k') => ({ type, architectId, projectId, timestamp });
+
+test('EngagementAnalytics - rejects invalid events and records the rest', () => {
+  const analytics = new EngagementAnalytics();
+  const result = analytics.ingest([
+    event('view', 'a1', '2026-09-07T10:00:00Z'),
+    event('wave', 'a2', '2026-09-07T10:00:00Z'),
+    { type: 'zoom', projectId: 'harlem-4k', timestamp: '2026-09-07T10:00:00Z' },
+    event('zoom', 'a3', 'yesterday')
+  ]);
+  assert.strictEqual(result.accepted, 1);
+  assert.deepStrictEqual(result.rejected.map(({ index }) => index), [1, 2, 3]);
+  assert.strictEqual(result.rejected[0].errors[0].code, 'INVALID_ENUM');
+  assert.strictEqual(result.rejected[0].errors[0].path, 'events[1].type');
+  assert.strictEqual(result.rejected[1].errors[0].path, 'events[2].architectId');
+  assert.strictEqual(analytics.summary().events.view, 1);
+
+  assert.strictEqual(analytics.ingest(event('rotate', 'a1', new Date('2026-09-07T11:00:00Z'))).accepted, 1);
+  assert.throws(() => new EngagementAnalytics({ cohortWeeks: 0 }), { code: 'OUT_OF_RANGE', path: 'config.cohortWeeks' });
+});
+
+test('EngagementAnalytics - counts each architect once per project and overall', () => {
+  const analytics = new EngagementAnalytics();
+  analytics.ingest([
+    event('view', 'a1', '2026-09-07T10:00:00Z'),
+    event('view', 'a1', '2026-09-08T10:00:00Z'),
+    event('rotate', 'a1', '2026-09-08T10:01:00Z'),
+    event('view', 'a2', '2026-09-08T11:00:00Z'),
+    event('view', 'a3', '2026-09-08T12:00:00Z'),
+    event('measurement', 'a3', '2026-09-08T12:05:00Z'),
+    event('view', 'a4', '2026-09-08T13:00:00Z'),
+    event('view', 'a1', '2026-09-09T09:00:00Z', 'corner-lot'),
+    event('layer-toggle', 'a5', '2026-09-09T09:30:00Z', 'corner-lot')
+  ]);
+
+  assert.deepStrictEqual(analytics.projectStats('harlem-4k'), {
+    projectId: 'harlem-4k',
+    uniqueArchitects: 4,
+    interactingArchitects: 2,
+    interactionRate: 0.5,
+    events: { view: 5, rotate: 1, zoom: 0, 'layer-toggle': 0, measurement: 1 }
+  });
+  assert.strictEqual(analytics.projectStats('corner-lot').uniqueArchitects, 2);
+  assert.strictEqual(analytics.projectStats('corner-lot').interactionRate, 0.5);
+  assert.strictEqual(analytics.projectStats('unknown').uniqueArchitects, 0);
+  assert.strictEqual(analytics.projectStats('unknown').interactionRate, 0);
+
+  const summary = analytics.summary();
+  assert.strictEqual(summary.uniqueArchitects, 5);
+  assert.strictEqual(summary.interactingArchitects, 3);
+  assert.strictEqual(summary.projects, 2);
+});
+
+test('EngagementAnalytics - reports daily and weekly active users', () => {
+  const analytics = new EngagementAnalytics();
+  assert.deepStrictEqual(analytics.activeUsers(), { date: null, daily: 0, weekly: 0 });
+
+  analytics.ingest([
+    event('view', 'a1', '2026-09-01T10:00:00Z'),
+    event('view', 'a2', '2026-09-05T10:00:00Z'),
+    event('view', 'a3', '2026-09-08T10:00:00Z'),
+    event('zoom', 'a3', '2026-09-08T18:00:00Z'),
+    event('view', 'a2', '2026-09-08T19:00:00Z')
+  ]);
+  assert.deepStrictEqual(analytics.activeUsers(), { date: '2026-09-08', daily: 2, weekly: 2 });
+  assert.deepStrictEqual(analytics.activeUsers('2026-09-05'), { date: '2026-09-05', daily: 1, weekly: 2 });
+  assert.deepStrictEqual(analytics.summary().activeUsers, analytics.activeUsers());
+  assert.throws(() => analytics.activeUsers('soon'), { code: 'INVALID_TYPE', path: 'date' });
+});
+
+test('EngagementAnalytics - follows weekly cohorts through later weeks', () => {
+  const analytics = new EngagementAnalytics();
+  const ids = (prefix, n) => Array.from({ length: n }, (_, i) => `${prefix}${i}`);
+  analytics.ingest([
+    ...ids('w1-', 10).map(id => event('view', id, '2026-09-07T10:00:00Z')),
+    ...ids('w1-', 6).map(id => event('rotate', id, '2026-09-15T10:00:00Z')),
+    ...ids('w2-', 4).map(id => event('view', id, '2026-09-16T10:00:00Z')),
+    ...ids('w1-', 3).map(id => event('zoom', id, '2026-09-22T10:00:00Z')),
+    ...ids('w2-', 2).map(id => event('zoom', id, '2026-09-23T10:00:00Z'))
+  ]);
+
+  const cohorts = analytics.cohortRetention();
+  assert.deepStrictEqual(cohorts.map(({ cohort, size }) => [cohort, size]), [['2026-09-07', 10], ['2026-09-14', 4], ['2026-09-21', 0]]);
+  assert.deepStrictEqual(cohorts[0].retention.map(({ week, active, rate }) => [week, active, rate]), [[0, 10, 1], [1, 6, 0.6], [2, 3, 0.3]]);
+  assert.deepStrictEqual(cohorts[1].retention.map(({ weekStart, active, rate }) => [weekStart, active, rate]), [['2026-09-14', 4, 1], ['2026-09-21', 2, 0.5]]);
+  assert.deepStrictEqual(cohorts[2].retention, [{ week: 0, weekStart: '2026-09-21', active: 0, rate: 0 }]);
+});
+
+test('EngagementAnalytics - keeps a bounded window of days and weeks', () => {
+  const analytics = new EngagementAnalytics({ dailyWindowDays: 7, cohortWeeks: 2 });
+  analytics.ingest([
+    event('view', 'a1', '2026-09-07T10:00:00Z'),
+    event('view', 'a2', '2026-09-14T10:00:00Z'),
+    event('view', 'a3', '2026-09-21T10:00:00Z'),
+    event('view', 'a4', '2026-08-03T10:00:00Z')
+  ]);
+
+  assert.deepStrictEqual([...analytics.days.keys()], ['2026-09-21']);
+  assert.deepStrictEqual([...analytics.weeks.keys()].sort(), ['2026-09-14', '2026-09-21']);
+  // The first kept week's cohort would include architects whose first week was dropped
+  assert.deepStrictEqual(analytics.cohortRetention().map(({ cohort, size }) => [cohort, size]), [['2026-09-21', 1]]);
+  // Old events still count toward unique architects
+  assert.strictEqual(analytics.summary().uniqueArchitects, 4);
+});
+
+test('EngagementAnalytics - exports and restores every counter', () => {
+  const analytics = new EngagementAnalytics({ precision: 10, projectPrecision: 8 });
+  analytics.ingest([
+    event('view', 'a1', '2026-09-07T10:00:00Z'),
+    event('measurement', 'a2', '2026-09-15T10:00:00Z', 'corner-lot')
+  ]);
+  const restored = EngagementAnalytics.fromJSON(JSON.parse(JSON.stringify(analytics)));
+  assert.deepStrictEqual(restored.summary(), analytics.summary());
+  assert.deepStrictEqual(restored.cohortRetention(), analytics.cohortRetention());
+  assert.deepStrictEqual(restored.projectStats('corner-lot'), analytics.projectStats('corner-lot'));
+
+  restored.ingest(event('view', 'a3', '2026-09-15T11:00:00Z'));
+  assert.strictEqual(restored.summary().uniqueArchitects, 3);
+  assert.strictEqual(analytics.summary().uniqueArchitects, 2);
+
+  assert.throws(() => EngagementAnalytics.fromJSON({ version: 9 }), { code: 'INVALID_ENUM', path: 'analytics.version' });
+});
+
+console.log('✓ All Engagement Analytics tests passed');
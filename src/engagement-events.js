@@ -0,0 +1,25 @@
+/**
+ * Engagement Events
+ * Interactions an AR session reports to engagement analytics
+ */
+
+/**
+ * Event types, with what each records
+ */
+export const ENGAGEMENT_EVENTS = {
+  view: "Opened a project's AR visualization",
+  rotate: 'Rotated the model',
+  zoom: 'Zoomed in or out',
+  'layer-toggle': 'Showed or hid a render layer',
+  measurement: 'Measured a distance or area on the model'
+};
+
+/**
+ * Event type names
+ */
+export const ENGAGEMENT_EVENT_TYPES = Object.keys(ENGAGEMENT_EVENTS);
+
+/**
+ * Event types that count as interacting with a model rather than only viewing it
+ */
+export const INTERACTION_EVENT_TYPES = ENGAGEMENT_EVENT_TYPES.filter(type => type !== 'view');
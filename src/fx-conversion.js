@@ -0,0 +1,99 @@
+/**
+ * FX Conversion
+ * Currency pair conversion over spot and forward curves, plus currency-aware money formatting
+ */
+
+/**
+ * Display symbols for supported currencies
+ */
+export const CURRENCY_SYMBOLS = {
+  USD: '$',
+  JPY: '¥',
+  EUR: '€',
+  GBP: '£'
+};
+
+/**
+ * Format an amount in millions (or billions) with the currency's symbol
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 currency code (default: 'USD')
+ * @returns {string} Formatted amount, e.g. '$12.34M' or '¥1.85B'
+ */
+export function formatMoney(amount, currency = 'USD') {
+  const symbol = CURRENCY_SYMBOLS[currency] ?? `${currency} `;
+
+  if (Math.abs(amount) >= 1000000000) {
+    return `${symbol}${(amount / 1000000000).toFixed(2)}B`;
+  }
+  return `${symbol}${(amount / 1000000).toFixed(2)}M`;
+}
+
+export class FXConverter {
+  constructor(config = {}) {
+    this.config = {
+      baseCurrency: 'USD', // 1 unit of base currency...
+      quoteCurrency: 'JPY', // ...is worth `rate` units of quote currency (USDJPY)
+      spot: 150,
+      forwardCurve: null, // Per-year forward rates (year 1 first); null keeps the spot rate flat
+      ...config
+    };
+
+    if (!(this.config.spot > 0)) {
+      throw new Error('FX spot rate must be positive');
+    }
+    if (this.config.forwardCurve && !this.config.forwardCurve.every(rate => rate > 0)) {
+      throw new Error('FX forward rates must be positive');
+    }
+  }
+
+  /**
+   * FX rate applicable to a given year (0 = spot)
+   * @param {number} year - Year from valuation date
+   * @returns {number} Quote currency units per base currency unit
+   */
+  rateForYear(year) {
+    const { spot, forwardCurve } = this.config;
+
+    if (year <= 0 || !forwardCurve || forwardCurve.length === 0) {
+      return spot;
+    }
+    return forwardCurve[Math.min(year, forwardCurve.length) - 1];
+  }
+
+  /**
+   * Convert an amount between the pair's currencies
+   * @param {number} amount - Amount in `from` currency
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {number} year - Year whose forward rate applies (default: 0, spot)
+   * @returns {number} Converted amount
+   */
+  convert(amount, from, to, year = 0) {
+    if (from === to) {
+      return amount;
+    }
+
+    const { baseCurrency, quoteCurrency } = this.config;
+    const rate = this.rateForYear(year);
+
+    if (from === baseCurrency && to === quoteCurrency) {
+      return amount * rate;
+    }
+    if (from === quoteCurrency && to === baseCurrency) {
+      return amount / rate;
+    }
+
+    throw new Error(`FX pair ${baseCurrency}${quoteCurrency} cannot convert ${from} to ${to}`);
+  }
+
+  /**
+   * Forward rates for years 1..years
+   * @param {number} years - Number of years
+   * @returns {number[]} Rates per year
+   */
+  curve(years) {
+    return Array.from({ length: years }, (_, i) => this.rateForYear(i + 1));
+  }
+}
+
+export default FXConverter;
@@ -0,0 +1,129 @@
+/**
+ * Tests for FX Conversion
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import FXConverter, { formatMoney } from './fx-conversion.js';
+import RussellDCFFramework from './russell-dcf-framework.js';
+
+const yenProjection = {
+  initialInvestment: 7500000000,
+  years: 5,
+  growthRate: 0.02,
+  rentPerSqm: 105000
+};
+
+test('formatMoney - uses the currency symbol and scale', () => {
+  assert.strictEqual(formatMoney(12345678, 'USD'), '$12.35M');
+  assert.strictEqual(formatMoney(7500000000, 'JPY'), '¥7.50B');
+  assert.strictEqual(formatMoney(-2500000, 'JPY'), '¥-2.50M');
+  assert.strictEqual(formatMoney(1000000, 'CHF'), 'CHF 1.00M');
+});
+
+test('FXConverter - converts both directions at spot and forward rates', () => {
+  const fx = new FXConverter({ baseCurrency: 'USD', quoteCurrency: 'JPY', spot: 150, forwardCurve: [148, 146] });
+
+  assert.strictEqual(fx.convert(1500, 'JPY', 'USD'), 10);
+  assert.strictEqual(fx.convert(10, 'USD', 'JPY'), 1500);
+  assert.strictEqual(fx.convert(1480, 'JPY', 'USD', 1), 10);
+  assert.strictEqual(fx.rateForYear(5), 146);
+  assert.strictEqual(fx.convert(42, 'JPY', 'JPY', 3), 42);
+  assert.deepStrictEqual(fx.curve(3), [148, 146, 146]);
+});
+
+test('FXConverter - rejects invalid pairs and rates', () => {
+  const fx = new FXConverter();
+
+  assert.throws(() => fx.convert(1, 'EUR', 'USD'), /cannot convert EUR to USD/);
+  assert.throws(() => new FXConverter({ spot: 0 }), /spot rate must be positive/);
+  assert.throws(() => new FXConverter({ forwardCurve: [150, -1] }), /forward rates must be positive/);
+});
+
+test('RussellDCFFramework - flat FX rate leaves no FX effect', () => {
+  const russellDCF = new RussellDCFFramework({ functionalCurrency: 'JPY', reportingCurrency: 'USD' });
+  const result = russellDCF.generateComprehensiveDCF({
+    projection: yenProjection,
+    fx: { baseCurrency: 'USD', quoteCurrency: 'JPY', spot: 150 }
+  });
+
+  const { currency, npv } = result.analysis;
+  assert.strictEqual(npv.currency, 'JPY');
+  assert.ok(npv.formatted.startsWith('¥'));
+  assert.ok(Math.abs(currency.reporting.npv - npv.value / 150) < 1e-3);
+  assert.ok(Math.abs(currency.attribution.fxEffectOnNPV) < 1e-3);
+  assert.ok(Math.abs(currency.attribution.fxEffectOnIRR) < 1e-8);
+  assert.ok(currency.reporting.formatted.startsWith('$'));
+});
+
+test('RussellDCFFramework - FX attribution discounts the same periodic flows as the NPV', () => {
+  for (const periodicity of ['quarterly', 'monthly']) {
+    const russellDCF = new RussellDCFFramework({ functionalCurrency: 'JPY', reportingCurrency: 'USD', periodicity });
+    const result = russellDCF.generateComprehensiveDCF({
+      projection: yenProjection,
+      terminalValue: { method: 'exitCapRate', exitCapRate: 0.045 },
+      fx: { baseCurrency: 'USD', quoteCurrency: 'JPY', spot: 150 }
+    });
+
+    const { currency, npv } = result.analysis;
+    assert.ok(Math.abs(currency.attribution.fxEffectOnNPV) < 1e-3, periodicity);
+    assert.ok(Math.abs(currency.reporting.npv - npv.value / 150) < 1e-3);
+    assert.strictEqual(currency.reporting.cashFlows.length, 5 * (periodicity === 'monthly' ? 12 : 4));
+    assert.strictEqual(currency.fx.rates.length, 5);
+  }
+
+  // Each period converts at its year's forward rate
+  const forward = new RussellDCFFramework({ functionalCurrency: 'JPY', reportingCurrency: 'USD', periodicity: 'quarterly' })
+    .generateComprehensiveDCF({ projection: yenProjection, fx: { spot: 150, forwardCurve: [153, 156, 159, 162, 165] } });
+  const { reporting } = forward.analysis.currency;
+  const yen = forward.analysis.yieldProjection.periodicProjections;
+  assert.ok(Math.abs(reporting.cashFlows[3] - yen[3].phiAdjustedYield / 153) < 1e-6);
+  assert.ok(Math.abs(reporting.cashFlows[4] - yen[4].phiAdjustedYield / 156) < 1e-6);
+});
+
+test('RussellDCFFramework - weakening yen forward curve reduces USD returns', () => {
+  const russellDCF = new RussellDCFFramework({ functionalCurrency: 'JPY', reportingCurrency: 'USD' });
+  const result = russellDCF.generateComprehensiveDCF({
+    projection: yenProjection,
+    fx: { spot: 150, forwardCurve: [153, 156, 159, 162, 165] }
+  });
+
+  const { attribution, reporting, functional } = result.analysis.currency;
+  assert.ok(attribution.fxEffectOnNPV < 0);
+  assert.ok(attribution.fxEffectOnIRR < 0);
+  assert.ok(reporting.irr < functional.irr);
+  assert.strictEqual(attribution.hedgeCostEffectOnNPV, 0);
+});
+
+test('RussellDCFFramework - hedge cost flows through to reporting returns', () => {
+  const params = { projection: yenProjection };
+  const config = { functionalCurrency: 'JPY', reportingCurrency: 'USD' };
+  const unhedged = new RussellDCFFramework(config).generateComprehensiveDCF({ ...params, fx: { spot: 150 } });
+  const hedged = new RussellDCFFramework(config).generateComprehensiveDCF({
+    ...params,
+    fx: { spot: 150, hedgeCostRate: 0.01, hedgeRatio: 0.5 }
+  });
+
+  const cost = hedged.analysis.currency.reporting;
+  assert.ok(Math.abs(cost.hedgeCosts[0] - unhedged.analysis.currency.reporting.cashFlows[0] * 0.005) < 1e-6);
+  assert.ok(hedged.analysis.currency.attribution.hedgeCostEffectOnNPV < 0);
+  assert.ok(cost.irr < unhedged.analysis.currency.reporting.irr);
+});
+
+test('RussellDCFFramework - requires FX rates when currencies differ', () => {
+  const russellDCF = new RussellDCFFramework({ functionalCurrency: 'JPY', reportingCurrency: 'USD' });
+
+  assert.throws(() => russellDCF.generateComprehensiveDCF({ projection: yenProjection }), /FX rates required/);
+});
+
+test('RussellDCFFramework - liquidity recommendations use the functional currency', () => {
+  const russellDCF = new RussellDCFFramework({ functionalCurrency: 'JPY' });
+  const result = russellDCF.validateLiquidityMechanisms({
+    totalAssetValue: 15000000000,
+    currentLiquidity: 1500000000
+  });
+
+  assert.ok(result.recommendations.some(r => r.includes('¥1.50B')));
+});
+
+console.log('✓ All FX Conversion tests passed');
@@ -0,0 +1,386 @@
+/**
+ * Gemini Insights
+ * Material, lighting and accessibility suggestions for building specs from an injected Gemini model client,
+ * with timeouts, retries, response caching and a deterministic offline client
+ */
+
+import { fingerprint, stableStringify } from './analysis-runs.js';
+import { ValidationError, VALIDATION_CODES, assertValid } from './validation.js';
+import {
+  ACCESSIBILITY_RESPONSE_SCHEMA,
+  GEMINI_CONFIG_SCHEMA,
+  LIGHTING_RESPONSE_SCHEMA,
+  MATERIALS_RESPONSE_SCHEMA
+} from './schemas.js';
+
+/**
+ * Model used when neither the config nor the client names one
+ */
+export const DEFAULT_GEMINI_MODEL = 'gemini-1.5-flash';
+
+/**
+ * Insight kinds: the prompt, response shape and result field of each
+ */
+export const INSIGHT_KINDS = Object.freeze({
+  materials: {
+    schema: MATERIALS_RESPONSE_SCHEMA,
+    field: 'materials',
+    instruction: 'Suggest materials for the structure, facade and glazing of this building.',
+    shape: '{"materials":[{"element":string,"material":string,"rationale":string}]}'
+  },
+  lighting: {
+    schema: LIGHTING_RESPONSE_SCHEMA,
+    field: null,
+    instruction: 'Describe the lighting for a 4K AR rendering of this building.',
+    shape: '{"description":string,"colorTemperatureK":number,"keyLights":[string]}'
+  },
+  accessibility: {
+    schema: ACCESSIBILITY_RESPONSE_SCHEMA,
+    field: 'insights',
+    instruction: 'List accessibility improvements for this building.',
+    shape: '{"insights":[{"area":string,"recommendation":string,"priority":"high"|"medium"|"low"}]}'
+  }
+});
+
+export class GeminiInsights {
+  /**
+   * @param {Object} config - Service configuration
+   * @param {Object} config.client - Model client with generateContent(request, { signal }), e.g. from createGeminiClient or a FakeGeminiClient
+   * @throws {ValidationError} When config.model names a different model than the client calls
+   */
+  constructor(config = {}) {
+    const clientModel = modelName(config.client);
+    this.config = {
+      model: clientModel ?? DEFAULT_GEMINI_MODEL, // Model name recorded with results and cache entries; the client's own when it has one
+      timeoutMs: 15000, // Per attempt
+      maxRetries: 2, // Further attempts after an error, timeout or malformed response
+      retryDelayMs: 250, // Doubled after each failed attempt
+      cacheSize: 100, // Responses kept, least recently used evicted first; 0 disables caching
+      temperature: 0.2,
+      ...config
+    };
+    assertValid(GEMINI_CONFIG_SCHEMA, this.config, 'config');
+    if (typeof this.config.client.generateContent !== 'function') {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_TYPE,
+        path: 'config.client.generateContent',
+        allowed: 'a function',
+        value: this.config.client.generateContent,
+        message: 'Gemini client must have a generateContent(request) method'
+      });
+    }
+    if (clientModel !== null && this.config.model !== clientModel) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'config.model',
+        allowed: clientModel,
+        value: this.config.model,
+        message: `config.model is ${this.config.model} but the Gemini client calls ${clientModel}`
+      });
+    }
+    this.offline = this.config.client instanceof FakeGeminiClient; // Answers come from the fake client, not a model
+    this.cache = new Map();
+    this.stats = { requests: 0, cacheHits: 0, retries: 0, failures: 0 };
+  }
+
+  /**
+   * @param {Object} buildingSpecs - Building specs (see BUILDING_SPECS_SCHEMA)
+   * @returns {Promise<Object[]>} [{ element, material, rationale }]
+   */
+  async suggestMaterials(buildingSpecs) {
+    return this.request('materials', buildingSpecs);
+  }
+
+  /**
+   * @param {Object} buildingSpecs - Building specs (see BUILDING_SPECS_SCHEMA)
+   * @returns {Promise<Object>} { description, colorTemperatureK, keyLights }
+   */
+  async describeLighting(buildingSpecs) {
+    return this.request('lighting', buildingSpecs);
+  }
+
+  /**
+   * @param {Object} buildingSpecs - Building specs (see BUILDING_SPECS_SCHEMA)
+   * @returns {Promise<Object[]>} [{ area, recommendation, priority }]
+   */
+  async accessibilityInsights(buildingSpecs) {
+    return this.request('accessibility', buildingSpecs);
+  }
+
+  /**
+   * Request several insight kinds at once; a kind that fails is reported in `errors` instead of rejecting
+   * @param {Object} buildingSpecs - Building specs (see BUILDING_SPECS_SCHEMA)
+   * @param {string[]} kinds - Insight kinds (default: all of INSIGHT_KINDS)
+   * @returns {Promise<Object>} { model, offline, materials, lighting, accessibility, errors: [{ kind, message }] };
+   *   failed kinds are null, and offline is true when the fake client answered
+   */
+  async analyze(buildingSpecs, kinds = Object.keys(INSIGHT_KINDS)) {
+    const settled = await Promise.allSettled(kinds.map(kind => this.request(kind, buildingSpecs)));
+    const result = { model: this.config.model, offline: this.offline, errors: [] };
+    kinds.forEach((kind, index) => {
+      const { status, value, reason } = settled[index];
+      result[kind] = status === 'fulfilled' ? value : null;
+      if (status === 'rejected') result.errors.push({ kind, message: reason.message });
+    });
+    return result;
+  }
+
+  /**
+   * Drop every cached response
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Cached or fresh response for one insight kind
+   * Concurrent requests for the same specs share one call; failures are not cached.
+   * @private
+   */
+  request(kind, buildingSpecs) {
+    const key = fingerprint({ kind, model: this.config.model, specs: buildingSpecs });
+    const cached = this.cache.get(key);
+    if (cached) {
+      this.stats.cacheHits += 1;
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached;
+    }
+
+    const pending = this.generate(kind, buildingSpecs);
+    if (this.config.cacheSize > 0) {
+      this.cache.set(key, pending);
+      pending.catch(() => this.cache.delete(key));
+      if (this.cache.size > this.config.cacheSize) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+    return pending;
+  }
+
+  /**
+   * Call the model with retries and parse its response
+   * @private
+   */
+  async generate(kind, buildingSpecs) {
+    const { client, maxRetries, retryDelayMs, temperature } = this.config;
+    const request = {
+      contents: [{ role: 'user', parts: [{ text: buildPrompt(kind, buildingSpecs) }] }],
+      generationConfig: { temperature, responseMimeType: 'application/json' }
+    };
+
+    let lastError;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        this.stats.retries += 1;
+        await delay(retryDelayMs * 2 ** (attempt - 1));
+      }
+      this.stats.requests += 1;
+      // Aborted on timeout, so a slow attempt stops before the next one starts
+      const controller = new AbortController();
+      try {
+        const result = await this.withTimeout(client.generateContent(request, { signal: controller.signal }), controller);
+        return parseInsight(kind, result.response.text());
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    this.stats.failures += 1;
+    const attempts = maxRetries + 1;
+    throw new Error(`Gemini ${kind} request failed after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${lastError.message}`, { cause: lastError });
+  }
+
+  /**
+   * @private
+   */
+  async withTimeout(promise, controller) {
+    const { timeoutMs } = this.config;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${timeoutMs} ms`);
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Gemini model client from the @google/generative-ai SDK
+ * @param {Object} options - Client options
+ * @param {string} options.apiKey - API key (default: the GEMINI_API_KEY environment variable)
+ * @param {string} options.model - Model name (default: DEFAULT_GEMINI_MODEL); GeminiInsights records it with each result
+ * @returns {Promise<Object>} GenerativeModel for GeminiInsights
+ * @throws {ValidationError} When no API key is given or set
+ */
+export async function createGeminiClient({ apiKey = process.env.GEMINI_API_KEY, model = DEFAULT_GEMINI_MODEL } = {}) {
+  assertValid({ type: 'string' }, apiKey, 'apiKey');
+  const { GoogleGenerativeAI } = await import('@google/generative-ai');
+  return new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+}
+
+/**
+ * Deterministic stand-in for a Gemini model client, for tests and offline runs
+ * Answers from the building specs in the prompt, so the same specs always get the same response.
+ */
+export class FakeGeminiClient {
+  /**
+   * @param {Object} options - Fake behaviour
+   * @param {number} options.latencyMs - Delay before each response (default: 0)
+   * @param {number} options.failures - Calls to reject before answering (default: 0)
+   * @param {number} options.malformed - Calls to answer with non-JSON text before answering properly (default: 0)
+   * @param {Object} options.responses - Fixed response per insight kind, e.g. { lighting: {...} }
+   */
+  constructor({ latencyMs = 0, failures = 0, malformed = 0, responses = {} } = {}) {
+    this.options = { latencyMs, responses };
+    this.remainingFailures = failures;
+    this.remainingMalformed = malformed;
+    this.calls = [];
+    this.aborted = 0;
+  }
+
+  /**
+   * @param {Object} request - { contents: [{ parts: [{ text }] }] } as sent by GeminiInsights
+   * @param {Object} requestOptions - { signal }, like the SDK; aborting it rejects a call still waiting out its latency
+   * @returns {Promise<Object>} { response: { text() } }, like the SDK
+   */
+  async generateContent(request, { signal } = {}) {
+    const prompt = request.contents[0].parts[0].text;
+    this.calls.push(prompt);
+    if (this.options.latencyMs > 0) {
+      try {
+        await delay(this.options.latencyMs, signal);
+      } catch (error) {
+        this.aborted += 1;
+        throw error;
+      }
+    }
+    if (this.remainingFailures > 0) {
+      this.remainingFailures -= 1;
+      throw new Error('Fake Gemini service unavailable');
+    }
+
+    const kind = prompt.match(/^Task: (\w+)$/m)[1];
+    const specs = JSON.parse(prompt.match(/^Building specs: (.*)$/m)[1]);
+    let text = JSON.stringify(this.options.responses[kind] ?? fakeInsight(kind, specs));
+    if (this.remainingMalformed > 0) {
+      this.remainingMalformed -= 1;
+      text = `Here are my suggestions: ${text.slice(0, 20)}`;
+    }
+    return { response: { text: () => `\`\`\`json\n${text}\n\`\`\`` } };
+  }
+}
+
+/**
+ * @private
+ */
+function buildPrompt(kind, buildingSpecs) {
+  const { instruction, shape } = INSIGHT_KINDS[kind];
+  return [
+    'You are an architectural visualization assistant.',
+    instruction,
+    `Task: ${kind}`,
+    `Building specs: ${stableStringify(buildingSpecs)}`,
+    `Respond with JSON only, in this shape: ${shape}`
+  ].join('\n');
+}
+
+/**
+ * Parse a model response, tolerating Markdown code fences and text around the JSON
+ * @private
+ */
+function parseInsight(kind, text) {
+  const { schema, field } = INSIGHT_KINDS[kind];
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  let parsed;
+  try {
+    parsed = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    throw new ValidationError({
+      code: VALIDATION_CODES.INVALID_TYPE,
+      path: 'response',
+      allowed: 'a JSON object',
+      value: text.slice(0, 80),
+      message: `Gemini ${kind} response is not JSON: ${text.slice(0, 80)}`
+    });
+  }
+  assertValid(schema, parsed, 'response');
+  return field ? parsed[field] : parsed;
+}
+
+/**
+ * Rule-based answers for FakeGeminiClient
+ * @private
+ */
+function fakeInsight(kind, { name = 'The building', floors = 1, height, type = 'Mixed-use' }) {
+  const residential = /residential/i.test(type);
+  if (kind === 'materials') {
+    const structure = floors <= 4
+      ? ['Cross-laminated timber', 'Low embodied carbon at low-rise scale']
+      : floors <= 12
+        ? ['Reinforced concrete', 'Fire resistance and stiffness for mid-rise floors']
+        : ['Structural steel', 'Strength-to-weight for high-rise spans'];
+    return {
+      materials: [
+        { element: 'structure', material: structure[0], rationale: structure[1] },
+        residential
+          ? { element: 'facade', material: 'Brick veneer', rationale: 'Matches the Harlem brownstone context' }
+          : { element: 'facade', material: 'Low-E glass curtain wall', rationale: 'Daylight for open commercial floors' },
+        { element: 'glazing', material: 'Triple-glazed low-E units', rationale: 'Cuts heating and cooling loads' }
+      ]
+    };
+  }
+  if (kind === 'lighting') {
+    const colorTemperatureK = residential ? 3000 : 4000;
+    return {
+      description: `${name}: ${floors} floor${floors === 1 ? '' : 's'}${height ? ` over ${height} m` : ''}, lit at ${colorTemperatureK} K with a low western sun`,
+      colorTemperatureK,
+      keyLights: ['Sun at 25° elevation from the west', 'Sky dome fill', floors > 6 ? 'Facade uplights' : 'Street-level wash']
+    };
+  }
+
+  const insights = [{ area: 'entrance', recommendation: 'Provide a step-free main entrance with automatic doors', priority: 'high' }];
+  if (floors > 1) {
+    insights.push({ area: 'vertical circulation', recommendation: 'Serve every floor with an elevator sized for a wheelchair and companion', priority: 'high' });
+  }
+  if (floors > 6) {
+    insights.push({ area: 'egress', recommendation: 'Add refuge areas at each stair for assisted evacuation', priority: 'medium' });
+  }
+  insights.push({ area: 'wayfinding', recommendation: 'Use tactile and high-contrast signage at decision points', priority: 'low' });
+  return { insights };
+}
+
+/**
+ * @private
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Name of the model a client calls, or null if it does not say; the SDK's GenerativeModel keeps it as 'models/<name>'
+ * @private
+ */
+function modelName(client) {
+  return typeof client?.model === 'string' ? client.model.replace(/^models\//, '') : null;
+}
+
+export default GeminiInsights;
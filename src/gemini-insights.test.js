@@ -0,0 +1,130 @@
+/**
+ * Tests for Gemini Insights
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import GeminiInsights, { FakeGeminiClient, createGeminiClient } from './gemini-insights.js';
+
+const specs = { name: 'Lenox Terrace', floors: 3, height: 12, type: 'Residential' };
+const fastRetries = { retryDelayMs: 0 };
+
+test('GeminiInsights - parses structured responses from the client', async () => {
+  const client = new FakeGeminiClient();
+  const gemini = new GeminiInsights({ client, ...fastRetries });
+
+  const materials = await gemini.suggestMaterials(specs);
+  assert.deepStrictEqual(materials.map(m => [m.element, m.material]), [
+    ['structure', 'Cross-laminated timber'],
+    ['facade', 'Brick veneer'],
+    ['glazing', 'Triple-glazed low-E units']
+  ]);
+
+  const lighting = await gemini.describeLighting(specs);
+  assert.strictEqual(lighting.colorTemperatureK, 3000);
+  assert.strictEqual(lighting.description, 'Lenox Terrace: 3 floors over 12 m, lit at 3000 K with a low western sun');
+
+  const insights = await gemini.accessibilityInsights({ floors: 1 });
+  assert.deepStrictEqual(insights.map(i => i.priority), ['high', 'low']);
+
+  assert.match(client.calls[0], /^Task: materials$/m);
+  assert.match(client.calls[0], /Respond with JSON only/);
+  assert.deepStrictEqual(gemini.stats, { requests: 3, cacheHits: 0, retries: 0, failures: 0 });
+});
+
+test('GeminiInsights - retries errors and malformed responses, then gives up', async () => {
+  const flaky = new FakeGeminiClient({ failures: 1, malformed: 1 });
+  const gemini = new GeminiInsights({ client: flaky, ...fastRetries });
+  assert.strictEqual((await gemini.describeLighting(specs)).colorTemperatureK, 3000);
+  assert.deepStrictEqual(gemini.stats, { requests: 3, cacheHits: 0, retries: 2, failures: 0 });
+
+  const invalid = new GeminiInsights({
+    client: new FakeGeminiClient({ responses: { accessibility: { insights: [{ area: 'entrance', recommendation: 'Ramp', priority: 'urgent' }] } } }),
+    maxRetries: 0
+  });
+  await assert.rejects(invalid.accessibilityInsights(specs), {
+    message: /^Gemini accessibility request failed after 1 attempt: response\.insights\[0\]\.priority must be one of/
+  });
+
+  const broken = new GeminiInsights({ client: new FakeGeminiClient({ malformed: 5 }), maxRetries: 1, ...fastRetries });
+  const error = await broken.suggestMaterials(specs).catch(e => e);
+  assert.strictEqual(error.cause.code, 'INVALID_TYPE');
+  assert.match(error.cause.message, /^Gemini materials response is not JSON/);
+  assert.strictEqual(broken.stats.failures, 1);
+});
+
+test('GeminiInsights - times out slow responses', async () => {
+  const client = new FakeGeminiClient({ latencyMs: 50 });
+  const gemini = new GeminiInsights({ client, timeoutMs: 5, maxRetries: 1, ...fastRetries });
+  await assert.rejects(gemini.describeLighting(specs), { message: 'Gemini lighting request failed after 2 attempts: Timed out after 5 ms' });
+  // Each timed-out request was aborted, not left running alongside its retry
+  assert.strictEqual(client.calls.length, 2);
+  assert.strictEqual(client.aborted, 2);
+});
+
+test('GeminiInsights - caches responses per model and specs, least recently used first out', async () => {
+  const client = new FakeGeminiClient();
+  const gemini = new GeminiInsights({ client, cacheSize: 2 });
+
+  const [first, concurrent] = await Promise.all([gemini.suggestMaterials(specs), gemini.suggestMaterials({ ...specs })]);
+  assert.strictEqual(first, concurrent);
+  assert.strictEqual(client.calls.length, 1);
+
+  await gemini.describeLighting(specs);
+  await gemini.suggestMaterials(specs); // refreshes materials
+  await gemini.accessibilityInsights(specs); // evicts lighting
+  await gemini.describeLighting(specs);
+  assert.strictEqual(client.calls.length, 4);
+  assert.strictEqual(gemini.stats.cacheHits, 2);
+
+  const other = new GeminiInsights({ client, model: 'gemini-1.5-pro' });
+  await other.suggestMaterials(specs);
+  assert.strictEqual(client.calls.length, 5);
+
+  // Failures are not cached
+  const recovering = new GeminiInsights({ client: new FakeGeminiClient({ failures: 1 }), maxRetries: 0 });
+  await assert.rejects(recovering.describeLighting(specs));
+  assert.strictEqual((await recovering.describeLighting(specs)).colorTemperatureK, 3000);
+});
+
+test('GeminiInsights - analyze reports failed kinds without rejecting', async () => {
+  const gemini = new GeminiInsights({
+    client: new FakeGeminiClient({ responses: { lighting: { description: 'Noon' } } }),
+    maxRetries: 0
+  });
+  const result = await gemini.analyze(specs);
+
+  assert.strictEqual(result.model, 'gemini-1.5-flash');
+  assert.strictEqual(result.offline, true); // The fake client answered
+  assert.strictEqual(result.materials.length, 3);
+  assert.strictEqual(result.lighting, null);
+  assert.deepStrictEqual(result.errors.map(e => e.kind), ['lighting']);
+  assert.deepStrictEqual(Object.keys(await gemini.analyze(specs, ['accessibility'])), ['model', 'offline', 'errors', 'accessibility']);
+});
+
+test('GeminiInsights - records the model the client calls', async () => {
+  // Like the SDK's GenerativeModel, which keeps the name as models/<name>
+  const fake = new FakeGeminiClient();
+  const client = { model: 'models/gemini-1.5-pro', generateContent: request => fake.generateContent(request) };
+  const result = await new GeminiInsights({ client }).analyze(specs, ['lighting']);
+  assert.deepStrictEqual([result.model, result.offline], ['gemini-1.5-pro', false]);
+
+  assert.strictEqual(new GeminiInsights({ client, model: 'gemini-1.5-pro' }).config.model, 'gemini-1.5-pro');
+  assert.throws(() => new GeminiInsights({ client, model: 'gemini-1.5-flash' }), {
+    code: 'INCONSISTENT_VALUES',
+    path: 'config.model',
+    message: 'config.model is gemini-1.5-flash but the Gemini client calls gemini-1.5-pro'
+  });
+});
+
+test('GeminiInsights - requires a client with generateContent', async () => {
+  assert.throws(() => new GeminiInsights(), { code: 'REQUIRED', path: 'config.client' });
+  assert.throws(() => new GeminiInsights({ client: {} }), { code: 'INVALID_TYPE', path: 'config.client.generateContent' });
+  assert.throws(() => new GeminiInsights({ client: new FakeGeminiClient(), timeoutMs: 0 }), { code: 'OUT_OF_RANGE', path: 'config.timeoutMs' });
+  const { GEMINI_API_KEY } = process.env;
+  delete process.env.GEMINI_API_KEY;
+  await assert.rejects(createGeminiClient(), { code: 'REQUIRED', path: 'apiKey' });
+  if (GEMINI_API_KEY !== undefined) process.env.GEMINI_API_KEY = GEMINI_API_KEY;
+});
+
+console.log('✓ All Gemini Insights tests passed');
@@ -0,0 +1,447 @@
+/**
+ * glTF Export
+ * Writes massing models as glTF 2.0 (embedded buffer) or GLB, with one node per layer, and validates the result
+ */
+
+import { MASSING_LAYERS } from './massing-model.js';
+
+export const GLTF_MIME_TYPES = {
+  gltf: 'model/gltf+json',
+  glb: 'model/gltf-binary'
+};
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+const TRIANGLES = 4;
+
+const COMPONENT_TYPES = {
+  5123: { size: 2, array: Uint16Array, name: 'UNSIGNED_SHORT' },
+  5125: { size: 4, array: Uint32Array, name: 'UNSIGNED_INT' },
+  5126: { size: 4, array: Float32Array, name: 'FLOAT' }
+};
+const TYPE_SIZES = { SCALAR: 1, VEC3: 3 };
+const SUPPORTED_EXTENSIONS = ['KHR_lights_punctual'];
+
+const MATERIALS = [
+  { name: 'Floor plates', element: 'structure', baseColorFactor: [0.62, 0.6, 0.57, 1], roughnessFactor: 0.9 },
+  { name: 'Core', element: 'structure', baseColorFactor: [0.42, 0.42, 0.44, 1], roughnessFactor: 0.8 },
+  { name: 'Facade', element: 'facade', baseColorFactor: [0.55, 0.7, 0.8, 0.35], roughnessFactor: 0.05, alphaMode: 'BLEND', doubleSided: true }
+];
+
+/**
+ * Build a glTF document with the geometry in an embedded base64 buffer
+ * @param {Object} massing - Result of generateMassing()
+ * @param {Object} options - Layer options
+ * @param {Array} options.materials - Material suggestions ({ element, material, rationale }), recorded on matching materials
+ * @param {Object} options.lighting - { colorTemperatureK, description } for the sun light (default: 5500 K)
+ * @param {string} options.generator - asset.generator (default: 'Harlem4KARRender')
+ * @returns {Object} glTF JSON document
+ */
+export function exportGLTF(massing, options = {}) {
+  const { json, binary } = assemble(massing, options);
+  json.buffers = [{ byteLength: binary.length, uri: `data:application/octet-stream;base64,${binary.toString('base64')}` }];
+  return json;
+}
+
+/**
+ * Build a binary glTF (GLB) container: 12-byte header, JSON chunk, BIN chunk
+ * @param {Object} massing - Result of generateMassing()
+ * @param {Object} options - Same as exportGLTF()
+ * @returns {Buffer} GLB bytes
+ */
+export function exportGLB(massing, options = {}) {
+  const { json, binary } = assemble(massing, options);
+  json.buffers = [{ byteLength: binary.length }];
+  const jsonChunk = pad(Buffer.from(JSON.stringify(json)), 0x20);
+  const binChunk = pad(binary, 0);
+
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(GLB_MAGIC, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + binChunk.length, 8);
+  return Buffer.concat([header, chunkHeader(jsonChunk.length, CHUNK_JSON), jsonChunk, chunkHeader(binChunk.length, CHUNK_BIN), binChunk]);
+}
+
+/**
+ * Parse a GLB container into its JSON document and binary chunk
+ * @param {Buffer} glb - GLB bytes
+ * @returns {Object} { json, binary }
+ * @throws {Error} If the container header or chunks are malformed
+ */
+export function parseGLB(glb) {
+  if (glb.length < 20 || glb.readUInt32LE(0) !== GLB_MAGIC) throw new Error('Not a GLB container: bad magic');
+  if (glb.readUInt32LE(4) !== 2) throw new Error(`Unsupported GLB version ${glb.readUInt32LE(4)}`);
+  if (glb.readUInt32LE(8) !== glb.length) throw new Error(`GLB length ${glb.readUInt32LE(8)} does not match ${glb.length} bytes`);
+
+  const chunks = [];
+  for (let offset = 12; offset < glb.length;) {
+    const length = glb.readUInt32LE(offset);
+    const type = glb.readUInt32LE(offset + 4);
+    if (length % 4 !== 0) throw new Error(`GLB chunk at byte ${offset} is not 4-byte aligned`);
+    if (offset + 8 + length > glb.length) throw new Error(`GLB chunk at byte ${offset} overruns the container`);
+    chunks.push({ type, data: glb.subarray(offset + 8, offset + 8 + length) });
+    offset += 8 + length;
+  }
+  if (chunks[0]?.type !== CHUNK_JSON) throw new Error('GLB must start with a JSON chunk');
+  return {
+    json: JSON.parse(chunks[0].data.toString('utf8')),
+    binary: chunks.find(chunk => chunk.type === CHUNK_BIN)?.data ?? null
+  };
+}
+
+/**
+ * Open a glTF document or GLB for reading
+ * @param {Object|Buffer} input - glTF JSON document with embedded buffers, or GLB bytes
+ * @returns {Object} { json, accessor(index) }, where accessor() returns an accessor's values as a typed array
+ * @throws {Error} If a buffer is external or an accessor is interleaved or of an unsupported type
+ */
+export function loadGLTF(input) {
+  const { json, binary } = Buffer.isBuffer(input) ? parseGLB(input) : { json: input, binary: null };
+  const buffers = (json.buffers ?? []).map((buffer, i) => {
+    if (buffer.uri === undefined) return binary;
+    if (!buffer.uri.startsWith('data:')) throw new Error(`buffers[${i}] is external; only embedded buffers can be read`);
+    return Buffer.from(buffer.uri.slice(buffer.uri.indexOf(',') + 1), 'base64');
+  });
+
+  return {
+    json,
+    accessor(index) {
+      const accessor = json.accessors[index];
+      const view = json.bufferViews[accessor.bufferView];
+      const component = COMPONENT_TYPES[accessor.componentType];
+      const width = TYPE_SIZES[accessor.type];
+      if (!component || !width) throw new Error(`accessors[${index}] has unsupported ${accessor.type} of componentType ${accessor.componentType}`);
+      if (view.byteStride !== undefined && view.byteStride !== width * component.size) throw new Error(`accessors[${index}] is interleaved`);
+      const data = buffers[view.buffer];
+      const start = data.byteOffset + (view.byteOffset ?? 0) + (accessor.byteOffset ?? 0);
+      return new component.array(data.buffer.slice(start, start + accessor.count * width * component.size));
+    }
+  };
+}
+
+/**
+ * Check a glTF document or GLB against the glTF 2.0 rules this exporter relies on:
+ * references, buffer bounds and alignment, accessor min/max, index ranges, unit normals and extensions
+ * @param {Object|Buffer} input - glTF JSON document or GLB bytes
+ * @returns {Object} { valid, errors: [{ path, message }], stats: { nodes, meshes, vertices, triangles } }
+ */
+export function validateGLTF(input) {
+  const errors = [];
+  const report = (path, message) => {
+    errors.push({ path, message });
+  };
+  const stats = { nodes: 0, meshes: 0, vertices: 0, triangles: 0 };
+
+  let json = input;
+  let binary = null;
+  if (Buffer.isBuffer(input)) {
+    try {
+      ({ json, binary } = parseGLB(input));
+    } catch (error) {
+      report('glb', error.message);
+      return { valid: false, errors, stats };
+    }
+  }
+
+  if (json.asset?.version !== '2.0') report('asset.version', `must be "2.0", got ${JSON.stringify(json.asset?.version)}`);
+  const nodes = json.nodes ?? [];
+  const meshes = json.meshes ?? [];
+  const accessors = json.accessors ?? [];
+  const bufferViews = json.bufferViews ?? [];
+  const buffers = json.buffers ?? [];
+  const lights = json.extensions?.KHR_lights_punctual?.lights ?? [];
+  const inRange = (index, list) => Number.isInteger(index) && index >= 0 && index < list.length;
+
+  // Extensions
+  const used = json.extensionsUsed ?? [];
+  for (const name of json.extensionsRequired ?? []) {
+    if (!used.includes(name)) report('extensionsRequired', `${name} is required but not in extensionsUsed`);
+  }
+  for (const name of used) {
+    if (!SUPPORTED_EXTENSIONS.includes(name)) report('extensionsUsed', `${name} is not a supported extension`);
+  }
+  const referenced = new Set(Object.keys(json.extensions ?? {}));
+  [...nodes, ...(json.materials ?? [])].forEach(item => Object.keys(item.extensions ?? {}).forEach(name => referenced.add(name)));
+  for (const name of referenced) {
+    if (!used.includes(name)) report('extensionsUsed', `${name} is used but not declared`);
+  }
+
+  // Buffers
+  const bufferData = buffers.map((buffer, i) => {
+    if (buffer.uri === undefined) {
+      if (i !== 0 || !binary) report(`buffers[${i}]`, 'has no uri and no GLB binary chunk');
+      else if (binary.length < buffer.byteLength || binary.length - buffer.byteLength > 3) {
+        report(`buffers[${i}].byteLength`, `${buffer.byteLength} does not match the ${binary.length}-byte BIN chunk`);
+      }
+      return binary;
+    }
+    const match = /^data:application\/(?:octet-stream|gltf-buffer);base64,(.*)$/.exec(buffer.uri);
+    if (!match) {
+      report(`buffers[${i}].uri`, 'must be an embedded base64 data URI');
+      return null;
+    }
+    const data = Buffer.from(match[1], 'base64');
+    if (data.length !== buffer.byteLength) report(`buffers[${i}].byteLength`, `${buffer.byteLength} does not match ${data.length} decoded bytes`);
+    return data;
+  });
+
+  bufferViews.forEach((view, i) => {
+    if (!inRange(view.buffer, buffers)) return report(`bufferViews[${i}].buffer`, `references missing buffer ${view.buffer}`);
+    if ((view.byteOffset ?? 0) + view.byteLength > buffers[view.buffer].byteLength) {
+      report(`bufferViews[${i}]`, 'extends past the end of its buffer');
+    }
+  });
+
+  // Accessors
+  const readAccessor = (accessor, i) => {
+    const component = COMPONENT_TYPES[accessor.componentType];
+    const width = TYPE_SIZES[accessor.type];
+    if (!component || !width) return report(`accessors[${i}]`, `unsupported ${accessor.type} of componentType ${accessor.componentType}`);
+    if (!inRange(accessor.bufferView, bufferViews)) return report(`accessors[${i}].bufferView`, `references missing bufferView ${accessor.bufferView}`);
+    const view = bufferViews[accessor.bufferView];
+    const offset = (view.byteOffset ?? 0) + (accessor.byteOffset ?? 0);
+    if (offset % component.size !== 0) return report(`accessors[${i}].byteOffset`, `is not aligned to ${component.size} bytes`);
+    if ((accessor.byteOffset ?? 0) + accessor.count * width * component.size > view.byteLength) {
+      return report(`accessors[${i}]`, 'extends past the end of its bufferView');
+    }
+    const data = bufferData[view.buffer];
+    if (!data) return null;
+    return new component.array(data.buffer.slice(data.byteOffset + offset, data.byteOffset + offset + accessor.count * width * component.size));
+  };
+  const values = accessors.map(readAccessor);
+
+  // Meshes
+  meshes.forEach((mesh, m) => {
+    stats.meshes += 1;
+    mesh.primitives.forEach((primitive, p) => {
+      const path = `meshes[${m}].primitives[${p}]`;
+      const position = primitive.attributes?.POSITION;
+      if (!inRange(position, accessors)) return report(`${path}.attributes.POSITION`, 'is required');
+      const vertexCount = accessors[position].count;
+
+      for (const [attribute, index] of Object.entries(primitive.attributes)) {
+        if (!inRange(index, accessors)) {
+          report(`${path}.attributes.${attribute}`, `references missing accessor ${index}`);
+          continue;
+        }
+        const accessor = accessors[index];
+        if (accessor.count !== vertexCount) report(`${path}.attributes.${attribute}`, 'count differs from POSITION');
+        if (bufferViews[accessor.bufferView]?.target !== undefined && bufferViews[accessor.bufferView].target !== ARRAY_BUFFER) {
+          report(`${path}.attributes.${attribute}`, 'bufferView target must be ARRAY_BUFFER');
+        }
+      }
+      checkPositions(accessors[position], values[position], `accessors[${position}]`, report);
+      if (inRange(primitive.attributes.NORMAL, accessors)) checkNormals(values[primitive.attributes.NORMAL], `accessors[${primitive.attributes.NORMAL}]`, report);
+
+      if ((primitive.mode ?? TRIANGLES) !== TRIANGLES) report(`${path}.mode`, 'only TRIANGLES primitives are exported');
+      if (primitive.material !== undefined && !inRange(primitive.material, json.materials ?? [])) {
+        report(`${path}.material`, `references missing material ${primitive.material}`);
+      }
+      stats.vertices += vertexCount;
+      if (primitive.indices === undefined) {
+        stats.triangles += Math.floor(vertexCount / 3);
+        return;
+      }
+      if (!inRange(primitive.indices, accessors)) return report(`${path}.indices`, `references missing accessor ${primitive.indices}`);
+      const indices = accessors[primitive.indices];
+      if (indices.type !== 'SCALAR' || indices.componentType === 5126) report(`${path}.indices`, 'must be unsigned integer scalars');
+      if (indices.count % 3 !== 0) report(`${path}.indices`, `count ${indices.count} is not a multiple of 3`);
+      if (values[primitive.indices]?.some(index => index >= vertexCount)) report(`${path}.indices`, `references vertices past ${vertexCount - 1}`);
+      stats.triangles += Math.floor(indices.count / 3);
+    });
+  });
+
+  // Nodes and scenes
+  const parents = new Map();
+  nodes.forEach((node, i) => {
+    stats.nodes += 1;
+    if (node.mesh !== undefined && !inRange(node.mesh, meshes)) report(`nodes[${i}].mesh`, `references missing mesh ${node.mesh}`);
+    const light = node.extensions?.KHR_lights_punctual?.light;
+    if (light !== undefined && !inRange(light, lights)) report(`nodes[${i}].extensions.KHR_lights_punctual.light`, `references missing light ${light}`);
+    if (node.rotation && Math.abs(Math.hypot(...node.rotation) - 1) > 1e-5) report(`nodes[${i}].rotation`, 'must be a unit quaternion');
+    (node.children ?? []).forEach(child => {
+      if (!inRange(child, nodes)) return report(`nodes[${i}].children`, `references missing node ${child}`);
+      if (parents.has(child)) report(`nodes[${child}]`, 'has more than one parent');
+      parents.set(child, i);
+    });
+  });
+  (json.scenes ?? []).forEach((scene, s) => {
+    (scene.nodes ?? []).forEach(root => {
+      if (!inRange(root, nodes)) report(`scenes[${s}].nodes`, `references missing node ${root}`);
+      else if (parents.has(root)) report(`scenes[${s}].nodes`, `node ${root} is not a root node`);
+    });
+  });
+  if (json.scene !== undefined && !inRange(json.scene, json.scenes ?? [])) report('scene', `references missing scene ${json.scene}`);
+
+  (json.materials ?? []).forEach((material, i) => {
+    const factor = material.pbrMetallicRoughness?.baseColorFactor;
+    if (factor && (factor.length !== 4 || factor.some(value => value < 0 || value > 1))) {
+      report(`materials[${i}].pbrMetallicRoughness.baseColorFactor`, 'must be four values between 0 and 1');
+    }
+  });
+
+  return { valid: errors.length === 0, errors, stats };
+}
+
+/**
+ * Lay out geometry in one binary buffer and describe it as glTF JSON, buffers left to the caller
+ * @private
+ */
+function assemble(massing, { materials = [], lighting = {}, generator = 'Harlem4KARRender' }) {
+  const chunks = [];
+  const bufferViews = [];
+  const accessors = [];
+  let byteLength = 0;
+
+  const addAccessor = (array, type, target, bounds = false) => {
+    const bytes = Buffer.from(array.buffer, array.byteOffset, array.byteLength);
+    bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target });
+    const padded = pad(bytes, 0);
+    chunks.push(padded);
+    byteLength += padded.length;
+
+    const componentType = Number(Object.keys(COMPONENT_TYPES).find(key => COMPONENT_TYPES[key].array === array.constructor));
+    const accessor = { bufferView: bufferViews.length - 1, componentType, count: array.length / TYPE_SIZES[type], type };
+    if (bounds) Object.assign(accessor, vectorBounds(array));
+    accessors.push(accessor);
+    return accessors.length - 1;
+  };
+  const primitive = (mesh, material) => ({
+    attributes: {
+      POSITION: addAccessor(mesh.positions, 'VEC3', ARRAY_BUFFER, true),
+      NORMAL: addAccessor(mesh.normals, 'VEC3', ARRAY_BUFFER)
+    },
+    indices: addAccessor(mesh.indices, 'SCALAR', ELEMENT_ARRAY_BUFFER),
+    material,
+    mode: TRIANGLES
+  });
+
+  const meshes = [
+    { name: 'Structure', primitives: [primitive(massing.meshes.slabs, 0), primitive(massing.meshes.core, 1)] },
+    { name: 'Facade', primitives: [primitive(massing.meshes.facade, 2)] }
+  ];
+
+  const colorTemperatureK = lighting.colorTemperatureK ?? 5500;
+  const levelNodes = massing.levels.map(level => ({
+    name: level.label,
+    translation: [0, level.elevation, 0],
+    extras: { annotation: 'level', label: level.label, elevation: level.elevation }
+  }));
+  const layerNodes = {
+    structure: { mesh: 0 },
+    materials: { mesh: 1 },
+    lighting: {
+      // Directional lights shine down their local -Z axis; pitch it 45 degrees below the horizon
+      rotation: [Math.sin(-Math.PI / 8), 0, 0, Math.cos(Math.PI / 8)],
+      extensions: { KHR_lights_punctual: { light: 0 } },
+      extras: { colorTemperatureK, description: lighting.description ?? null }
+    },
+    annotations: {
+      children: levelNodes.map((_, i) => MASSING_LAYERS.length + i),
+      extras: { floorToFloorHeight: massing.floorToFloorHeight, footprintArea: massing.footprintArea }
+    }
+  };
+
+  const json = {
+    asset: { version: '2.0', generator },
+    extensionsUsed: ['KHR_lights_punctual'],
+    extensions: {
+      KHR_lights_punctual: {
+        lights: [{ name: 'Sun', type: 'directional', color: kelvinToRGB(colorTemperatureK), intensity: 3 }]
+      }
+    },
+    scene: 0,
+    scenes: [{ name: massing.name, nodes: MASSING_LAYERS.map((_, i) => i), extras: { floors: massing.floors, height: massing.height, type: massing.type } }],
+    nodes: [
+      ...MASSING_LAYERS.map(layer => ({ name: layer, ...layerNodes[layer], extras: { layer, ...layerNodes[layer].extras } })),
+      ...levelNodes
+    ],
+    meshes,
+    materials: MATERIALS.map(({ name, element, baseColorFactor, roughnessFactor, alphaMode, doubleSided }) => {
+      const suggestion = materials.find(m => m.element === element);
+      return {
+        name,
+        pbrMetallicRoughness: { baseColorFactor, metallicFactor: 0, roughnessFactor },
+        ...(alphaMode && { alphaMode }),
+        ...(doubleSided && { doubleSided }),
+        ...(suggestion && { extras: { suggestedMaterial: suggestion.material, rationale: suggestion.rationale } })
+      };
+    }),
+    accessors,
+    bufferViews
+  };
+
+  return { json, binary: Buffer.concat(chunks, byteLength) };
+}
+
+/**
+ * @private
+ */
+function vectorBounds(array) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < array.length; i++) {
+    min[i % 3] = Math.min(min[i % 3], array[i]);
+    max[i % 3] = Math.max(max[i % 3], array[i]);
+  }
+  return { min, max };
+}
+
+/**
+ * @private
+ */
+function checkPositions(accessor, data, path, report) {
+  if (accessor.type !== 'VEC3' || accessor.componentType !== 5126) return report(path, 'POSITION must be FLOAT VEC3');
+  if (!accessor.min || !accessor.max) return report(path, 'POSITION accessors must declare min and max');
+  if (!data) return;
+  const { min, max } = vectorBounds(data);
+  // min/max are compared at float32 precision, the precision the data is stored at
+  const same = (a, b) => a.every((value, i) => Math.fround(value) === Math.fround(b[i]));
+  if (!same(accessor.min, min) || !same(accessor.max, max)) report(path, 'min/max do not match the POSITION data');
+}
+
+/**
+ * @private
+ */
+function checkNormals(data, path, report) {
+  if (!data) return;
+  for (let i = 0; i < data.length; i += 3) {
+    if (Math.abs(Math.hypot(data[i], data[i + 1], data[i + 2]) - 1) > 5e-4) {
+      return report(path, `NORMAL ${i / 3} is not unit length`);
+    }
+  }
+}
+
+/**
+ * Approximate sRGB color of a black body, normalized to a 0-1 light color
+ * @private
+ */
+function kelvinToRGB(kelvin) {
+  const t = kelvin / 100;
+  const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const green = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  return [red, green, blue].map(value => Math.round(Math.min(255, Math.max(0, value))) / 255);
+}
+
+/**
+ * Pad to a 4-byte boundary, as glTF requires for buffer views and GLB chunks
+ * @private
+ */
+function pad(bytes, fill) {
+  const padding = (4 - (bytes.length % 4)) % 4;
+  return padding === 0 ? bytes : Buffer.concat([bytes, Buffer.alloc(padding, fill)]);
+}
+
+/**
+ * @private
+ */
+function chunkHeader(length, type) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(length, 0);
+  header.writeUInt32LE(type, 4);
+  return header;
+}
@@ -0,0 +1,106 @@
+/**
+ * Tests for glTF Export
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { generateMassing } from './massing-model.js';
+import { exportGLB, exportGLTF, parseGLB, validateGLTF } from './gltf-export.js';
+
+const massing = generateMassing({
+  name: 'Lenox Terrace',
+  floors: 3,
+  height: 12,
+  type: 'Residential',
+  footprint: [[0, 0], [20, 0], [20, 10], [10, 10], [10, 25], [0, 25]]
+});
+
+test('exportGLB - writes an aligned GLB container that validates', () => {
+  const glb = exportGLB(massing);
+
+  assert.strictEqual(glb.toString('ascii', 0, 4), 'glTF');
+  assert.strictEqual(glb.readUInt32LE(4), 2);
+  assert.strictEqual(glb.readUInt32LE(8), glb.length);
+  assert.strictEqual(glb.length % 4, 0);
+  assert.strictEqual(glb.readUInt32LE(16), 0x4e4f534a); // JSON chunk first
+
+  const { json, binary } = parseGLB(glb);
+  assert.strictEqual(json.asset.version, '2.0');
+  assert.strictEqual(json.buffers[0].uri, undefined);
+  assert.strictEqual(json.buffers[0].byteLength, binary.length);
+  assert.ok(json.bufferViews.every(view => view.byteOffset % 4 === 0));
+
+  const result = validateGLTF(glb);
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.stats, { nodes: 8, meshes: 2, vertices: 192, triangles: 104 });
+});
+
+test('exportGLTF - one node per layer, levels under annotations', () => {
+  const gltf = exportGLTF(massing);
+
+  assert.deepStrictEqual(gltf.scenes[gltf.scene].nodes, [0, 1, 2, 3]);
+  assert.deepStrictEqual(gltf.nodes.slice(0, 4).map(n => n.name), ['structure', 'materials', 'lighting', 'annotations']);
+  assert.deepStrictEqual(gltf.meshes[gltf.nodes[0].mesh].primitives.map(p => gltf.materials[p.material].name), ['Floor plates', 'Core']);
+  assert.strictEqual(gltf.materials[gltf.meshes[gltf.nodes[1].mesh].primitives[0].material].alphaMode, 'BLEND');
+  assert.strictEqual(gltf.nodes[2].extensions.KHR_lights_punctual.light, 0);
+  assert.deepStrictEqual(gltf.extensionsUsed, ['KHR_lights_punctual']);
+  assert.deepStrictEqual(gltf.nodes[3].children.map(i => [gltf.nodes[i].name, gltf.nodes[i].translation[1]]), [
+    ['Ground', 0], ['Level 1', 4], ['Level 2', 8], ['Roof', 12]
+  ]);
+  assert.deepStrictEqual(gltf.nodes[3].extras, { layer: 'annotations', floorToFloorHeight: 4, footprintArea: 350 });
+
+  const position = gltf.accessors[gltf.meshes[1].primitives[0].attributes.POSITION];
+  const round = values => values.map(v => Math.round(v * 100) / 100); // Bounds are float32, like the data
+  assert.deepStrictEqual(round(position.min), [-0.15, 0, -0.15]);
+  assert.deepStrictEqual(round(position.max), [20.15, 12, 25.15]);
+  assert.match(gltf.buffers[0].uri, /^data:application\/octet-stream;base64,/);
+  assert.strictEqual(validateGLTF(gltf).valid, true);
+});
+
+test('exportGLTF - tints the sun and names materials from insights', () => {
+  const gltf = exportGLTF(massing, {
+    lighting: { colorTemperatureK: 2700, description: 'Warm evening light' },
+    materials: [{ element: 'facade', material: 'Brick veneer', rationale: 'Matches the block' }]
+  });
+  const [sun] = gltf.extensions.KHR_lights_punctual.lights;
+  assert.strictEqual(sun.color[0], 1);
+  assert.ok(sun.color[2] < sun.color[1] && sun.color[1] < 1);
+  assert.deepStrictEqual(gltf.nodes[2].extras, { layer: 'lighting', colorTemperatureK: 2700, description: 'Warm evening light' });
+  assert.deepStrictEqual(gltf.materials[2].extras, { suggestedMaterial: 'Brick veneer', rationale: 'Matches the block' });
+  assert.strictEqual(gltf.materials[0].extras, undefined);
+});
+
+test('validateGLTF - reports broken documents', () => {
+  const broken = exportGLTF(massing);
+  broken.asset.version = '1.0';
+  broken.accessors[0].max = [0, 0, 0];
+  broken.meshes[0].primitives[0].indices = 99;
+  broken.nodes[0].children = [4];
+  broken.extensionsUsed = [];
+
+  assert.deepStrictEqual(validateGLTF(broken).errors.map(e => e.path), [
+    'asset.version',
+    'extensionsUsed',
+    'accessors[0]',
+    'meshes[0].primitives[0].indices',
+    'nodes[4]'
+  ]);
+
+  const glb = exportGLB(massing);
+  glb.writeUInt32LE(glb.length + 4, 8);
+  assert.deepStrictEqual(validateGLTF(glb).errors, [{ path: 'glb', message: `GLB length ${glb.length + 4} does not match ${glb.length} bytes` }]);
+  assert.throws(() => parseGLB(Buffer.alloc(24)), { message: 'Not a GLB container: bad magic' });
+});
+
+test('validateGLTF - checks index ranges and buffer lengths', () => {
+  const gltf = exportGLTF(massing);
+  gltf.accessors[gltf.meshes[1].primitives[0].attributes.POSITION].count -= 1;
+  gltf.buffers[0].byteLength += 4;
+  const paths = validateGLTF(gltf).errors.map(e => e.path);
+  assert.ok(paths.includes('buffers[0].byteLength'));
+  assert.ok(paths.includes('meshes[1].primitives[0].attributes.NORMAL'));
+  assert.ok(paths.includes('meshes[1].primitives[0].indices'));
+});
+
+console.log('✓ All glTF Export tests passed');
@@ -3,6 +3,47 @@
  * Engages 38M Architects using Gemini-powered 4K visuals with integrated Zakat flow logic
  */
 
+import Money from './money.js';
+import ZakatCalculator from './zakat-calculator.js';
+import ZakatLedger from './zakat-ledger.js';
+import DisbursementEngine from './zakat-disbursement.js';
+import { MockPaymentProvider } from './payment-provider.js';
+import GeminiInsights, { FakeGeminiClient } from './gemini-insights.js';
+import { MASSING_LAYERS, generateMassing } from './massing-model.js';
+import { GLTF_MIME_TYPES, exportGLB, exportGLTF, validateGLTF } from './gltf-export.js';
+import SoftwareRenderer from './software-renderer.js';
+import RenderQueue from './render-queue.js';
+import { MemoryJobStore } from './job-store.js';
+import EngagementAnalytics from './engagement-analytics.js';
+import { measureDistance, measureMassing } from './measurements.js';
+import AnnotationStore from './annotation-store.js';
+import { checkAccessibility } from './accessibility-checker.js';
+import { AllocationPolicyRegistry, DEFAULT_ALLOCATION_POLICY, allocateByPolicy } from './allocation-policy.js';
+import { ValidationError, VALIDATION_CODES, assertValid } from './validation.js';
+import {
+  ALLOCATION_OPTIONS_SCHEMA,
+  BUILDING_SPECS_SCHEMA,
+  DISBURSEMENT_OPTIONS_SCHEMA,
+  MODEL_EXPORT_OPTIONS_SCHEMA,
+  PREVIEW_OPTIONS_SCHEMA,
+  PROJECT_SCHEMA,
+  RENDER_CONFIG_SCHEMA,
+  RENDER_JOB_REQUEST_SCHEMA,
+  RENDERER_PARAMS_SCHEMA,
+  TRANSACTION_AMOUNT_SCHEMA
+} from './schemas.js';
+
+const DEFAULT_RENDER_CONFIG = {
+  resolution: { width: 3840, height: 2160 }, // 4K resolution
+  aiModel: 'gemini-pro-vision',
+  framerate: 60,
+  colorDepth: 10, // 10-bit color for professional visualization
+  hdrEnabled: true,
+  antiAliasing: 'MSAA-8x'
+};
+
+const ACCESSIBILITY_CHECKER = 'accessibility-checker'; // Author of the annotation threads opened for violations
+
 export class Harlem4KARRender {
   constructor(config = {}) {
     this.config = {
@@ -10,35 +51,86 @@ export class Harlem4KARRender {
       resolution: '4K',
       renderEngine: 'Gemini-AI',
       zakatFlowEnabled: true,
+      currency: 'USD', // Currency of transaction and Zakat amounts
+      roundingMode: 'halfEven', // 'halfEven' (banker's) or 'halfUp' rounding of Zakat to the minor unit
+      zakat: {}, // ZakatCalculator config, e.g. { nisabBasis: 'silver' }
+      allocationPolicyId: DEFAULT_ALLOCATION_POLICY.id, // Beneficiary policy; its latest version is used unless a call names one
+      ledger: null, // ZakatLedger, or an exported ledger to continue after a restart (default: a new ledger)
+      paymentProvider: null, // PaymentProvider adapter for payouts (default: an in-memory MockPaymentProvider)
+      disbursement: {}, // DisbursementEngine config, e.g. { maxAttempts: 5, minimumPayout: 50 }
+      geminiClient: null, // Gemini model client, e.g. from createGeminiClient() (default: an offline FakeGeminiClient)
+      gemini: {}, // GeminiInsights config, e.g. { model: 'gemini-1.5-pro', timeoutMs: 5000 }
+      massing: {}, // generateMassing options, e.g. { slabThickness: 0.25, width: 40, depth: 24 }
+      renderQueue: {}, // RenderQueue config, e.g. { concurrency: 4, tenantQuota: { maxQueued: 20 }, timeBudgetMs: 60000 }
+      jobStore: null, // JobStore render jobs are saved to, e.g. a FileJobStore to keep them across restarts (default: in memory)
+      analytics: null, // EngagementAnalytics, or exported analytics to continue after a restart (default: new analytics)
+      annotations: null, // AnnotationStore, or exported annotations to continue after a restart (default: a new store)
+      annotationStore: null, // JobStore annotation threads are saved to, e.g. a FileJobStore to keep them across restarts (default: in memory)
+      accessibilityRulePacks: ['ada-ny'], // Accessibility codes visualizations are checked against, e.g. ['jp-barrier-free'] for Tokyo
       ...config
     };
+    assertValid(RENDER_CONFIG_SCHEMA, this.config, 'config');
+    this.allocationPolicies = new AllocationPolicyRegistry();
+    this.zakatCalculator = new ZakatCalculator({
+      currency: this.config.currency,
+      roundingMode: this.config.roundingMode,
+      ...this.config.zakat
+    });
+    this.ledger = this.openLedger(this.config.ledger);
+    this.disbursements = new DisbursementEngine({
+      ...this.config.disbursement,
+      ledger: this.ledger,
+      provider: this.config.paymentProvider ?? new MockPaymentProvider()
+    });
+    this.gemini = new GeminiInsights({
+      ...this.config.gemini,
+      client: this.config.geminiClient ?? new FakeGeminiClient()
+    });
+    this.renderConfig = DEFAULT_RENDER_CONFIG; // Replaced by initializeGeminiRenderer()
+    this.renderJobs = new RenderQueue({
+      ...this.config.renderQueue,
+      store: this.config.jobStore ?? new MemoryJobStore(),
+      execute: (job, context) => this.executeRenderJob(job.payload, context),
+      // Annotate only the visualization a job returns, not those of attempts abandoned over a budget
+      complete: (job, result) => (job.payload.kind === 'visualization' ? this.annotateViolations(result) : result),
+      estimateMemory: (job, resolution) => this.previewRenderer(resolution).estimateMemory({ draft: job.payload.options.draft })
+    });
+    this.analytics = this.config.analytics instanceof EngagementAnalytics
+      ? this.config.analytics
+      : this.config.analytics ? EngagementAnalytics.fromJSON(this.config.analytics) : new EngagementAnalytics();
+    const annotationConfig = { store: this.config.annotationStore ?? new MemoryJobStore() };
+    this.annotations = this.config.annotations instanceof AnnotationStore
+      ? this.config.annotations
+      : this.config.annotations ? AnnotationStore.fromJSON(this.config.annotations, annotationConfig) : new AnnotationStore(annotationConfig);
     this.engagementMetrics = {
       totalReach: 0,
       activeUsers: 0,
-      zakatContributions: 0
+      dailyActiveUsers: 0,
+      weeklyActiveUsers: 0,
+      interactionRate: 0,
+      zakatContributions: this.ledger.balances().totals.contributed
     };
+    this.refreshEngagementMetrics();
   }
 
   /**
    * Initialize Gemini-powered 4K visual rendering
-   * @param {Object} visualParams - Parameters for visual rendering
-   * @returns {Object} Render configuration
+   * @param {Object} visualParams - Parameters for visual rendering (see RENDERER_PARAMS_SCHEMA)
+   * @returns {Object} Render configuration, capabilities and the Gemini insights model in use
+   * @throws {ValidationError} When a parameter is mistyped or out of range
    */
   async initializeGeminiRenderer(visualParams = {}) {
-    const renderConfig = {
-      resolution: { width: 3840, height: 2160 }, // 4K resolution
-      aiModel: 'gemini-pro-vision',
-      framerate: 60,
-      colorDepth: 10, // 10-bit color for professional visualization
-      hdrEnabled: true,
-      antiAliasing: 'MSAA-8x',
-      ...visualParams
-    };
+    assertValid(RENDERER_PARAMS_SCHEMA, visualParams, 'visualParams');
+    const renderConfig = { ...DEFAULT_RENDER_CONFIG, ...visualParams };
+    this.renderConfig = renderConfig;
 
     console.log('Initializing Gemini-powered 4K AR renderer...');
     console.log(`Target resolution: ${renderConfig.resolution.width}x${renderConfig.resolution.height}`);
     console.log(`AI Model: ${renderConfig.aiModel}`);
 
+    const { offline } = this.gemini;
+    console.log(`Insights Model: ${this.gemini.config.model}${offline ? ' (offline fake client)' : ''}`);
+
     return {
       status: 'initialized',
       config: renderConfig,
@@ -47,61 +139,234 @@ export class Harlem4KARRender {
         aiEnhancement: true,
         arSupport: true,
         cloudSync: true
-      }
+      },
+      gemini: { model: this.gemini.config.model, offline }
     };
   }
 
   /**
    * Integrate Zakat flow logic for ethical financial distribution
-   * @param {number} transactionAmount - Base transaction amount
-   * @returns {Object} Zakat calculation results
+   * A flat 2.5% levy on a transaction flow; use assessZakat to assess the zakat a holder owes.
+   * Zakat is rounded once to the minor unit, split across beneficiaries by an allocation policy
+   * and recorded as a contribution in the ledger.
+   * @param {(number|Money)} transactionAmount - Base transaction amount (numbers are in config.currency)
+   * @param {Object} options - Allocation policy selection
+   * @param {string} options.policyId - Policy to apply (default: config.allocationPolicyId)
+   * @param {number} options.policyVersion - Policy version (default: the latest)
+   * @param {string} options.projectId - Project whose policy overrides apply
+   * @param {string} options.reference - Transaction reference stored on the ledger entry
+   * @returns {Object} Zakat calculation results, with every amount as Money, the policy version used and the ledger entry
+   * @throws {ValidationError} When the amount or options are invalid, or the policy is not defined
    */
-  calculateZakatFlow(transactionAmount) {
+  calculateZakatFlow(transactionAmount, options = {}) {
+    assertValid(TRANSACTION_AMOUNT_SCHEMA, transactionAmount, 'transactionAmount');
+    assertValid(ALLOCATION_OPTIONS_SCHEMA, options, 'options');
     const zakatRate = 0.025; // 2.5% standard Zakat rate
-    const zakatAmount = transactionAmount * zakatRate;
+    const { currency, roundingMode } = this.config;
+    const total = transactionAmount instanceof Money
+      ? transactionAmount
+      : Money.of(transactionAmount, currency, roundingMode);
+    const zakatAmount = total.multiply(zakatRate, roundingMode);
+    const allocation = this.distributeZakat(zakatAmount, options);
     
     const distribution = {
-      mainAmount: transactionAmount - zakatAmount,
+      mainAmount: total.subtract(zakatAmount),
       zakatAmount: zakatAmount,
-      beneficiaries: {
-        community: zakatAmount * 0.4,
-        education: zakatAmount * 0.3,
-        infrastructure: zakatAmount * 0.2,
-        emergency: zakatAmount * 0.1
-      }
+      beneficiaries: allocation.allocations,
+      byAsnaf: allocation.byAsnaf,
+      capsApplied: allocation.capsApplied,
+      unallocated: allocation.unallocated
     };
 
-    this.engagementMetrics.zakatContributions += zakatAmount;
+    const entry = this.recordContribution(allocation, options.reference);
 
     return {
-      total: transactionAmount,
+      total,
       distribution,
       zakatRate,
-      timestamp: new Date().toISOString()
+      policy: allocation.policy,
+      ledgerEntry: { sequence: entry.sequence, hash: entry.hash },
+      timestamp: entry.timestamp
+    };
+  }
+
+  /**
+   * Assess the zakat a holder owes on their wealth and collect it when due
+   * Applies nisab and hawl through the ZakatCalculator; zakat that is due is split across
+   * beneficiaries and recorded in the ledger like calculateZakatFlow, referenced by holder id.
+   * @param {string} holderId - Holder whose hawl is tracked
+   * @param {Object} holding - Wealth on the date (see ZakatCalculator.assess)
+   * @param {Object} options - Allocation policy selection and reference (see calculateZakatFlow)
+   * @returns {Object} ZakatCalculator assessment plus `beneficiaries`, `allocation`, `policy` and `ledgerEntry` (null unless zakat is due)
+   * @throws {ValidationError} When the holding or options are invalid, or the policy is not defined
+   */
+  assessZakat(holderId, holding, options = {}) {
+    assertValid(ALLOCATION_OPTIONS_SCHEMA, options, 'options');
+    const policy = this.allocationPolicies.get(options.policyId ?? this.config.allocationPolicyId, options.policyVersion);
+    const assessment = this.zakatCalculator.assess(holderId, holding);
+    if (!assessment.zakatDue) {
+      return { ...assessment, beneficiaries: null, allocation: null, policy: null, ledgerEntry: null };
+    }
+
+    const allocation = allocateByPolicy(assessment.zakatAmount, policy, options.projectId);
+    const entry = this.recordContribution(allocation, options.reference ?? holderId);
+    return {
+      ...assessment,
+      beneficiaries: allocation.allocations,
+      allocation,
+      policy: allocation.policy,
+      ledgerEntry: { sequence: entry.sequence, hash: entry.hash }
     };
   }
 
+  /**
+   * Record zakat paid out of a beneficiary's ledger balance outside the disbursement engine
+   * @param {string} recipientId - Beneficiary of the allocation policy, e.g. 'community'
+   * @param {(number|Money)} amount - Amount paid (numbers are in config.currency)
+   * @param {Object} options - Ledger details
+   * @param {string} options.reference - Payment reference
+   * @param {string} options.memo - Free-text note
+   * @returns {Object} The ledger entry and the beneficiary's remaining balance
+   * @throws {ValidationError} When the amount is not positive or exceeds the balance not held by payouts
+   */
+  disburseZakat(recipientId, amount, options = {}) {
+    assertValid(TRANSACTION_AMOUNT_SCHEMA, amount, 'amount');
+    assertValid(DISBURSEMENT_OPTIONS_SCHEMA, options, 'options');
+    const { currency, roundingMode } = this.config;
+    const paid = amount instanceof Money ? amount : Money.of(amount, currency, roundingMode);
+    const available = this.disbursements.available(recipientId);
+    if (paid.compare(available) > 0) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.OUT_OF_RANGE,
+        path: 'amount',
+        allowed: `at most the ${available} of ${recipientId} not held by payouts`,
+        value: paid.toDecimalString(),
+        message: `Disbursement of ${paid} exceeds the ${available} of ${recipientId} not held by payouts`
+      });
+    }
+
+    const entry = this.ledger.recordDisbursement({ recipientId, amount: paid, ...options });
+    return { entry, balance: this.ledger.balances().categories[recipientId].balance };
+  }
+
+  /**
+   * Pay accrued zakat to the recipients registered with `disbursements`
+   * Creates a batch for the available balance of each category and sends it to the payment provider.
+   * Calling it again with the same key resends only what is still pending, so a payout is never made twice.
+   * @param {string} idempotencyKey - Key for this payout run, e.g. '2026-03'
+   * @param {Object} options - Batch options
+   * @param {string[]} options.categories - Categories to pay (default: every category with recipients)
+   * @returns {Promise<Object>} The batch with the status of each payout
+   * @throws {ValidationError} For invalid options
+   */
+  async payOutZakat(idempotencyKey, options = {}) {
+    this.disbursements.createBatch({ ...options, idempotencyKey });
+    await this.disbursements.dispatch(idempotencyKey);
+    return this.disbursements.getBatch(idempotencyKey);
+  }
+
+  /**
+   * Define a beneficiary allocation policy version for zakat calculations
+   * @param {Object} policy - Allocation policy (see ALLOCATION_POLICY_SCHEMA)
+   * @returns {Object} The frozen policy
+   * @throws {ValidationError} For an invalid policy or a changed existing version
+   */
+  defineAllocationPolicy(policy) {
+    return this.allocationPolicies.define(policy);
+  }
+
+  /**
+   * Append an allocated zakat amount to the ledger and update the running total
+   * @private
+   */
+  recordContribution(allocation, reference) {
+    const entry = this.ledger.recordContribution({
+      amount: allocation.total,
+      allocations: allocation.allocations,
+      unallocated: allocation.unallocated,
+      policy: allocation.policy,
+      reference
+    });
+    this.engagementMetrics.zakatContributions = this.engagementMetrics.zakatContributions.add(allocation.total);
+    return entry;
+  }
+
+  /**
+   * Use the configured ledger, restore an exported one or start a new one
+   * @private
+   */
+  openLedger(ledger) {
+    const { currency } = this.config;
+    const opened = ledger instanceof ZakatLedger
+      ? ledger
+      : ledger ? ZakatLedger.fromJSON(ledger) : new ZakatLedger({ currency });
+    if (opened.config.currency !== currency) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'config.ledger',
+        allowed: `a ledger in ${currency}`,
+        value: opened.config.currency,
+        message: `Zakat ledger is in ${opened.config.currency}, not ${currency}`
+      });
+    }
+    return opened;
+  }
+
+  /**
+   * Take reach and active users from the analytics; reach counts each architect once across projects
+   * @private
+   */
+  refreshEngagementMetrics() {
+    const { uniqueArchitects, interactionRate, activeUsers } = this.analytics.summary();
+    Object.assign(this.engagementMetrics, {
+      totalReach: uniqueArchitects,
+      activeUsers: Math.min(uniqueArchitects, this.config.targetAudience),
+      dailyActiveUsers: activeUsers.daily,
+      weeklyActiveUsers: activeUsers.weekly,
+      interactionRate
+    });
+  }
+
+  /**
+   * Split zakat across beneficiaries with the selected allocation policy
+   * @private
+   */
+  distributeZakat(zakatAmount, { policyId = this.config.allocationPolicyId, policyVersion, projectId } = {}) {
+    return allocateByPolicy(zakatAmount, this.allocationPolicies.get(policyId, policyVersion), projectId);
+  }
+
+  /**
+   * Record view, rotate, zoom, layer-toggle and measurement events from AR sessions
+   * @param {(Object|Object[])} events - { type, architectId, projectId, timestamp } (see ENGAGEMENT_EVENT_SCHEMA)
+   * @returns {Object} { accepted, rejected: [{ index, errors }] }; invalid events are skipped, not thrown
+   */
+  trackEngagement(events) {
+    const result = this.analytics.ingest(events);
+    this.refreshEngagementMetrics();
+    return result;
+  }
+
   /**
    * Engage architects with AR visualization
-   * @param {Object} project - Project data for AR rendering
+   * Reach and interaction rate come from the project's tracked events (see trackEngagement), with each
+   * architect counted once.
+   * @param {Object} project - Project data for AR rendering; `name` is required
    * @returns {Object} Engagement results
+   * @throws {ValidationError} When the project has no name
    */
   async engageArchitects(project) {
+    assertValid(PROJECT_SCHEMA, project, 'project');
+    const projectId = project.id || crypto.randomUUID();
+    const stats = this.analytics.projectStats(projectId);
     const engagement = {
-      projectId: project.id || crypto.randomUUID(),
+      projectId,
       projectName: project.name,
-      architectsReached: Math.floor(Math.random() * 1000) + 500,
-      interactionRate: 0.75,
+      architectsReached: stats.uniqueArchitects,
+      interactionRate: stats.interactionRate,
       renderQuality: '4K-HDR',
       geminiEnhancement: true
     };
-
-    // Update engagement metrics
-    this.engagementMetrics.totalReach += engagement.architectsReached;
-    this.engagementMetrics.activeUsers = Math.min(
-      this.engagementMetrics.totalReach,
-      this.config.targetAudience
-    );
+    this.refreshEngagementMetrics();
 
     // Calculate progress towards 38M target
     const progressPercentage = (this.engagementMetrics.activeUsers / this.config.targetAudience) * 100;
@@ -120,12 +385,32 @@ export class Harlem4KARRender {
 
   /**
    * Generate AR visualization data
+   * Asks Gemini for material, lighting and accessibility insights on the specs. An enhancement whose
+   * request fails is switched off and its error listed in `render.insights.errors`. The massing model
+   * is a GLB with one node per layer in `model.layerNodes`, which the layer toggle shows and hides.
+   * The specs are checked against `accessibilityRulePacks`, and each violation is opened as an annotation
+   * thread on the visualization.
    * @param {Object} buildingSpecs - Building specifications
-   * @returns {Object} AR visualization data
+   * @returns {Promise<Object>} AR visualization data
+   * @throws {ValidationError} When floors or height are out of range or the footprint is not a simple polygon
    */
-  generateARVisualization(buildingSpecs) {
+  async generateARVisualization(buildingSpecs) {
+    return this.annotateViolations(await this.buildVisualization(buildingSpecs));
+  }
+
+  /**
+   * Everything generateARVisualization returns, without opening annotation threads
+   * Render jobs call this from attempts that may be abandoned, and annotate once the job succeeds.
+   * @private
+   */
+  async buildVisualization(buildingSpecs) {
+    assertValid(BUILDING_SPECS_SCHEMA, buildingSpecs, 'buildingSpecs');
+    const report = this.checkAccessibility(buildingSpecs);
+    const insights = await this.gemini.analyze(buildingSpecs);
+    const model = this.buildMassingModel(buildingSpecs, insights, 'glb');
+    const visualizationId = crypto.randomUUID();
     return {
-      visualizationId: crypto.randomUUID(),
+      visualizationId,
       specs: buildingSpecs,
       render: {
         resolution: '3840x2160',
@@ -138,12 +423,15 @@ export class Harlem4KARRender {
           annotations: true
         },
         geminiEnhancements: {
-          intelligentLighting: true,
-          materialOptimization: true,
+          intelligentLighting: insights.lighting !== null,
+          materialOptimization: insights.materials !== null,
           spatialAnalysis: true,
-          accessibilityInsights: true
-        }
+          accessibilityInsights: insights.accessibility !== null
+        },
+        insights
       },
+      model,
+      accessibility: report,
       interactivity: {
         rotation: true,
         zoom: true,
@@ -155,6 +443,291 @@ export class Harlem4KARRender {
     };
   }
 
+  /**
+   * Export the procedural massing model of a building as glTF 2.0
+   * Floor plates and core form the structure node, the facade the materials node, a sun light
+   * tinted by Gemini's lighting insight the lighting node, and one child per level the annotations node.
+   * @param {Object} buildingSpecs - Building specifications, optionally with a footprint polygon
+   * @param {Object} options - Export options
+   * @param {string} options.format - 'glb' (binary, default) or 'gltf' (JSON with an embedded buffer)
+   * @returns {Promise<Object>} { format, mimeType, data, byteLength, layerNodes, floorToFloorHeight, levels, validation }
+   * @throws {ValidationError} When the specs or format are invalid or the footprint is not a simple polygon
+   */
+  async exportMassingModel(buildingSpecs, options = {}) {
+    assertValid(BUILDING_SPECS_SCHEMA, buildingSpecs, 'buildingSpecs');
+    assertValid(MODEL_EXPORT_OPTIONS_SCHEMA, options, 'options');
+    const insights = await this.gemini.analyze(buildingSpecs, ['materials', 'lighting']);
+    return this.buildMassingModel(buildingSpecs, insights, options.format ?? 'glb');
+  }
+
+  /**
+   * Render a still preview of a building's massing model on the CPU
+   * Uses the resolution, anti-aliasing and color depth of the renderer config (see initializeGeminiRenderer).
+   * @param {Object} buildingSpecs - Building specifications, optionally with a footprint polygon
+   * @param {Object} options - Preview options
+   * @param {Object} options.camera - { position, target, up, fov, near } (default: framing the whole model)
+   * @param {boolean} options.draft - Quarter-resolution render at one sample per pixel (default: false)
+   * @param {string[]} options.layers - Massing layers to draw (default: all)
+   * @param {boolean} options.toneMapped - Also encode a tone-mapped PNG at the config's color depth (default: config.hdrEnabled)
+   * @returns {Promise<Object>} { width, height, antiAliasing, samples, draft, camera, colorDepth, png, toneMappedPng, stats }
+   * @throws {ValidationError} When the specs or options are invalid, or the configured resolution exceeds 3840x2160
+   */
+  async renderPreview(buildingSpecs, options = {}) {
+    assertValid(BUILDING_SPECS_SCHEMA, buildingSpecs, 'buildingSpecs');
+    assertValid(PREVIEW_OPTIONS_SCHEMA, options, 'options');
+    return this.previewAt(buildingSpecs, options, { resolution: this.renderConfig.resolution });
+  }
+
+  /**
+   * Queue a preview or visualization render to run in the background
+   * Jobs start by priority within `renderQueue` concurrency and per-tenant quotas. A job that runs over
+   * its time or memory budget above the fallback resolution (1920x1080 by default) is rerun at it.
+   * @param {Object} request - Render job (see RENDER_JOB_REQUEST_SCHEMA)
+   * @param {string} request.tenantId - Studio or client the job counts against
+   * @param {string} request.kind - 'preview' (renderPreview, default) or 'visualization' (generateARVisualization plus a preview)
+   * @param {Object} request.specs - Building specifications
+   * @param {Object} request.options - renderPreview options
+   * @param {string} request.priority - 'high', 'normal' (default) or 'low'
+   * @param {Object} request.resolution - { width, height } (default: the renderer config resolution)
+   * @returns {Promise<string>} Job id for getRenderJob and cancelRenderJob
+   * @throws {ValidationError} For an invalid request, or a tenant already at its queued job quota
+   */
+  async submitRenderJob(request) {
+    assertValid(RENDER_JOB_REQUEST_SCHEMA, request, 'request');
+    const { tenantId, kind = 'preview', specs, options = {}, priority, resolution = this.renderConfig.resolution } = request;
+    assertValid(BUILDING_SPECS_SCHEMA, specs, 'request.specs');
+    assertValid(PREVIEW_OPTIONS_SCHEMA, options, 'request.options');
+    return this.renderJobs.submit({ tenantId, priority, resolution, payload: { kind, specs, options } });
+  }
+
+  /**
+   * Poll a render job
+   * @param {string} jobId - Id from submitRenderJob
+   * @returns {Object} { status, progress, stage, attempts, fallback, result, error, ... } (see RenderQueue.getJob)
+   * @throws {ValidationError} For an unknown job
+   */
+  getRenderJob(jobId) {
+    return this.renderJobs.getJob(jobId);
+  }
+
+  /**
+   * Cancel a queued or running render job
+   * @param {string} jobId - Id from submitRenderJob
+   * @returns {Promise<Object>} The cancelled job
+   * @throws {ValidationError} For an unknown or finished job
+   */
+  async cancelRenderJob(jobId) {
+    return this.renderJobs.cancel(jobId);
+  }
+
+  /**
+   * Change the priority of a queued render job
+   * @param {string} jobId - Id from submitRenderJob
+   * @param {string} priority - 'high', 'normal' or 'low'
+   * @returns {Promise<Object>} The job
+   * @throws {ValidationError} For an invalid priority, or a job that is not queued
+   */
+  async setRenderJobPriority(jobId, priority) {
+    return this.renderJobs.setPriority(jobId, priority);
+  }
+
+  /**
+   * Reload render jobs saved in config.jobStore, after a restart; jobs that were running start again
+   * @returns {Promise<Object>} { restored, requeued } job counts
+   * @throws {ValidationError} If jobs were submitted before restoring
+   */
+  async restoreRenderJobs() {
+    return this.renderJobs.restore();
+  }
+
+  /**
+   * Check building specs against accessibility rule packs
+   * @param {Object} buildingSpecs - Building specifications with elevators, entrances, ramps, restrooms and corridors
+   * @param {string[]} rulePacks - 'ada-ny' and/or 'jp-barrier-free' (default: config.accessibilityRulePacks)
+   * @returns {Object} { rulePacks, compliant, violations, counts, evaluated, notEvaluated }
+   * @throws {ValidationError} For invalid specs or an unknown rule pack
+   */
+  checkAccessibility(buildingSpecs, rulePacks = this.config.accessibilityRulePacks) {
+    return checkAccessibility(buildingSpecs, rulePacks);
+  }
+
+  /**
+   * Measure between two points of a visualization's massing model
+   * @param {number[]} from - [x, y, z] in model coordinates (meters, Y up)
+   * @param {number[]} to - [x, y, z] in model coordinates
+   * @param {Object} options - { unit }: 'm' (default) or 'ft'
+   * @returns {Object} { distance, horizontal, vertical, unit }
+   * @throws {ValidationError} For a point without three coordinates or an unknown unit
+   */
+  measureDistance(from, to, options = {}) {
+    return measureDistance(from, to, options);
+  }
+
+  /**
+   * Measure a building's massing model: floor area per level, gross floor area, facade area and height checks
+   * @param {Object} buildingSpecs - Building specifications, optionally with a footprint polygon
+   * @param {Object} options - Measurement options (see MEASUREMENT_OPTIONS_SCHEMA)
+   * @param {string} options.unit - Length unit: 'm' (default) or 'ft'
+   * @param {string} options.areaUnit - Area unit: 'm2', 'ft2' or 'tsubo' (default: the square of `unit`)
+   * @param {Object} options.limits - { maxHeight, maxFloors, minFloorToFloorHeight } to check, lengths in `unit`
+   * @returns {Object} { unit, areaUnit, height, floors, floorToFloorHeight, levels, grossFloorArea, facadeArea, heightCheck }
+   * @throws {ValidationError} For invalid specs or options
+   */
+  measureBuilding(buildingSpecs, options = {}) {
+    return measureMassing(generateMassing(buildingSpecs, this.config.massing), options);
+  }
+
+  /**
+   * Start an annotation thread on a visualization
+   * @param {string} visualizationId - Id from generateARVisualization
+   * @param {Object} annotation - { anchor, author, body }; anchor is { position: [x, y, z] }, { element, level } or both
+   * @returns {Object} The thread, with status 'open'
+   * @throws {ValidationError} For an invalid annotation or an anchor with neither a position nor an element
+   */
+  annotate(visualizationId, annotation) {
+    return this.annotations.createThread({ ...annotation, visualizationId });
+  }
+
+  /**
+   * Reply to an annotation thread, open or resolved
+   * @param {string} threadId - Id from annotate
+   * @param {Object} reply - { author, body }
+   * @returns {Object} The thread
+   * @throws {ValidationError} For an unknown thread or an invalid reply
+   */
+  replyToAnnotation(threadId, reply) {
+    return this.annotations.reply(threadId, reply);
+  }
+
+  /**
+   * Mark an annotation thread resolved
+   * @param {string} threadId - Id from annotate
+   * @param {string} author - Who resolved it
+   * @returns {Object} The thread, with resolvedBy and resolvedAt
+   * @throws {ValidationError} For an unknown or already resolved thread
+   */
+  resolveAnnotation(threadId, author) {
+    return this.annotations.resolve(threadId, author);
+  }
+
+  /**
+   * Open a resolved annotation thread again
+   * @param {string} threadId - Id from annotate
+   * @param {string} author - Who reopened it
+   * @returns {Object} The thread
+   * @throws {ValidationError} For an unknown or already open thread
+   */
+  reopenAnnotation(threadId, author) {
+    return this.annotations.reopen(threadId, author);
+  }
+
+  /**
+   * Annotation threads of a visualization, in creation order
+   * @param {string} visualizationId - Id from generateARVisualization
+   * @param {Object} filter - Optional { status, element, author }
+   * @returns {Object[]} Threads
+   */
+  listAnnotations(visualizationId, filter = {}) {
+    return this.annotations.list({ ...filter, visualizationId });
+  }
+
+  /**
+   * Reload annotation threads saved in config.annotationStore, after a restart
+   * @returns {Promise<number>} Threads restored
+   * @throws {ValidationError} If threads were created before restoring, or a saved thread is invalid
+   */
+  async restoreAnnotations() {
+    return this.annotations.restore();
+  }
+
+  /**
+   * Open an annotation thread for each accessibility violation of a visualization, pinned where the rule points
+   * @private
+   */
+  annotateViolations(visualization) {
+    const { visualizationId, accessibility } = visualization;
+    const violations = accessibility.violations.map(violation => {
+      const thread = this.annotations.createThread({
+        visualizationId,
+        anchor: violation.anchor,
+        author: ACCESSIBILITY_CHECKER,
+        body: `${violation.reference} (${violation.severity}): ${violation.message}. Suggested fix: ${violation.fix}.`
+      });
+      return { ...violation, threadId: thread.id };
+    });
+    return { ...visualization, accessibility: { ...accessibility, violations } };
+  }
+
+  /**
+   * Run a queued render job at the resolution the render queue chose
+   * @private
+   */
+  async executeRenderJob({ kind, specs, options }, { resolution, signal, onProgress }) {
+    if (kind === 'preview') return this.previewAt(specs, options, { resolution, signal, onProgress });
+
+    onProgress(0, 'insights');
+    const visualization = await this.buildVisualization(specs);
+    const preview = await this.previewAt(specs, options, {
+      resolution,
+      signal,
+      onProgress: (fraction, stage) => onProgress(0.2 + fraction * 0.8, stage)
+    });
+    return { ...visualization, preview };
+  }
+
+  /**
+   * Render and encode a preview at a resolution, reporting the model, rasterize and encode stages
+   * @private
+   */
+  async previewAt(buildingSpecs, options, { resolution, signal, onProgress = () => {} }) {
+    const { toneMapped = this.renderConfig.hdrEnabled, ...renderOptions } = options;
+    const renderer = this.previewRenderer(resolution);
+
+    onProgress(0, 'model');
+    const model = await this.exportMassingModel(buildingSpecs);
+    const { pixels, ...image } = await renderer.renderAsync(model.data, {
+      ...renderOptions,
+      signal,
+      onProgress: fraction => onProgress(0.1 + fraction * 0.7, 'rasterize')
+    });
+    onProgress(0.8, 'encode');
+    return {
+      ...image,
+      colorDepth: renderer.config.colorDepth,
+      png: renderer.toPNG({ ...image, pixels }),
+      toneMappedPng: toneMapped ? renderer.toToneMappedPNG({ ...image, pixels }) : null
+    };
+  }
+
+  /**
+   * Software renderer with the anti-aliasing and color depth of the renderer config
+   * @private
+   */
+  previewRenderer(resolution) {
+    const { antiAliasing, colorDepth } = this.renderConfig;
+    return new SoftwareRenderer({ resolution, antiAliasing, colorDepth });
+  }
+
+  /**
+   * Generate, export and validate a massing model; insights that failed fall back to the default layers
+   * @private
+   */
+  buildMassingModel(buildingSpecs, insights, format) {
+    const massing = generateMassing(buildingSpecs, this.config.massing);
+    const layerOptions = { materials: insights.materials ?? [], lighting: insights.lighting ?? {} };
+    const data = format === 'glb' ? exportGLB(massing, layerOptions) : exportGLTF(massing, layerOptions);
+    return {
+      format,
+      mimeType: GLTF_MIME_TYPES[format],
+      data,
+      byteLength: format === 'glb' ? data.length : Buffer.byteLength(JSON.stringify(data)),
+      layerNodes: Object.fromEntries(MASSING_LAYERS.map((layer, node) => [layer, node])),
+      floorToFloorHeight: massing.floorToFloorHeight,
+      levels: massing.levels,
+      validation: validateGLTF(data)
+    };
+  }
+
   /**
    * Get current engagement statistics
    * @returns {Object} Current metrics
@@ -5,6 +5,13 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import Harlem4KARRender from './harlem4k-ar-render.js';
+import { parseGLB } from './gltf-export.js';
+import { decodePNG } from './png.js';
+import Money from './money.js';
+import { MockPaymentProvider } from './payment-provider.js';
+import { FakeGeminiClient } from './gemini-insights.js';
+import SoftwareRenderer from './software-renderer.js';
+import { MemoryJobStore } from './job-store.js';
 
 test('Harlem4KARRender - Constructor initializes with defaults', () => {
   const harlemAR = new Harlem4KARRender();
@@ -15,7 +22,7 @@ test('Harlem4KARRender - Constructor initializes with defaults', () => {
   assert.strictEqual(harlemAR.config.zakatFlowEnabled, true);
   assert.strictEqual(harlemAR.engagementMetrics.totalReach, 0);
   assert.strictEqual(harlemAR.engagementMetrics.activeUsers, 0);
-  assert.strictEqual(harlemAR.engagementMetrics.zakatContributions, 0);
+  assert.ok(harlemAR.engagementMetrics.zakatContributions.equals(Money.zero('USD')));
 });
 
 test('Harlem4KARRender - Constructor accepts custom config', () => {
@@ -47,19 +54,158 @@ test('Harlem4KARRender - calculateZakatFlow calculates correctly', () => {
   const harlemAR = new Harlem4KARRender();
   const result = harlemAR.calculateZakatFlow(100000);
   
-  assert.strictEqual(result.total, 100000);
+  assert.strictEqual(result.total.toNumber(), 100000);
   assert.strictEqual(result.zakatRate, 0.025);
-  assert.strictEqual(result.distribution.zakatAmount, 2500);
-  assert.strictEqual(result.distribution.mainAmount, 97500);
-  assert.strictEqual(result.distribution.beneficiaries.community, 1000);
-  assert.strictEqual(result.distribution.beneficiaries.education, 750);
-  assert.strictEqual(result.distribution.beneficiaries.infrastructure, 500);
-  assert.strictEqual(result.distribution.beneficiaries.emergency, 250);
-  assert.strictEqual(harlemAR.engagementMetrics.zakatContributions, 2500);
+  assert.strictEqual(result.distribution.zakatAmount.toNumber(), 2500);
+  assert.strictEqual(result.distribution.mainAmount.toNumber(), 97500);
+  assert.strictEqual(result.distribution.beneficiaries.community.toNumber(), 1000);
+  assert.strictEqual(result.distribution.beneficiaries.education.toNumber(), 750);
+  assert.strictEqual(result.distribution.beneficiaries.infrastructure.toNumber(), 500);
+  assert.strictEqual(result.distribution.beneficiaries.emergency.toNumber(), 250);
+  assert.strictEqual(harlemAR.engagementMetrics.zakatContributions.toNumber(), 2500);
+});
+
+test('Harlem4KARRender - calculateZakatFlow splits and accumulates exact cents', () => {
+  const harlemAR = new Harlem4KARRender();
+  const result = harlemAR.calculateZakatFlow(1234.57);
+  const { zakatAmount, mainAmount, beneficiaries } = result.distribution;
+
+  // 2.5% of $1,234.57 is $30.86425, rounded to $30.86
+  assert.strictEqual(zakatAmount.minor, 3086);
+  assert.strictEqual(mainAmount.add(zakatAmount).minor, 123457);
+  // Floors of 1234.4 / 925.8 / 617.2 / 308.6 cents, with the two leftover cents to the largest remainders
+  assert.deepStrictEqual(Object.values(beneficiaries).map(b => b.minor), [1234, 926, 617, 309]);
+  assert.strictEqual(Money.sum(Object.values(beneficiaries)).minor, zakatAmount.minor);
+
+  // Ten $0.10 contributions add up to exactly $1.00 (floating point gives 0.9999999999999999)
+  const contributions = new Harlem4KARRender();
+  for (let i = 0; i < 10; i++) contributions.calculateZakatFlow(4);
+  assert.strictEqual(contributions.getMetrics().zakatContributions.toDecimalString(), '1.00');
+});
+
+test('Harlem4KARRender - calculateZakatFlow honours the rounding mode and currency', () => {
+  assert.strictEqual(new Harlem4KARRender().calculateZakatFlow(1.5).distribution.zakatAmount.minor, 4); // 3.75 cents
+  assert.strictEqual(new Harlem4KARRender().calculateZakatFlow(1).distribution.zakatAmount.minor, 2); // 2.5 cents
+  assert.strictEqual(new Harlem4KARRender({ roundingMode: 'halfUp' }).calculateZakatFlow(1).distribution.zakatAmount.minor, 3);
+
+  const yen = new Harlem4KARRender({ currency: 'JPY' }).calculateZakatFlow(10100);
+  assert.strictEqual(yen.distribution.zakatAmount.format(), '¥252');
+  assert.throws(() => new Harlem4KARRender().calculateZakatFlow(Money.of(100, 'JPY')), /Currency mismatch/);
+});
+
+test('Harlem4KARRender - calculateZakatFlow records the allocation policy version it used', () => {
+  const harlemAR = new Harlem4KARRender();
+  const standard = harlemAR.calculateZakatFlow(100000);
+  assert.strictEqual(standard.policy.id, 'harlem-default');
+  assert.strictEqual(standard.policy.version, 1);
+  assert.strictEqual(standard.policy.projectId, null);
+  assert.match(standard.policy.fingerprint, /^[0-9a-f]{16}$/);
+  assert.strictEqual(standard.distribution.byAsnaf.fiSabilillah.toDecimalString(), '1250.00');
+
+  harlemAR.defineAllocationPolicy({
+    id: 'harlem-default',
+    version: 2,
+    recipients: [
+      { id: 'community', share: 50, asnaf: ['fuqara', 'masakin'] },
+      { id: 'education', share: 50, asnaf: ['fiSabilillah'], maximum: 1000 }
+    ],
+    projectOverrides: { 'harlem-center': { recipients: [{ id: 'emergency', share: 25, asnaf: ['gharimin'] }] } }
+  });
+
+  const latest = harlemAR.calculateZakatFlow(100000);
+  assert.strictEqual(latest.policy.version, 2);
+  assert.strictEqual(latest.distribution.beneficiaries.community.toDecimalString(), '1500.00');
+  assert.deepStrictEqual(latest.distribution.capsApplied.map(c => c.recipientId), ['education']);
+
+  const project = harlemAR.calculateZakatFlow(100000, { projectId: 'harlem-center' });
+  assert.strictEqual(project.policy.overridden, true);
+  assert.ok(project.distribution.beneficiaries.emergency);
+
+  const pinned = harlemAR.calculateZakatFlow(100000, { policyVersion: 1 });
+  assert.strictEqual(pinned.distribution.beneficiaries.infrastructure.toDecimalString(), '500.00');
+  assert.throws(() => harlemAR.calculateZakatFlow(100, { policyId: 'unknown' }), { code: 'INVALID_ENUM', path: 'policyId' });
+});
+
+test('Harlem4KARRender - assessZakat collects zakat only once it is due', () => {
+  const harlemAR = new Harlem4KARRender({ zakat: { nisabBasis: 'silver' } });
+  const holding = date => ({ date, assets: { cash: 4000, tradeGoods: 1000 }, liabilities: { debts: 1000 }, metalPrices: { gold: 92.5, silver: 1.05 } });
+
+  const early = harlemAR.assessZakat('community-fund', holding('2025-03-01'));
+  assert.strictEqual(early.status, 'HAWL_INCOMPLETE');
+  assert.strictEqual(early.beneficiaries, null);
+  assert.ok(harlemAR.engagementMetrics.zakatContributions.isZero());
+
+  const due = harlemAR.assessZakat('community-fund', holding('2026-02-18'));
+  assert.strictEqual(due.zakatAmount.toDecimalString(), '100.00');
+  assert.strictEqual(due.beneficiaries.community.toDecimalString(), '40.00');
+  assert.ok(harlemAR.engagementMetrics.zakatContributions.equals(due.zakatAmount));
+  assert.strictEqual(early.ledgerEntry, null);
+  assert.strictEqual(harlemAR.ledger.entries[due.ledgerEntry.sequence - 1].reference, 'community-fund');
+});
+
+test('Harlem4KARRender - zakat flows and disbursements survive a restart through the ledger', () => {
+  const harlemAR = new Harlem4KARRender();
+  const flow = harlemAR.calculateZakatFlow(100000, { reference: 'tx-42' });
+  assert.deepStrictEqual(flow.ledgerEntry, { sequence: 1, hash: harlemAR.ledger.entries[0].hash });
+  assert.strictEqual(harlemAR.ledger.entries[0].reference, 'tx-42');
+
+  const { entry, balance } = harlemAR.disburseZakat('community', 400, { reference: 'pay-7', memo: 'Tenant support' });
+  assert.strictEqual(entry.previousHash, flow.ledgerEntry.hash);
+  assert.strictEqual(balance.toDecimalString(), '600.00');
+  assert.throws(() => harlemAR.disburseZakat('community', 600.01), { code: 'OUT_OF_RANGE', path: 'amount' });
+  assert.throws(() => harlemAR.disburseZakat('community', 1, { note: 'x' }), { code: 'UNKNOWN_FIELD', path: 'options.note' });
+
+  const saved = JSON.parse(JSON.stringify(harlemAR.ledger.export()));
+  const restarted = new Harlem4KARRender({ ledger: saved });
+  assert.strictEqual(restarted.engagementMetrics.zakatContributions.toDecimalString(), '2500.00');
+  assert.strictEqual(restarted.ledger.reconcile({ community: 600, education: 750 }).reconciled, true);
+  restarted.calculateZakatFlow(1000);
+  assert.strictEqual(restarted.ledger.verify().entryCount, 3);
+
+  saved.entries.reverse();
+  assert.throws(() => new Harlem4KARRender({ ledger: saved }), { code: 'INCONSISTENT_VALUES', path: 'ledger.entries[0]' });
+  assert.throws(() => new Harlem4KARRender({ currency: 'EUR', ledger: harlemAR.ledger }), {
+    path: 'config.ledger',
+    message: 'Zakat ledger is in USD, not EUR'
+  });
+});
+
+test('Harlem4KARRender - payOutZakat pays registered recipients once per key', async () => {
+  const provider = new MockPaymentProvider({ settlement: 'immediate' });
+  const harlemAR = new Harlem4KARRender({ paymentProvider: provider });
+  harlemAR.calculateZakatFlow(100000);
+  harlemAR.disbursements.registerRecipient({ id: 'harlem-food-bank', category: 'community', account: 'acct-001' });
+  harlemAR.disbursements.registerRecipient({ id: 'ps-123', category: 'education', account: 'acct-002' });
+
+  const batch = await harlemAR.payOutZakat('2026-03');
+  assert.deepStrictEqual(batch.payouts.map(p => [p.recipientId, p.amount.toDecimalString(), p.status]), [
+    ['harlem-food-bank', '1000.00', 'settled'],
+    ['ps-123', '750.00', 'settled']
+  ]);
+  assert.strictEqual(harlemAR.ledger.balances().totals.disbursed.toDecimalString(), '1750.00');
+
+  const replay = await harlemAR.payOutZakat('2026-03');
+  assert.strictEqual(replay.total.toDecimalString(), '1750.00');
+  assert.strictEqual(provider.list().length, 2);
+
+  // Zakat held by an unsettled payout cannot be recorded as paid by hand
+  const manual = new Harlem4KARRender();
+  manual.calculateZakatFlow(100000);
+  manual.disbursements.registerRecipient({ id: 'harlem-food-bank', category: 'community', account: 'acct-001' });
+  await manual.payOutZakat('2026-03');
+  assert.throws(() => manual.disburseZakat('community', 1), {
+    code: 'OUT_OF_RANGE',
+    message: 'Disbursement of $1.00 exceeds the $0.00 of community not held by payouts'
+  });
 });
 
 test('Harlem4KARRender - engageArchitects updates metrics', async () => {
   const harlemAR = new Harlem4KARRender();
+  harlemAR.trackEngagement([
+    { type: 'view', architectId: 'a1', projectId: 'test-001', timestamp: '2026-09-07T10:00:00Z' },
+    { type: 'zoom', architectId: 'a1', projectId: 'test-001', timestamp: '2026-09-07T10:02:00Z' },
+    { type: 'view', architectId: 'a2', projectId: 'test-001', timestamp: '2026-09-07T11:00:00Z' }
+  ]);
   const result = await harlemAR.engageArchitects({
     name: 'Test Project',
     id: 'test-001'
@@ -69,13 +215,47 @@ test('Harlem4KARRender - engageArchitects updates metrics', async () => {
   assert.strictEqual(result.engagement.renderQuality, '4K-HDR');
   assert.strictEqual(result.engagement.geminiEnhancement, true);
   assert.strictEqual(result.zakatIntegrated, true);
-  assert.ok(result.engagement.architectsReached > 0);
-  assert.ok(harlemAR.engagementMetrics.totalReach > 0);
+  assert.strictEqual(result.engagement.architectsReached, 2);
+  assert.strictEqual(result.engagement.interactionRate, 0.5);
+  assert.strictEqual(harlemAR.engagementMetrics.totalReach, 2);
+});
+
+test('Harlem4KARRender - progress counts each architect once across projects and calls', async () => {
+  const harlemAR = new Harlem4KARRender({ targetAudience: 3 });
+  const view = (architectId, projectId, timestamp) => ({ type: 'view', architectId, projectId, timestamp });
+  const tracked = harlemAR.trackEngagement([
+    view('a1', 'tower', '2026-09-07T10:00:00Z'),
+    view('a2', 'tower', '2026-09-08T10:00:00Z'),
+    view('a1', 'corner-lot', '2026-09-08T11:00:00Z'),
+    { type: 'rotate', architectId: 'a1', projectId: 'tower' }
+  ]);
+  assert.strictEqual(tracked.accepted, 3);
+  assert.strictEqual(tracked.rejected[0].errors[0].path, 'events[3].timestamp');
+
+  await harlemAR.engageArchitects({ name: 'Tower', id: 'tower' });
+  const again = await harlemAR.engageArchitects({ name: 'Tower', id: 'tower' });
+  const corner = await harlemAR.engageArchitects({ name: 'Corner Lot', id: 'corner-lot' });
+  assert.strictEqual(again.engagement.architectsReached, 2);
+  assert.strictEqual(again.engagement.interactionRate, 0);
+  assert.strictEqual(corner.engagement.architectsReached, 1);
+  assert.deepStrictEqual(corner.progress, { current: 2, target: 3, percentage: '66.67' });
+  assert.strictEqual(harlemAR.getMetrics().dailyActiveUsers, 2);
+  assert.strictEqual(harlemAR.getMetrics().weeklyActiveUsers, 2);
+
+  harlemAR.trackEngagement([view('a3', 'tower', '2026-09-09T10:00:00Z'), view('a4', 'tower', '2026-09-09T10:00:00Z')]);
+  assert.strictEqual(harlemAR.getMetrics().totalReach, 4);
+  assert.strictEqual(harlemAR.getMetrics().activeUsers, 3); // Capped at the target audience
+  assert.strictEqual(harlemAR.getMetrics().completion, '100.00%');
+
+  const restarted = new Harlem4KARRender({ targetAudience: 3, analytics: JSON.parse(JSON.stringify(harlemAR.analytics)) });
+  assert.strictEqual(restarted.getMetrics().totalReach, 4);
+  assert.strictEqual((await restarted.engageArchitects({ name: 'Tower', id: 'tower' })).engagement.architectsReached, 4);
+  assert.strictEqual(new Harlem4KARRender({ analytics: harlemAR.analytics }).analytics, harlemAR.analytics);
 });
 
-test('Harlem4KARRender - generateARVisualization creates valid data', () => {
+test('Harlem4KARRender - generateARVisualization creates valid data', async () => {
   const harlemAR = new Harlem4KARRender();
-  const result = harlemAR.generateARVisualization({
+  const result = await harlemAR.generateARVisualization({
     name: 'Test Building',
     floors: 10,
     height: 100,
@@ -91,6 +271,181 @@ test('Harlem4KARRender - generateARVisualization creates valid data', () => {
   assert.strictEqual(result.interactivity.rotation, true);
 });
 
+test('Harlem4KARRender - generateARVisualization calls the injected Gemini client', async () => {
+  const client = new FakeGeminiClient({ responses: { lighting: { description: 'Dusk', colorTemperatureK: 2700, keyLights: ['Street lamps'] } } });
+  const harlemAR = new Harlem4KARRender({ geminiClient: client, gemini: { retryDelayMs: 0 } });
+  const specs = { name: 'Harlem Cultural Center', floors: 8, height: 32, type: 'Cultural' };
+
+  const init = await harlemAR.initializeGeminiRenderer();
+  assert.deepStrictEqual(init.gemini, { model: 'gemini-1.5-flash', offline: true });
+
+  const { render } = await harlemAR.generateARVisualization(specs);
+  assert.strictEqual(render.insights.materials[0].material, 'Reinforced concrete');
+  assert.strictEqual(render.insights.lighting.colorTemperatureK, 2700);
+  assert.deepStrictEqual(render.insights.accessibility.map(i => i.area), ['entrance', 'vertical circulation', 'egress', 'wayfinding']);
+  assert.deepStrictEqual(render.insights.errors, []);
+  assert.deepStrictEqual([render.insights.model, render.insights.offline], ['gemini-1.5-flash', true]);
+  assert.strictEqual(client.calls.length, 3);
+  assert.match(client.calls[0], /Building specs: \{"floors":8,"height":32,"name":"Harlem Cultural Center","type":"Cultural"\}/);
+
+  // Repeat visualizations reuse cached insights
+  await harlemAR.generateARVisualization({ ...specs });
+  assert.strictEqual(client.calls.length, 3);
+
+  // A failing client switches the enhancements off instead of failing the visualization
+  const failing = new Harlem4KARRender({ geminiClient: new FakeGeminiClient({ failures: 99 }), gemini: { maxRetries: 1, retryDelayMs: 0 } });
+  const degraded = await failing.generateARVisualization(specs);
+  assert.strictEqual(degraded.render.geminiEnhancements.materialOptimization, false);
+  assert.strictEqual(degraded.render.insights.materials, null);
+  assert.deepStrictEqual(degraded.render.insights.errors[0], {
+    kind: 'materials',
+    message: 'Gemini materials request failed after 2 attempts: Fake Gemini service unavailable'
+  });
+});
+
+test('Harlem4KARRender - generateARVisualization includes a layered massing model', async () => {
+  const harlemAR = new Harlem4KARRender({ massing: { width: 40, depth: 24 } });
+  const { render, model } = await harlemAR.generateARVisualization({ name: 'Lenox Terrace', floors: 4, height: 14, type: 'Residential' });
+
+  assert.strictEqual(model.format, 'glb');
+  assert.strictEqual(model.mimeType, 'model/gltf-binary');
+  assert.strictEqual(model.byteLength, model.data.length);
+  assert.deepStrictEqual(model.validation.errors, []);
+  assert.strictEqual(model.floorToFloorHeight, 3.5);
+  assert.deepStrictEqual(model.levels.map(l => l.label), ['Ground', 'Level 1', 'Level 2', 'Level 3', 'Roof']);
+
+  // Every toggleable layer with geometry or lights maps to a root node of the GLB
+  const { json } = parseGLB(model.data);
+  for (const [layer, node] of Object.entries(model.layerNodes)) {
+    assert.strictEqual(render.layers[layer], true);
+    assert.strictEqual(json.nodes[node].name, layer);
+  }
+  assert.deepStrictEqual(json.scenes[0].nodes, Object.values(model.layerNodes));
+  assert.strictEqual(json.nodes[model.layerNodes.lighting].extras.colorTemperatureK, render.insights.lighting.colorTemperatureK);
+  assert.strictEqual(json.materials[2].extras.suggestedMaterial, 'Brick veneer');
+  assert.strictEqual(json.accessors[0].max[0], 20);
+});
+
+test('Harlem4KARRender - exportMassingModel writes glTF for custom footprints', async () => {
+  const client = new FakeGeminiClient();
+  const harlemAR = new Harlem4KARRender({ geminiClient: client });
+  const specs = { name: 'Corner Lot', floors: 2, footprint: [[0, 0], [20, 0], [20, 10], [10, 10], [10, 25], [0, 25]] };
+
+  const gltf = await harlemAR.exportMassingModel(specs, { format: 'gltf' });
+  assert.strictEqual(gltf.mimeType, 'model/gltf+json');
+  assert.strictEqual(gltf.validation.valid, true);
+  assert.strictEqual(gltf.data.nodes[gltf.layerNodes.annotations].extras.footprintArea, 350);
+  assert.strictEqual(gltf.byteLength, Buffer.byteLength(JSON.stringify(gltf.data)));
+  assert.deepStrictEqual(client.calls.map(call => /^Task: (\w+)$/m.exec(call)[1]), ['materials', 'lighting']);
+
+  // Failed insights fall back to the default layers
+  const offline = new Harlem4KARRender({ geminiClient: new FakeGeminiClient({ failures: 99 }), gemini: { maxRetries: 0 } });
+  const glb = await offline.exportMassingModel(specs);
+  assert.strictEqual(glb.validation.valid, true);
+  assert.strictEqual(parseGLB(glb.data).json.nodes[glb.layerNodes.lighting].extras.colorTemperatureK, 5500);
+
+  await assert.rejects(harlemAR.exportMassingModel(specs, { format: 'obj' }), { code: 'INVALID_ENUM', path: 'options.format' });
+  await assert.rejects(harlemAR.exportMassingModel({ footprint: [[0, 0], [1, 1], [1, 0], [0, 2]] }), {
+    code: 'INCONSISTENT_VALUES',
+    path: 'buildingSpecs.footprint'
+  });
+  assert.throws(() => new Harlem4KARRender({ massing: 'tall' }), { code: 'INVALID_TYPE', path: 'config.massing' });
+});
+
+test('Harlem4KARRender - renderPreview rasterizes the massing model at the renderer config', async () => {
+  const harlemAR = new Harlem4KARRender();
+  await harlemAR.initializeGeminiRenderer({ resolution: { width: 64, height: 36 }, antiAliasing: 'MSAA-4x', colorDepth: 12 });
+  const specs = { name: 'Lenox Terrace', floors: 4, height: 14, type: 'Residential' };
+
+  const preview = await harlemAR.renderPreview(specs);
+  assert.deepStrictEqual([preview.width, preview.height, preview.samples, preview.antiAliasing], [64, 36, 4, 'MSAA-4x']);
+  assert.strictEqual(preview.pixels, undefined);
+  assert.deepStrictEqual([decodePNG(preview.png).width, decodePNG(preview.png).bitDepth], [64, 8]);
+  const toneMapped = decodePNG(preview.toneMappedPng);
+  assert.deepStrictEqual([toneMapped.bitDepth, toneMapped.significantBits, preview.colorDepth], [16, 12, 12]);
+
+  const draft = await harlemAR.renderPreview(specs, { draft: true, toneMapped: false, layers: ['structure', 'lighting'] });
+  assert.deepStrictEqual([draft.width, draft.height, draft.samples, draft.toneMappedPng], [16, 9, 1, null]);
+
+  await harlemAR.initializeGeminiRenderer({ resolution: { width: 32, height: 18 }, hdrEnabled: false });
+  assert.strictEqual((await harlemAR.renderPreview(specs)).toneMappedPng, null);
+
+  await assert.rejects(harlemAR.renderPreview(specs, { layers: ['environment'] }), { code: 'INVALID_ENUM', path: 'options.layers[0]' });
+  await assert.rejects(harlemAR.renderPreview(specs, { camera: { fov: 0 } }), { code: 'OUT_OF_RANGE', path: 'options.camera.fov' });
+  await harlemAR.initializeGeminiRenderer({ resolution: { width: 7680, height: 4320 } });
+  await assert.rejects(harlemAR.renderPreview(specs), { code: 'OUT_OF_RANGE', path: 'config.resolution.width' });
+  await assert.rejects(harlemAR.initializeGeminiRenderer({ antiAliasing: 'FXAA' }), { code: 'INVALID_ENUM', path: 'visualParams.antiAliasing' });
+});
+
+test('Harlem4KARRender - render jobs run in the background and report progress', async () => {
+  const harlemAR = new Harlem4KARRender();
+  await harlemAR.initializeGeminiRenderer({ resolution: { width: 64, height: 36 } });
+  const specs = { name: 'Lenox Terrace', floors: 4, height: 14, type: 'Residential' };
+
+  const previewId = await harlemAR.submitRenderJob({ tenantId: 'studio-a', specs, options: { toneMapped: false } });
+  const visualizationId = await harlemAR.submitRenderJob({ tenantId: 'studio-b', kind: 'visualization', specs, resolution: { width: 32, height: 18 } });
+  assert.strictEqual(harlemAR.getRenderJob(previewId).status, 'running');
+  await harlemAR.renderJobs.idle();
+
+  const preview = harlemAR.getRenderJob(previewId);
+  assert.deepStrictEqual([preview.status, preview.progress, preview.stage, preview.attempts], ['succeeded', 1, 'encode', 1]);
+  assert.deepStrictEqual([decodePNG(preview.result.png).width, preview.result.toneMappedPng], [64, null]);
+
+  const visualization = harlemAR.getRenderJob(visualizationId).result;
+  assert.strictEqual(visualization.model.validation.valid, true);
+  assert.deepStrictEqual([visualization.preview.width, decodePNG(visualization.preview.toneMappedPng).significantBits], [32, 10]);
+
+  await assert.rejects(harlemAR.submitRenderJob({ tenantId: 'studio-a', specs: { floors: 0 } }), { code: 'OUT_OF_RANGE', path: 'request.specs.floors' });
+  await assert.rejects(harlemAR.submitRenderJob({ tenantId: 'studio-a', specs, kind: 'animation' }), { code: 'INVALID_ENUM', path: 'request.kind' });
+  await assert.rejects(harlemAR.cancelRenderJob(previewId), { code: 'INCONSISTENT_VALUES' });
+});
+
+test('Harlem4KARRender - render jobs fall back to a lower resolution over their memory budget', async () => {
+  const fallbackResolution = { width: 48, height: 27 };
+  const harlemAR = new Harlem4KARRender({
+    renderQueue: { fallbackResolution, memoryBudgetBytes: new SoftwareRenderer({ resolution: fallbackResolution }).estimateMemory() }
+  });
+  const specs = { name: 'Sugar Hill', floors: 6, height: 20 };
+
+  const id = await harlemAR.submitRenderJob({ tenantId: 'studio-a', specs, resolution: { width: 96, height: 54 } });
+  await harlemAR.renderJobs.idle();
+  const job = harlemAR.getRenderJob(id);
+  assert.deepStrictEqual(job.fallback, { from: { width: 96, height: 54 }, to: fallbackResolution, reason: 'memory' });
+  assert.deepStrictEqual([job.result.width, job.result.height], [48, 27]);
+
+  // Draft renders fit the budget at the full resolution
+  const draft = await harlemAR.submitRenderJob({ tenantId: 'studio-a', specs, resolution: { width: 96, height: 54 }, options: { draft: true } });
+  await harlemAR.renderJobs.idle();
+  assert.deepStrictEqual([harlemAR.getRenderJob(draft).fallback, harlemAR.getRenderJob(draft).result.width], [null, 24]);
+});
+
+test('Harlem4KARRender - render jobs can be cancelled, reprioritized and restored after a restart', async () => {
+  const jobStore = new MemoryJobStore();
+  const harlemAR = new Harlem4KARRender({ jobStore });
+  await harlemAR.initializeGeminiRenderer({ resolution: { width: 32, height: 18 } });
+  const specs = { name: 'Strivers Row', floors: 3, height: 11 };
+
+  const running = await harlemAR.submitRenderJob({ tenantId: 'studio-a', specs });
+  const queued = await harlemAR.submitRenderJob({ tenantId: 'studio-a', specs, priority: 'low' });
+  const cancelled = await harlemAR.submitRenderJob({ tenantId: 'studio-a', specs });
+  assert.strictEqual((await harlemAR.setRenderJobPriority(queued, 'high')).priority, 'high');
+  assert.strictEqual((await harlemAR.cancelRenderJob(cancelled)).status, 'cancelled');
+
+  // Simulate a crash: a new instance picks up the jobs saved so far
+  await harlemAR.renderJobs.saving;
+  const saved = new MemoryJobStore();
+  await saved.save(await jobStore.load());
+  await harlemAR.renderJobs.idle();
+
+  const restarted = new Harlem4KARRender({ jobStore: saved });
+  await restarted.initializeGeminiRenderer({ resolution: { width: 32, height: 18 } });
+  assert.deepStrictEqual(await restarted.restoreRenderJobs(), { restored: 3, requeued: 1 });
+  await restarted.renderJobs.idle();
+  assert.deepStrictEqual([running, queued, cancelled].map(id => restarted.getRenderJob(id).status), ['succeeded', 'succeeded', 'cancelled']);
+  assert.strictEqual(restarted.getRenderJob(running).attempts, 2);
+  assert.strictEqual(decodePNG(restarted.getRenderJob(queued).result.png).width, 32);
+});
+
 test('Harlem4KARRender - getMetrics returns current state', () => {
   const harlemAR = new Harlem4KARRender();
   harlemAR.calculateZakatFlow(50000);
@@ -98,8 +453,150 @@ test('Harlem4KARRender - getMetrics returns current state', () => {
   const metrics = harlemAR.getMetrics();
   
   assert.strictEqual(metrics.targetAudience, 38000000);
-  assert.strictEqual(metrics.zakatContributions, 1250);
+  assert.strictEqual(metrics.zakatContributions.toNumber(), 1250);
   assert.ok(metrics.completion);
 });
 
+test('Harlem4KARRender - measures the massing model behind a visualization', async () => {
+  const harlemAR = new Harlem4KARRender({ massing: { width: 20, depth: 20 } });
+  const specs = { name: 'Shinjuku Annex', floors: 8, height: 30 };
+  const visualization = await harlemAR.generateARVisualization(specs);
+  assert.strictEqual(visualization.interactivity.measurements, true);
+
+  const metric = harlemAR.measureBuilding(specs, { limits: { maxHeight: 31, minFloorToFloorHeight: 3.8 } });
+  assert.strictEqual(metric.levels.length, visualization.model.levels.length - 1);
+  assert.strictEqual(metric.levels[0].area, 400);
+  assert.strictEqual(metric.grossFloorArea, 3200);
+  assert.deepStrictEqual(metric.heightCheck.checks.map(({ check, passes }) => [check, passes]), [['maxHeight', true], ['minFloorToFloorHeight', false]]);
+
+  const tokyo = harlemAR.measureBuilding(specs, { areaUnit: 'tsubo' });
+  assert.strictEqual(tokyo.grossFloorArea, 968);
+  const imperial = harlemAR.measureBuilding(specs, { unit: 'ft' });
+  assert.strictEqual(imperial.height, 98.425);
+  assert.strictEqual(imperial.areaUnit, 'ft2');
+
+  assert.deepStrictEqual(harlemAR.measureDistance([0, 0, 0], [0, 30, 0]), { distance: 30, horizontal: 0, vertical: 30, unit: 'm' });
+  assert.throws(() => harlemAR.measureBuilding(specs, { areaUnit: 'acre' }), { code: 'INVALID_ENUM', path: 'options.areaUnit' });
+});
+
+test('Harlem4KARRender - annotation threads on a visualization survive a restart', async () => {
+  const annotationStore = new MemoryJobStore();
+  const harlemAR = new Harlem4KARRender({ annotationStore });
+  const { visualizationId, interactivity } = await harlemAR.generateARVisualization({ name: 'Corner Lot', floors: 4 });
+  assert.strictEqual(interactivity.annotations, true);
+
+  const thread = harlemAR.annotate(visualizationId, { anchor: { element: 'core', level: 2 }, author: 'aiko', body: 'Stair width?' });
+  assert.strictEqual(thread.visualizationId, visualizationId);
+  harlemAR.replyToAnnotation(thread.id, { author: 'marcus', body: '1.2 m clear' });
+  harlemAR.resolveAnnotation(thread.id, 'aiko');
+  harlemAR.annotate(visualizationId, { anchor: { position: [0, 14, 0] }, author: 'marcus', body: 'Roof access hatch' });
+  harlemAR.annotate('other-visualization', { anchor: { element: 'facade' }, author: 'aiko', body: 'Glazing ratio' });
+
+  assert.strictEqual(harlemAR.listAnnotations(visualizationId).length, 2);
+  assert.deepStrictEqual(harlemAR.listAnnotations(visualizationId, { status: 'resolved' }).map(t => t.id), [thread.id]);
+
+  const restarted = new Harlem4KARRender({ annotations: JSON.parse(JSON.stringify(harlemAR.annotations)) });
+  const restored = restarted.reopenAnnotation(thread.id, 'marcus');
+  assert.strictEqual(restored.comments.length, 2);
+  assert.strictEqual(restored.status, 'open');
+  assert.strictEqual(new Harlem4KARRender({ annotations: harlemAR.annotations }).annotations, harlemAR.annotations);
+
+  // Every change is saved to config.annotationStore
+  await harlemAR.annotations.flush();
+  const reloaded = new Harlem4KARRender({ annotationStore });
+  assert.strictEqual(await reloaded.restoreAnnotations(), 3);
+  assert.deepStrictEqual(reloaded.listAnnotations(visualizationId), harlemAR.listAnnotations(visualizationId));
+  assert.throws(() => harlemAR.annotate(visualizationId, { anchor: {}, author: 'aiko', body: 'Here' }), { code: 'REQUIRED' });
+});
+
+test('Harlem4KARRender - opens an annotation thread for each accessibility violation', async () => {
+  const specs = {
+    name: 'Harlem Cultural Center',
+    floors: 3,
+    elevators: [{ cabWidth: 1.8, cabDepth: 1.4, doorWidth: 0.9 }],
+    entrances: [{ width: 0.9, stepFree: true }],
+    restrooms: { total: 2, accessible: 1 },
+    corridors: [{ level: 2, width: 1.0 }]
+  };
+  const harlemAR = new Harlem4KARRender();
+  const { visualizationId, accessibility } = await harlemAR.generateARVisualization(specs);
+  assert.deepStrictEqual(accessibility.rulePacks, ['ada-ny']);
+  assert.deepStrictEqual(accessibility.violations.map(v => v.ruleId), ['ada-ny/elevator-car', 'ada-ny/toilet-rooms']);
+
+  const threads = harlemAR.listAnnotations(visualizationId, { author: 'accessibility-checker' });
+  assert.deepStrictEqual(threads.map(t => t.id), accessibility.violations.map(v => v.threadId));
+  assert.deepStrictEqual(threads[0].anchor, { element: 'core' });
+  assert.strictEqual(threads[0].comments[0].body,
+    'ADA 2010 §407.4.1 (major): Elevator 1 door clear width is 0.9 m; ADA requires at least 0.915 m. Suggested fix: Enlarge the door clear width of elevator 1 to 0.915 m.');
+
+  const tokyo = new Harlem4KARRender({ accessibilityRulePacks: ['jp-barrier-free'] });
+  const inTokyo = await tokyo.generateARVisualization(specs);
+  assert.deepStrictEqual(inTokyo.accessibility.violations.map(v => v.ruleId), ['jp-barrier-free/corridor-width']);
+  assert.deepStrictEqual(tokyo.listAnnotations(inTokyo.visualizationId)[0].anchor, { element: 'slabs', level: 2 });
+
+  const both = harlemAR.checkAccessibility(specs, ['ada-ny', 'jp-barrier-free']);
+  assert.strictEqual(both.violations.length, 3);
+  assert.strictEqual(harlemAR.listAnnotations(visualizationId).length, 2); // Checking alone does not annotate
+  assert.throws(() => new Harlem4KARRender({ accessibilityRulePacks: ['ibc'] }), { code: 'INVALID_ENUM', path: 'config.accessibilityRulePacks[0]' });
+  await assert.rejects(harlemAR.generateARVisualization({ ...specs, restrooms: { total: 1, accessible: 2 } }), { code: 'INCONSISTENT_VALUES' });
+});
+
+test('Harlem4KARRender - render jobs annotate only the visualization they return', async () => {
+  const specs = { name: 'Harlem Cultural Center', floors: 3, elevators: [{ cabWidth: 1.8, cabDepth: 1.4, doorWidth: 0.9 }], restrooms: { total: 2, accessible: 1 } };
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  // Gemini answers after the time budget, so attempts run over it but still finish in the background
+  const slowRender = () => {
+    const client = new FakeGeminiClient({ latencyMs: 300 });
+    const harlemAR = new Harlem4KARRender({
+      geminiClient: client,
+      gemini: { cacheSize: 0 },
+      renderQueue: { timeBudgetMs: 150, fallbackResolution: { width: 32, height: 18 } }
+    });
+    return { client, harlemAR };
+  };
+  const submit = harlemAR => harlemAR.submitRenderJob({ tenantId: 'studio-a', kind: 'visualization', specs, resolution: { width: 64, height: 36 } });
+
+  // The first attempt is abandoned; the fallback answers in time
+  const fallback = slowRender();
+  const jobId = await submit(fallback.harlemAR);
+  while (fallback.client.calls.length === 0) await wait(5);
+  fallback.client.options.latencyMs = 0;
+  await fallback.harlemAR.renderJobs.idle();
+  await wait(400); // Let the abandoned attempt finish
+
+  const job = fallback.harlemAR.getRenderJob(jobId);
+  assert.deepStrictEqual([job.status, job.attempts, job.fallback.reason], ['succeeded', 2, 'time']);
+  const threads = fallback.harlemAR.listAnnotations();
+  assert.strictEqual(threads.length, 2);
+  assert.ok(threads.every(thread => thread.visualizationId === job.result.visualizationId));
+  assert.deepStrictEqual(threads.map(t => t.id), job.result.accessibility.violations.map(v => v.threadId));
+
+  // Neither attempt finishes in time: the job fails and leaves no threads
+  const failed = slowRender();
+  const failedId = await submit(failed.harlemAR);
+  await failed.harlemAR.renderJobs.idle();
+  await wait(400);
+  assert.strictEqual(failed.harlemAR.getRenderJob(failedId).status, 'failed');
+  assert.deepStrictEqual(failed.harlemAR.listAnnotations(), []);
+});
+
+test('Harlem4KARRender - rejects invalid inputs with a code, path and allowed range', async () => {
+  const harlemAR = new Harlem4KARRender();
+
+  assert.throws(() => harlemAR.calculateZakatFlow(-100), {
+    name: 'ValidationError',
+    code: 'OUT_OF_RANGE',
+    path: 'transactionAmount',
+    allowed: 'a number at least 0'
+  });
+  assert.throws(() => harlemAR.calculateZakatFlow(Money.of(-1)), { code: 'OUT_OF_RANGE' });
+  assert.throws(() => harlemAR.calculateZakatFlow('100'), { code: 'INVALID_TYPE' });
+  assert.throws(() => harlemAR.calculateZakatFlow(), { code: 'REQUIRED', message: 'transactionAmount is required' });
+  await assert.rejects(harlemAR.engageArchitects({ id: 'p-1' }), { code: 'REQUIRED', path: 'project.name' });
+  await assert.rejects(harlemAR.initializeGeminiRenderer({ colorDepth: 9 }), { code: 'INVALID_ENUM', path: 'visualParams.colorDepth' });
+  await assert.rejects(harlemAR.generateARVisualization({ floors: 0 }), { code: 'OUT_OF_RANGE', path: 'buildingSpecs.floors' });
+  assert.throws(() => new Harlem4KARRender({ targetAudience: 0 }), { path: 'config.targetAudience' });
+  assert.ok(harlemAR.engagementMetrics.zakatContributions.isZero());
+});
+
 console.log('✓ All Harlem 4K AR Render tests passed');
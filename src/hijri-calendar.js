@@ -0,0 +1,120 @@
+/**
+ * Hijri Calendar
+ * Tabular (arithmetic) Islamic calendar for lunar-year periods such as the zakat hawl
+ */
+
+/**
+ * Hijri month names, Muharram first
+ */
+export const HIJRI_MONTHS = [
+  'Muharram',
+  'Safar',
+  'Rabi al-Awwal',
+  'Rabi al-Thani',
+  'Jumada al-Ula',
+  'Jumada al-Thani',
+  'Rajab',
+  'Shaban',
+  'Ramadan',
+  'Shawwal',
+  'Dhu al-Qadah',
+  'Dhu al-Hijjah'
+];
+
+// Julian day number of 1 Muharram 1 AH (16 July 622 Julian, civil epoch)
+const HIJRI_EPOCH = 1948440;
+// Julian day number of 1970-01-01
+const UNIX_EPOCH = 2440588;
+const DAY_MS = 86400000;
+
+/**
+ * Whether a Hijri year has 355 days (Dhu al-Hijjah has 30), using the 30-year cycle with 11 leap years
+ * @param {number} year - Hijri year
+ * @returns {boolean} Leap year
+ */
+export function isHijriLeapYear(year) {
+  return (((14 + 11 * year) % 30) + 30) % 30 < 11;
+}
+
+/**
+ * Days in a Hijri month: odd months have 30, even months 29, and Dhu al-Hijjah 30 in leap years
+ * @param {number} year - Hijri year
+ * @param {number} month - Month, 1 (Muharram) to 12 (Dhu al-Hijjah)
+ * @returns {number} Days in the month
+ */
+export function hijriMonthLength(year, month) {
+  return month % 2 === 1 || (month === 12 && isHijriLeapYear(year)) ? 30 : 29;
+}
+
+/**
+ * Hijri date of a Gregorian date
+ * The tabular calendar can differ by a day or two from sighting-based calendars such as Umm al-Qura.
+ * @param {(Date|string)} date - Date, or an ISO date string; the UTC calendar day is used
+ * @returns {Object} { year, month, day }
+ */
+export function toHijri(date) {
+  const jdn = Math.floor(toDate(date).getTime() / DAY_MS) + UNIX_EPOCH;
+  const year = Math.floor((30 * (jdn - HIJRI_EPOCH) + 10646) / 10631);
+  const dayOfYear = jdn - hijriToJdn(year, 1, 1);
+  const month = Math.min(12, Math.ceil((dayOfYear - 29) / 29.5) + 1);
+  return { year, month, day: jdn - hijriToJdn(year, month, 1) + 1 };
+}
+
+/**
+ * Gregorian date of a Hijri date
+ * @param {Object} hijri - { year, month, day }
+ * @returns {Date} UTC midnight of the day
+ */
+export function fromHijri({ year, month, day }) {
+  if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= hijriMonthLength(year, month))) {
+    throw new Error(`Invalid Hijri date: ${year}-${month}-${day}`);
+  }
+  return new Date((hijriToJdn(year, month, day) - UNIX_EPOCH) * DAY_MS);
+}
+
+/**
+ * Add whole Hijri years, keeping the month and day
+ * The 30th of a month that is shorter in the target year becomes the 29th.
+ * @param {Object} hijri - { year, month, day }
+ * @param {number} years - Years to add
+ * @returns {Object} { year, month, day }
+ */
+export function addHijriYears({ year, month, day }, years) {
+  const target = year + years;
+  return { year: target, month, day: Math.min(day, hijriMonthLength(target, month)) };
+}
+
+/**
+ * @param {Object} hijri - { year, month, day }
+ * @returns {string} e.g. '27 Ramadan 1447 AH'
+ */
+export function formatHijri({ year, month, day }) {
+  return `${day} ${HIJRI_MONTHS[month - 1]} ${year} AH`;
+}
+
+/**
+ * ISO calendar day (YYYY-MM-DD) of a date
+ * @param {(Date|string)} date - Date or ISO date string
+ * @returns {string} UTC calendar day
+ */
+export function toISODate(date) {
+  return toDate(date).toISOString().slice(0, 10);
+}
+
+/**
+ * @private
+ */
+function hijriToJdn(year, month, day) {
+  return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) + HIJRI_EPOCH - 1;
+}
+
+/**
+ * @private
+ */
+function toDate(date) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(value.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return value;
+}
@@ -0,0 +1,35 @@
+/**
+ * Tests for Hijri Calendar
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { addHijriYears, formatHijri, fromHijri, hijriMonthLength, isHijriLeapYear, toHijri, toISODate } from './hijri-calendar.js';
+
+test('Hijri Calendar - converts known dates', () => {
+  assert.deepStrictEqual(toHijri(new Date(Date.UTC(622, 6, 19))), { year: 1, month: 1, day: 1 });
+  assert.deepStrictEqual(toHijri('2025-03-01'), { year: 1446, month: 9, day: 1 });
+  assert.strictEqual(toISODate(fromHijri({ year: 1447, month: 9, day: 1 })), '2026-02-18');
+  assert.strictEqual(formatHijri({ year: 1447, month: 9, day: 1 }), '1 Ramadan 1447 AH');
+});
+
+test('Hijri Calendar - round-trips every day and keeps 354 or 355 day years', () => {
+  for (let time = Date.UTC(2000, 0, 1); time < Date.UTC(2060, 0, 1); time += 86400000) {
+    assert.strictEqual(fromHijri(toHijri(new Date(time))).getTime(), time);
+  }
+
+  const yearLength = year => Array.from({ length: 12 }, (_, i) => hijriMonthLength(year, i + 1)).reduce((a, b) => a + b, 0);
+  assert.strictEqual(yearLength(1446), 354);
+  assert.strictEqual(yearLength(1447), 355);
+  assert.strictEqual(Array.from({ length: 30 }, (_, i) => isHijriLeapYear(1441 + i)).filter(Boolean).length, 11);
+});
+
+test('Hijri Calendar - adds years and rejects invalid dates', () => {
+  assert.deepStrictEqual(addHijriYears({ year: 1446, month: 9, day: 1 }, 1), { year: 1447, month: 9, day: 1 });
+  assert.deepStrictEqual(addHijriYears({ year: 1447, month: 12, day: 30 }, 1), { year: 1448, month: 12, day: 29 });
+
+  assert.throws(() => fromHijri({ year: 1447, month: 2, day: 30 }), /Invalid Hijri date/);
+  assert.throws(() => toHijri('not a date'), /Invalid date/);
+});
+
+console.log('✓ All Hijri Calendar tests passed');
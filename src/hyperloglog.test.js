@@ -0,0 +1,54 @@
+/**
+ * Tests for HyperLogLog
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import HyperLogLog from './hyperloglog.js';
+
+const fill = (counter, from, to) => {
+  for (let i = from; i < to; i++) counter.add(`architect-${i}`);
+  return counter;
+};
+
+test('HyperLogLog - counts small sets exactly and ignores repeats', () => {
+  const counter = new HyperLogLog();
+  assert.strictEqual(counter.count(), 0);
+  fill(counter, 0, 100);
+  fill(counter, 0, 100);
+  assert.strictEqual(counter.count(), 100);
+  assert.strictEqual(counter.registers.length, 16384);
+});
+
+test('HyperLogLog - estimates large sets within a few standard errors', () => {
+  for (const [precision, n] of [[14, 200000], [10, 50000], [4, 2000]]) {
+    const counter = fill(new HyperLogLog(precision), 0, n);
+    const standardError = 1.04 / Math.sqrt(2 ** precision);
+    assert.ok(Math.abs(counter.count() / n - 1) < 3 * standardError, `precision ${precision}: ${counter.count()} for ${n}`);
+  }
+});
+
+test('HyperLogLog - merges counters as a union', () => {
+  const a = fill(new HyperLogLog(), 0, 600);
+  const b = fill(new HyperLogLog(), 400, 1000);
+  const union = a.clone().merge(b);
+  assert.ok(Math.abs(union.count() - 1000) <= 10);
+  assert.ok(Math.abs(a.count() - 600) <= 6); // The clone left a unchanged
+
+  assert.throws(() => a.merge(new HyperLogLog(12)), {
+    code: 'INCONSISTENT_VALUES',
+    message: 'Cannot merge a HyperLogLog of precision 12 into one of precision 14'
+  });
+});
+
+test('HyperLogLog - exports and restores its registers', () => {
+  const counter = fill(new HyperLogLog(8), 0, 150);
+  const restored = HyperLogLog.fromJSON(JSON.parse(JSON.stringify(counter)));
+  assert.deepStrictEqual(restored.registers, counter.registers);
+  assert.strictEqual(restored.count(), counter.count());
+
+  assert.throws(() => HyperLogLog.fromJSON({ precision: 8, registers: 'AAAA' }), { code: 'INCONSISTENT_VALUES', path: 'registers' });
+  assert.throws(() => new HyperLogLog(20), { code: 'OUT_OF_RANGE', path: 'precision' });
+});
+
+console.log('✓ All HyperLogLog tests passed');
@@ -4,7 +4,12 @@
  */
 
 import Harlem4KARRender from './harlem4k-ar-render.js';
+import { createGeminiClient } from './gemini-insights.js';
 import RussellDCFFramework from './russell-dcf-framework.js';
+import MonteCarloSimulator from './monte-carlo-simulator.js';
+import { formatMoney } from './fx-conversion.js';
+import LiquidityStressTester from './liquidity-stress-test.js';
+import PortfolioAggregator from './portfolio-aggregator.js';
 
 console.log('='.repeat(80));
 console.log('AkashicApp - Decentralized Creative Economy Platform');
@@ -15,7 +20,10 @@ console.log();
 console.log('1. HARLEM 4K AR RENDER ACTIVATION');
 console.log('-'.repeat(80));
 
-const harlemAR = new Harlem4KARRender();
+// Gemini is called when GEMINI_API_KEY is set; otherwise the offline fake client answers
+const harlemAR = new Harlem4KARRender({
+  geminiClient: process.env.GEMINI_API_KEY ? await createGeminiClient() : null
+});
 
 // Initialize Gemini-powered renderer
 const rendererInit = await harlemAR.initializeGeminiRenderer();
@@ -31,13 +39,28 @@ const projects = [
   { id: 'sustainable-living-complex', name: 'Sustainable Living Complex' }
 ];
 
+// Sample AR session events: each architect views a project, and some go on to interact with it
+const interactions = ['rotate', 'zoom', 'layer-toggle', 'measurement'];
+const sessionEvents = projects.flatMap((project, p) => Array.from({ length: 40 + 20 * p }, (_, i) => {
+  const architectId = `architect-${(i * 7 + p * 11) % 90}`;
+  const timestamp = new Date(Date.UTC(2026, 8, 1 + (i % 21), 9 + (i % 8)));
+  const view = { type: 'view', architectId, projectId: project.id, timestamp };
+  return i % 3 === 0 ? [view] : [view, { ...view, type: interactions[i % interactions.length] }];
+}).flat());
+harlemAR.trackEngagement(sessionEvents);
+
 for (const project of projects) {
   const engagement = await harlemAR.engageArchitects(project);
   console.log(`Project: ${engagement.engagement.projectName}`);
-  console.log(`  Architects Reached: ${engagement.engagement.architectsReached.toLocaleString()}`);
+  console.log(`  Architects Reached: ${engagement.engagement.architectsReached.toLocaleString()} (${(engagement.engagement.interactionRate * 100).toFixed(0)}% interacted)`);
   console.log(`  Quality: ${engagement.engagement.renderQuality}`);
   console.log(`  Progress: ${engagement.progress.percentage}% towards 38M target`);
 }
+const { dailyActiveUsers, weeklyActiveUsers, totalReach } = harlemAR.getMetrics();
+console.log(`Unique Architects: ${totalReach.toLocaleString()}, ${dailyActiveUsers} daily / ${weeklyActiveUsers} weekly active`);
+harlemAR.analytics.cohortRetention().forEach(({ cohort, size, retention }) => {
+  console.log(`  Cohort ${cohort}: ${size} architects, retained ${retention.slice(1).map(({ rate }) => `${(rate * 100).toFixed(0)}%`).join(', ') || '-'}`);
+});
 console.log();
 
 // Generate AR visualization
@@ -45,27 +68,102 @@ const buildingSpecs = {
   name: 'Harlem Cultural Center',
   floors: 12,
   height: 150,
-  type: 'Mixed-Use Cultural Complex'
+  type: 'Mixed-Use Cultural Complex',
+  elevators: [{ cabWidth: 2.03, cabDepth: 1.6, doorWidth: 1.07 }, { cabWidth: 1.6, cabDepth: 1.4, doorWidth: 0.9 }],
+  entrances: [{ width: 1.8, stepFree: true }, { width: 0.9, stepFree: false }],
+  ramps: [{ rise: 0.45, run: 5, width: 1.2, handrails: true }],
+  restrooms: { total: 24, accessible: 24 },
+  corridors: [{ level: 0, width: 2.4 }, { level: 6, width: 1.1 }]
 };
 
-const visualization = harlemAR.generateARVisualization(buildingSpecs);
+const visualization = await harlemAR.generateARVisualization(buildingSpecs);
+const { insights } = visualization.render;
 console.log('AR Visualization Generated:');
 console.log(`  ID: ${visualization.visualizationId}`);
 console.log(`  Resolution: ${visualization.render.resolution}`);
 console.log(`  Format: ${visualization.render.format}`);
-console.log(`  Gemini Enhancements: Enabled`);
+console.log(`  Gemini Insights (${insights.model}${insights.offline ? ', offline' : ''}):`);
+insights.materials?.forEach(m => console.log(`  - ${m.element}: ${m.material}`));
+if (insights.lighting) console.log(`  - Lighting: ${insights.lighting.description}`);
+insights.accessibility?.forEach(i => console.log(`  - Accessibility (${i.priority}): ${i.recommendation}`));
+insights.errors.forEach(e => console.log(`  - ${e.kind} unavailable: ${e.message}`));
+const { model, accessibility } = visualization;
+console.log(`  Accessibility (${accessibility.rulePacks.join(', ')}): ${accessibility.compliant ? 'compliant' : `${accessibility.violations.length} violation(s), annotated`}`);
+accessibility.violations.forEach(v => console.log(`  - ${v.severity} ${v.reference}: ${v.message}`));
+const tokyoCheck = harlemAR.checkAccessibility(buildingSpecs, ['jp-barrier-free']);
+console.log(`  Barrier-Free Act (Tokyo): ${tokyoCheck.violations.map(v => v.title).join(', ') || 'compliant'}`);
+console.log(`  Massing Model: ${model.format.toUpperCase()}, ${model.byteLength} bytes, ${model.levels.length - 1} floors at ${model.floorToFloorHeight} m`);
+console.log(`  - Layer nodes: ${Object.entries(model.layerNodes).map(([layer, node]) => `${layer} #${node}`).join(', ')}`);
+console.log(`  - glTF 2.0 validation: ${model.validation.valid ? 'passed' : model.validation.errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+const preview = await harlemAR.renderPreview(buildingSpecs, { draft: true });
+console.log(`  Draft Preview: ${preview.width}x${preview.height}, PNG ${preview.png.length} bytes, ${preview.colorDepth}-bit tone-mapped PNG ${preview.toneMappedPng.length} bytes`);
+const jobId = await harlemAR.submitRenderJob({ tenantId: 'studio-38m', specs: buildingSpecs, options: { draft: true }, priority: 'high' });
+await harlemAR.renderJobs.idle();
+const job = harlemAR.getRenderJob(jobId);
+console.log(`  Render Job: ${job.status} after ${job.attempts} attempt(s), ${job.result.width}x${job.result.height}${job.fallback ? ` (fell back from ${job.fallback.from.width}x${job.fallback.from.height})` : ''}`);
+const measured = harlemAR.measureBuilding(buildingSpecs, { limits: { maxHeight: 150, minFloorToFloorHeight: 3.5 } });
+const inTsubo = harlemAR.measureBuilding(buildingSpecs, { areaUnit: 'tsubo' });
+const inFeet = harlemAR.measureBuilding(buildingSpecs, { unit: 'ft' });
+console.log(`  Measurements: ${measured.grossFloorArea.toLocaleString()} m² (${inFeet.grossFloorArea.toLocaleString()} ft², ${inTsubo.grossFloorArea.toLocaleString()} tsubo) gross floor area, ${measured.facadeArea.toLocaleString()} m² facade`);
+console.log(`  - Height check: ${measured.heightCheck.checks.map(c => `${c.check} ${c.value} vs ${c.limit} ${c.passes ? 'ok' : 'fails'}`).join(', ')}`);
+const thread = harlemAR.annotate(visualization.visualizationId, {
+  anchor: { element: 'facade', level: 1 },
+  author: 'aiko.tanaka',
+  body: 'Can the level 1 glazing open onto the plaza?'
+});
+harlemAR.replyToAnnotation(thread.id, { author: 'marcus.reid', body: 'Yes, folding panels on the south side' });
+const resolvedThread = harlemAR.resolveAnnotation(thread.id, 'aiko.tanaka');
+console.log(`  Annotation: "${resolvedThread.comments[0].body}" (${resolvedThread.comments.length} comments, ${resolvedThread.status} by ${resolvedThread.resolvedBy})`);
 console.log();
 
 // Calculate Zakat flow
 const transactionAmount = 100000;
 const zakatFlow = harlemAR.calculateZakatFlow(transactionAmount);
 console.log('Zakat Flow Integration:');
-console.log(`  Transaction: $${transactionAmount.toLocaleString()}`);
-console.log(`  Zakat Amount: $${zakatFlow.distribution.zakatAmount.toFixed(2)}`);
-console.log(`  Community: $${zakatFlow.distribution.beneficiaries.community.toFixed(2)}`);
-console.log(`  Education: $${zakatFlow.distribution.beneficiaries.education.toFixed(2)}`);
-console.log(`  Infrastructure: $${zakatFlow.distribution.beneficiaries.infrastructure.toFixed(2)}`);
-console.log(`  Emergency: $${zakatFlow.distribution.beneficiaries.emergency.toFixed(2)}`);
+console.log(`  Transaction: ${zakatFlow.total.format()}`);
+console.log(`  Zakat Amount: ${zakatFlow.distribution.zakatAmount.format()}`);
+console.log(`  Community: ${zakatFlow.distribution.beneficiaries.community.format()}`);
+console.log(`  Education: ${zakatFlow.distribution.beneficiaries.education.format()}`);
+console.log(`  Infrastructure: ${zakatFlow.distribution.beneficiaries.infrastructure.format()}`);
+console.log(`  Emergency: ${zakatFlow.distribution.beneficiaries.emergency.format()}`);
+console.log(`  Allocation Policy: ${zakatFlow.policy.id} v${zakatFlow.policy.version} (${zakatFlow.policy.fingerprint})`);
+console.log();
+
+// Assess zakat owed by a community fund: nisab and a full Hijri year (hawl) apply
+const fundHolding = {
+  assets: { cash: 180000, tradeGoods: 45000, gold: { grams: 120 }, receivables: 20000, doubtfulReceivables: 8000 },
+  liabilities: { debts: 30000, expenses: 5000 },
+  metalPrices: { gold: 92.5, silver: 1.05 }
+};
+harlemAR.assessZakat('harlem-community-fund', { ...fundHolding, date: '2025-03-01' });
+const zakatAssessment = harlemAR.assessZakat('harlem-community-fund', { ...fundHolding, date: '2026-02-18' });
+console.log('Zakat Assessment:');
+console.log(`  Status: ${zakatAssessment.status} (${zakatAssessment.hijriDate.formatted})`);
+console.log(`  Zakat Due: ${zakatAssessment.zakatAmount.format()}`);
+zakatAssessment.explanation.forEach(line => console.log(`  - ${line}`));
+console.log();
+
+// Pay registered recipients through the payment provider
+harlemAR.disbursements.registerRecipient({ id: 'harlem-food-bank', category: 'community', account: 'acct-001', share: 3 });
+harlemAR.disbursements.registerRecipient({ id: 'harlem-shelter', category: 'community', account: 'acct-002', share: 1 });
+const payoutBatch = await harlemAR.payOutZakat('2026-02');
+// The in-memory provider leaves payouts sent until they settle
+payoutBatch.payouts.forEach(p => harlemAR.disbursements.config.provider.settle(p.providerReference));
+await harlemAR.disbursements.syncStatuses();
+console.log('Zakat Payouts:');
+payoutBatch.payouts.forEach(p => {
+  const payout = harlemAR.disbursements.getPayout(p.idempotencyKey);
+  console.log(`  ${payout.recipientId}: ${payout.amount.format()} (${payout.history.map(h => h.status).join(' → ')})`);
+});
+console.log();
+
+// Verify the hash-chained ledger
+const ledgerCheck = harlemAR.ledger.verify();
+const ledgerBalances = harlemAR.ledger.balances();
+console.log('Zakat Ledger:');
+console.log(`  Entries: ${ledgerCheck.entryCount} (${ledgerCheck.valid ? 'chain verified' : 'TAMPERED'}, head ${ledgerCheck.head.slice(0, 16)})`);
+console.log(`  Disbursed: ${ledgerBalances.totals.disbursed.format()} of ${ledgerBalances.totals.contributed.format()}`);
+console.log(`  Community Balance: ${ledgerBalances.categories.community.balance.format()}`);
 console.log();
 
 // Display final metrics
@@ -74,7 +172,7 @@ console.log('Engagement Metrics:');
 console.log(`  Total Reach: ${metrics.totalReach.toLocaleString()}`);
 console.log(`  Active Users: ${metrics.activeUsers.toLocaleString()}`);
 console.log(`  Target Completion: ${metrics.completion}`);
-console.log(`  Total Zakat Contributions: $${metrics.zakatContributions.toFixed(2)}`);
+console.log(`  Total Zakat Contributions: ${metrics.zakatContributions.format()}`);
 console.log();
 console.log();
 
@@ -82,25 +180,83 @@ console.log();
 console.log('2. RUSSELL DCF FRAMEWORK - TOKYO EXPANSION');
 console.log('-'.repeat(80));
 
-const russellDCF = new RussellDCFFramework();
+// Shinjuku Tower is priced in yen; investors report in dollars
+const russellDCF = new RussellDCFFramework({
+  functionalCurrency: 'JPY',
+  reportingCurrency: 'USD'
+});
+const money = amount => formatMoney(amount, russellDCF.config.functionalCurrency);
 
 // Generate comprehensive DCF analysis
 const dcfParams = {
   projection: {
-    initialInvestment: 50000000,
+    initialInvestment: 7500000000,
     years: 10,
     growthRate: 0.12,
-    occupancyRate: 0.92
+    occupancyRate: 0.92,
+    rentPerSqm: 105000
   },
   liquidity: {
-    totalAssetValue: 100000000,
-    currentLiquidity: 25000000,
+    totalAssetValue: 15000000000,
+    currentLiquidity: 3750000000,
     requiredLiquidityRatio: 0.20,
     emergencyReserveRatio: 0.05
+  },
+  terminalValue: {
+    method: 'exitCapRate',
+    exitCapRate: 0.035,
+    dispositionCostRate: 0.02
+  },
+  fx: {
+    baseCurrency: 'USD',
+    quoteCurrency: 'JPY',
+    spot: 150,
+    forwardCurve: [147.8, 145.6, 143.5, 141.4, 139.4, 137.4, 135.4, 133.5, 131.6, 129.7],
+    hedgeCostRate: 0.004
+  },
+  financing: {
+    tranches: [
+      {
+        name: 'Senior (JPY)',
+        type: 'senior',
+        ltv: 0.55,
+        rateType: 'floating',
+        baseRate: [0.005, 0.0075, 0.01],
+        spread: 0.012,
+        interestOnlyYears: 2,
+        amortizationYears: 25,
+        maturityYears: 10,
+        upfrontFeeRate: 0.005
+      },
+      {
+        name: 'Mezzanine (JPY)',
+        type: 'mezzanine',
+        ltv: 0.10,
+        rateType: 'fixed',
+        fixedRate: 0.06,
+        maturityYears: 5,
+        upfrontFeeRate: 0.01
+      }
+    ]
+  },
+  waterfall: {
+    style: 'european',
+    preferredReturn: 0.08,
+    catchUp: 1.0,
+    carriedInterest: 0.2,
+    tiers: [{ name: 'superPromote', hurdle: 0.15, gpShare: 0.3 }]
   }
 };
 
-const comprehensiveDCF = russellDCF.generateComprehensiveDCF(dcfParams);
+// Seeded Monte Carlo simulation supplies the risk metrics
+const simulation = new MonteCarloSimulator({
+  iterations: 2000,
+  seed: 42,
+  projection: dcfParams.projection,
+  terminalValue: dcfParams.terminalValue
+}).run();
+
+const comprehensiveDCF = russellDCF.generateComprehensiveDCF({ ...dcfParams, simulation });
 
 console.log(`Project: ${comprehensiveDCF.projectName}`);
 console.log(`Location: ${comprehensiveDCF.location}`);
@@ -109,16 +265,18 @@ console.log();
 // Yield Projection Results
 console.log('Yield Projection for Shinjuku Tower:');
 const yp = comprehensiveDCF.analysis.yieldProjection;
-console.log(`  Initial Investment: $${(yp.initialInvestment / 1000000).toFixed(2)}M`);
+console.log(`  Initial Investment: ${money(yp.initialInvestment)}`);
 console.log(`  Projection Period: ${yp.projectionPeriod} years`);
-console.log(`  Total Projected Yield: $${(yp.totalProjectedYield / 1000000).toFixed(2)}M`);
-console.log(`  Average Annual Yield: $${(yp.averageAnnualYield / 1000000).toFixed(2)}M`);
+console.log(`  Total Net Operating Income: ${money(yp.totalNetOperatingIncome)}`);
+console.log(`  Total Free Cash Flow: ${money(yp.totalFreeCashFlow)}`);
+console.log(`  Total Projected Yield: ${money(yp.totalProjectedYield)}`);
+console.log(`  Average Annual Yield: ${money(yp.averageAnnualYield)}`);
 console.log();
 
 // Sample yearly projections (first 3 years)
 console.log('  Yearly Projections (First 3 Years):');
 yp.yearlyProjections.slice(0, 3).forEach(proj => {
-  console.log(`    Year ${proj.year}: $${(proj.phiAdjustedYield / 1000000).toFixed(2)}M (Phi-Adjusted)`);
+  console.log(`    Year ${proj.year}: NOI ${money(proj.netOperatingIncome)}, FCF ${money(proj.freeCashFlow)}, ${money(proj.phiAdjustedYield)} (Phi-Adjusted)`);
 });
 console.log();
 
@@ -129,16 +287,36 @@ console.log(`  Base IRR: ${irr.baseIRR}`);
 console.log(`  Phi-Hedged IRR: ${irr.phiHedgedIRR}`);
 console.log(`  Phi Ratio: ${irr.phiRatio.toFixed(4)}`);
 console.log(`  Sharpe Ratio: ${irr.riskMetrics.sharpeRatio}`);
-console.log(`  Sortino Ratio: ${irr.riskMetrics.sortinoRatio}`);
+console.log(`  Sortino Ratio: ${irr.riskMetrics.sortinoRatio ?? 'N/A'}`);
+console.log(`  Simulated IRR Volatility: ${irr.riskMetrics.volatility} (${simulation.iterations} paths, seed ${simulation.seed})`);
 console.log(`  Recommendation: ${irr.recommendation}`);
 console.log();
 
+// Debt Financing
+console.log('Debt Financing:');
+const fin = comprehensiveDCF.analysis.financing;
+console.log(`  Loan Proceeds: ${money(fin.loanProceeds)} (LTV ${(fin.initialLTV * 100).toFixed(2)}%)`);
+console.log(`  Equity Investment: ${money(fin.equityInvestment)}`);
+console.log(`  Levered Phi-Hedged IRR: ${comprehensiveDCF.analysis.leveredIrrAnalysis.phiHedgedIRR}`);
+console.log(`  Minimum DSCR: ${fin.minimumDSCR.toFixed(2)}x`);
+console.log(`  Maximum LTV: ${(fin.maximumLTV * 100).toFixed(2)}%`);
+console.log(`  Covenant Status: ${fin.covenantStatus}`);
+console.log();
+
+// Monte Carlo Risk Simulation
+console.log('Monte Carlo Risk Simulation:');
+console.log(`  NPV P5 / P50 / P95: ${money(simulation.npv.percentiles.p5)} / ${money(simulation.npv.percentiles.p50)} / ${money(simulation.npv.percentiles.p95)}`);
+console.log(`  Probability of Negative NPV: ${(simulation.probabilityNegativeNPV * 100).toFixed(2)}%`);
+console.log(`  NPV VaR (${simulation.confidenceLevel * 100}%): ${money(simulation.valueAtRisk)}`);
+console.log(`  NPV CVaR (${simulation.confidenceLevel * 100}%): ${money(simulation.conditionalValueAtRisk)}`);
+console.log();
+
 // Liquidity Validation
 console.log('Liquidity Mechanism Validation:');
 const liq = comprehensiveDCF.analysis.liquidityValidation;
-console.log(`  Total Asset Value: $${(liq.totalAssetValue / 1000000).toFixed(2)}M`);
-console.log(`  Current Liquidity: $${(liq.currentLiquidity / 1000000).toFixed(2)}M`);
-console.log(`  Required Liquidity: $${(liq.requiredLiquidity / 1000000).toFixed(2)}M`);
+console.log(`  Total Asset Value: ${money(liq.totalAssetValue)}`);
+console.log(`  Current Liquidity: ${money(liq.currentLiquidity)}`);
+console.log(`  Required Liquidity: ${money(liq.requiredLiquidity)}`);
 console.log(`  Actual Ratio: ${liq.actualLiquidityRatio}`);
 console.log(`  Phi Liquidity Score: ${liq.phiLiquidityScore}`);
 console.log(`  Status: ${liq.status}`);
@@ -149,6 +327,8 @@ console.log(`    Sufficient Liquidity: ${liq.validations.sufficientLiquidity ? '
 console.log(`    Emergency Reserve Met: ${liq.validations.emergencyReserveMet ? '✓' : '✗'}`);
 console.log(`    Optimal Ratio: ${liq.validations.optimalRatio ? '✓' : '✗'}`);
 console.log(`    Phi Aligned: ${liq.validations.phiAligned ? '✓' : '✗'}`);
+console.log(`    Debt Service Covered: ${liq.validations.debtServiceCovered ? '✓' : '✗'}`);
+console.log(`    Loan Covenants Met: ${liq.validations.covenantsMet ? '✓' : '✗'}`);
 console.log();
 
 console.log('  Recommendations:');
@@ -161,8 +341,88 @@ console.log();
 console.log('Net Present Value (NPV) Analysis:');
 const npv = comprehensiveDCF.analysis.npv;
 console.log(`  NPV: ${npv.formatted}`);
+console.log(`  Explicit Period NPV: ${money(npv.explicitPeriodNPV)}`);
+console.log(`  Terminal Value (PV): ${money(npv.terminalPresentValue)} (${npv.terminalValueShare} of total value)`);
 console.log(`  Discount Rate: ${npv.discountRate}`);
 console.log(`  Status: ${npv.status}`);
+console.log(`  Run: ${comprehensiveDCF.run.id}`);
+console.log();
+
+// Multi-Currency Analysis
+console.log('Multi-Currency Analysis (JPY → USD):');
+const fx = comprehensiveDCF.analysis.currency;
+console.log(`  NPV (${fx.functionalCurrency}): ${fx.functional.formatted}`);
+console.log(`  NPV (${fx.reportingCurrency}): ${fx.reporting.formatted}`);
+console.log(`  IRR (${fx.functionalCurrency} / ${fx.reportingCurrency}): ${(fx.functional.irr * 100).toFixed(2)}% / ${(fx.reporting.irr * 100).toFixed(2)}%`);
+console.log(`  FX Effect on NPV: ${formatMoney(fx.attribution.fxEffectOnNPV, fx.reportingCurrency)}`);
+console.log(`  FX Effect on IRR: ${(fx.attribution.fxEffectOnIRR * 100).toFixed(2)}%`);
+console.log(`  Hedge Cost Effect on NPV: ${formatMoney(fx.attribution.hedgeCostEffectOnNPV, fx.reportingCurrency)}`);
+console.log();
+
+// Investor Distribution Waterfall
+console.log('Investor Distribution Waterfall:');
+const waterfall = comprehensiveDCF.analysis.waterfall;
+console.log(`  Style: ${waterfall.style}`);
+waterfall.tiers.forEach(tier => {
+  console.log(`    ${tier.name}: LP ${money(tier.lp)}, GP ${money(tier.gp)}`);
+});
+['lp', 'gp'].forEach(party => {
+  const { distributed, irr, multiple } = waterfall.parties[party];
+  console.log(`  ${party.toUpperCase()}: ${money(distributed)} distributed, IRR ${(irr * 100).toFixed(2)}%, ${multiple.toFixed(2)}x`);
+});
+console.log(`  GP Promote: ${money(waterfall.parties.gp.promote)}`);
+console.log();
+
+// Liquidity Stress Test
+console.log('Liquidity Stress Test (36 months):');
+const stressTest = new LiquidityStressTester({
+  frameworkConfig: russellDCF.config,
+  totalAssetValue: dcfParams.liquidity.totalAssetValue,
+  openingLiquidity: dcfParams.liquidity.currentLiquidity,
+  annualInflows: yp.yearlyProjections.map(p => p.freeCashFlow),
+  financing: comprehensiveDCF.analysis.financing
+}).run();
+stressTest.scenarios.forEach(scenario => {
+  const failure = scenario.firstFailureMonth === null ? 'none' : `month ${scenario.firstFailureMonth}`;
+  console.log(`  ${scenario.name}: runway ${scenario.runwayMonths} months, first failed check ${failure}`);
+});
+const worstStress = stressTest.scenarios.find(s => s.name === stressTest.worstScenario);
+console.log(`  Most severe: ${worstStress.name}`);
+worstStress.recommendations.forEach(rec => console.log(`    • ${rec}`));
+console.log();
+
+// Portfolio Aggregation
+console.log('Portfolio Aggregation (USD):');
+const portfolio = new PortfolioAggregator({
+  baseCurrency: 'USD',
+  fxRates: [dcfParams.fx],
+  projects: [
+    { name: 'Shinjuku Tower', frameworkConfig: russellDCF.config, params: dcfParams, volatility: 0.12 },
+    {
+      name: 'Harlem Cultural Center',
+      frameworkConfig: { projectName: 'Harlem Cultural Center', location: 'Harlem, New York' },
+      params: {
+        projection: { initialInvestment: 20000000, leasableArea: 3000, rentPerSqm: 900, growthRate: 0.03 },
+        liquidity: { totalAssetValue: 30000000, currentLiquidity: 6000000 },
+        terminalValue: { method: 'exitCapRate', exitCapRate: 0.045 }
+      },
+      startYear: 1,
+      volatility: 0.2
+    }
+  ],
+  correlation: [[1, 0.2], [0.2, 1]]
+});
+const portfolioAnalysis = portfolio.analyze();
+console.log(`  Consolidated NPV: ${portfolioAnalysis.consolidated.formatted}`);
+console.log(`  Consolidated IRR: ${(portfolioAnalysis.consolidated.irr * 100).toFixed(2)}%`);
+Object.entries(portfolioAnalysis.exposure.byLocation).forEach(([location, exposure]) => {
+  console.log(`    ${location}: ${(exposure.share * 100).toFixed(1)}% of capital`);
+});
+console.log(`  Diversification Benefit: ${(portfolioAnalysis.diversification.diversificationBenefit * 100).toFixed(1)}% lower volatility`);
+console.log(`  Portfolio Liquidity: ${portfolioAnalysis.liquidity.status}`);
+portfolio.marginalImpact().forEach(impact => {
+  console.log(`    Without ${impact.name}: NPV change ${formatMoney(impact.npvChange, 'USD')}`);
+});
 console.log();
 
 // Overall Assessment
@@ -170,6 +430,7 @@ console.log('Overall Investment Assessment:');
 const assessment = comprehensiveDCF.overallAssessment;
 console.log(`  Investment Viability: ${assessment.investmentViability}`);
 console.log(`  Risk Level: ${assessment.riskLevel}`);
+console.log(`  Terminal Value Dependence: ${assessment.terminalValueDependence}`);
 console.log(`  Phi Alignment: ${assessment.phiAlignment}`);
 console.log();
 
@@ -184,7 +445,7 @@ console.log(`  - Gemini-powered 4K visuals: ENABLED`);
 console.log(`  - Zakat flow logic: INTEGRATED`);
 console.log();
 console.log('✓ Russell DCF Framework: OPTIMIZED');
-console.log(`  - Yield projection: $${(yp.totalProjectedYield / 1000000).toFixed(2)}M over ${yp.projectionPeriod} years`);
+console.log(`  - Yield projection: ${money(yp.totalProjectedYield)} over ${yp.projectionPeriod} years`);
 console.log(`  - Phi-Hedged IRR: ${irr.phiHedgedIRR}`);
 console.log(`  - Liquidity validation: ${liq.status}`);
 console.log();
@@ -0,0 +1,285 @@
+/**
+ * IRR Solver
+ * Root-finding IRR, MIRR and XIRR over signed cash-flow series
+ */
+
+const DAYS_PER_YEAR = 365;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export class IRRSolver {
+  constructor(config = {}) {
+    this.config = {
+      tolerance: 1e-10, // Convergence tolerance on the rate
+      maxIterations: 200, // Bisection iterations per bracket
+      minRate: -0.99, // Lower bound of the root scan (rates at or below -100% are undefined)
+      maxRate: 10, // Upper bound of the root scan (1000%)
+      scanSteps: 2000, // Grid points used to bracket sign changes
+      guess: 0.1, // Preferred root when several exist
+      ...config
+    };
+  }
+
+  /**
+   * Calculate the Internal Rate of Return of periodic cash flows
+   * @param {number[]} cashFlows - Signed cash flows, index 0 at t=0 (outflows negative)
+   * @param {number[]} times - Optional time of each cash flow in years; the rate is then annual
+   * @returns {Object} IRR result with status, rate and every root found
+   */
+  irr(cashFlows, times = null) {
+    this.assertCashFlows(cashFlows);
+    this.assertTimes(cashFlows, times);
+    return this.solve(rate => this.npv(cashFlows, rate, times), cashFlows);
+  }
+
+  /**
+   * Calculate the Modified Internal Rate of Return
+   * Negative flows are discounted at the finance rate, positive flows compounded at the reinvestment rate
+   * @param {number[]} cashFlows - Signed cash flows, index 0 at t=0
+   * @param {number} financeRate - Rate paid on the money used in the investment
+   * @param {number} reinvestmentRate - Rate earned on reinvested cash flows
+   * @param {number[]} times - Optional time of each cash flow in years; the rate is then annual
+   * @returns {Object} MIRR result
+   */
+  mirr(cashFlows, financeRate, reinvestmentRate, times = null) {
+    this.assertCashFlows(cashFlows);
+    this.assertTimes(cashFlows, times);
+    const timeOf = index => (times ? times[index] : index);
+    const periods = timeOf(cashFlows.length - 1);
+
+    const presentValueOutflows = cashFlows.reduce((sum, cf, t) => {
+      return cf < 0 ? sum + cf / Math.pow(1 + financeRate, timeOf(t)) : sum;
+    }, 0);
+    const futureValueInflows = cashFlows.reduce((sum, cf, t) => {
+      return cf > 0 ? sum + cf * Math.pow(1 + reinvestmentRate, periods - timeOf(t)) : sum;
+    }, 0);
+
+    if (presentValueOutflows === 0 || futureValueInflows === 0 || periods === 0) {
+      return {
+        status: 'NO_ROOT',
+        rate: null,
+        financeRate,
+        reinvestmentRate,
+        message: 'MIRR requires at least one outflow and one inflow over two or more periods'
+      };
+    }
+
+    const rate = Math.pow(futureValueInflows / -presentValueOutflows, 1 / periods) - 1;
+
+    return {
+      status: 'SOLVED',
+      rate,
+      financeRate,
+      reinvestmentRate,
+      presentValueOutflows,
+      futureValueInflows,
+      message: 'MIRR calculated'
+    };
+  }
+
+  /**
+   * Calculate the IRR of irregularly dated cash flows (Actual/365)
+   * @param {Array<{date: (Date|string), amount: number}>} datedCashFlows - Dated signed cash flows
+   * @returns {Object} XIRR result with status, rate and every root found
+   */
+  xirr(datedCashFlows) {
+    if (!Array.isArray(datedCashFlows) || datedCashFlows.length < 2) {
+      throw new Error('XIRR requires at least two dated cash flows');
+    }
+
+    const flows = datedCashFlows.map(({ date, amount }) => {
+      const time = new Date(date).getTime();
+      if (Number.isNaN(time)) {
+        throw new Error(`Invalid cash flow date: ${date}`);
+      }
+      if (!Number.isFinite(amount)) {
+        throw new Error('Cash flows must be finite numbers');
+      }
+      return { time, amount };
+    });
+    const start = Math.min(...flows.map(f => f.time));
+    const timed = flows.map(f => ({
+      years: (f.time - start) / MS_PER_DAY / DAYS_PER_YEAR,
+      amount: f.amount
+    }));
+
+    const npv = rate => timed.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, f.years), 0);
+    return this.solve(npv, timed.map(f => f.amount));
+  }
+
+  /**
+   * Net present value of periodic cash flows, index 0 at t=0
+   * @param {number[]} cashFlows - Signed cash flows
+   * @param {number} rate - Discount rate per period (annual when times are given)
+   * @param {number[]} times - Optional time of each cash flow in years
+   * @returns {number} NPV
+   */
+  npv(cashFlows, rate, times = null) {
+    return cashFlows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, times ? times[t] : t), 0);
+  }
+
+  /**
+   * Locate every root of an NPV function within the scan range
+   * @private
+   */
+  solve(npv, amounts) {
+    const signChanges = this.countSignChanges(amounts);
+
+    if (signChanges === 0) {
+      return {
+        status: 'NO_ROOT',
+        rate: null,
+        roots: [],
+        signChanges,
+        message: 'Cash flows never change sign - IRR is undefined'
+      };
+    }
+
+    const roots = this.findRoots(npv);
+
+    if (roots.length === 0) {
+      return {
+        status: 'NO_ROOT',
+        rate: null,
+        roots,
+        signChanges,
+        message: `No IRR found between ${this.formatRate(this.config.minRate)} and ${this.formatRate(this.config.maxRate)}`
+      };
+    }
+
+    const rate = roots.reduce((best, root) => {
+      return Math.abs(root - this.config.guess) < Math.abs(best - this.config.guess) ? root : best;
+    });
+
+    if (roots.length > 1) {
+      return {
+        status: 'MULTIPLE_ROOTS',
+        rate,
+        roots,
+        signChanges,
+        message: `${roots.length} IRRs found (${roots.map(r => this.formatRate(r)).join(', ')}) - using the root nearest ${this.formatRate(this.config.guess)}; prefer MIRR for this series`
+      };
+    }
+
+    return {
+      status: 'SOLVED',
+      rate,
+      roots,
+      signChanges,
+      message: 'IRR solved'
+    };
+  }
+
+  /**
+   * Bracket sign changes on a grid and refine each by bisection
+   * @private
+   */
+  findRoots(npv) {
+    const { minRate, maxRate, scanSteps, tolerance } = this.config;
+    const step = (maxRate - minRate) / scanSteps;
+    const roots = [];
+
+    let lower = minRate;
+    let lowerValue = npv(lower);
+
+    for (let i = 1; i <= scanSteps; i++) {
+      const upper = minRate + step * i;
+      const upperValue = npv(upper);
+
+      if (lowerValue === 0) {
+        roots.push(lower);
+      } else if (Number.isFinite(lowerValue) && Number.isFinite(upperValue) && lowerValue * upperValue < 0) {
+        roots.push(this.bisect(npv, lower, upper, lowerValue));
+      }
+
+      lower = upper;
+      lowerValue = upperValue;
+    }
+
+    if (lowerValue === 0) {
+      roots.push(lower);
+    }
+
+    // Collapse duplicates produced by roots sitting exactly on a grid point
+    return roots.filter((root, index) => index === 0 || Math.abs(root - roots[index - 1]) > tolerance * 10);
+  }
+
+  /**
+   * Bisection refinement within a bracketing interval
+   * @private
+   */
+  bisect(npv, lower, upper, lowerValue) {
+    let low = lower;
+    let high = upper;
+    let lowValue = lowerValue;
+
+    for (let i = 0; i < this.config.maxIterations && high - low > this.config.tolerance; i++) {
+      const mid = (low + high) / 2;
+      const midValue = npv(mid);
+
+      if (midValue === 0) {
+        return mid;
+      }
+      if (lowValue * midValue < 0) {
+        high = mid;
+      } else {
+        low = mid;
+        lowValue = midValue;
+      }
+    }
+
+    return (low + high) / 2;
+  }
+
+  /**
+   * Count sign changes in a cash-flow series (Descartes' bound on the number of IRRs)
+   * @private
+   */
+  countSignChanges(amounts) {
+    let changes = 0;
+    let previousSign = 0;
+
+    for (const amount of amounts) {
+      const sign = Math.sign(amount);
+      if (sign === 0) continue;
+      if (previousSign !== 0 && sign !== previousSign) changes++;
+      previousSign = sign;
+    }
+
+    return changes;
+  }
+
+  /**
+   * Validate a periodic cash-flow series
+   * @private
+   */
+  assertCashFlows(cashFlows) {
+    if (!Array.isArray(cashFlows) || cashFlows.length < 2) {
+      throw new Error('IRR requires at least two cash flows');
+    }
+    if (!cashFlows.every(cf => Number.isFinite(cf))) {
+      throw new Error('Cash flows must be finite numbers');
+    }
+  }
+
+  /**
+   * @private
+   */
+  assertTimes(cashFlows, times) {
+    if (times === null) return;
+    if (!Array.isArray(times) || times.length !== cashFlows.length) {
+      throw new Error('Cash flow times must match the cash flows one to one');
+    }
+    if (!times.every((t, index) => Number.isFinite(t) && (index === 0 || t >= times[index - 1]))) {
+      throw new Error('Cash flow times must be finite and in ascending order');
+    }
+  }
+
+  /**
+   * @private
+   */
+  formatRate(rate) {
+    return (rate * 100).toFixed(2) + '%';
+  }
+}
+
+export default IRRSolver;
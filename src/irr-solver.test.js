@@ -0,0 +1,114 @@
+/**
+ * Tests for IRR Solver
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import IRRSolver from './irr-solver.js';
+
+test('IRRSolver - irr solves a conventional series', () => {
+  const solver = new IRRSolver();
+  const result = solver.irr([-100, 110]);
+
+  assert.strictEqual(result.status, 'SOLVED');
+  assert.ok(Math.abs(result.rate - 0.10) < 1e-8);
+  assert.strictEqual(result.roots.length, 1);
+});
+
+test('IRRSolver - irr accounts for cash flow timing', () => {
+  const solver = new IRRSolver();
+  const early = solver.irr([-1000, 600, 400, 100]);
+  const late = solver.irr([-1000, 100, 400, 600]);
+
+  assert.ok(early.rate > late.rate);
+  assert.ok(Math.abs(solver.npv([-1000, 600, 400, 100], early.rate)) < 1e-6);
+});
+
+test('IRRSolver - irr reports no root when flows never change sign', () => {
+  const solver = new IRRSolver();
+  const result = solver.irr([100, 200, 300]);
+
+  assert.strictEqual(result.status, 'NO_ROOT');
+  assert.strictEqual(result.rate, null);
+  assert.match(result.message, /never change sign/);
+});
+
+test('IRRSolver - irr reports multiple roots', () => {
+  const solver = new IRRSolver();
+  // Roots at 10% and 20%: -100(1+r)^2 + 230(1+r) - 132 = 0
+  const result = solver.irr([-100, 230, -132]);
+
+  assert.strictEqual(result.status, 'MULTIPLE_ROOTS');
+  assert.strictEqual(result.roots.length, 2);
+  assert.ok(Math.abs(result.roots[0] - 0.10) < 1e-8);
+  assert.ok(Math.abs(result.roots[1] - 0.20) < 1e-8);
+  assert.ok(Math.abs(result.rate - 0.10) < 1e-8);
+});
+
+test('IRRSolver - irr rejects invalid input', () => {
+  const solver = new IRRSolver();
+
+  assert.throws(() => solver.irr([-100]), /at least two cash flows/);
+  assert.throws(() => solver.irr([-100, NaN]), /finite numbers/);
+});
+
+test('IRRSolver - mirr uses separate finance and reinvestment rates', () => {
+  const solver = new IRRSolver();
+  const result = solver.mirr([-1000, 500, 500, 500], 0.10, 0.12);
+
+  // FV of inflows at 12%: 500*1.12^2 + 500*1.12 + 500 = 1687.2
+  assert.strictEqual(result.status, 'SOLVED');
+  assert.ok(Math.abs(result.futureValueInflows - 1687.2) < 1e-9);
+  assert.ok(Math.abs(result.rate - (Math.pow(1.6872, 1 / 3) - 1)) < 1e-12);
+});
+
+test('IRRSolver - mirr reports no root without an outflow', () => {
+  const solver = new IRRSolver();
+  const result = solver.mirr([100, 200], 0.08, 0.08);
+
+  assert.strictEqual(result.status, 'NO_ROOT');
+  assert.strictEqual(result.rate, null);
+});
+
+test('IRRSolver - xirr solves dated irregular flows', () => {
+  const solver = new IRRSolver();
+  const result = solver.xirr([
+    { date: '2008-01-01', amount: -10000 },
+    { date: '2008-03-01', amount: 2750 },
+    { date: '2008-10-30', amount: 4250 },
+    { date: '2009-02-15', amount: 3250 },
+    { date: '2009-04-01', amount: 2750 }
+  ]);
+
+  assert.strictEqual(result.status, 'SOLVED');
+  assert.ok(Math.abs(result.rate - 0.373362535) < 1e-6);
+});
+
+test('IRRSolver - xirr rejects invalid dates', () => {
+  const solver = new IRRSolver();
+
+  assert.throws(() => solver.xirr([
+    { date: 'not-a-date', amount: -100 },
+    { date: '2025-01-01', amount: 110 }
+  ]), /Invalid cash flow date/);
+});
+
+test('IRRSolver - irr and mirr accept cash flow times in years', () => {
+  const solver = new IRRSolver();
+
+  // 10% over half a year is 21% annualized
+  const result = solver.irr([-100, 110], [0, 0.5]);
+  assert.ok(Math.abs(result.rate - 0.21) < 1e-9);
+
+  const quarterly = [-1000, 30, 30, 30, 1030];
+  const times = [0, 0.25, 0.5, 0.75, 1];
+  const periodic = solver.irr(quarterly).rate;
+  assert.ok(Math.abs(solver.irr(quarterly, times).rate - (Math.pow(1 + periodic, 4) - 1)) < 1e-9);
+
+  const mirr = solver.mirr(quarterly, 0.08, 0.08, times);
+  assert.strictEqual(mirr.status, 'SOLVED');
+  assert.throws(() => solver.irr([-100, 110], [0.5, 0]), /ascending order/);
+  assert.throws(() => solver.irr([-100, 110], [0]), /one to one/);
+});
+
+console.log('✓ All IRR Solver tests passed');
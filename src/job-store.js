@@ -0,0 +1,92 @@
+/**
+ * Job Stores
+ * Persistence adapters for render queue and annotation store snapshots: in memory, or a JSON file that survives a restart
+ */
+
+import fs from 'node:fs/promises';
+import { assertValid } from './validation.js';
+
+/**
+ * Base class for job store adapters
+ * Subclasses implement load() and save(). A snapshot is a JSON-safe object; save() replaces the
+ * previous one, so a store only ever holds the latest.
+ */
+export class JobStore {
+  /**
+   * @param {string} name - Store name, used in error messages
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Latest saved snapshot
+   * @returns {Promise<(Object|null)>} The snapshot, or null if nothing has been saved
+   */
+  async load() {
+    throw new Error(`${this.name} does not implement load()`);
+  }
+
+  /**
+   * Replace the saved snapshot
+   * @param {Object} snapshot - JSON-safe queue snapshot
+   * @returns {Promise<void>}
+   */
+  async save(snapshot) {
+    throw new Error(`${this.name} does not implement save()`);
+  }
+}
+
+/**
+ * Store that keeps the snapshot in memory, serialized so later changes to the queue do not leak into it
+ */
+export class MemoryJobStore extends JobStore {
+  constructor() {
+    super('memory');
+    this.data = null;
+    this.saveCount = 0;
+  }
+
+  async load() {
+    return this.data === null ? null : JSON.parse(this.data);
+  }
+
+  async save(snapshot) {
+    this.data = JSON.stringify(snapshot);
+    this.saveCount += 1;
+  }
+}
+
+/**
+ * Store that writes the snapshot to a JSON file
+ * Each save goes to a temporary file renamed over the previous one, so a crash mid-write leaves
+ * the last complete snapshot in place.
+ */
+export class FileJobStore extends JobStore {
+  /**
+   * @param {Object} config - Store configuration
+   * @param {string} config.path - Snapshot file; its directory must exist
+   */
+  constructor(config = {}) {
+    super('file');
+    this.config = { ...config };
+    assertValid({ type: 'object', required: ['path'], properties: { path: { type: 'string' } } }, this.config, 'config');
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.config.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async save(snapshot) {
+    const temporary = `${this.config.path}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(snapshot));
+    await fs.rename(temporary, this.config.path);
+  }
+}
+
+export default JobStore;
@@ -0,0 +1,52 @@
+/**
+ * Tests for Job Stores
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import JobStore, { FileJobStore, MemoryJobStore } from './job-store.js';
+
+const snapshot = { version: 1, sequence: 2, jobs: [{ id: 'a', status: 'queued' }, { id: 'b', status: 'running' }] };
+
+test('JobStore - adapters must implement load and save', async () => {
+  const store = new JobStore('custom');
+  await assert.rejects(() => store.load(), { message: 'custom does not implement load()' });
+  await assert.rejects(() => store.save(snapshot), { message: 'custom does not implement save()' });
+});
+
+test('MemoryJobStore - keeps a copy of the latest snapshot', async () => {
+  const store = new MemoryJobStore();
+  assert.strictEqual(await store.load(), null);
+
+  const saved = structuredClone(snapshot);
+  await store.save(saved);
+  saved.jobs[0].status = 'cancelled';
+  assert.deepStrictEqual(await store.load(), snapshot);
+  assert.strictEqual(store.saveCount, 1);
+});
+
+test('FileJobStore - writes the snapshot to a file a new store can read', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'render-jobs-'));
+  try {
+    const file = path.join(dir, 'jobs.json');
+    const store = new FileJobStore({ path: file });
+    assert.strictEqual(await store.load(), null);
+
+    await store.save({ ...snapshot, sequence: 1 });
+    await store.save(snapshot);
+    assert.deepStrictEqual(await new FileJobStore({ path: file }).load(), snapshot);
+    assert.deepStrictEqual(await fs.readdir(dir), ['jobs.json']); // No temporary files left behind
+
+    await fs.writeFile(file, '{"version":');
+    await assert.rejects(() => store.load(), SyntaxError);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  assert.throws(() => new FileJobStore(), { code: 'REQUIRED', path: 'config.path' });
+});
+
+console.log('✓ All Job Store tests passed');
@@ -0,0 +1,267 @@
+/**
+ * Liquidity Stress Test
+ * Month-by-month liquidity simulation with debt service, gated redemption queues and stress scenarios,
+ * re-running the framework's liquidity validation every month
+ */
+
+import RussellDCFFramework from './russell-dcf-framework.js';
+import { formatMoney } from './fx-conversion.js';
+
+/**
+ * Stress scenarios run by default
+ */
+export const DEFAULT_STRESS_SCENARIOS = [
+  { name: 'base' },
+  {
+    name: 'occupancyShock',
+    occupancyShock: { startMonth: 6, months: 12, occupancyDrop: 0.25 }
+  },
+  {
+    name: 'redemptionRun',
+    redemptionRun: { month: 3, share: 0.25 }
+  },
+  {
+    name: 'combined',
+    occupancyShock: { startMonth: 6, months: 12, occupancyDrop: 0.25 },
+    redemptionRun: { month: 6, share: 0.25 },
+    valueShock: { month: 6, decline: 0.15 }
+  }
+];
+
+export class LiquidityStressTester {
+  constructor(config = {}) {
+    this.config = {
+      months: 36,
+      frameworkConfig: {}, // RussellDCFFramework config used for the monthly validation
+      liquidityParams: {}, // Extra validateLiquidityMechanisms params (ratios, reserve months)
+      totalAssetValue: 100000000, // Opening total asset value, including liquidity
+      openingLiquidity: 25000000,
+      annualInflows: 4000000, // Operating cash flow per year: number or per-year path, received evenly each month
+      baseOccupancy: 0.92, // Occupancy behind the projected inflows; shocks scale inflows from here
+      annualDebtService: 0, // Number or per-year path, paid evenly each month (ignored when financing is set)
+      financing: null, // DebtFinancingModel.analyze result: monthly debt service and year-end balloons
+      scheduledOutflows: [], // [{ month, amount, description }]
+      redemptionRequests: [], // [{ month, amount, investor }] - month the request is submitted
+      noticePeriodMonths: 3, // Requests become payable this many months after submission
+      redemptionGate: 0.02, // Max redemptions paid per month as a share of total asset value (null: ungated)
+      scenarios: DEFAULT_STRESS_SCENARIOS,
+      ...config
+    };
+  }
+
+  /**
+   * Run every configured stress scenario
+   * @returns {Object} Results per scenario and the most severe scenario
+   */
+  run() {
+    const scenarios = this.config.scenarios.map(scenario => this.simulate(scenario));
+    // Shortest runway first, then the earliest failed check
+    const severity = s => [s.runwayMonths, s.firstFailureMonth ?? Infinity];
+    const worst = scenarios.reduce((a, b) => {
+      const [runwayA, failureA] = severity(a);
+      const [runwayB, failureB] = severity(b);
+      return runwayB < runwayA || (runwayB === runwayA && failureB < failureA) ? b : a;
+    });
+
+    return {
+      months: this.config.months,
+      scenarios,
+      worstScenario: worst.name,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Simulate one scenario month by month
+   * Redemptions are paid first-in first-out once their notice period ends, limited by the gate and by
+   * liquidity above the emergency reserve; the remainder waits in the queue.
+   * @param {Object} scenario - Stress scenario ({ name, occupancyShock, redemptionRun, valueShock })
+   * @returns {Object} Monthly path, runway, first failure month per check and recommendations
+   */
+  simulate(scenario = { name: 'base' }) {
+    const { months, totalAssetValue, openingLiquidity, noticePeriodMonths, redemptionGate } = this.config;
+    const { emergencyReserveRatio = 0.05 } = this.config.liquidityParams;
+    const framework = new RussellDCFFramework(this.config.frameworkConfig);
+
+    const requests = this.buildRedemptionRequests(scenario, totalAssetValue);
+    const queue = [];
+    let liquidity = openingLiquidity;
+    let otherAssets = totalAssetValue - openingLiquidity;
+    let exhaustedMonth = null;
+    const path = [];
+
+    for (let month = 1; month <= months; month++) {
+      const openingBalance = liquidity;
+
+      if (scenario.valueShock && month === scenario.valueShock.month) {
+        otherAssets *= 1 - scenario.valueShock.decline;
+      }
+
+      const inflows = this.monthlyInflow(month, scenario.occupancyShock);
+      const debtService = this.monthlyDebtService(month);
+      const scheduledOutflows = this.config.scheduledOutflows
+        .filter(o => o.month === month)
+        .reduce((sum, o) => sum + o.amount, 0);
+
+      liquidity += inflows - debtService - scheduledOutflows;
+
+      requests
+        .filter(r => r.month + noticePeriodMonths === month)
+        .forEach(r => queue.push({ ...r, remaining: r.amount }));
+
+      const redemptionsDue = queue.reduce((sum, r) => sum + r.remaining, 0);
+      const assetValue = otherAssets + liquidity;
+      // Paying out also shrinks total assets, so the reserve is kept against the post-payment value
+      const payable = Math.max(0, Math.min(
+        redemptionGate === null ? Infinity : assetValue * redemptionGate,
+        (liquidity - assetValue * emergencyReserveRatio) / (1 - emergencyReserveRatio)
+      ));
+
+      let redemptionsPaid = 0;
+      while (queue.length > 0 && redemptionsPaid < payable) {
+        const payment = Math.min(queue[0].remaining, payable - redemptionsPaid);
+        queue[0].remaining -= payment;
+        redemptionsPaid += payment;
+        if (queue[0].remaining <= 1e-6) queue.shift();
+      }
+      liquidity -= redemptionsPaid;
+
+      const closingAssetValue = otherAssets + liquidity;
+      const validation = framework.validateLiquidityMechanisms({
+        ...this.config.liquidityParams,
+        totalAssetValue: closingAssetValue,
+        currentLiquidity: liquidity,
+        annualDebtService: this.nextTwelveMonthsDebtService(month)
+      });
+
+      if (liquidity < 0 && exhaustedMonth === null) {
+        exhaustedMonth = month;
+      }
+
+      path.push({
+        month,
+        openingLiquidity: openingBalance,
+        inflows,
+        debtService,
+        scheduledOutflows,
+        redemptionsDue,
+        redemptionsPaid,
+        queuedRedemptions: queue.reduce((sum, r) => sum + r.remaining, 0),
+        closingLiquidity: liquidity,
+        totalAssetValue: closingAssetValue,
+        liquidityRatio: closingAssetValue > 0 ? liquidity / closingAssetValue : null,
+        validations: validation.validations,
+        status: validation.status,
+        recommendations: validation.recommendations
+      });
+    }
+
+    const firstFailures = Object.fromEntries(
+      Object.keys(path[0].validations).map(check => [
+        check,
+        path.find(m => !m.validations[check])?.month ?? null
+      ])
+    );
+    const failureMonths = Object.values(firstFailures).filter(m => m !== null);
+    const firstFailureMonth = failureMonths.length > 0 ? Math.min(...failureMonths) : null;
+
+    return {
+      name: scenario.name,
+      runwayMonths: exhaustedMonth === null ? months : exhaustedMonth - 1,
+      liquidityExhausted: exhaustedMonth !== null,
+      firstFailures,
+      firstFailureMonth,
+      recommendations: firstFailureMonth === null
+        ? ['Liquidity holds through the stress horizon - maintain current strategy']
+        : this.stressRecommendations(path[firstFailureMonth - 1]),
+      totalRedemptionsRequested: requests.reduce((sum, r) => sum + r.amount, 0),
+      totalRedemptionsPaid: path.reduce((sum, m) => sum + m.redemptionsPaid, 0),
+      peakRedemptionQueue: Math.max(...path.map(m => m.queuedRedemptions)),
+      endingLiquidity: liquidity,
+      months: path
+    };
+  }
+
+  /**
+   * Recommendations at the first failing month, with the redemption queue called out
+   * @private
+   */
+  stressRecommendations(month) {
+    const recommendations = month.recommendations.map(r => `Month ${month.month}: ${r}`);
+
+    if (month.queuedRedemptions > 0) {
+      const currency = this.config.frameworkConfig.functionalCurrency ?? 'USD';
+      recommendations.push(
+        `Month ${month.month}: ${formatMoney(month.queuedRedemptions, currency)} of redemptions queued - ` +
+        'keep the gate in place and line up asset sales or a credit facility to clear the queue'
+      );
+    }
+    return recommendations;
+  }
+
+  /**
+   * Configured redemption requests plus any scenario redemption run
+   * @private
+   */
+  buildRedemptionRequests(scenario, totalAssetValue) {
+    const requests = [...this.config.redemptionRequests];
+
+    if (scenario.redemptionRun) {
+      const { month, share } = scenario.redemptionRun;
+      requests.push({ month, amount: totalAssetValue * share, investor: 'redemption run' });
+    }
+    return requests.sort((a, b) => a.month - b.month);
+  }
+
+  /**
+   * Operating inflow for a month, scaled down while an occupancy shock is active
+   * @private
+   */
+  monthlyInflow(month, occupancyShock) {
+    const annual = this.valueForYear(this.config.annualInflows, Math.ceil(month / 12));
+
+    if (occupancyShock && month >= occupancyShock.startMonth && month < occupancyShock.startMonth + occupancyShock.months) {
+      const { baseOccupancy } = this.config;
+      const shocked = Math.max(0, baseOccupancy - occupancyShock.occupancyDrop);
+      return (annual / 12) * (shocked / baseOccupancy);
+    }
+    return annual / 12;
+  }
+
+  /**
+   * Debt service paid in a month, including any balloon at the end of its loan year
+   * @private
+   */
+  monthlyDebtService(month) {
+    const year = Math.ceil(month / 12);
+    const { financing, annualDebtService } = this.config;
+
+    if (financing) {
+      const metrics = financing.yearlyMetrics[year - 1];
+      if (!metrics) return 0;
+      return metrics.debtService / 12 + (month % 12 === 0 ? metrics.balloonPayment : 0);
+    }
+    return this.valueForYear(annualDebtService, year) / 12;
+  }
+
+  /**
+   * @private
+   */
+  nextTwelveMonthsDebtService(month) {
+    let total = 0;
+    for (let m = month + 1; m <= month + 12; m++) {
+      total += this.monthlyDebtService(m);
+    }
+    return total;
+  }
+
+  /**
+   * Value for a year from a constant or a per-year path (last value carries forward)
+   * @private
+   */
+  valueForYear(value, year) {
+    return Array.isArray(value) ? value[Math.min(year, value.length) - 1] : value;
+  }
+}
+
+export default LiquidityStressTester;
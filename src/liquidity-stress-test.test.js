@@ -0,0 +1,131 @@
+/**
+ * Tests for Liquidity Stress Test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import LiquidityStressTester from './liquidity-stress-test.js';
+import DebtFinancingModel from './debt-financing.js';
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be close to ${expected}`);
+};
+
+test('LiquidityStressTester - base case accumulates operating cash net of debt service', () => {
+  const tester = new LiquidityStressTester({ months: 12, annualInflows: 1200000, annualDebtService: 600000 });
+  const result = tester.simulate();
+
+  close(result.months[0].inflows, 100000);
+  close(result.months[0].debtService, 50000);
+  close(result.endingLiquidity, 25000000 + 600000);
+  assert.strictEqual(result.runwayMonths, 12);
+  assert.strictEqual(result.liquidityExhausted, false);
+  assert.strictEqual(result.firstFailureMonth, null);
+});
+
+test('LiquidityStressTester - redemptions wait out the notice period and are gated FIFO', () => {
+  const tester = new LiquidityStressTester({
+    months: 8,
+    annualInflows: 0,
+    noticePeriodMonths: 2,
+    redemptionGate: 0.01,
+    redemptionRequests: [
+      { month: 1, amount: 1500000, investor: 'A' },
+      { month: 2, amount: 500000, investor: 'B' }
+    ]
+  });
+  const { months } = tester.simulate();
+
+  assert.strictEqual(months[1].redemptionsPaid, 0);
+  // Month 3: 1% of 100M = 1M paid to A; month 4: A's remaining 0.5M then B within the gate
+  close(months[2].redemptionsPaid, 1000000);
+  close(months[2].queuedRedemptions, 500000);
+  close(months[3].redemptionsDue, 1000000);
+  close(months[3].redemptionsPaid, 990000);
+  close(months[4].queuedRedemptions, 0);
+});
+
+test('LiquidityStressTester - gate keeps the emergency reserve', () => {
+  const tester = new LiquidityStressTester({
+    months: 6,
+    annualInflows: 0,
+    openingLiquidity: 8000000,
+    noticePeriodMonths: 0,
+    redemptionGate: null,
+    redemptionRequests: [{ month: 1, amount: 20000000, investor: 'Run' }]
+  });
+  const result = tester.simulate();
+
+  // Only liquidity above 5% of total assets can be paid out
+  const month1 = result.months[0];
+  close(month1.closingLiquidity, month1.totalAssetValue * 0.05);
+  assert.ok(month1.queuedRedemptions > 0);
+  assert.strictEqual(result.firstFailures.emergencyReserveMet, null);
+  assert.strictEqual(result.firstFailures.sufficientLiquidity, 1);
+});
+
+test('LiquidityStressTester - occupancy shock scales inflows while active', () => {
+  const tester = new LiquidityStressTester({ months: 12, annualInflows: 1200000, baseOccupancy: 0.9 });
+  const result = tester.simulate({
+    name: 'shock',
+    occupancyShock: { startMonth: 4, months: 3, occupancyDrop: 0.3 }
+  });
+
+  close(result.months[2].inflows, 100000);
+  close(result.months[3].inflows, 100000 * 0.6 / 0.9);
+  close(result.months[5].inflows, 100000 * 0.6 / 0.9);
+  close(result.months[6].inflows, 100000);
+});
+
+test('LiquidityStressTester - reports runway and first failure month for each check', () => {
+  const tester = new LiquidityStressTester({
+    months: 24,
+    annualInflows: 0,
+    annualDebtService: 18000000,
+    scenarios: [{ name: 'base' }]
+  });
+  const result = tester.simulate();
+
+  // 25M of liquidity less 1.5M of debt service a month; total assets fall with it
+  assert.strictEqual(result.runwayMonths, 16);
+  assert.strictEqual(result.liquidityExhausted, true);
+  assert.strictEqual(result.firstFailures.sufficientLiquidity, 5); // 17.5M < 20% of 92.5M
+  assert.strictEqual(result.firstFailures.optimalRatio, 5);
+  assert.strictEqual(result.firstFailures.phiAligned, 6);
+  assert.strictEqual(result.firstFailures.emergencyReserveMet, 15); // 2.5M < 5% of 77.5M
+  assert.strictEqual(result.firstFailures.covenantsMet, null);
+  assert.strictEqual(result.firstFailureMonth, 5);
+  assert.ok(result.recommendations.every(r => r.startsWith('Month 5:')));
+  assert.ok(result.recommendations.some(r => r.includes('Increase liquidity')));
+});
+
+test('LiquidityStressTester - redemption run is the most severe default scenario', () => {
+  const result = new LiquidityStressTester({ annualDebtService: 2000000 }).run();
+  const byName = Object.fromEntries(result.scenarios.map(s => [s.name, s]));
+
+  assert.deepStrictEqual(result.scenarios.map(s => s.name), ['base', 'occupancyShock', 'redemptionRun', 'combined']);
+  assert.strictEqual(byName.base.firstFailureMonth, null);
+  assert.ok(byName.redemptionRun.firstFailures.sufficientLiquidity !== null);
+  assert.ok(byName.redemptionRun.peakRedemptionQueue > 0);
+  assert.ok(byName.redemptionRun.recommendations.some(r => r.includes('redemptions queued')));
+  assert.strictEqual(result.worstScenario, 'redemptionRun');
+});
+
+test('LiquidityStressTester - financing adds monthly debt service and year-end balloons', () => {
+  const financing = new DebtFinancingModel({
+    tranches: [{ name: 'Bridge', principal: 10000000, rateType: 'fixed', fixedRate: 0.06, maturityYears: 1 }]
+  }).analyze({
+    yieldProjection: { yearlyProjections: [1, 2].map(year => ({ year, netOperatingIncome: 3000000, taxableIncome: 0, corporateTax: 0 })) },
+    unleveredCashFlows: [3000000, 3000000],
+    purchasePrice: 20000000
+  });
+  const result = new LiquidityStressTester({ months: 13, annualInflows: 0, openingLiquidity: 8000000, financing }).simulate();
+
+  close(result.months[0].debtService, 50000);
+  close(result.months[11].debtService, 50000 + 10000000);
+  close(result.months[12].debtService, 0);
+  // 8M of cash is short of the 5% emergency reserve plus six months of the coming year's debt service
+  assert.strictEqual(result.firstFailures.debtServiceCovered, 1);
+});
+
+console.log('✓ All Liquidity Stress Test tests passed');
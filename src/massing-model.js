@@ -0,0 +1,339 @@
+/**
+ * Massing Model
+ * Procedural building massing from building specs: footprint, floor plates, core and facade geometry
+ */
+
+import { ValidationError, VALIDATION_CODES, assertValid } from './validation.js';
+import { BUILDING_SPECS_SCHEMA, MASSING_OPTIONS_SCHEMA } from './schemas.js';
+
+/**
+ * Model layers, each exported as one glTF node, in node order
+ */
+export const MASSING_LAYERS = ['structure', 'materials', 'lighting', 'annotations'];
+
+/**
+ * Default floor-to-floor height in meters, used when specs give floors or height but not both
+ */
+export const DEFAULT_FLOOR_HEIGHT = 3.5;
+
+/**
+ * Generate a massing model
+ * Coordinates are meters with Y up, as in glTF; the footprint lies in the XZ plane at Y = 0.
+ * Structure holds a slab at every level and the roof, and a core through the full height;
+ * the facade wraps the footprint, offset outward so it does not coincide with slab edges.
+ * @param {Object} buildingSpecs - { name, floors, height, type, footprint } (see BUILDING_SPECS_SCHEMA)
+ * @param {Object} options - Geometry options
+ * @param {number} options.width - Width of the default rectangular footprint (default: 30)
+ * @param {number} options.depth - Depth of the default rectangular footprint (default: 20)
+ * @param {number} options.slabThickness - Floor plate thickness (default: 0.3)
+ * @param {number} options.coreRatio - Core side as a share of the footprint's smaller extent (default: 0.25)
+ * @param {number} options.facadeOffset - Facade distance outside the footprint (default: 0.15)
+ * @returns {Object} { name, type, floors, height, floorToFloorHeight, footprint, footprintArea, bounds, levels, meshes }
+ * @throws {ValidationError} For invalid specs or a footprint that is not a simple polygon
+ */
+export function generateMassing(buildingSpecs, options = {}) {
+  assertValid(BUILDING_SPECS_SCHEMA, buildingSpecs, 'buildingSpecs');
+  assertValid(MASSING_OPTIONS_SCHEMA, options, 'options');
+  const { width = 30, depth = 20, slabThickness = 0.3, coreRatio = 0.25, facadeOffset = 0.15 } = options;
+
+  const floors = buildingSpecs.floors ?? Math.max(1, Math.round((buildingSpecs.height ?? DEFAULT_FLOOR_HEIGHT) / DEFAULT_FLOOR_HEIGHT));
+  const height = buildingSpecs.height ?? floors * DEFAULT_FLOOR_HEIGHT;
+  const floorToFloorHeight = height / floors;
+  if (slabThickness >= floorToFloorHeight) {
+    throw new ValidationError({
+      code: VALIDATION_CODES.INCONSISTENT_VALUES,
+      path: 'options.slabThickness',
+      allowed: `less than the floor-to-floor height of ${round(floorToFloorHeight)} m`,
+      value: slabThickness,
+      message: `Slab thickness ${slabThickness} m does not fit a floor-to-floor height of ${round(floorToFloorHeight)} m`
+    });
+  }
+
+  assertSimplePolygon(buildingSpecs.footprint ?? rectangle(width, depth));
+  const footprint = orientCounterClockwise(buildingSpecs.footprint ?? rectangle(width, depth));
+  const triangles = triangulate(footprint);
+
+  const levels = Array.from({ length: floors + 1 }, (_, index) => ({
+    index,
+    elevation: round(index * floorToFloorHeight),
+    label: index === floors ? 'Roof' : index === 0 ? 'Ground' : `Level ${index}`
+  }));
+
+  const slabs = new MeshBuilder();
+  levels.forEach(({ elevation }) => {
+    // Ground slab sits on grade and the roof slab tops out at the building height
+    const bottom = Math.min(Math.max(0, elevation - slabThickness / 2), height - slabThickness);
+    slabs.addPrism(footprint, triangles, bottom, bottom + slabThickness);
+  });
+
+  const core = new MeshBuilder();
+  const [cx, cz] = centroid(footprint);
+  const { minX, maxX, minZ, maxZ } = extent(footprint);
+  const half = (Math.min(maxX - minX, maxZ - minZ) * coreRatio) / 2;
+  const coreOutline = [[cx - half, cz - half], [cx + half, cz - half], [cx + half, cz + half], [cx - half, cz + half]];
+  core.addPrism(coreOutline, [[0, 1, 2], [0, 2, 3]], 0, height);
+
+  const facade = new MeshBuilder();
+  facade.addWalls(offsetPolygon(footprint, facadeOffset), 0, height);
+
+  return {
+    name: buildingSpecs.name ?? 'Building',
+    type: buildingSpecs.type ?? null,
+    floors,
+    height,
+    floorToFloorHeight: round(floorToFloorHeight),
+    footprint,
+    footprintArea: round(signedArea(footprint)),
+    bounds: { min: [minX - facadeOffset, 0, minZ - facadeOffset], max: [maxX + facadeOffset, height, maxZ + facadeOffset] },
+    levels,
+    meshes: {
+      slabs: slabs.build(),
+      core: core.build(),
+      facade: facade.build()
+    }
+  };
+}
+
+/**
+ * Triangulate a simple counter-clockwise polygon by ear clipping
+ * @param {Array<number[]>} polygon - [x, z] points, counter-clockwise
+ * @returns {Array<number[]>} Triangles as index triples into the polygon
+ */
+export function triangulate(polygon) {
+  const remaining = polygon.map((_, index) => index);
+  const result = [];
+  while (remaining.length > 3) {
+    const ear = remaining.findIndex((_, i) => isEar(polygon, remaining, i));
+    if (ear === -1) break; // Degenerate input; the remaining fan keeps every point covered
+    const count = remaining.length;
+    result.push([remaining[(ear + count - 1) % count], remaining[ear], remaining[(ear + 1) % count]]);
+    remaining.splice(ear, 1);
+  }
+  for (let i = 1; i < remaining.length - 1; i++) {
+    result.push([remaining[0], remaining[i], remaining[i + 1]]);
+  }
+  return result;
+}
+
+/**
+ * Indexed triangle geometry with per-vertex normals
+ * @private
+ */
+class MeshBuilder {
+  constructor() {
+    this.positions = [];
+    this.normals = [];
+    this.indices = [];
+  }
+
+  /**
+   * Closed extrusion of a polygon: bottom face, top face and outward sides
+   */
+  addPrism(outline, triangles, bottom, top) {
+    this.addFace(outline.map(([x, z]) => [x, top, z]), triangles, [0, 1, 0]);
+    this.addFace(outline.map(([x, z]) => [x, bottom, z]), triangles, [0, -1, 0]);
+    this.addWalls(outline, bottom, top);
+  }
+
+  /**
+   * Outward-facing quads along each edge of a counter-clockwise outline
+   */
+  addWalls(outline, bottom, top) {
+    outline.forEach(([x1, z1], i) => {
+      const [x2, z2] = outline[(i + 1) % outline.length];
+      const length = Math.hypot(x2 - x1, z2 - z1);
+      const normal = [(z2 - z1) / length, 0, -(x2 - x1) / length];
+      this.addFace([[x1, bottom, z1], [x2, bottom, z2], [x2, top, z2], [x1, top, z1]], [[0, 1, 2], [0, 2, 3]], normal);
+    });
+  }
+
+  /**
+   * Flat face; each triangle is wound counter-clockwise as seen from the side its normal points to
+   */
+  addFace(points, triangles, normal) {
+    const base = this.positions.length / 3;
+    points.forEach(point => {
+      this.positions.push(...point);
+      this.normals.push(...normal);
+    });
+    triangles.forEach(([a, b, c]) => {
+      const facing = dot(cross(subtract(points[b], points[a]), subtract(points[c], points[a])), normal);
+      this.indices.push(base + a, ...(facing >= 0 ? [base + b, base + c] : [base + c, base + b]));
+    });
+  }
+
+  build() {
+    return {
+      positions: Float32Array.from(this.positions),
+      normals: Float32Array.from(this.normals),
+      indices: this.positions.length / 3 > 65535 ? Uint32Array.from(this.indices) : Uint16Array.from(this.indices)
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function rectangle(width, depth) {
+  return [[-width / 2, -depth / 2], [width / 2, -depth / 2], [width / 2, depth / 2], [-width / 2, depth / 2]];
+}
+
+/**
+ * Shoelace area; positive for counter-clockwise points in the XZ plane
+ * @private
+ */
+function signedArea(polygon) {
+  return polygon.reduce((sum, [x1, z1], i) => {
+    const [x2, z2] = polygon[(i + 1) % polygon.length];
+    return sum + (x1 * z2 - x2 * z1);
+  }, 0) / 2;
+}
+
+/**
+ * @private
+ */
+function orientCounterClockwise(polygon) {
+  const points = polygon.map(([x, z]) => [x, z]);
+  return signedArea(points) < 0 ? points.reverse() : points;
+}
+
+/**
+ * @private
+ */
+function assertSimplePolygon(polygon) {
+  const problem = polygon.some(point => point.length !== 2)
+    ? 'every point must be an [x, z] pair'
+    : Math.abs(signedArea(polygon)) < 1e-9
+      ? 'it has no area'
+      : selfIntersects(polygon) ? 'its edges cross' : null;
+  if (problem) {
+    throw new ValidationError({
+      code: VALIDATION_CODES.INCONSISTENT_VALUES,
+      path: 'buildingSpecs.footprint',
+      allowed: 'a simple polygon of [x, z] points',
+      value: polygon.length,
+      message: `Footprint is not a simple polygon: ${problem}`
+    });
+  }
+}
+
+/**
+ * @private
+ */
+function selfIntersects(polygon) {
+  const n = polygon.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const adjacent = j === i + 1 || (i === 0 && j === n - 1);
+      if (!adjacent && segmentsCross(polygon[i], polygon[(i + 1) % n], polygon[j], polygon[(j + 1) % n])) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * @private
+ */
+function segmentsCross(a, b, c, d) {
+  const d1 = orientation(c, d, a);
+  const d2 = orientation(c, d, b);
+  const d3 = orientation(a, b, c);
+  const d4 = orientation(a, b, d);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+/**
+ * @private
+ */
+function orientation([ax, az], [bx, bz], [cx, cz]) {
+  return (bx - ax) * (cz - az) - (bz - az) * (cx - ax);
+}
+
+/**
+ * @private
+ */
+function isEar(polygon, remaining, i) {
+  const count = remaining.length;
+  const a = polygon[remaining[(i + count - 1) % count]];
+  const b = polygon[remaining[i]];
+  const c = polygon[remaining[(i + 1) % count]];
+  if (orientation(a, b, c) <= 0) return false; // Reflex or collinear vertex
+  return remaining.every(index => {
+    const p = polygon[index];
+    if (p === a || p === b || p === c) return true;
+    return !(orientation(a, b, p) >= 0 && orientation(b, c, p) >= 0 && orientation(c, a, p) >= 0);
+  });
+}
+
+/**
+ * Move each edge of a counter-clockwise polygon outward by a distance, mitring the corners
+ * @private
+ */
+function offsetPolygon(polygon, distance) {
+  const n = polygon.length;
+  const normal = i => {
+    const [x1, z1] = polygon[i];
+    const [x2, z2] = polygon[(i + 1) % n];
+    const length = Math.hypot(x2 - x1, z2 - z1);
+    return [(z2 - z1) / length, -(x2 - x1) / length];
+  };
+  return polygon.map(([x, z], i) => {
+    const [px, pz] = normal((i + n - 1) % n);
+    const [nx, nz] = normal(i);
+    const scale = distance / (1 + px * nx + pz * nz);
+    return [x + (px + nx) * scale, z + (pz + nz) * scale];
+  });
+}
+
+/**
+ * Area centroid
+ * @private
+ */
+function centroid(polygon) {
+  const area = signedArea(polygon);
+  const [sx, sz] = polygon.reduce(([sx, sz], [x1, z1], i) => {
+    const [x2, z2] = polygon[(i + 1) % polygon.length];
+    const f = x1 * z2 - x2 * z1;
+    return [sx + (x1 + x2) * f, sz + (z1 + z2) * f];
+  }, [0, 0]);
+  return [sx / (6 * area), sz / (6 * area)];
+}
+
+/**
+ * @private
+ */
+function extent(polygon) {
+  const xs = polygon.map(([x]) => x);
+  const zs = polygon.map(([, z]) => z);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+}
+
+/**
+ * @private
+ */
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+/**
+ * @private
+ */
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * @private
+ */
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,97 @@
+/**
+ * Tests for Massing Model
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { generateMassing, triangulate } from './massing-model.js';
+
+const lShape = [[0, 0], [20, 0], [20, 10], [10, 10], [10, 25], [0, 25]];
+
+/**
+ * Vertices of a mesh as [x, y, z] triples
+ */
+function vertices(mesh) {
+  return Array.from({ length: mesh.positions.length / 3 }, (_, i) => Array.from(mesh.positions.subarray(i * 3, i * 3 + 3)));
+}
+
+test('generateMassing - floor plates at every level and the roof', () => {
+  const massing = generateMassing({ name: 'Lenox Terrace', floors: 3, height: 12, type: 'Residential' });
+
+  assert.strictEqual(massing.floorToFloorHeight, 4);
+  assert.deepStrictEqual(massing.levels.map(l => [l.elevation, l.label]), [[0, 'Ground'], [4, 'Level 1'], [8, 'Level 2'], [12, 'Roof']]);
+  assert.strictEqual(massing.footprintArea, 600);
+
+  // One closed 4-sided prism per level: 2 caps of 4 vertices and 4 walls of 4 vertices
+  assert.strictEqual(massing.meshes.slabs.positions.length / 3, 4 * 24);
+  const ys = [...new Set(vertices(massing.meshes.slabs).map(([, y]) => Math.round(y * 100) / 100))].sort((a, b) => a - b);
+  assert.deepStrictEqual(ys, [0, 0.3, 3.85, 4.15, 7.85, 8.15, 11.7, 12]);
+
+  const { min, max } = massing.bounds;
+  assert.deepStrictEqual(min, [-15.15, 0, -10.15]);
+  assert.deepStrictEqual(max, [15.15, 12, 10.15]);
+});
+
+test('generateMassing - fills in floors or height from a default floor-to-floor height', () => {
+  assert.deepStrictEqual(
+    [generateMassing({ floors: 4 }), generateMassing({ height: 30 }), generateMassing({})].map(m => [m.floors, m.height]),
+    [[4, 14], [9, 30], [1, 3.5]]
+  );
+});
+
+test('generateMassing - core on the centroid and facade outside the footprint', () => {
+  const massing = generateMassing({ floors: 2, height: 8, footprint: lShape }, { coreRatio: 0.2, facadeOffset: 0.5 });
+
+  const core = vertices(massing.meshes.core);
+  const xs = core.map(([x]) => x);
+  const zs = core.map(([, , z]) => z);
+  const centroid = [(Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...zs) + Math.max(...zs)) / 2];
+  assert.deepStrictEqual(centroid.map(v => Math.round(v * 1000) / 1000), [7.857, 10.357]);
+  assert.strictEqual(Math.round(Math.max(...xs) - Math.min(...xs)), 4); // 20% of the 20 m width
+  assert.deepStrictEqual([...new Set(core.map(([, y]) => y))].sort(), [0, 8]);
+
+  // The facade corner at the re-entrant (10, 10) corner moves outward, away from the building
+  const facade = vertices(massing.meshes.facade);
+  assert.ok(facade.some(([x, , z]) => x === 10.5 && z === 10.5));
+  assert.ok(facade.some(([x, , z]) => x === -0.5 && z === -0.5));
+});
+
+test('generateMassing - winds every triangle to face along its normal', () => {
+  const { meshes } = generateMassing({ floors: 2, footprint: [...lShape].reverse() });
+  for (const mesh of Object.values(meshes)) {
+    const { positions, normals, indices } = mesh;
+    for (let t = 0; t < indices.length; t += 3) {
+      const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]].map(i => [0, 1, 2].map(k => positions[i * 3 + k]));
+      const u = [0, 1, 2].map(k => b[k] - a[k]);
+      const v = [0, 1, 2].map(k => c[k] - a[k]);
+      const face = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+      const n = indices[t] * 3;
+      assert.ok(face[0] * normals[n] + face[1] * normals[n + 1] + face[2] * normals[n + 2] > 0, `triangle ${t / 3} faces away from its normal`);
+    }
+  }
+});
+
+test('triangulate - covers concave polygons with n - 2 triangles', () => {
+  const triangles = triangulate(lShape);
+  assert.strictEqual(triangles.length, 4);
+  const area = triangles.reduce((sum, [a, b, c]) => {
+    const [[ax, az], [bx, bz], [cx, cz]] = [lShape[a], lShape[b], lShape[c]];
+    return sum + ((bx - ax) * (cz - az) - (bz - az) * (cx - ax)) / 2;
+  }, 0);
+  assert.strictEqual(area, 20 * 10 + 10 * 15);
+});
+
+test('generateMassing - rejects invalid footprints and options', () => {
+  assert.throws(() => generateMassing({ footprint: [[0, 0], [10, 10], [10, 0], [0, 5]] }), {
+    code: 'INCONSISTENT_VALUES',
+    path: 'buildingSpecs.footprint',
+    message: 'Footprint is not a simple polygon: its edges cross'
+  });
+  assert.throws(() => generateMassing({ footprint: [[0, 0], [1, 1], [2, 2]] }), { message: /it has no area$/ });
+  assert.throws(() => generateMassing({ footprint: [[0, 0], [1, 0, 5], [1, 1]] }), { message: /every point must be an \[x, z\] pair$/ });
+  assert.throws(() => generateMassing({ footprint: [[0, 0], [1, 0]] }), { code: 'TOO_FEW_ITEMS', path: 'buildingSpecs.footprint' });
+  assert.throws(() => generateMassing({ floors: 10, height: 3 }), { code: 'INCONSISTENT_VALUES', path: 'options.slabThickness' });
+  assert.throws(() => generateMassing({}, { coreRatio: 1 }), { code: 'OUT_OF_RANGE', path: 'options.coreRatio' });
+});
+
+console.log('✓ All Massing Model tests passed');
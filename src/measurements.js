@@ -0,0 +1,187 @@
+/**
+ * Measurements
+ * Distances, floor areas, facade area and height checks over a massing model, in metric, imperial or tsubo units
+ */
+
+import { LENGTH_UNITS, AREA_UNITS, AREA_UNIT_OF } from './units.js';
+import { assertValid } from './validation.js';
+import { MEASUREMENT_OPTIONS_SCHEMA, POINT_SCHEMA } from './schemas.js';
+
+const LENGTH_UNIT_SCHEMA = { type: 'string', enum: Object.keys(LENGTH_UNITS) };
+const AREA_UNIT_SCHEMA = { type: 'string', enum: Object.keys(AREA_UNITS) };
+
+/**
+ * Convert a length between units
+ * @param {number} value - Length in `from` units
+ * @param {string} from - Unit of the value (see LENGTH_UNITS)
+ * @param {string} to - Unit to convert to
+ * @returns {number} Length in `to` units, unrounded
+ */
+export function convertLength(value, from, to) {
+  assertValid(LENGTH_UNIT_SCHEMA, from, 'from');
+  assertValid(LENGTH_UNIT_SCHEMA, to, 'to');
+  return (value * LENGTH_UNITS[from]) / LENGTH_UNITS[to];
+}
+
+/**
+ * Convert an area between units
+ * @param {number} value - Area in `from` units
+ * @param {string} from - Unit of the value (see AREA_UNITS), e.g. 'm2' or 'tsubo'
+ * @param {string} to - Unit to convert to
+ * @returns {number} Area in `to` units, unrounded
+ */
+export function convertArea(value, from, to) {
+  assertValid(AREA_UNIT_SCHEMA, from, 'from');
+  assertValid(AREA_UNIT_SCHEMA, to, 'to');
+  return (value * AREA_UNITS[from]) / AREA_UNITS[to];
+}
+
+/**
+ * Point-to-point distance in model coordinates (meters, Y up)
+ * @param {number[]} from - [x, y, z]
+ * @param {number[]} to - [x, y, z]
+ * @param {Object} options - { unit } (default: 'm')
+ * @returns {Object} { distance, horizontal, vertical, unit }; vertical is positive when `to` is higher
+ */
+export function measureDistance(from, to, options = {}) {
+  assertValid(POINT_SCHEMA, from, 'from');
+  assertValid(POINT_SCHEMA, to, 'to');
+  const { unit } = units(options);
+  const [dx, dy, dz] = [0, 1, 2].map(axis => to[axis] - from[axis]);
+  return {
+    distance: length(Math.hypot(dx, dy, dz), unit),
+    horizontal: length(Math.hypot(dx, dz), unit),
+    vertical: length(dy, unit),
+    unit
+  };
+}
+
+/**
+ * Floor area of each level below the roof, measured to the footprint outline
+ * @param {Object} massing - Result of generateMassing()
+ * @param {Object} options - { unit, areaUnit } (default: square meters)
+ * @returns {Object[]} [{ index, label, elevation, area }] from the ground level up
+ */
+export function floorAreas(massing, options = {}) {
+  const { unit, areaUnit } = units(options);
+  return massing.levels.slice(0, massing.floors).map(({ index, label, elevation }) => ({
+    index,
+    label,
+    elevation: length(elevation, unit),
+    area: area(massing.footprintArea, areaUnit)
+  }));
+}
+
+/**
+ * Gross floor area: the floor areas of every level below the roof added together
+ * @param {Object} massing - Result of generateMassing()
+ * @param {Object} options - { unit, areaUnit } (default: square meters)
+ * @returns {number} Area in `areaUnit`
+ */
+export function grossFloorArea(massing, options = {}) {
+  const { areaUnit } = units(options);
+  return area(massing.footprintArea * massing.floors, areaUnit);
+}
+
+/**
+ * Area of the facade walls, from the facade mesh
+ * @param {Object} massing - Result of generateMassing()
+ * @param {Object} options - { unit, areaUnit } (default: square meters)
+ * @returns {number} Area in `areaUnit`
+ */
+export function facadeArea(massing, options = {}) {
+  const { areaUnit } = units(options);
+  const { positions, indices } = massing.meshes.facade;
+  const point = i => [positions[3 * i], positions[3 * i + 1], positions[3 * i + 2]];
+  let total = 0;
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [point(indices[t]), point(indices[t + 1]), point(indices[t + 2])];
+    const [ux, uy, uz] = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const [vx, vy, vz] = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    total += Math.hypot(uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx) / 2;
+  }
+  return area(total, areaUnit);
+}
+
+/**
+ * Check the building height, floor count and floor-to-floor height against limits
+ * @param {Object} massing - Result of generateMassing()
+ * @param {Object} limits - { maxHeight, maxFloors, minFloorToFloorHeight }, lengths in `options.unit`; absent limits are not checked
+ * @param {Object} options - { unit } (default: 'm')
+ * @returns {Object} { passes, checks: [{ check, limit, value, passes }] }
+ */
+export function checkHeight(massing, limits = {}, options = {}) {
+  const { unit } = units({ ...options, limits });
+  const actual = {
+    maxHeight: length(massing.height, unit),
+    maxFloors: massing.floors,
+    minFloorToFloorHeight: length(massing.floorToFloorHeight, unit)
+  };
+  const checks = Object.keys(actual)
+    .filter(check => limits[check] !== undefined)
+    .map(check => ({
+      check,
+      limit: limits[check],
+      value: actual[check],
+      passes: check.startsWith('max') ? actual[check] <= limits[check] : actual[check] >= limits[check]
+    }));
+  return { passes: checks.every(check => check.passes), checks };
+}
+
+/**
+ * Every measurement of a massing model in one report
+ * @param {Object} massing - Result of generateMassing()
+ * @param {Object} options - Measurement options (see MEASUREMENT_OPTIONS_SCHEMA)
+ * @param {string} options.unit - Length unit: 'm' (default) or 'ft'
+ * @param {string} options.areaUnit - Area unit: 'm2', 'ft2' or 'tsubo' (default: the square of `unit`)
+ * @param {Object} options.limits - Height check limits, in `unit` (see checkHeight)
+ * @returns {Object} { unit, areaUnit, height, floors, floorToFloorHeight, levels, grossFloorArea, facadeArea, heightCheck }
+ */
+export function measureMassing(massing, options = {}) {
+  const resolved = units(options);
+  const { unit, areaUnit } = resolved;
+  return {
+    unit,
+    areaUnit,
+    height: length(massing.height, unit),
+    floors: massing.floors,
+    floorToFloorHeight: length(massing.floorToFloorHeight, unit),
+    levels: floorAreas(massing, resolved),
+    grossFloorArea: grossFloorArea(massing, resolved),
+    facadeArea: facadeArea(massing, resolved),
+    heightCheck: checkHeight(massing, options.limits, resolved)
+  };
+}
+
+/**
+ * Validated units, with the area unit defaulting to the square of the length unit
+ * @private
+ */
+function units(options) {
+  assertValid(MEASUREMENT_OPTIONS_SCHEMA, options, 'options');
+  const unit = options.unit ?? 'm';
+  return { unit, areaUnit: options.areaUnit ?? AREA_UNIT_OF[unit] };
+}
+
+/**
+ * Meters in a length unit, to the millimeter or thousandth of a foot
+ * @private
+ */
+function length(meters, unit) {
+  return round(meters / LENGTH_UNITS[unit]);
+}
+
+/**
+ * Square meters in an area unit
+ * @private
+ */
+function area(squareMeters, unit) {
+  return round(squareMeters / AREA_UNITS[unit]);
+}
+
+/**
+ * @private
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
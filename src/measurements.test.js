@@ -0,0 +1,96 @@
+/**
+ * Tests for Measurements
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { generateMassing } from './massing-model.js';
+import {
+  checkHeight,
+  convertArea,
+  convertLength,
+  facadeArea,
+  floorAreas,
+  grossFloorArea,
+  measureDistance,
+  measureMassing
+} from './measurements.js';
+
+const massing = generateMassing({ name: 'Tower', floors: 10, height: 35 }); // 30 x 20 m footprint
+
+test('convertLength / convertArea - metric, imperial and tsubo', () => {
+  assert.strictEqual(convertLength(1, 'ft', 'm'), 0.3048);
+  assert.ok(Math.abs(convertLength(100, 'm', 'ft') - 328.084) < 0.001);
+  assert.ok(Math.abs(convertArea(1, 'm2', 'ft2') - 10.7639) < 0.0001);
+  assert.strictEqual(convertArea(121, 'tsubo', 'm2'), 400);
+  assert.strictEqual(convertArea(400, 'm2', 'tsubo'), 121);
+
+  assert.throws(() => convertLength(1, 'yd', 'm'), { code: 'INVALID_ENUM', path: 'from' });
+  assert.throws(() => convertArea(1, 'm2', 'tatami'), { code: 'INVALID_ENUM', path: 'to' });
+});
+
+test('measureDistance - straight-line, horizontal and vertical components', () => {
+  assert.deepStrictEqual(measureDistance([0, 0, 0], [3, 12, 4]), { distance: 13, horizontal: 5, vertical: 12, unit: 'm' });
+  assert.deepStrictEqual(measureDistance([0, 10, 0], [0, 0, 0.3048], { unit: 'ft' }), {
+    distance: 32.824,
+    horizontal: 1,
+    vertical: -32.808,
+    unit: 'ft'
+  });
+
+  assert.throws(() => measureDistance([0, 0], [1, 1, 1]), { code: 'TOO_FEW_ITEMS', path: 'from' });
+  assert.throws(() => measureDistance([0, 0, 0], [1, 1, 1], { unit: 'yd' }), { code: 'INVALID_ENUM', path: 'options.unit' });
+});
+
+test('floorAreas / grossFloorArea - every level below the roof', () => {
+  const levels = floorAreas(massing);
+  assert.strictEqual(levels.length, 10);
+  assert.deepStrictEqual(levels[0], { index: 0, label: 'Ground', elevation: 0, area: 600 });
+  assert.deepStrictEqual(levels[9], { index: 9, label: 'Level 9', elevation: 31.5, area: 600 });
+  assert.strictEqual(grossFloorArea(massing), 6000);
+
+  assert.strictEqual(floorAreas(massing, { areaUnit: 'tsubo' })[0].area, 181.5);
+  assert.strictEqual(grossFloorArea(massing, { areaUnit: 'tsubo' }), 1815);
+  assert.strictEqual(grossFloorArea(massing, { unit: 'ft' }), 64583.463); // ft2 follows ft
+  assert.strictEqual(floorAreas(massing, { unit: 'ft' })[9].elevation, 103.346);
+});
+
+test('floorAreas - uses the footprint polygon when the specs give one', () => {
+  const lShape = generateMassing({ floors: 2, height: 8, footprint: [[0, 0], [20, 0], [20, 10], [10, 10], [10, 20], [0, 20]] });
+  assert.deepStrictEqual(floorAreas(lShape).map(level => level.area), [300, 300]);
+  assert.strictEqual(grossFloorArea(lShape), 600);
+});
+
+test('facadeArea - the facade mesh wraps the footprint at its offset', () => {
+  // (30.3 + 20.3) * 2 m of facade, 35 m high
+  assert.strictEqual(facadeArea(massing), 3542);
+  assert.strictEqual(facadeArea(massing, { areaUnit: 'tsubo' }), 1071.455);
+});
+
+test('checkHeight - only the limits given are checked', () => {
+  assert.deepStrictEqual(checkHeight(massing), { passes: true, checks: [] });
+  assert.deepStrictEqual(checkHeight(massing, { maxHeight: 31, minFloorToFloorHeight: 3 }), {
+    passes: false,
+    checks: [
+      { check: 'maxHeight', limit: 31, value: 35, passes: false },
+      { check: 'minFloorToFloorHeight', limit: 3, value: 3.5, passes: true }
+    ]
+  });
+  assert.strictEqual(checkHeight(massing, { maxHeight: 115, maxFloors: 10 }, { unit: 'ft' }).passes, true);
+
+  assert.throws(() => checkHeight(massing, { maxHieght: 31 }), { code: 'UNKNOWN_FIELD', path: 'options.limits.maxHieght' });
+});
+
+test('measureMassing - one report in the requested units', () => {
+  const report = measureMassing(massing, { unit: 'm', areaUnit: 'tsubo', limits: { maxFloors: 8 } });
+  assert.strictEqual(report.unit, 'm');
+  assert.strictEqual(report.areaUnit, 'tsubo');
+  assert.strictEqual(report.height, 35);
+  assert.strictEqual(report.floorToFloorHeight, 3.5);
+  assert.strictEqual(report.levels.length, 10);
+  assert.strictEqual(report.grossFloorArea, 1815);
+  assert.strictEqual(report.facadeArea, 1071.455);
+  assert.deepStrictEqual(report.heightCheck, { passes: false, checks: [{ check: 'maxFloors', limit: 8, value: 10, passes: false }] });
+});
+
+console.log('✓ All Measurements tests passed');
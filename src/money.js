@@ -0,0 +1,315 @@
+/**
+ * Money
+ * Exact money amounts in integer minor units with explicit rounding and largest-remainder allocation
+ */
+
+import { CURRENCY_SYMBOLS } from './fx-conversion.js';
+
+/**
+ * Supported rounding modes: banker's rounding (half to even) and half away from zero
+ */
+export const ROUNDING_MODES = ['halfEven', 'halfUp'];
+
+/**
+ * ISO 4217 minor-unit digits for common currencies; others are looked up through Intl
+ */
+export const MINOR_UNITS = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  JPY: 0,
+  SAR: 2,
+  AED: 2,
+  MYR: 2,
+  KWD: 3,
+  BHD: 3
+};
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+export class Money {
+  /**
+   * @param {number} minor - Amount in minor units (cents for USD, yen for JPY); must be a safe integer
+   * @param {string} currency - ISO 4217 currency code (default: 'USD')
+   */
+  constructor(minor, currency = 'USD') {
+    if (!Number.isSafeInteger(minor)) {
+      throw new Error(`Money requires an integer amount of minor units, got ${minor}`);
+    }
+    this.minor = minor;
+    this.currency = currency;
+    this.decimals = minorUnits(currency);
+    Object.freeze(this);
+  }
+
+  /**
+   * Money from an amount in major units, rounded to the currency's minor unit
+   * Numbers are read by their shortest decimal representation, so 1.005 is exactly 1.005.
+   * @param {(number|string)} amount - Amount in major units, e.g. 12.345 or '12.345'
+   * @param {string} currency - ISO 4217 currency code (default: 'USD')
+   * @param {string} rounding - 'halfEven' or 'halfUp' (default: 'halfEven')
+   * @returns {Money} Rounded amount
+   */
+  static of(amount, currency = 'USD', rounding = 'halfEven') {
+    const { value, scale } = parseDecimal(amount);
+    const minor = roundDivide(value * 10n ** BigInt(minorUnits(currency)), 10n ** BigInt(scale), rounding);
+    return new Money(toSafeNumber(minor), currency);
+  }
+
+  /**
+   * @param {string} currency - ISO 4217 currency code (default: 'USD')
+   * @returns {Money} Zero in the currency
+   */
+  static zero(currency = 'USD') {
+    return new Money(0, currency);
+  }
+
+  /**
+   * Sum of amounts in one currency
+   * @param {Money[]} amounts - Amounts to add
+   * @param {string} currency - Currency of the result when `amounts` is empty (default: 'USD')
+   * @returns {Money} Total
+   */
+  static sum(amounts, currency = amounts[0]?.currency ?? 'USD') {
+    return amounts.reduce((total, amount) => total.add(amount), Money.zero(currency));
+  }
+
+  /**
+   * Money from its JSON form ({ minor, currency }) or a structured clone
+   * @param {Object} json - Serialized money
+   * @returns {Money} Money
+   */
+  static fromJSON(json) {
+    return new Money(json.minor, json.currency);
+  }
+
+  /**
+   * @param {Money} other - Amount in the same currency
+   * @returns {Money} Sum
+   */
+  add(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minor + other.minor, this.currency);
+  }
+
+  /**
+   * @param {Money} other - Amount in the same currency
+   * @returns {Money} Difference
+   */
+  subtract(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minor - other.minor, this.currency);
+  }
+
+  /**
+   * Multiply by a factor, rounding the product to the minor unit
+   * @param {(number|string)} factor - Factor, e.g. a 0.025 rate
+   * @param {string} rounding - 'halfEven' or 'halfUp' (default: 'halfEven')
+   * @returns {Money} Rounded product
+   */
+  multiply(factor, rounding = 'halfEven') {
+    const { value, scale } = parseDecimal(factor);
+    return new Money(toSafeNumber(roundDivide(BigInt(this.minor) * value, 10n ** BigInt(scale), rounding)), this.currency);
+  }
+
+  /**
+   * Split by ratios using the largest-remainder method, so the parts always sum to this amount
+   * Each part gets its floor share; the leftover minor units go one at a time to the largest
+   * remainders, earlier parts first on ties.
+   * @param {(Array<number|string>|Object<string, (number|string)>)} ratios - Non-negative ratios, e.g. [40, 30, 20, 10]
+   * @returns {(Money[]|Object<string, Money>)} Parts in the shape of `ratios`
+   */
+  allocate(ratios) {
+    const keys = Array.isArray(ratios) ? null : Object.keys(ratios);
+    const parsed = (keys ? keys.map(key => ratios[key]) : ratios).map(ratio => parseDecimal(ratio));
+    if (parsed.length === 0 || parsed.some(r => r.value < 0n)) {
+      throw new Error('Allocation requires at least one ratio and no negative ratios');
+    }
+
+    const scale = Math.max(...parsed.map(r => r.scale));
+    const weights = parsed.map(r => r.value * 10n ** BigInt(scale - r.scale));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0n);
+    if (totalWeight === 0n) {
+      throw new Error('Allocation ratios must not all be zero');
+    }
+
+    const sign = this.minor < 0 ? -1n : 1n;
+    const amount = BigInt(Math.abs(this.minor));
+    const shares = weights.map((weight, index) => ({
+      index,
+      minor: (amount * weight) / totalWeight,
+      remainder: (amount * weight) % totalWeight
+    }));
+
+    let leftover = amount - shares.reduce((sum, s) => sum + s.minor, 0n);
+    [...shares]
+      .sort((a, b) => (b.remainder > a.remainder ? 1 : b.remainder < a.remainder ? -1 : a.index - b.index))
+      .forEach(share => {
+        if (leftover > 0n) {
+          share.minor += 1n;
+          leftover -= 1n;
+        }
+      });
+
+    const parts = shares.map(s => new Money(toSafeNumber(s.minor * sign), this.currency));
+    return keys ? Object.fromEntries(keys.map((key, index) => [key, parts[index]])) : parts;
+  }
+
+  /**
+   * @returns {Money} The amount with its sign flipped
+   */
+  negate() {
+    return new Money(-this.minor || 0, this.currency);
+  }
+
+  /**
+   * @param {Money} other - Amount in the same currency
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    this.assertSameCurrency(other);
+    return Math.sign(this.minor - other.minor);
+  }
+
+  /**
+   * @param {Money} other - Any amount
+   * @returns {boolean} Same currency and amount
+   */
+  equals(other) {
+    return other instanceof Money && other.currency === this.currency && other.minor === this.minor;
+  }
+
+  isZero() {
+    return this.minor === 0;
+  }
+
+  isNegative() {
+    return this.minor < 0;
+  }
+
+  /**
+   * Amount in major units as a floating-point number, for display and rate calculations only
+   * @returns {number} Major units
+   */
+  toNumber() {
+    return this.minor / 10 ** this.decimals;
+  }
+
+  /**
+   * Exact amount in major units, e.g. '1234.50'
+   * @returns {string} Decimal string
+   */
+  toDecimalString() {
+    const digits = String(Math.abs(this.minor)).padStart(this.decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - this.decimals);
+    const fraction = this.decimals > 0 ? `.${digits.slice(-this.decimals)}` : '';
+    return `${this.minor < 0 ? '-' : ''}${whole}${fraction}`;
+  }
+
+  /**
+   * Amount with the currency symbol and thousands separators, e.g. '$1,234.50' or '¥7,500'
+   * @returns {string} Formatted amount
+   */
+  format() {
+    const [whole, fraction] = this.toDecimalString().replace('-', '').split('.');
+    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    const symbol = CURRENCY_SYMBOLS[this.currency] ?? `${this.currency} `;
+    return `${this.minor < 0 ? '-' : ''}${symbol}${grouped}${fraction ? `.${fraction}` : ''}`;
+  }
+
+  toString() {
+    return this.format();
+  }
+
+  toJSON() {
+    return { minor: this.minor, currency: this.currency, amount: this.toDecimalString() };
+  }
+
+  /**
+   * @private
+   */
+  assertSameCurrency(other) {
+    if (!(other instanceof Money)) {
+      throw new Error('Money arithmetic requires Money operands');
+    }
+    if (other.currency !== this.currency) {
+      throw new Error(`Currency mismatch: ${this.currency} and ${other.currency}`);
+    }
+  }
+}
+
+/**
+ * Minor-unit digits of a currency
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Digits after the decimal point
+ */
+export function minorUnits(currency) {
+  if (MINOR_UNITS[currency] !== undefined) {
+    return MINOR_UNITS[currency];
+  }
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    throw new Error(`Unknown currency: ${currency}`);
+  }
+}
+
+/**
+ * Parse a number or decimal string into an exact scaled integer: value / 10^scale
+ * @private
+ */
+function parseDecimal(input) {
+  if (typeof input === 'number' && !Number.isFinite(input)) {
+    throw new Error(`Money amounts must be finite, got ${input}`);
+  }
+  const match = typeof input === 'number' || typeof input === 'string'
+    ? DECIMAL_PATTERN.exec(String(input).trim())
+    : null;
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid decimal amount: ${input}`);
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  let value = BigInt(`${whole}${fraction}` || '0');
+  let scale = fraction.length - Number(exponent);
+  if (scale < 0) {
+    value *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { value: sign === '-' ? -value : value, scale };
+}
+
+/**
+ * Integer division rounded to the nearest integer, ties broken by the rounding mode
+ * @private
+ */
+function roundDivide(numerator, denominator, rounding) {
+  if (!ROUNDING_MODES.includes(rounding)) {
+    throw new Error(`Unknown rounding mode: ${rounding}`);
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  const away = quotient + (numerator < 0n ? -1n : 1n);
+  const twiceRemainder = 2n * (remainder < 0n ? -remainder : remainder);
+  if (twiceRemainder > denominator) return away;
+  if (twiceRemainder < denominator) return quotient;
+  return rounding === 'halfUp' || quotient % 2n !== 0n ? away : quotient;
+}
+
+/**
+ * @private
+ */
+function toSafeNumber(value) {
+  const number = Number(value);
+  if (!Number.isSafeInteger(number)) {
+    throw new Error('Money amount is too large to represent exactly');
+  }
+  return number;
+}
+
+export default Money;
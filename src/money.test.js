@@ -0,0 +1,85 @@
+/**
+ * Tests for Money
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import Money, { minorUnits } from './money.js';
+
+test('Money - of rounds to the minor unit with the chosen mode', () => {
+  assert.strictEqual(Money.of(1.005).minor, 100); // half to even
+  assert.strictEqual(Money.of(1.005, 'USD', 'halfUp').minor, 101);
+  assert.strictEqual(Money.of(1.015).minor, 102);
+  assert.strictEqual(Money.of(-2.345, 'USD', 'halfUp').minor, -235);
+  assert.strictEqual(Money.of('19.999').minor, 2000);
+  assert.strictEqual(Money.of(1e-7).minor, 0);
+  assert.strictEqual(Money.of(2.5, 'JPY').minor, 2);
+  assert.strictEqual(Money.of(2.5, 'JPY', 'halfUp').minor, 3);
+  assert.strictEqual(Money.of(1.2345, 'KWD').minor, 1234);
+
+  assert.throws(() => Money.of(1, 'USD', 'ceiling'), /Unknown rounding mode/);
+  assert.throws(() => Money.of(NaN), /must be finite/);
+  assert.throws(() => Money.of('12,50'), /Invalid decimal amount/);
+  assert.throws(() => new Money(1.5), /integer amount of minor units/);
+  assert.throws(() => Money.of(1e20), /too large/);
+});
+
+test('Money - arithmetic is exact and currency-checked', () => {
+  const dime = Money.of(0.1);
+  const total = Array.from({ length: 10 }, () => dime).reduce((sum, m) => sum.add(m), Money.zero());
+
+  assert.ok(total.equals(Money.of(1)));
+  assert.strictEqual(Money.of(0.3).subtract(Money.of(0.1)).toDecimalString(), '0.20');
+  assert.strictEqual(Money.of(100).multiply(0.025).minor, 250);
+  assert.strictEqual(Money.of(0.5).multiply('0.025').minor, 1); // 1.25 cents
+  assert.strictEqual(Money.of(0.3).multiply(0.025, 'halfUp').minor, 1); // 0.75 cents
+  assert.strictEqual(Money.of(5).negate().compare(Money.zero()), -1);
+  assert.ok(Money.zero().negate().isZero());
+  assert.strictEqual(Money.sum([], 'JPY').currency, 'JPY');
+
+  assert.throws(() => Money.of(1).add(Money.of(1, 'JPY')), /Currency mismatch: USD and JPY/);
+  assert.throws(() => Money.of(1).add(1), /requires Money operands/);
+});
+
+test('Money - allocate splits by largest remainder and always sums to the total', () => {
+  const parts = Money.of(0.05).allocate([1, 1, 1]);
+  assert.deepStrictEqual(parts.map(p => p.minor), [2, 2, 1]);
+
+  const named = Money.of(100).allocate({ a: 0.4, b: 0.3, c: 0.2, d: 0.1 });
+  assert.deepStrictEqual(Object.fromEntries(Object.entries(named).map(([k, v]) => [k, v.minor])), { a: 4000, b: 3000, c: 2000, d: 1000 });
+
+  const negative = Money.of(-10).allocate([1, 2]);
+  assert.deepStrictEqual(negative.map(p => p.minor), [-333, -667]);
+
+  for (const cents of [1, 7, 99, 12345, 1000003]) {
+    const split = new Money(cents).allocate([0.4, 0.3, 0.2, 0.1]);
+    assert.strictEqual(Money.sum(split).minor, cents);
+  }
+
+  assert.deepStrictEqual(Money.of(1).allocate([0, 1]).map(p => p.minor), [0, 100]);
+  assert.throws(() => Money.of(1).allocate([]), /at least one ratio/);
+  assert.throws(() => Money.of(1).allocate([1, -1]), /no negative ratios/);
+  assert.throws(() => Money.of(1).allocate([0, 0]), /must not all be zero/);
+});
+
+test('Money - formats and serializes', () => {
+  assert.strictEqual(Money.of(1234567.5).format(), '$1,234,567.50');
+  assert.strictEqual(Money.of(-0.05).format(), '-$0.05');
+  assert.strictEqual(Money.of(7500000000, 'JPY').format(), '¥7,500,000,000');
+  assert.strictEqual(Money.of(12.5, 'SAR').format(), 'SAR 12.50');
+  assert.strictEqual(`${Money.of(3)}`, '$3.00');
+
+  const json = JSON.parse(JSON.stringify(Money.of(12.34)));
+  assert.deepStrictEqual(json, { minor: 1234, currency: 'USD', amount: '12.34' });
+  assert.ok(Money.fromJSON(json).equals(Money.of(12.34)));
+  assert.ok(Money.fromJSON(structuredClone(Money.of(12.34))).equals(Money.of(12.34)));
+});
+
+test('minorUnits - uses the table, then Intl, and rejects unknown codes', () => {
+  assert.strictEqual(minorUnits('JPY'), 0);
+  assert.strictEqual(minorUnits('BHD'), 3);
+  assert.strictEqual(minorUnits('CHF'), 2);
+  assert.throws(() => minorUnits('NOTACURRENCY'), /Unknown currency: NOTACURRENCY/);
+});
+
+console.log('✓ All Money tests passed');
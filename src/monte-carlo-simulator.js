@@ -0,0 +1,380 @@
+/**
+ * Monte Carlo Risk Simulator
+ * Seeded, correlated simulation of growth, occupancy and discount-rate paths through the DCF
+ */
+
+import RussellDCFFramework from './russell-dcf-framework.js';
+import IRRSolver from './irr-solver.js';
+import { VALIDATION_CODES } from './validation.js';
+
+/**
+ * Simulated variables, in the order used by the correlation matrix
+ */
+export const SIMULATION_VARIABLES = ['growthRate', 'occupancyRate', 'discountRate'];
+
+/**
+ * Seeded pseudo-random number generator (mulberry32) with a Box-Muller normal sampler
+ */
+export class SeededRandom {
+  constructor(seed = 1) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+    this.spareNormal = null;
+  }
+
+  /**
+   * Next uniform value in [0, 1)
+   * @returns {number} Uniform draw
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Next standard normal value
+   * @returns {number} Standard normal draw
+   */
+  nextNormal() {
+    if (this.spareNormal !== null) {
+      const spare = this.spareNormal;
+      this.spareNormal = null;
+      return spare;
+    }
+
+    let u = 0;
+    while (u === 0) u = this.next();
+    const v = this.next();
+    const radius = Math.sqrt(-2 * Math.log(u));
+
+    this.spareNormal = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  }
+}
+
+export class MonteCarloSimulator {
+  constructor(config = {}) {
+    this.config = {
+      iterations: 5000,
+      seed: 42,
+      confidenceLevel: 0.95, // VaR/CVaR confidence
+      riskFreeRate: 0.01, // JGB-referenced risk-free rate for Sharpe/Sortino
+      frameworkConfig: {}, // RussellDCFFramework config shared by every path
+      projection: {}, // calculateYieldProjection params; growth/occupancy are replaced by simulated paths
+      terminalValue: null, // Optional calculateTerminalValue params applied to every path
+      distributions: {
+        growthRate: { type: 'normal', mean: 0.12, stdDev: 0.04 },
+        occupancyRate: { type: 'triangular', min: 0.80, mode: 0.92, max: 0.98 },
+        discountRate: { type: 'normal', mean: 0.08, stdDev: 0.01, min: 0.01 }
+      },
+      correlation: [
+        [1, 0, 0],
+        [0, 1, 0],
+        [0, 0, 1]
+      ],
+      solverConfig: { scanSteps: 500 }, // Coarser root scan keeps thousands of IRR solves fast
+      ...config
+    };
+  }
+
+  /**
+   * Run the simulation
+   * A path whose final-year discount rate is at or below the Gordon growth rate has no terminal value;
+   * it is skipped and counted in `skippedPaths` rather than aborting the run.
+   * @returns {Object} NPV/IRR distributions, tail risk and simulated risk ratios
+   */
+  run() {
+    const { iterations, seed, projection } = this.config;
+    const years = projection.years ?? 10;
+    const initialInvestment = projection.initialInvestment ?? 50000000;
+
+    const random = new SeededRandom(seed);
+    const cholesky = this.choleskyDecompose(this.config.correlation);
+    const solver = new IRRSolver({
+      guess: this.config.frameworkConfig.discountRate ?? 0.08,
+      ...this.config.solverConfig
+    });
+
+    const npvs = [];
+    const irrs = [];
+    let unsolvedIRR = 0;
+    let skippedPaths = 0;
+
+    for (let i = 0; i < iterations; i++) {
+      const path = this.drawPath(random, cholesky, years);
+      // The final-year discount rate drives any Gordon growth terminal value on this path
+      const framework = new RussellDCFFramework({
+        ...this.config.frameworkConfig,
+        discountRate: path.discountRate[years - 1]
+      });
+
+      const yieldProjection = framework.calculateYieldProjection({
+        ...projection,
+        initialInvestment,
+        years,
+        growthRate: path.growthRate,
+        occupancyRate: path.occupancyRate
+      });
+
+      // Paths are drawn per year, so simulate on the annual roll-up whatever the framework periodicity
+      const amounts = yieldProjection.yearlyProjections.map(p => p.phiAdjustedYield);
+      if (this.config.terminalValue) {
+        const terminalValue = this.terminalValueOnPath(framework, yieldProjection);
+        if (terminalValue === null) {
+          skippedPaths++;
+          continue;
+        }
+        amounts[amounts.length - 1] += terminalValue;
+      }
+      npvs.push(this.discountAlongPath(amounts, path.discountRate) - initialInvestment);
+
+      const irr = solver.irr([-initialInvestment, ...amounts]);
+      if (irr.rate === null) {
+        unsolvedIRR++;
+      } else {
+        irrs.push(irr.rate);
+      }
+    }
+
+    const npvSummary = this.summarize(npvs);
+    const irrSummary = this.summarize(irrs);
+    const tailRisk = this.calculateTailRisk(npvs);
+
+    return {
+      iterations,
+      seed,
+      npv: npvSummary,
+      irr: { ...irrSummary, unsolvedPaths: unsolvedIRR },
+      skippedPaths,
+      probabilityNegativeNPV: npvs.length > 0 ? npvs.filter(v => v < 0).length / npvs.length : null,
+      valueAtRisk: tailRisk.valueAtRisk,
+      conditionalValueAtRisk: tailRisk.conditionalValueAtRisk,
+      confidenceLevel: this.config.confidenceLevel,
+      riskMetrics: this.calculateRiskRatios(irrs),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Terminal value on one path, or null when its discount rate does not exceed the Gordon growth rate
+   * @private
+   */
+  terminalValueOnPath(framework, yieldProjection) {
+    try {
+      return framework.calculateTerminalValue(yieldProjection, this.config.terminalValue).terminalValue;
+    } catch (error) {
+      if (error.code === VALIDATION_CODES.INCONSISTENT_VALUES) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Draw one correlated path of yearly growth, occupancy and discount rates
+   * @private
+   */
+  drawPath(random, cholesky, years) {
+    const path = Object.fromEntries(SIMULATION_VARIABLES.map(name => [name, []]));
+
+    for (let year = 0; year < years; year++) {
+      const independent = SIMULATION_VARIABLES.map(() => random.nextNormal());
+      const correlated = cholesky.map(row => row.reduce((sum, weight, j) => sum + weight * independent[j], 0));
+
+      SIMULATION_VARIABLES.forEach((name, index) => {
+        path[name].push(this.sample(this.config.distributions[name], correlated[index]));
+      });
+    }
+
+    path.occupancyRate = path.occupancyRate.map(rate => Math.min(1, Math.max(0, rate)));
+    return path;
+  }
+
+  /**
+   * Map a standard normal draw onto a configured distribution (Gaussian copula)
+   * @private
+   */
+  sample(distribution, z) {
+    let value;
+
+    switch (distribution.type) {
+      case 'fixed':
+        value = distribution.value;
+        break;
+      case 'normal':
+        value = distribution.mean + distribution.stdDev * z;
+        break;
+      case 'uniform': {
+        const u = this.normalCDF(z);
+        value = distribution.min + (distribution.max - distribution.min) * u;
+        break;
+      }
+      case 'triangular': {
+        const u = this.normalCDF(z);
+        const { min, mode, max } = distribution;
+        const split = (mode - min) / (max - min);
+        value = u < split
+          ? min + Math.sqrt(u * (max - min) * (mode - min))
+          : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+        break;
+      }
+      default:
+        throw new Error(`Unknown distribution type: ${distribution.type}`);
+    }
+
+    if (typeof distribution.min === 'number') value = Math.max(distribution.min, value);
+    if (typeof distribution.max === 'number') value = Math.min(distribution.max, value);
+    return value;
+  }
+
+  /**
+   * Discount cash flows with a year-varying discount rate path
+   * @private
+   */
+  discountAlongPath(amounts, discountRates) {
+    let discountFactor = 1;
+    return amounts.reduce((sum, amount, index) => {
+      discountFactor /= 1 + discountRates[Math.min(index, discountRates.length - 1)];
+      return sum + amount * discountFactor;
+    }, 0);
+  }
+
+  /**
+   * Cholesky factor of the correlation matrix
+   * @private
+   */
+  choleskyDecompose(matrix) {
+    const size = SIMULATION_VARIABLES.length;
+    if (!Array.isArray(matrix) || matrix.length !== size || matrix.some(row => row.length !== size)) {
+      throw new Error(`Correlation matrix must be ${size}x${size} (${SIMULATION_VARIABLES.join(', ')})`);
+    }
+
+    const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j <= i; j++) {
+        if (matrix[i][j] !== matrix[j][i]) {
+          throw new Error('Correlation matrix must be symmetric');
+        }
+
+        let sum = matrix[i][j];
+        for (let k = 0; k < j; k++) {
+          sum -= lower[i][k] * lower[j][k];
+        }
+
+        if (i === j) {
+          if (sum <= 0) {
+            throw new Error('Correlation matrix must be positive definite');
+          }
+          lower[i][i] = Math.sqrt(sum);
+        } else {
+          lower[i][j] = sum / lower[j][j];
+        }
+      }
+    }
+
+    return lower;
+  }
+
+  /**
+   * Mean, standard deviation and percentiles of a sample
+   * @private
+   */
+  summarize(values) {
+    if (values.length === 0) {
+      return { mean: null, stdDev: null, min: null, max: null, percentiles: null };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(1, values.length - 1);
+
+    return {
+      mean,
+      stdDev: Math.sqrt(variance),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      percentiles: {
+        p5: this.percentile(sorted, 0.05),
+        p10: this.percentile(sorted, 0.10),
+        p25: this.percentile(sorted, 0.25),
+        p50: this.percentile(sorted, 0.50),
+        p75: this.percentile(sorted, 0.75),
+        p90: this.percentile(sorted, 0.90),
+        p95: this.percentile(sorted, 0.95)
+      }
+    };
+  }
+
+  /**
+   * Linear-interpolated percentile of a sorted sample
+   * @private
+   */
+  percentile(sorted, p) {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Value at Risk and Conditional Value at Risk of NPV, expressed as positive losses below zero NPV
+   * @private
+   */
+  calculateTailRisk(npvs) {
+    if (npvs.length === 0) {
+      return { valueAtRisk: null, conditionalValueAtRisk: null };
+    }
+
+    const sorted = [...npvs].sort((a, b) => a - b);
+    const threshold = this.percentile(sorted, 1 - this.config.confidenceLevel);
+    const tail = sorted.filter(v => v <= threshold);
+    const tailMean = tail.reduce((sum, v) => sum + v, 0) / tail.length;
+
+    return {
+      valueAtRisk: -threshold,
+      conditionalValueAtRisk: -tailMean
+    };
+  }
+
+  /**
+   * Sharpe and Sortino ratios from the simulated IRR distribution
+   * @private
+   */
+  calculateRiskRatios(irrs) {
+    const { riskFreeRate } = this.config;
+
+    if (irrs.length < 2) {
+      return { sharpeRatio: null, sortinoRatio: null, volatility: null, downsideDeviation: null, riskFreeRate };
+    }
+
+    const mean = irrs.reduce((sum, v) => sum + v, 0) / irrs.length;
+    const volatility = Math.sqrt(irrs.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (irrs.length - 1));
+    const downsideDeviation = Math.sqrt(
+      irrs.reduce((sum, v) => sum + Math.min(0, v - riskFreeRate) ** 2, 0) / irrs.length
+    );
+
+    return {
+      sharpeRatio: volatility > 0 ? (mean - riskFreeRate) / volatility : null,
+      sortinoRatio: downsideDeviation > 0 ? (mean - riskFreeRate) / downsideDeviation : null,
+      volatility,
+      downsideDeviation,
+      riskFreeRate
+    };
+  }
+
+  /**
+   * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26)
+   * @private
+   */
+  normalCDF(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+}
+
+export default MonteCarloSimulator;
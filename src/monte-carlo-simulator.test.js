@@ -0,0 +1,159 @@
+/**
+ * Tests for Monte Carlo Risk Simulator
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import MonteCarloSimulator, { SeededRandom } from './monte-carlo-simulator.js';
+import RussellDCFFramework from './russell-dcf-framework.js';
+
+const projection = {
+  initialInvestment: 50000000,
+  years: 10
+};
+
+test('SeededRandom - same seed reproduces the same sequence', () => {
+  const a = new SeededRandom(123);
+  const b = new SeededRandom(123);
+  const c = new SeededRandom(124);
+
+  const seqA = Array.from({ length: 5 }, () => a.next());
+  const seqB = Array.from({ length: 5 }, () => b.next());
+  const seqC = Array.from({ length: 5 }, () => c.next());
+
+  assert.deepStrictEqual(seqA, seqB);
+  assert.notDeepStrictEqual(seqA, seqC);
+  assert.ok(seqA.every(v => v >= 0 && v < 1));
+});
+
+test('SeededRandom - nextNormal has roughly zero mean and unit variance', () => {
+  const random = new SeededRandom(9);
+  const draws = Array.from({ length: 20000 }, () => random.nextNormal());
+  const mean = draws.reduce((s, v) => s + v, 0) / draws.length;
+  const variance = draws.reduce((s, v) => s + (v - mean) ** 2, 0) / draws.length;
+
+  assert.ok(Math.abs(mean) < 0.03);
+  assert.ok(Math.abs(variance - 1) < 0.05);
+});
+
+test('MonteCarloSimulator - seeded runs are exactly reproducible', () => {
+  const first = new MonteCarloSimulator({ iterations: 200, seed: 2024, projection }).run();
+  const second = new MonteCarloSimulator({ iterations: 200, seed: 2024, projection }).run();
+
+  assert.deepStrictEqual(first.npv, second.npv);
+  assert.deepStrictEqual(first.irr, second.irr);
+  assert.strictEqual(first.valueAtRisk, second.valueAtRisk);
+});
+
+test('MonteCarloSimulator - reports ordered percentiles and tail risk', () => {
+  const result = new MonteCarloSimulator({ iterations: 300, seed: 1, projection }).run();
+  const p = result.npv.percentiles;
+
+  assert.strictEqual(result.iterations, 300);
+  assert.ok(p.p5 <= p.p25 && p.p25 <= p.p50 && p.p50 <= p.p75 && p.p75 <= p.p95);
+  assert.ok(result.conditionalValueAtRisk >= result.valueAtRisk);
+  assert.ok(result.probabilityNegativeNPV >= 0 && result.probabilityNegativeNPV <= 1);
+  assert.ok(result.riskMetrics.volatility > 0);
+  assert.ok(Number.isFinite(result.riskMetrics.sharpeRatio));
+});
+
+test('MonteCarloSimulator - fixed distributions collapse to the deterministic DCF', () => {
+  const result = new MonteCarloSimulator({
+    iterations: 20,
+    projection,
+    distributions: {
+      growthRate: { type: 'fixed', value: 0.12 },
+      occupancyRate: { type: 'fixed', value: 0.92 },
+      discountRate: { type: 'fixed', value: 0.08 }
+    }
+  }).run();
+
+  const dcf = new RussellDCFFramework().generateComprehensiveDCF({ projection });
+
+  assert.ok(Math.abs(result.npv.mean - dcf.analysis.npv.value) < 1e-3);
+  assert.ok(result.npv.stdDev < 1e-6);
+  assert.strictEqual(result.probabilityNegativeNPV, dcf.analysis.npv.value < 0 ? 1 : 0);
+});
+
+test('MonteCarloSimulator - terminal value is included in every path', () => {
+  const distributions = {
+    growthRate: { type: 'fixed', value: 0.02 },
+    occupancyRate: { type: 'fixed', value: 0.95 },
+    discountRate: { type: 'fixed', value: 0.06 }
+  };
+  const terminalValue = { method: 'exitCapRate', exitCapRate: 0.04 };
+  const result = new MonteCarloSimulator({ iterations: 5, projection, distributions, terminalValue }).run();
+
+  const dcf = new RussellDCFFramework({ discountRate: 0.06 }).generateComprehensiveDCF({
+    projection: { ...projection, growthRate: 0.02, occupancyRate: 0.95 },
+    terminalValue
+  });
+
+  assert.ok(Math.abs(result.npv.mean - dcf.analysis.npv.value) < 1e-3);
+});
+
+test('MonteCarloSimulator - skips paths whose discount rate is at or below the Gordon growth rate', () => {
+  const terminalValue = { method: 'gordon', growthRate: 0.05 };
+  const result = new MonteCarloSimulator({ iterations: 2000, projection, terminalValue }).run();
+
+  // Discount rates are drawn around 8% with a 1% standard deviation, so a few fall to 5% or below
+  assert.ok(result.skippedPaths > 0 && result.skippedPaths < 100, String(result.skippedPaths));
+  assert.ok(result.npv.mean > 0);
+  assert.ok(result.probabilityNegativeNPV >= 0 && result.probabilityNegativeNPV <= 1);
+
+  const allSkipped = new MonteCarloSimulator({
+    iterations: 10,
+    projection,
+    terminalValue,
+    distributions: {
+      growthRate: { type: 'fixed', value: 0.02 },
+      occupancyRate: { type: 'fixed', value: 0.95 },
+      discountRate: { type: 'fixed', value: 0.04 }
+    }
+  }).run();
+  assert.strictEqual(allSkipped.skippedPaths, 10);
+  assert.strictEqual(allSkipped.npv.mean, null);
+  assert.strictEqual(allSkipped.probabilityNegativeNPV, null);
+  assert.strictEqual(allSkipped.valueAtRisk, null);
+});
+
+test('MonteCarloSimulator - correlation matrix is honoured', () => {
+  const simulator = new MonteCarloSimulator({
+    correlation: [
+      [1, 0.8, 0],
+      [0.8, 1, 0],
+      [0, 0, 1]
+    ]
+  });
+  const random = new SeededRandom(5);
+  const cholesky = simulator.choleskyDecompose(simulator.config.correlation);
+  const pairs = Array.from({ length: 5000 }, () => {
+    const z = [random.nextNormal(), random.nextNormal(), random.nextNormal()];
+    return [cholesky[0][0] * z[0], cholesky[1][0] * z[0] + cholesky[1][1] * z[1]];
+  });
+  const meanA = pairs.reduce((s, p) => s + p[0], 0) / pairs.length;
+  const meanB = pairs.reduce((s, p) => s + p[1], 0) / pairs.length;
+  const cov = pairs.reduce((s, p) => s + (p[0] - meanA) * (p[1] - meanB), 0) / pairs.length;
+
+  assert.ok(Math.abs(cov - 0.8) < 0.05);
+});
+
+test('MonteCarloSimulator - rejects invalid correlation matrices', () => {
+  assert.throws(() => new MonteCarloSimulator({ correlation: [[1, 0], [0, 1]] }).run(), /must be 3x3/);
+  assert.throws(() => new MonteCarloSimulator({
+    correlation: [[1, 0.9, 0], [0.2, 1, 0], [0, 0, 1]]
+  }).run(), /symmetric/);
+  assert.throws(() => new MonteCarloSimulator({
+    correlation: [[1, 1.5, 0], [1.5, 1, 0], [0, 0, 1]]
+  }).run(), /positive definite/);
+});
+
+test('MonteCarloSimulator - results feed the Phi-Hedged IRR risk metrics', () => {
+  const simulation = new MonteCarloSimulator({ iterations: 100, projection }).run();
+  const dcf = new RussellDCFFramework().generateComprehensiveDCF({ projection, simulation });
+
+  assert.strictEqual(dcf.analysis.irrAnalysis.riskMetrics.source, 'MONTE_CARLO');
+  assert.strictEqual(dcf.analysis.irrAnalysis.riskMetrics.sharpeRatio, simulation.riskMetrics.sharpeRatio.toFixed(2));
+});
+
+console.log('✓ All Monte Carlo Simulator tests passed');
@@ -0,0 +1,170 @@
+/**
+ * Payment Providers
+ * Adapter interface for paying out zakat, and an in-memory provider for offline use and tests
+ */
+
+import { assertValid } from './validation.js';
+
+/**
+ * Statuses a provider reports for a payment
+ */
+export const PROVIDER_STATUS = Object.freeze({
+  SENT: 'sent', // Accepted, not yet settled
+  SETTLED: 'settled', // Funds delivered
+  FAILED: 'failed' // Definitively rejected; nothing was paid
+});
+
+/**
+ * Base class for payment provider adapters
+ * Subclasses implement send() and getStatus(). Both must honour the idempotency key: a repeated
+ * send() with a key the provider has seen returns the original payment instead of paying again.
+ * Throwing from either method marks the attempt as a transient failure to be retried.
+ */
+export class PaymentProvider {
+  /**
+   * @param {string} name - Provider name recorded on each payout
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Instruct a payment
+   * @param {Object} instruction - { idempotencyKey, payoutId, recipientId, account, amount (Money), reference }
+   * @returns {Promise<Object>} { providerReference, status (PROVIDER_STATUS), reason }
+   */
+  async send(instruction) {
+    throw new Error(`${this.name} does not implement send()`);
+  }
+
+  /**
+   * Current status of a payment
+   * @param {string} providerReference - Reference returned by send()
+   * @returns {Promise<Object>} { status (PROVIDER_STATUS), reason }
+   */
+  async getStatus(providerReference) {
+    throw new Error(`${this.name} does not implement getStatus()`);
+  }
+}
+
+/**
+ * In-memory provider that records payments instead of moving money
+ * Payments stay 'sent' until settle() or reject() unless config.settlement is 'immediate'.
+ */
+export class MockPaymentProvider extends PaymentProvider {
+  /**
+   * @param {Object} config - Mock configuration
+   * @param {string} config.settlement - 'manual' or 'immediate' (default: 'manual')
+   */
+  constructor(config = {}) {
+    super('mock');
+    this.config = {
+      settlement: 'manual',
+      ...config
+    };
+    assertValid({ type: 'object', properties: { settlement: { type: 'string', enum: ['manual', 'immediate'] } } }, this.config, 'config');
+    this.payments = new Map(); // By idempotency key
+    this.declinedAccounts = new Map();
+    this.outages = [];
+    this.sendCount = 0;
+  }
+
+  /**
+   * Instruct a payment, returning the original one for a known idempotency key
+   * @param {Object} instruction - See PaymentProvider.send
+   * @returns {Promise<Object>} { providerReference, status, reason }
+   */
+  async send(instruction) {
+    this.sendCount += 1;
+    const outage = this.outages.shift();
+    if (outage && !outage.afterAccept) {
+      throw new Error(outage.reason);
+    }
+
+    let payment = this.payments.get(instruction.idempotencyKey);
+    if (!payment) {
+      const declined = this.declinedAccounts.get(instruction.account);
+      payment = {
+        providerReference: `mock-${this.payments.size + 1}`,
+        instruction: { ...instruction },
+        status: declined ? PROVIDER_STATUS.FAILED : this.config.settlement === 'immediate' ? PROVIDER_STATUS.SETTLED : PROVIDER_STATUS.SENT,
+        reason: declined ?? null
+      };
+      this.payments.set(instruction.idempotencyKey, payment);
+    }
+
+    if (outage) {
+      // Accepted, but the response is lost on the way back
+      throw new Error(outage.reason);
+    }
+    return { providerReference: payment.providerReference, status: payment.status, reason: payment.reason };
+  }
+
+  /**
+   * @param {string} providerReference - Reference returned by send()
+   * @returns {Promise<Object>} { status, reason }
+   */
+  async getStatus(providerReference) {
+    const payment = this.find(providerReference);
+    return { status: payment.status, reason: payment.reason };
+  }
+
+  /**
+   * Mark a sent payment as settled
+   * @param {string} providerReference - Reference returned by send()
+   */
+  settle(providerReference) {
+    this.find(providerReference).status = PROVIDER_STATUS.SETTLED;
+  }
+
+  /**
+   * Mark a sent payment as failed, e.g. returned by the recipient's bank
+   * @param {string} providerReference - Reference returned by send()
+   * @param {string} reason - Failure reason
+   */
+  reject(providerReference, reason) {
+    Object.assign(this.find(providerReference), { status: PROVIDER_STATUS.FAILED, reason });
+  }
+
+  /**
+   * Decline every new payment to an account
+   * @param {string} account - Recipient account
+   * @param {string} reason - Failure reason
+   */
+  decline(account, reason = 'Account declined') {
+    this.declinedAccounts.set(account, reason);
+  }
+
+  /**
+   * Throw on the next send() calls, as a network or provider outage would
+   * @param {number} count - Number of calls to fail (default: 1)
+   * @param {Object} options - Outage details
+   * @param {string} options.reason - Error message (default: 'Provider unavailable')
+   * @param {boolean} options.afterAccept - Record the payment before throwing, as when a response is lost (default: false)
+   */
+  failNext(count = 1, { reason = 'Provider unavailable', afterAccept = false } = {}) {
+    for (let i = 0; i < count; i++) {
+      this.outages.push({ reason, afterAccept });
+    }
+  }
+
+  /**
+   * @returns {Object[]} Recorded payments, oldest first
+   */
+  list() {
+    return [...this.payments.values()].map(payment => ({ ...payment }));
+  }
+
+  /**
+   * @private
+   */
+  find(providerReference) {
+    const payment = [...this.payments.values()].find(p => p.providerReference === providerReference);
+    if (!payment) {
+      throw new Error(`Unknown payment: ${providerReference}`);
+    }
+    return payment;
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,54 @@
+/**
+ * Tests for Payment Providers
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import PaymentProvider, { MockPaymentProvider, PROVIDER_STATUS } from './payment-provider.js';
+import Money from './money.js';
+
+const instruction = (idempotencyKey, account = 'acct-1') => ({ idempotencyKey, payoutId: idempotencyKey, recipientId: 'r1', account, amount: Money.of(10), reference: 'b1' });
+
+test('MockPaymentProvider - pays once per idempotency key', async () => {
+  const provider = new MockPaymentProvider();
+  const first = await provider.send(instruction('k1'));
+  const again = await provider.send(instruction('k1'));
+
+  assert.deepStrictEqual(first, { providerReference: 'mock-1', status: PROVIDER_STATUS.SENT, reason: null });
+  assert.deepStrictEqual(again, first);
+  assert.strictEqual(provider.list().length, 1);
+  assert.strictEqual(provider.sendCount, 2);
+
+  provider.settle('mock-1');
+  assert.deepStrictEqual(await provider.getStatus('mock-1'), { status: PROVIDER_STATUS.SETTLED, reason: null });
+  await assert.rejects(() => provider.getStatus('mock-9'), { message: 'Unknown payment: mock-9' });
+});
+
+test('MockPaymentProvider - simulates settlement, declines and outages', async () => {
+  const provider = new MockPaymentProvider({ settlement: 'immediate' });
+  provider.decline('closed-acct', 'Account closed');
+
+  assert.strictEqual((await provider.send(instruction('k1'))).status, PROVIDER_STATUS.SETTLED);
+  assert.deepStrictEqual(await provider.send(instruction('k2', 'closed-acct')), { providerReference: 'mock-2', status: PROVIDER_STATUS.FAILED, reason: 'Account closed' });
+
+  provider.failNext(1);
+  await assert.rejects(() => provider.send(instruction('k3')), { message: 'Provider unavailable' });
+  assert.strictEqual(provider.list().length, 2);
+
+  // A lost response: the payment is recorded, and the retry returns it instead of paying again
+  provider.failNext(1, { reason: 'Timed out', afterAccept: true });
+  await assert.rejects(() => provider.send(instruction('k3')), { message: 'Timed out' });
+  assert.strictEqual((await provider.send(instruction('k3'))).providerReference, 'mock-3');
+  assert.strictEqual(provider.list().length, 3);
+
+  assert.throws(() => new MockPaymentProvider({ settlement: 'weekly' }), { code: 'INVALID_ENUM', path: 'config.settlement' });
+});
+
+test('PaymentProvider - adapters must implement send and getStatus', async () => {
+  class Incomplete extends PaymentProvider {}
+  const provider = new Incomplete('bank');
+  await assert.rejects(() => provider.send(instruction('k1')), { message: 'bank does not implement send()' });
+  await assert.rejects(() => provider.getStatus('x'), { message: 'bank does not implement getStatus()' });
+});
+
+console.log('✓ All Payment Provider tests passed');
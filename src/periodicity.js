@@ -0,0 +1,98 @@
+/**
+ * Periodicity
+ * Period frequencies, effective rate conversion and cash-flow timing conventions
+ */
+
+/**
+ * Periods per year for each supported frequency
+ */
+export const PERIODS_PER_YEAR = {
+  annual: 1,
+  quarterly: 4,
+  monthly: 12
+};
+
+/**
+ * Supported discounting conventions
+ */
+export const DISCOUNTING_CONVENTIONS = ['endOfPeriod', 'midPeriod'];
+
+/**
+ * Number of periods per year for a frequency
+ * @param {string} periodicity - 'annual', 'quarterly' or 'monthly'
+ * @returns {number} Periods per year
+ */
+export function periodsPerYear(periodicity) {
+  const periods = PERIODS_PER_YEAR[periodicity];
+  if (!periods) {
+    throw new Error(`Unknown periodicity: ${periodicity}`);
+  }
+  return periods;
+}
+
+/**
+ * Convert an effective annual rate to the equivalent rate per period
+ * @param {number} annualRate - Effective annual rate
+ * @param {string} periodicity - Period frequency
+ * @returns {number} Effective rate per period
+ */
+export function toPeriodRate(annualRate, periodicity) {
+  return Math.pow(1 + annualRate, 1 / periodsPerYear(periodicity)) - 1;
+}
+
+/**
+ * Convert a rate per period to the equivalent effective annual rate
+ * @param {number} periodRate - Effective rate per period
+ * @param {string} periodicity - Period frequency
+ * @returns {number} Effective annual rate
+ */
+export function toAnnualRate(periodRate, periodicity) {
+  return Math.pow(1 + periodRate, periodsPerYear(periodicity)) - 1;
+}
+
+/**
+ * Time, in years, at which a period's cash flow is discounted
+ * @param {number} startTime - Period start in years from acquisition
+ * @param {number} endTime - Period end in years from acquisition
+ * @param {string} convention - 'endOfPeriod' or 'midPeriod'
+ * @returns {number} Discounting time in years
+ */
+export function discountTime(startTime, endTime, convention) {
+  if (!DISCOUNTING_CONVENTIONS.includes(convention)) {
+    throw new Error(`Unknown discounting convention: ${convention}`);
+  }
+  return convention === 'midPeriod' ? (startTime + endTime) / 2 : endTime;
+}
+
+/**
+ * Split projection years into periods
+ * A partial year keeps the calendar period ends, so its first period is the short (stub) one.
+ * @param {number[]} yearFractions - Length of each projection year in years (1 for a full year)
+ * @param {string} periodicity - Period frequency
+ * @returns {Object[]} Periods with year, start/end times and their share of the year's amounts
+ */
+export function buildPeriodSchedule(yearFractions, periodicity) {
+  const perYear = periodsPerYear(periodicity);
+  const periods = [];
+  let time = 0;
+
+  yearFractions.forEach((yearFraction, index) => {
+    const count = Math.ceil(yearFraction * perYear - 1e-9);
+    const stub = yearFraction * perYear - (count - 1);
+
+    for (let i = 0; i < count; i++) {
+      const length = (i === 0 ? stub : 1) / perYear;
+      periods.push({
+        period: periods.length + 1,
+        year: index + 1,
+        periodInYear: i + 1,
+        startTime: time,
+        endTime: time + length,
+        share: length / yearFraction
+      });
+      time += length;
+    }
+  });
+
+  return periods;
+}
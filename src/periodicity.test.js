@@ -0,0 +1,122 @@
+/**
+ * Tests for Periodicity
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { buildPeriodSchedule, discountTime, toAnnualRate, toPeriodRate } from './periodicity.js';
+import RussellDCFFramework from './russell-dcf-framework.js';
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be close to ${expected}`);
+};
+
+const projection = { initialInvestment: 50000000, years: 10, growthRate: 0.02 };
+
+test('Periodicity - converts effective annual rates to and from period rates', () => {
+  close(toPeriodRate(0.08, 'monthly'), Math.pow(1.08, 1 / 12) - 1, 1e-12);
+  close(toPeriodRate(0.08, 'quarterly'), Math.pow(1.08, 0.25) - 1, 1e-12);
+  close(toPeriodRate(0.08, 'annual'), 0.08, 1e-12);
+  close(toAnnualRate(toPeriodRate(0.08, 'monthly'), 'monthly'), 0.08, 1e-12);
+  assert.throws(() => toPeriodRate(0.08, 'weekly'), /Unknown periodicity/);
+});
+
+test('Periodicity - schedules a short first year as a stub period', () => {
+  const quarters = buildPeriodSchedule([0.5, 1], 'quarterly');
+  assert.strictEqual(quarters.length, 6);
+  assert.deepStrictEqual(quarters.slice(0, 3).map(p => [p.year, p.periodInYear]), [[1, 1], [1, 2], [2, 1]]);
+  close(quarters[2].startTime, 0.5);
+  close(quarters[5].endTime, 1.5);
+
+  // Closing 0.4 of the way into a year leaves 4.8 months: a 0.8-month stub then four full months
+  const months = buildPeriodSchedule([0.4], 'monthly');
+  assert.strictEqual(months.length, 5);
+  close(months[0].endTime, 0.8 / 12);
+  close(months.reduce((sum, p) => sum + p.share, 0), 1);
+});
+
+test('Periodicity - discount time follows the convention', () => {
+  assert.strictEqual(discountTime(1, 2, 'endOfPeriod'), 2);
+  assert.strictEqual(discountTime(1, 2, 'midPeriod'), 1.5);
+  assert.throws(() => discountTime(1, 2, 'beginning'), /Unknown discounting convention/);
+});
+
+test('RussellDCFFramework - monthly periods roll up to the annual summary', () => {
+  const russellDCF = new RussellDCFFramework({ periodicity: 'monthly' });
+  const result = russellDCF.calculateYieldProjection(projection);
+
+  assert.strictEqual(result.periodicProjections.length, 120);
+  assert.strictEqual(russellDCF.cashFlows.length, 120);
+  assert.strictEqual(result.periodsPerYear, 12);
+  result.yearlyProjections.forEach(year => {
+    const periods = result.periodicProjections.filter(p => p.year === year.year);
+    close(periods.reduce((sum, p) => sum + p.netOperatingIncome, 0), year.netOperatingIncome, 1e-4);
+    close(periods.reduce((sum, p) => sum + p.phiAdjustedYield, 0), year.phiAdjustedYield, 1e-4);
+  });
+});
+
+test('RussellDCFFramework - monthly NPV discounts at the effective monthly rate', () => {
+  const params = { projection, terminalValue: { method: 'exitCapRate', exitCapRate: 0.04 } };
+  const monthly = new RussellDCFFramework({ periodicity: 'monthly' }).generateComprehensiveDCF(params);
+  const annual = new RussellDCFFramework().generateComprehensiveDCF(params);
+
+  const rate = toPeriodRate(0.08, 'monthly');
+  const expected = monthly.analysis.yieldProjection.periodicProjections.reduce((sum, p) => {
+    return sum + p.phiAdjustedYield / Math.pow(1 + rate, p.period);
+  }, 0) - projection.initialInvestment;
+
+  close(monthly.analysis.npv.explicitPeriodNPV, expected, 1e-3);
+  close(monthly.analysis.npv.periodDiscountRate, rate, 1e-12);
+  // Rent received through the year is worth more than the same rent at year end
+  assert.ok(monthly.analysis.npv.value > annual.analysis.npv.value);
+  assert.ok(monthly.analysis.irrAnalysis.rates.baseIRR > annual.analysis.irrAnalysis.rates.baseIRR);
+});
+
+test('RussellDCFFramework - mid-period convention moves cash flows, not the exit', () => {
+  const terminalValue = { method: 'exitCapRate', exitCapRate: 0.04 };
+  const end = new RussellDCFFramework().generateComprehensiveDCF({ projection, terminalValue });
+  const mid = new RussellDCFFramework({ discountingConvention: 'midPeriod' })
+    .generateComprehensiveDCF({ projection, terminalValue });
+
+  const explicitPV = result => result.analysis.npv.explicitPeriodNPV + projection.initialInvestment;
+  close(explicitPV(mid), explicitPV(end) * Math.sqrt(1.08), 1e-3);
+  close(mid.analysis.npv.terminalPresentValue, end.analysis.npv.terminalPresentValue, 1e-6);
+  assert.strictEqual(mid.analysis.terminalValue.time, 10);
+  assert.ok(mid.analysis.irrAnalysis.rates.baseIRR > end.analysis.irrAnalysis.rates.baseIRR);
+});
+
+test('RussellDCFFramework - partial first year for a mid-year close', () => {
+  const full = new RussellDCFFramework({ periodicity: 'quarterly' }).calculateYieldProjection(projection);
+  const stub = new RussellDCFFramework({ periodicity: 'quarterly' })
+    .calculateYieldProjection({ ...projection, firstYearFraction: 0.5 });
+
+  const [fullYear1] = full.yearlyProjections;
+  const [stubYear1] = stub.yearlyProjections;
+  close(stubYear1.grossPotentialRent, fullYear1.grossPotentialRent / 2);
+  close(stubYear1.fixedAssetTax, fullYear1.fixedAssetTax / 2);
+  close(stubYear1.depreciation, fullYear1.depreciation / 2);
+  assert.strictEqual(stub.holdPeriodYears, 9.5);
+  assert.strictEqual(stub.periodicProjections.length, 38);
+  close(stub.periodicProjections[2].startTime, 0.5);
+  assert.strictEqual(stub.yearlyProjections[9].endTime, 9.5);
+
+  assert.throws(
+    () => new RussellDCFFramework().calculateYieldProjection({ ...projection, firstYearFraction: 0 }),
+    /firstYearFraction/
+  );
+});
+
+test('RussellDCFFramework - stub period times feed the terminal value and levered IRR', () => {
+  const result = new RussellDCFFramework().generateComprehensiveDCF({
+    projection: { ...projection, firstYearFraction: 0.25 },
+    terminalValue: { method: 'exitCapRate', exitCapRate: 0.04 },
+    financing: { tranches: [{ name: 'Senior', ltv: 0.5, rateType: 'fixed', fixedRate: 0.02 }] }
+  });
+
+  const { terminalValue, leveredIrrAnalysis } = result.analysis;
+  assert.strictEqual(terminalValue.time, 9.25);
+  close(terminalValue.presentValue, terminalValue.terminalValue / Math.pow(1.08, 9.25), 1e-3);
+  assert.strictEqual(leveredIrrAnalysis.solver.status, 'SOLVED');
+});
+
+console.log('✓ All Periodicity tests passed');
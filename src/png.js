@@ -0,0 +1,167 @@
+/**
+ * PNG
+ * Encodes and decodes truecolor PNG images at 8 or 16 bits per channel
+ */
+
+import zlib from 'node:zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const COLOR_TYPE_RGB = 2;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Encode an RGB image as PNG
+ * @param {Object} image - Image to encode
+ * @param {number} image.width - Width in pixels
+ * @param {number} image.height - Height in pixels
+ * @param {(Uint8Array|Uint16Array)} image.data - Row-major RGB samples, 3 per pixel
+ * @param {number} image.significantBits - Bits of each sample that carry data, recorded in an sBIT chunk (default: all)
+ * @returns {Buffer} PNG file bytes
+ * @throws {Error} If data does not hold width × height RGB samples
+ */
+export function encodePNG({ width, height, data, significantBits }) {
+  const bitDepth = data instanceof Uint16Array ? 16 : 8;
+  if (data.length !== width * height * 3) {
+    throw new Error(`PNG data has ${data.length} samples, expected ${width * height * 3} for ${width}x${height} RGB`);
+  }
+  const bytesPerSample = bitDepth / 8;
+  const stride = width * 3 * bytesPerSample;
+
+  // Each scanline is prefixed with its filter type; 0 (None) keeps encoding a single pass
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1) + 1;
+    const samples = data.subarray(y * width * 3, (y + 1) * width * 3);
+    if (bitDepth === 8) {
+      raw.set(samples, row);
+      continue;
+    }
+    for (let i = 0; i < samples.length; i++) {
+      raw[row + i * 2] = samples[i] >> 8;
+      raw[row + i * 2 + 1] = samples[i] & 0xff;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.writeUInt8(bitDepth, 8);
+  header.writeUInt8(COLOR_TYPE_RGB, 9); // Compression, filter and interlace methods stay 0
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    ...(significantBits && significantBits !== bitDepth ? [chunk('sBIT', Buffer.alloc(3, significantBits))] : []),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Decode a non-interlaced truecolor PNG
+ * @param {Buffer} png - PNG file bytes
+ * @returns {Object} { width, height, bitDepth, significantBits, data } with data as Uint8Array or Uint16Array RGB samples
+ * @throws {Error} For a bad signature or CRC, or an image that is not 8/16-bit RGB
+ */
+export function decodePNG(png) {
+  if (!png.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file: bad signature');
+
+  let header = null;
+  let significantBits = null;
+  const idat = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    const body = png.subarray(offset + 8, offset + 8 + length);
+    if (png.readUInt32BE(offset + 8 + length) !== crc32(png.subarray(offset + 4, offset + 8 + length))) {
+      throw new Error(`PNG ${type} chunk fails its CRC check`);
+    }
+    if (type === 'IHDR') {
+      header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), bitDepth: body[8], colorType: body[9], interlace: body[12] };
+    } else if (type === 'sBIT') {
+      significantBits = body[0];
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  if (!header || header.colorType !== COLOR_TYPE_RGB || ![8, 16].includes(header.bitDepth) || header.interlace !== 0) {
+    throw new Error('Only non-interlaced 8 or 16-bit RGB PNGs are supported');
+  }
+
+  const { width, height, bitDepth } = header;
+  const bytesPerPixel = 3 * (bitDepth / 8);
+  const stride = width * bytesPerPixel;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    unfilter(raw[y * (stride + 1)], raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)), pixels, y * stride, stride, bytesPerPixel);
+  }
+
+  const data = bitDepth === 16 ? new Uint16Array(width * height * 3) : new Uint8Array(pixels);
+  if (bitDepth === 16) {
+    for (let i = 0; i < data.length; i++) data[i] = pixels.readUInt16BE(i * 2);
+  }
+  return { width, height, bitDepth, significantBits: significantBits ?? bitDepth, data };
+}
+
+/**
+ * Reverse a scanline filter into the output at rowStart
+ * @private
+ */
+function unfilter(filter, line, out, rowStart, stride, bpp) {
+  for (let i = 0; i < stride; i++) {
+    const left = i >= bpp ? out[rowStart + i - bpp] : 0;
+    const up = rowStart > 0 ? out[rowStart - stride + i] : 0;
+    const upLeft = i >= bpp && rowStart > 0 ? out[rowStart - stride + i - bpp] : 0;
+    let predictor;
+    switch (filter) {
+      case 0: predictor = 0; break;
+      case 1: predictor = left; break;
+      case 2: predictor = up; break;
+      case 3: predictor = (left + up) >> 1; break;
+      case 4: predictor = paeth(left, up, upLeft); break;
+      default: throw new Error(`Unknown PNG filter type ${filter}`);
+    }
+    out[rowStart + i] = (line[i] + predictor) & 0xff;
+  }
+}
+
+/**
+ * @private
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * @private
+ */
+function chunk(type, body) {
+  const out = Buffer.alloc(12 + body.length);
+  out.writeUInt32BE(body.length, 0);
+  out.write(type, 4, 'latin1');
+  body.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+  return out;
+}
+
+/**
+ * @private
+ */
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
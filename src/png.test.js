@@ -0,0 +1,62 @@
+/**
+ * Tests for PNG
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { decodePNG, encodePNG } from './png.js';
+
+// 3x5 image whose rows use filters None, Sub, Up, Average and Paeth, written by another encoder
+const FILTERED = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAMAAAAFCAIAAAAPE8H1AAAALklEQVR4nGNgYDgRILdggU0Fo4jRvgC5G0DEJGL0DYKYNVICjDSeAxELSEAOhACgCBFjiyQsJwAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+test('encodePNG - round trips 8-bit RGB', () => {
+  const data = Uint8Array.from({ length: 4 * 2 * 3 }, (_, i) => (i * 37) % 256);
+  const png = encodePNG({ width: 4, height: 2, data });
+
+  assert.deepStrictEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  assert.strictEqual(png.toString('latin1', 12, 16), 'IHDR');
+  const decoded = decodePNG(png);
+  assert.deepStrictEqual([decoded.width, decoded.height, decoded.bitDepth, decoded.significantBits], [4, 2, 8, 8]);
+  assert.deepStrictEqual(decoded.data, data);
+});
+
+test('encodePNG - writes 16-bit samples big-endian with significant bits', () => {
+  const data = Uint16Array.from([0, 64, 65535, 1023 * 64, 4096, 258]);
+  const png = encodePNG({ width: 2, height: 1, data, significantBits: 10 });
+
+  assert.ok(png.includes(Buffer.from('sBIT')));
+  const decoded = decodePNG(png);
+  assert.strictEqual(decoded.bitDepth, 16);
+  assert.strictEqual(decoded.significantBits, 10);
+  assert.deepStrictEqual(decoded.data, data);
+
+  assert.ok(!encodePNG({ width: 2, height: 1, data, significantBits: 16 }).includes(Buffer.from('sBIT')));
+});
+
+test('decodePNG - reverses every scanline filter', () => {
+  const { width, height, data } = decodePNG(FILTERED);
+  assert.deepStrictEqual([width, height], [3, 5]);
+  assert.deepStrictEqual([...data], [
+    0, 0, 200, 80, 30, 160, 160, 60, 120,
+    20, 50, 190, 100, 80, 150, 180, 110, 110,
+    40, 100, 180, 120, 130, 140, 200, 160, 100,
+    60, 150, 170, 140, 180, 130, 220, 210, 90,
+    80, 200, 160, 160, 230, 120, 240, 4, 80
+  ]);
+});
+
+test('PNG - rejects malformed input', () => {
+  assert.throws(() => encodePNG({ width: 2, height: 2, data: new Uint8Array(3) }), {
+    message: 'PNG data has 3 samples, expected 12 for 2x2 RGB'
+  });
+  assert.throws(() => decodePNG(Buffer.from('GIF89a')), { message: 'Not a PNG file: bad signature' });
+
+  const corrupt = Buffer.from(FILTERED);
+  corrupt[20] ^= 0xff; // Inside the IHDR body
+  assert.throws(() => decodePNG(corrupt), { message: 'PNG IHDR chunk fails its CRC check' });
+});
+
+console.log('✓ All PNG tests passed');
@@ -0,0 +1,421 @@
+/**
+ * Portfolio Aggregator
+ * Consolidates RussellDCFFramework project analyses into one portfolio: cash flows, NPV/IRR,
+ * location and currency exposure, budget-constrained allocation and diversification
+ */
+
+import RussellDCFFramework from './russell-dcf-framework.js';
+import IRRSolver from './irr-solver.js';
+import FXConverter, { formatMoney } from './fx-conversion.js';
+
+/**
+ * Largest portfolio for which allocation enumerates every combination of projects
+ * @private
+ */
+const MAX_EXACT_ALLOCATION = 16;
+
+export class PortfolioAggregator {
+  constructor(config = {}) {
+    this.config = {
+      baseCurrency: 'USD', // Currency the portfolio is consolidated in
+      discountRate: 0.08, // Portfolio discount rate applied to the consolidated cash flows
+      fxRates: [], // FXConverter configs for every project currency that differs from baseCurrency
+      projects: [], // [{ name, frameworkConfig, params, startYear, volatility }]
+      correlation: null, // Matrix of return correlations in the order of `projects`
+      defaultCorrelation: 0.5, // Correlation for pairs the matrix does not cover
+      defaultVolatility: 0.15, // Return volatility for projects without one or a simulation
+      liquidityParams: {}, // Extra validateLiquidityMechanisms params for the consolidated check
+      ...config
+    };
+
+    this.projects = [];
+    this.evaluations = new Map();
+    this.correlationNames = this.config.projects.map(p => p.name);
+    this.validateCorrelation(this.config.correlation, this.correlationNames.length);
+    this.config.projects.forEach(project => this.addProject(project));
+  }
+
+  /**
+   * Add a project to the portfolio
+   * @param {Object} project - Project definition
+   * @param {string} project.name - Unique project name
+   * @param {Object} project.frameworkConfig - RussellDCFFramework config (location, currencies, discount rate)
+   * @param {Object} project.params - generateComprehensiveDCF params
+   * @param {number} project.startYear - Portfolio year the project is acquired (default: 0)
+   * @param {number} project.volatility - Return volatility (default: simulation IRR stdDev or defaultVolatility)
+   * @returns {PortfolioAggregator} This aggregator
+   */
+  addProject(project) {
+    if (!project?.name) {
+      throw new Error('Portfolio projects require a name');
+    }
+    if (this.projects.some(p => p.name === project.name)) {
+      throw new Error(`Project already in portfolio: ${project.name}`);
+    }
+    this.projects.push(project);
+    return this;
+  }
+
+  /**
+   * Remove a project from the portfolio
+   * @param {string} name - Project name
+   * @returns {PortfolioAggregator} This aggregator
+   */
+  removeProject(name) {
+    const index = this.projects.findIndex(p => p.name === name);
+    if (index === -1) {
+      throw new Error(`Project not in portfolio: ${name}`);
+    }
+    this.projects.splice(index, 1);
+    return this;
+  }
+
+  /**
+   * Consolidated view of a set of projects
+   * @param {Object[]} projects - Projects to consolidate (default: the portfolio)
+   * @returns {Object} Per-project results, consolidated cash flows, NPV/IRR, exposure, diversification and liquidity
+   */
+  analyze(projects = this.projects) {
+    if (projects.length === 0) {
+      throw new Error('Portfolio has no projects');
+    }
+
+    const { baseCurrency, discountRate } = this.config;
+    const solver = new IRRSolver({ guess: discountRate });
+    const evaluated = projects.map(project => this.evaluate(project));
+    const totalCapital = evaluated.reduce((sum, p) => sum + p.initialInvestment, 0);
+
+    // Merge every project's flows onto one timeline
+    const timeline = new Map();
+    evaluated.forEach(p => {
+      p.times.forEach((time, index) => {
+        const key = Math.round(time * 1e6) / 1e6;
+        timeline.set(key, (timeline.get(key) ?? 0) + p.cashFlows[index]);
+      });
+    });
+    const times = [...timeline.keys()].sort((a, b) => a - b);
+    const cashFlows = times.map(time => timeline.get(time));
+
+    const npv = solver.npv(cashFlows, discountRate, times);
+    const irr = solver.irr(cashFlows, times);
+    const weights = evaluated.map(p => p.initialInvestment / totalCapital);
+
+    return {
+      baseCurrency,
+      projectCount: evaluated.length,
+      totalCapital,
+      projects: evaluated.map((p, index) => ({
+        name: p.name,
+        location: p.location,
+        currency: p.currency,
+        startYear: p.startYear,
+        initialInvestment: p.initialInvestment,
+        weight: weights[index],
+        npv: p.npv,
+        irr: p.irr,
+        volatility: p.volatility
+      })),
+      consolidated: {
+        times,
+        cashFlows,
+        npv,
+        formatted: formatMoney(npv, baseCurrency),
+        irr: irr.rate,
+        irrStatus: irr.status,
+        discountRate
+      },
+      exposure: {
+        byLocation: this.exposureBy(evaluated, 'location', totalCapital),
+        byCurrency: this.exposureBy(evaluated, 'currency', totalCapital)
+      },
+      diversification: this.diversification(evaluated, weights),
+      liquidity: this.consolidateLiquidity(evaluated),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Select projects under a capital budget, maximizing consolidated NPV
+   * Only positive-NPV projects are funded. Portfolios up to 16 projects are solved exactly;
+   * larger ones are ranked by profitability index (NPV per unit of capital).
+   * @param {number} budget - Capital available in the base currency
+   * @returns {Object} Selected and excluded projects and the analysis of the selection
+   */
+  allocate(budget) {
+    if (!(budget > 0)) {
+      throw new Error('Allocation budget must be positive');
+    }
+
+    const candidates = this.projects
+      .map(project => ({ project, evaluation: this.evaluate(project) }))
+      .filter(c => c.evaluation.npv > 0 && c.evaluation.initialInvestment <= budget);
+    const selected = candidates.length <= MAX_EXACT_ALLOCATION
+      ? this.bestCombination(candidates, budget)
+      : this.rankByProfitabilityIndex(candidates, budget);
+
+    const capitalDeployed = selected.reduce((sum, c) => sum + c.evaluation.initialInvestment, 0);
+    const selectedNames = new Set(selected.map(c => c.project.name));
+
+    return {
+      budget,
+      method: candidates.length <= MAX_EXACT_ALLOCATION ? 'EXACT' : 'PROFITABILITY_INDEX',
+      selected: selected.map(c => ({
+        name: c.project.name,
+        initialInvestment: c.evaluation.initialInvestment,
+        npv: c.evaluation.npv,
+        profitabilityIndex: c.evaluation.npv / c.evaluation.initialInvestment
+      })),
+      excluded: this.projects
+        .filter(p => !selectedNames.has(p.name))
+        .map(p => {
+          const evaluation = this.evaluate(p);
+          return {
+            name: p.name,
+            reason: evaluation.npv <= 0 ? 'NON_POSITIVE_NPV'
+              : evaluation.initialInvestment > budget ? 'EXCEEDS_BUDGET'
+                : 'BUDGET_EXHAUSTED'
+          };
+        }),
+      capitalDeployed,
+      unallocated: budget - capitalDeployed,
+      portfolio: selected.length > 0 ? this.analyze(selected.map(c => c.project)) : null
+    };
+  }
+
+  /**
+   * Change in portfolio returns, risk and liquidity from removing each project or adding each candidate
+   * @param {Object[]} candidates - Projects not yet in the portfolio to test adding
+   * @returns {Object[]} One entry per project and candidate
+   */
+  marginalImpact(candidates = []) {
+    const base = this.analyze();
+    const compare = (name, action, projects) => {
+      const changed = projects.length > 0 ? this.analyze(projects) : null;
+      const delta = (selector) => {
+        const before = selector(base);
+        const after = changed ? selector(changed) : null;
+        return before === null || after === null ? null : after - before;
+      };
+
+      return {
+        name,
+        action,
+        npvChange: changed ? changed.consolidated.npv - base.consolidated.npv : -base.consolidated.npv,
+        irrChange: delta(a => a.consolidated.irr),
+        volatilityChange: delta(a => a.diversification.portfolioVolatility),
+        liquidityRatioChange: delta(a => a.liquidity.liquidityRatio),
+        liquidityStatus: changed ? changed.liquidity.status : null
+      };
+    };
+
+    return [
+      ...this.projects.map(project => compare(
+        project.name,
+        'remove',
+        this.projects.filter(p => p !== project)
+      )),
+      ...candidates.map(candidate => compare(candidate.name, 'add', [...this.projects, candidate]))
+    ];
+  }
+
+  /**
+   * Run (once) and convert a project's DCF into the base currency
+   * @private
+   */
+  evaluate(project) {
+    if (this.evaluations.has(project)) {
+      return this.evaluations.get(project);
+    }
+
+    const framework = new RussellDCFFramework(project.frameworkConfig);
+    const dcf = framework.generateComprehensiveDCF(project.params ?? {});
+    const { yieldProjection, terminalValue } = dcf.analysis;
+    const currency = framework.config.functionalCurrency;
+    const startYear = project.startYear ?? 0;
+    const toBase = (amount, year) => this.convert(amount, currency, year);
+
+    const years = yieldProjection.yearlyProjections;
+    const amounts = years.map(p => toBase(p.phiAdjustedYield, p.year));
+    amounts[amounts.length - 1] += terminalValue ? toBase(terminalValue.terminalValue, years.length) : 0;
+
+    const initialInvestment = toBase(yieldProjection.initialInvestment, 0);
+    const cashFlows = [-initialInvestment, ...amounts];
+    const localTimes = [0, ...years.map(p => p.endTime)];
+    const solver = new IRRSolver({ guess: this.config.discountRate });
+    // Without liquidity inputs the project is just its purchase price with no cash held
+    const liquidity = project.params?.liquidity
+      ? dcf.analysis.liquidityValidation
+      : { totalAssetValue: yieldProjection.initialInvestment, currentLiquidity: 0 };
+
+    // NPV is measured at portfolio time 0 so project NPVs add up to the consolidated NPV
+    const times = localTimes.map(t => t + startYear);
+
+    const evaluation = {
+      name: project.name,
+      location: framework.config.location,
+      currency,
+      startYear,
+      initialInvestment,
+      cashFlows,
+      times,
+      npv: solver.npv(cashFlows, this.config.discountRate, times),
+      irr: solver.irr(cashFlows, localTimes).rate,
+      volatility: project.volatility ?? project.params?.simulation?.irr?.stdDev ?? this.config.defaultVolatility,
+      totalAssetValue: toBase(liquidity.totalAssetValue, 0),
+      currentLiquidity: toBase(liquidity.currentLiquidity, 0)
+    };
+
+    this.evaluations.set(project, evaluation);
+    return evaluation;
+  }
+
+  /**
+   * Convert a project amount into the base currency at the year's forward rate
+   * @private
+   */
+  convert(amount, currency, year) {
+    const { baseCurrency, fxRates } = this.config;
+    if (currency === baseCurrency) {
+      return amount;
+    }
+
+    const pair = fxRates.find(fx => {
+      const { baseCurrency: base = 'USD', quoteCurrency: quote = 'JPY' } = fx;
+      return (base === currency && quote === baseCurrency) || (base === baseCurrency && quote === currency);
+    });
+    if (!pair) {
+      throw new Error(`FX rates required to consolidate ${currency} into ${baseCurrency}`);
+    }
+    return new FXConverter(pair).convert(amount, currency, baseCurrency, year);
+  }
+
+  /**
+   * Capital, NPV and share of capital grouped by a project attribute
+   * @private
+   */
+  exposureBy(evaluated, key, totalCapital) {
+    return evaluated.reduce((groups, p) => {
+      const group = groups[p[key]] ?? { capital: 0, npv: 0, share: 0, projects: [] };
+      group.capital += p.initialInvestment;
+      group.npv += p.npv;
+      group.share = group.capital / totalCapital;
+      group.projects.push(p.name);
+      groups[p[key]] = group;
+      return groups;
+    }, {});
+  }
+
+  /**
+   * Portfolio volatility from the correlation matrix against the weighted-average volatility
+   * @private
+   */
+  diversification(evaluated, weights) {
+    let variance = 0;
+    evaluated.forEach((a, i) => {
+      evaluated.forEach((b, j) => {
+        variance += weights[i] * weights[j] * a.volatility * b.volatility * this.correlationBetween(a.name, b.name);
+      });
+    });
+
+    const portfolioVolatility = Math.sqrt(Math.max(0, variance));
+    const weightedVolatility = evaluated.reduce((sum, p, i) => sum + weights[i] * p.volatility, 0);
+
+    return {
+      weightedAverageVolatility: weightedVolatility,
+      portfolioVolatility,
+      diversificationRatio: portfolioVolatility > 0 ? weightedVolatility / portfolioVolatility : null,
+      diversificationBenefit: weightedVolatility > 0 ? 1 - portfolioVolatility / weightedVolatility : 0
+    };
+  }
+
+  /**
+   * @private
+   */
+  correlationBetween(a, b) {
+    if (a === b) return 1;
+
+    const i = this.correlationNames.indexOf(a);
+    const j = this.correlationNames.indexOf(b);
+    if (this.config.correlation && i !== -1 && j !== -1) {
+      return this.config.correlation[i][j];
+    }
+    return this.config.defaultCorrelation;
+  }
+
+  /**
+   * Consolidated liquidity checked with the framework's liquidity validation
+   * @private
+   */
+  consolidateLiquidity(evaluated) {
+    const totalAssetValue = evaluated.reduce((sum, p) => sum + p.totalAssetValue, 0);
+    const currentLiquidity = evaluated.reduce((sum, p) => sum + p.currentLiquidity, 0);
+    const validation = new RussellDCFFramework({ functionalCurrency: this.config.baseCurrency })
+      .validateLiquidityMechanisms({ ...this.config.liquidityParams, totalAssetValue, currentLiquidity });
+
+    return {
+      totalAssetValue,
+      currentLiquidity,
+      liquidityRatio: totalAssetValue > 0 ? currentLiquidity / totalAssetValue : null,
+      validations: validation.validations,
+      status: validation.status,
+      recommendations: validation.recommendations
+    };
+  }
+
+  /**
+   * Highest-NPV combination of candidates that fits the budget
+   * @private
+   */
+  bestCombination(candidates, budget) {
+    let best = [];
+    let bestNPV = 0;
+
+    for (let mask = 1; mask < 1 << candidates.length; mask++) {
+      const combination = candidates.filter((_, index) => mask & (1 << index));
+      const capital = combination.reduce((sum, c) => sum + c.evaluation.initialInvestment, 0);
+      const npv = combination.reduce((sum, c) => sum + c.evaluation.npv, 0);
+
+      if (capital <= budget && npv > bestNPV) {
+        best = combination;
+        bestNPV = npv;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * @private
+   */
+  rankByProfitabilityIndex(candidates, budget) {
+    const ranked = [...candidates].sort((a, b) => {
+      return b.evaluation.npv / b.evaluation.initialInvestment - a.evaluation.npv / a.evaluation.initialInvestment;
+    });
+    const selected = [];
+    let remaining = budget;
+
+    ranked.forEach(candidate => {
+      if (candidate.evaluation.initialInvestment <= remaining) {
+        selected.push(candidate);
+        remaining -= candidate.evaluation.initialInvestment;
+      }
+    });
+    return selected;
+  }
+
+  /**
+   * @private
+   */
+  validateCorrelation(matrix, size) {
+    if (matrix === null) return;
+    if (!Array.isArray(matrix) || matrix.length !== size || matrix.some(row => row.length !== size)) {
+      throw new Error(`Correlation matrix must be ${size}x${size} to match the projects`);
+    }
+    matrix.forEach((row, i) => row.forEach((value, j) => {
+      if (value !== matrix[j][i] || value < -1 || value > 1 || (i === j && value !== 1)) {
+        throw new Error('Correlation matrix must be symmetric with values in [-1, 1] and a unit diagonal');
+      }
+    }));
+  }
+}
+
+export default PortfolioAggregator;
@@ -0,0 +1,138 @@
+/**
+ * Tests for Portfolio Aggregator
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import PortfolioAggregator from './portfolio-aggregator.js';
+
+const close = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be close to ${expected}`);
+};
+
+const terminalValue = { method: 'exitCapRate', exitCapRate: 0.04 };
+
+const tokyo = {
+  name: 'Tokyo Office',
+  frameworkConfig: { location: 'Shinjuku, Tokyo' },
+  params: { projection: { initialInvestment: 10000000, growthRate: 0.03 }, terminalValue },
+  volatility: 0.12
+};
+const harlem = {
+  name: 'Harlem Center',
+  frameworkConfig: { location: 'Harlem, New York' },
+  params: { projection: { initialInvestment: 20000000, leasableArea: 3000, rentPerSqm: 900 }, terminalValue },
+  volatility: 0.2,
+  startYear: 1
+};
+
+test('PortfolioAggregator - consolidates cash flows on one timeline', () => {
+  const result = new PortfolioAggregator({ projects: [tokyo, harlem] }).analyze();
+  const [first, second] = result.projects;
+
+  assert.strictEqual(result.projectCount, 2);
+  assert.strictEqual(result.totalCapital, 30000000);
+  close(first.weight, 1 / 3);
+  // Ten-year holds, the second starting a year later
+  assert.deepStrictEqual(result.consolidated.times, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  // Year 1 carries Tokyo's first yield and Harlem's purchase
+  assert.ok(result.consolidated.cashFlows[1] < -10000000);
+  close(result.consolidated.npv, first.npv + second.npv, 1e-3);
+  assert.strictEqual(result.consolidated.irrStatus, 'SOLVED');
+});
+
+test('PortfolioAggregator - converts project currencies at forward rates', () => {
+  const shinjuku = {
+    name: 'Shinjuku',
+    frameworkConfig: { functionalCurrency: 'JPY', reportingCurrency: 'JPY' },
+    params: { projection: { initialInvestment: 1500000000, rentPerSqm: 105000 } }
+  };
+
+  assert.throws(() => new PortfolioAggregator({ projects: [shinjuku] }).analyze(), /FX rates required to consolidate JPY into USD/);
+
+  const result = new PortfolioAggregator({
+    projects: [shinjuku, tokyo],
+    fxRates: [{ spot: 150, forwardCurve: [148, 146] }]
+  }).analyze();
+
+  close(result.projects[0].initialInvestment, 10000000);
+  assert.deepStrictEqual(Object.keys(result.exposure.byCurrency).sort(), ['JPY', 'USD']);
+  close(result.exposure.byCurrency.JPY.share, 0.5);
+});
+
+test('PortfolioAggregator - groups exposure by location', () => {
+  const result = new PortfolioAggregator({ projects: [tokyo, harlem] }).analyze();
+  const { byLocation, byCurrency } = result.exposure;
+
+  close(byLocation['Shinjuku, Tokyo'].share, 1 / 3);
+  close(byLocation['Harlem, New York'].capital, 20000000);
+  assert.deepStrictEqual(byCurrency.USD.projects, ['Tokyo Office', 'Harlem Center']);
+  close(byCurrency.USD.share, 1);
+});
+
+test('PortfolioAggregator - diversification follows the correlation matrix', () => {
+  const analyze = correlation => new PortfolioAggregator({ projects: [tokyo, harlem], correlation }).analyze().diversification;
+  const perfect = analyze([[1, 1], [1, 1]]);
+  const low = analyze([[1, 0.1], [0.1, 1]]);
+
+  close(perfect.weightedAverageVolatility, 0.12 / 3 + 0.2 * 2 / 3);
+  close(perfect.portfolioVolatility, perfect.weightedAverageVolatility);
+  close(perfect.diversificationBenefit, 0);
+  assert.ok(low.portfolioVolatility < perfect.portfolioVolatility);
+  assert.ok(low.diversificationBenefit > 0);
+  close(low.portfolioVolatility, Math.sqrt((0.04) ** 2 + (0.4 / 3) ** 2 + 2 * 0.1 * 0.04 * (0.4 / 3)));
+});
+
+test('PortfolioAggregator - allocates the budget to the highest-NPV combination', () => {
+  const loser = {
+    name: 'Overpriced',
+    frameworkConfig: { location: 'Osaka' },
+    params: { projection: { initialInvestment: 50000000 } }
+  };
+  const aggregator = new PortfolioAggregator({ projects: [tokyo, harlem, loser] });
+  const npvs = Object.fromEntries(aggregator.analyze().projects.map(p => [p.name, p.npv]));
+  const allocation = aggregator.allocate(25000000);
+
+  assert.ok(npvs.Overpriced < 0);
+  assert.strictEqual(allocation.method, 'EXACT');
+  // Both profitable projects together need 30M; Harlem alone has the larger NPV
+  assert.ok(npvs['Harlem Center'] > npvs['Tokyo Office']);
+  assert.deepStrictEqual(allocation.selected.map(s => s.name), ['Harlem Center']);
+  assert.strictEqual(allocation.excluded.find(e => e.name === 'Overpriced').reason, 'NON_POSITIVE_NPV');
+  assert.ok(allocation.excluded.some(e => e.reason === 'BUDGET_EXHAUSTED'));
+  close(allocation.capitalDeployed + allocation.unallocated, 25000000);
+  assert.strictEqual(aggregator.allocate(5000000).selected.length, 0);
+  assert.strictEqual(aggregator.allocate(5000000).excluded[0].reason, 'EXCEEDS_BUDGET');
+  assert.throws(() => aggregator.allocate(0), /budget must be positive/);
+});
+
+test('PortfolioAggregator - reports the marginal impact of removing and adding projects', () => {
+  const withLiquidity = { ...harlem, params: { ...harlem.params, liquidity: { totalAssetValue: 30000000, currentLiquidity: 6000000 } } };
+  const aggregator = new PortfolioAggregator({ projects: [tokyo, withLiquidity] });
+  const base = aggregator.analyze();
+  const impacts = aggregator.marginalImpact([{ ...tokyo, name: 'Tokyo Annex' }]);
+  const byName = Object.fromEntries(impacts.map(i => [i.name, i]));
+
+  assert.deepStrictEqual(impacts.map(i => i.action), ['remove', 'remove', 'add']);
+  close(byName['Tokyo Office'].npvChange, -base.projects[0].npv, 1e-3);
+  close(byName['Tokyo Annex'].npvChange, base.projects[0].npv, 1e-3);
+  // Removing the cash-free project raises the liquidity ratio
+  assert.ok(byName['Tokyo Office'].liquidityRatioChange > 0);
+  assert.ok(byName['Tokyo Annex'].liquidityRatioChange < 0);
+});
+
+test('PortfolioAggregator - validates projects and the correlation matrix', () => {
+  assert.throws(() => new PortfolioAggregator({ projects: [tokyo, tokyo] }), /already in portfolio/);
+  assert.throws(() => new PortfolioAggregator({ projects: [tokyo, harlem], correlation: [[1]] }), /must be 2x2/);
+  assert.throws(
+    () => new PortfolioAggregator({ projects: [tokyo, harlem], correlation: [[1, 0.3], [0.2, 1]] }),
+    /symmetric/
+  );
+
+  const aggregator = new PortfolioAggregator({ projects: [tokyo] });
+  assert.throws(() => aggregator.removeProject('Missing'), /not in portfolio/);
+  aggregator.removeProject('Tokyo Office');
+  assert.throws(() => aggregator.analyze(), /no projects/);
+});
+
+console.log('✓ All Portfolio Aggregator tests passed');
@@ -0,0 +1,512 @@
+/**
+ * Render Queue
+ * Runs render jobs by priority under concurrency limits and per-tenant quotas, with progress polling,
+ * cancellation, a fallback resolution for jobs over their time or memory budget, and saved snapshots
+ */
+
+import { ValidationError, VALIDATION_CODES, assertValid } from './validation.js';
+import { JOB_PRIORITY_SCHEMA, RENDER_JOB_SCHEMA, RENDER_QUEUE_CONFIG_SCHEMA } from './schemas.js';
+
+const SNAPSHOT_VERSION = 1;
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+
+/**
+ * Job lifecycle: queued → running → succeeded or failed; queued and running jobs can be cancelled
+ */
+export const JOB_STATUS = Object.freeze({
+  QUEUED: 'queued', // Waiting for a free slot; jobs running when the process stopped return here on restore
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed', // The executor threw, or a budget was exceeded with no lower resolution to fall back to
+  CANCELLED: 'cancelled'
+});
+
+const FINISHED = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+export class RenderQueue {
+  /**
+   * @param {Object} config - Queue configuration
+   * @param {Function} config.execute - async (job, { resolution, signal, onProgress }) => result, where job is
+   *   { id, tenantId, payload, attempt }. It should stop once signal aborts, and may call onProgress(fraction, stage).
+   * @param {Function} config.estimateMemory - (job, resolution) => peak bytes of an attempt (default: memory is not budgeted)
+   * @param {Function} config.complete - (job, result) => result, called once when a job succeeds and before it is
+   *   marked succeeded; side effects belong here rather than in execute, whose attempts may be abandoned and rerun.
+   *   If it throws, the job fails. (default: the result is kept as it is)
+   * @param {JobStore} config.store - Store a snapshot is saved to after every change of status
+   */
+  constructor(config = {}) {
+    this.config = {
+      concurrency: 2, // Jobs running at once across all tenants
+      timeBudgetMs: 120000, // Per attempt
+      memoryBudgetBytes: 1024 ** 3, // Compared with estimateMemory before each attempt
+      fallbackResolution: { width: 1920, height: 1080 }, // Jobs larger than this that run over a budget are rerun at it, once
+      keepFinished: 100, // Finished jobs kept for polling; the earliest submitted are dropped first
+      estimateMemory: null,
+      complete: null,
+      ...config,
+      tenantQuota: { maxQueued: 10, maxRunning: 1, ...config.tenantQuota } // Per tenant: jobs waiting, and jobs running at once
+    };
+    assertValid(RENDER_QUEUE_CONFIG_SCHEMA, this.config, 'config');
+    ['execute', 'estimateMemory', 'complete'].forEach(name => {
+      if (typeof this.config[name] !== 'function' && !(name !== 'execute' && this.config[name] === null)) {
+        throw new ValidationError({
+          code: VALIDATION_CODES.INVALID_TYPE,
+          path: `config.${name}`,
+          allowed: 'a function',
+          value: this.config[name],
+          message: `Render queue ${name} must be a function`
+        });
+      }
+    });
+    this.jobs = new Map(); // By id, in submission order
+    this.active = new Map(); // Running job id → { tenantId, controller, done }
+    this.sequence = 0;
+    this.saving = Promise.resolve();
+    this.lastSaveError = null;
+  }
+
+  /**
+   * Queue a job; it is saved to the store before its id is returned
+   * @param {Object} job - { tenantId, priority, resolution, payload } (see RENDER_JOB_SCHEMA); priority defaults to 'normal'
+   * @returns {Promise<string>} Job id to poll with getJob
+   * @throws {ValidationError} For an invalid job, or a tenant with tenantQuota.maxQueued jobs already queued
+   */
+  async submit(job) {
+    assertValid(RENDER_JOB_SCHEMA, job, 'job');
+    const { tenantId, priority = 'normal', resolution, payload = null } = job;
+    const { maxQueued } = this.config.tenantQuota;
+    const queued = this.list({ tenantId, status: JOB_STATUS.QUEUED }).length;
+    if (queued >= maxQueued) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.OUT_OF_RANGE,
+        path: 'job.tenantId',
+        allowed: `a tenant with fewer than ${maxQueued} queued jobs`,
+        value: tenantId,
+        message: `Tenant ${tenantId} already has ${queued} render jobs queued, its quota`
+      });
+    }
+
+    this.sequence += 1;
+    const record = {
+      id: crypto.randomUUID(),
+      sequence: this.sequence,
+      tenantId,
+      priority,
+      resolution: { ...resolution },
+      payload,
+      status: JOB_STATUS.QUEUED,
+      progress: 0, // Fraction of the current attempt done
+      stage: null, // Executor's name for the step in progress
+      attempts: 0,
+      fallback: null, // { from, to, reason: 'time' or 'memory' } once rerun at the fallback resolution
+      result: null,
+      error: null, // { name, message } of a failed job
+      submittedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(record.id, record);
+    try {
+      await this.persist();
+    } catch (error) {
+      this.jobs.delete(record.id);
+      throw error;
+    }
+    this.schedule();
+    return record.id;
+  }
+
+  /**
+   * @param {string} jobId - Id returned by submit
+   * @returns {Object} The job: status, progress, stage, attempts, fallback, and its result or error once finished
+   * @throws {ValidationError} For an unknown job, or one dropped after keepFinished later jobs finished
+   */
+  getJob(jobId) {
+    return view(this.findJob(jobId));
+  }
+
+  /**
+   * Jobs in submission order
+   * @param {Object} filter - Optional { tenantId, status }
+   * @returns {Object[]} Matching jobs (see getJob)
+   */
+  list({ tenantId, status } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => (tenantId === undefined || job.tenantId === tenantId) && (status === undefined || job.status === status))
+      .map(view);
+  }
+
+  /**
+   * Cancel a queued or running job
+   * A running job's executor is signalled to stop; whatever it returns afterwards is discarded.
+   * @param {string} jobId - Job to cancel
+   * @returns {Promise<Object>} The cancelled job
+   * @throws {ValidationError} For an unknown or already finished job
+   */
+  async cancel(jobId) {
+    const job = this.findOpenJob(jobId, 'cancelled');
+    this.finish(job, JOB_STATUS.CANCELLED);
+    this.active.get(jobId)?.controller?.abort(new Error(`Render job ${jobId} was cancelled`));
+    await this.persist();
+    return view(job);
+  }
+
+  /**
+   * Change the priority of a queued job; equal priorities run in submission order
+   * @param {string} jobId - Job to reprioritize
+   * @param {string} priority - 'high', 'normal' or 'low'
+   * @returns {Promise<Object>} The job
+   * @throws {ValidationError} For an invalid priority, or an unknown job that is not queued
+   */
+  async setPriority(jobId, priority) {
+    assertValid(JOB_PRIORITY_SCHEMA, priority, 'priority');
+    const job = this.findJob(jobId);
+    if (job.status !== JOB_STATUS.QUEUED) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'jobId',
+        allowed: 'a queued job',
+        value: jobId,
+        message: `Render job ${jobId} is ${job.status}; only queued jobs can be reprioritized`
+      });
+    }
+    job.priority = priority;
+    await this.persist();
+    return view(job);
+  }
+
+  /**
+   * Load the jobs saved in the store, after a restart
+   * Jobs that were running are queued again from the start, at the fallback resolution if they had fallen back.
+   * @returns {Promise<Object>} { restored, requeued } job counts
+   * @throws {ValidationError} If this queue already has jobs, or the snapshot is from another version
+   */
+  async restore() {
+    if (this.jobs.size > 0) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'store',
+        allowed: 'an empty queue',
+        value: this.jobs.size,
+        message: 'Render jobs can only be restored into an empty queue'
+      });
+    }
+    const snapshot = await this.config.store.load();
+    if (snapshot === null) return { restored: 0, requeued: 0 };
+    if (snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.jobs)) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: 'snapshot.version',
+        allowed: `${SNAPSHOT_VERSION}`,
+        value: snapshot.version,
+        message: `Unsupported render queue snapshot version: ${snapshot.version}`
+      });
+    }
+
+    let requeued = 0;
+    snapshot.jobs.forEach(saved => {
+      const job = { ...saved, result: decode(saved.result) };
+      if (job.status === JOB_STATUS.RUNNING) {
+        Object.assign(job, { status: JOB_STATUS.QUEUED, progress: 0, stage: null, startedAt: null });
+        requeued += 1;
+      }
+      this.jobs.set(job.id, job);
+    });
+    this.sequence = snapshot.sequence;
+    if (requeued > 0) await this.persist();
+    this.schedule();
+    return { restored: this.jobs.size, requeued };
+  }
+
+  /**
+   * Wait until no job is running or queued and every snapshot is saved
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.active.size > 0) {
+      await Promise.all([...this.active.values()].map(entry => entry.done));
+    }
+    await this.saving;
+  }
+
+  /**
+   * @returns {Object} Job counts by status, and the message of the last failed snapshot save (or null)
+   */
+  summary() {
+    const counts = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+    this.jobs.forEach(job => { counts[job.status] += 1; });
+    return { ...counts, lastSaveError: this.lastSaveError?.message ?? null };
+  }
+
+  /**
+   * Snapshot of every job, as saved to the store; Buffers in results are base64 encoded
+   * @returns {Object} { version, sequence, jobs }
+   */
+  toJSON() {
+    return {
+      version: SNAPSHOT_VERSION,
+      sequence: this.sequence,
+      jobs: [...this.jobs.values()].map(job => ({ ...job, result: encode(job.result) }))
+    };
+  }
+
+  /**
+   * Start queued jobs, highest priority first, while the global and tenant limits allow
+   * @private
+   */
+  schedule() {
+    const { concurrency, tenantQuota } = this.config;
+    const running = tenantId => [...this.active.values()].filter(entry => entry.tenantId === tenantId).length;
+    while (this.active.size < concurrency) {
+      const next = [...this.jobs.values()]
+        .filter(job => job.status === JOB_STATUS.QUEUED && running(job.tenantId) < tenantQuota.maxRunning)
+        .sort((a, b) => PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] || a.sequence - b.sequence)[0];
+      if (!next) return;
+
+      Object.assign(next, { status: JOB_STATUS.RUNNING, startedAt: new Date().toISOString(), progress: 0, stage: null });
+      const entry = { tenantId: next.tenantId, controller: null };
+      this.active.set(next.id, entry);
+      entry.done = this.run(next).finally(() => {
+        this.active.delete(next.id);
+        this.schedule();
+      });
+    }
+  }
+
+  /**
+   * Run a job to completion, falling back once to the fallback resolution when it runs over a budget;
+   * never rejects
+   * @private
+   */
+  async run(job) {
+    try {
+      let resolution = job.fallback?.to ?? job.resolution;
+      for (;;) {
+        try {
+          this.checkMemory(job, resolution);
+          const result = await this.attempt(job, resolution);
+          if (job.status === JOB_STATUS.RUNNING) {
+            const { complete } = this.config;
+            this.finish(job, JOB_STATUS.SUCCEEDED, { result: complete ? complete(jobArgument(job), result) : result, progress: 1 });
+          }
+          break;
+        } catch (error) {
+          if (!(error instanceof BudgetError) || !this.canFallBack(job, resolution)) throw error;
+          resolution = this.fallBack(job, resolution, error.budget);
+        }
+      }
+    } catch (error) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        this.finish(job, JOB_STATUS.FAILED, { error: { name: error?.name ?? 'Error', message: error?.message ?? String(error) } });
+      }
+    }
+    if (FINISHED.includes(job.status)) this.persistInBackground();
+  }
+
+  /**
+   * @private
+   */
+  checkMemory(job, resolution) {
+    const { memoryBudgetBytes, estimateMemory } = this.config;
+    const memory = estimateMemory ? estimateMemory(jobArgument(job), { ...resolution }) : 0;
+    if (memory > memoryBudgetBytes) {
+      throw new BudgetError('memory', `Render job needs an estimated ${mebibytes(memory)} at ${size(resolution)}, over its ${mebibytes(memoryBudgetBytes)} memory budget`);
+    }
+  }
+
+  /**
+   * Call the executor once, rejecting with a BudgetError when the time budget runs out or the
+   * cancellation reason when the job is cancelled, even if the executor ignores its signal
+   * @private
+   */
+  async attempt(job, resolution) {
+    const { execute, timeBudgetMs } = this.config;
+    const controller = new AbortController();
+    this.active.get(job.id).controller = controller;
+    job.attempts += 1;
+    this.persistInBackground();
+
+    let timer;
+    const stopped = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+      timer = setTimeout(() => {
+        controller.abort(new BudgetError('time', `Render job ran over its ${timeBudgetMs} ms time budget at ${size(resolution)}`));
+      }, timeBudgetMs);
+    });
+    try {
+      return await Promise.race([
+        execute(jobArgument(job), {
+          resolution: { ...resolution },
+          signal: controller.signal,
+          onProgress: (fraction, stage) => this.progress(job, fraction, stage)
+        }),
+        stopped
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Record executor progress; it never moves backwards within an attempt
+   * @private
+   */
+  progress(job, fraction, stage) {
+    if (job.status !== JOB_STATUS.RUNNING || !Number.isFinite(fraction)) return;
+    job.progress = Math.max(job.progress, Math.min(1, Math.max(0, fraction)));
+    if (stage !== undefined) job.stage = stage;
+  }
+
+  /**
+   * @private
+   */
+  canFallBack(job, resolution) {
+    const { width, height } = this.config.fallbackResolution;
+    return job.fallback === null && resolution.width * resolution.height > width * height;
+  }
+
+  /**
+   * @private
+   */
+  fallBack(job, from, reason) {
+    job.fallback = { from: { ...from }, to: { ...this.config.fallbackResolution }, reason };
+    Object.assign(job, { progress: 0, stage: null });
+    return job.fallback.to;
+  }
+
+  /**
+   * @private
+   */
+  finish(job, status, fields = {}) {
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    const finished = [...this.jobs.values()].filter(j => FINISHED.includes(j.status));
+    finished.slice(0, Math.max(0, finished.length - this.config.keepFinished)).forEach(j => this.jobs.delete(j.id));
+  }
+
+  /**
+   * Queue a snapshot save behind those in progress; the returned promise rejects if it fails
+   * @private
+   */
+  persist() {
+    const snapshot = this.toJSON();
+    const saved = this.saving.then(() => this.config.store.save(snapshot));
+    this.saving = saved.catch(error => { this.lastSaveError = error; }); // A failed save does not block later ones
+    return saved;
+  }
+
+  /**
+   * Save a snapshot for a change no caller is waiting on; failures are reported by summary()
+   * @private
+   */
+  persistInBackground() {
+    this.persist().catch(() => {});
+  }
+
+  /**
+   * @private
+   */
+  findJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: 'jobId',
+        allowed: 'the id of a submitted job',
+        value: jobId,
+        message: `Unknown render job: ${jobId}`
+      });
+    }
+    return job;
+  }
+
+  /**
+   * @private
+   */
+  findOpenJob(jobId, action) {
+    const job = this.findJob(jobId);
+    if (FINISHED.includes(job.status)) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'jobId',
+        allowed: 'a queued or running job',
+        value: jobId,
+        message: `Render job ${jobId} is already ${job.status} and cannot be ${action}`
+      });
+    }
+    return job;
+  }
+}
+
+/**
+ * A time or memory budget an attempt ran over
+ * @private
+ */
+class BudgetError extends Error {
+  constructor(budget, message) {
+    super(message);
+    this.name = 'BudgetError';
+    this.budget = budget;
+  }
+}
+
+/**
+ * What the executor and memory estimate see of a job
+ * @private
+ */
+function jobArgument(job) {
+  return { id: job.id, tenantId: job.tenantId, payload: job.payload, attempt: job.attempts };
+}
+
+/**
+ * Copy of a job for callers, without its scheduling sequence
+ * @private
+ */
+function view({ sequence, ...job }) {
+  return {
+    ...job,
+    resolution: { ...job.resolution },
+    fallback: job.fallback && { ...job.fallback },
+    error: job.error && { ...job.error }
+  };
+}
+
+/**
+ * Make a result JSON safe, encoding Buffers as { $buffer: base64 }
+ * @private
+ */
+function encode(value) {
+  if (Buffer.isBuffer(value)) return { $buffer: value.toString('base64') };
+  if (Array.isArray(value)) return value.map(encode);
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item)]));
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function decode(value) {
+  if (Array.isArray(value)) return value.map(decode);
+  if (value !== null && typeof value === 'object') {
+    if (typeof value.$buffer === 'string') return Buffer.from(value.$buffer, 'base64');
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decode(item)]));
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function size({ width, height }) {
+  return `${width}x${height}`;
+}
+
+/**
+ * @private
+ */
+function mebibytes(bytes) {
+  return `${Math.ceil(bytes / 2 ** 20)} MiB`;
+}
+
+export default RenderQueue;
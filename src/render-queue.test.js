@@ -0,0 +1,270 @@
+/**
+ * Tests for Render Queue
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import RenderQueue, { JOB_STATUS } from './render-queue.js';
+import { MemoryJobStore } from './job-store.js';
+
+const UHD = { width: 3840, height: 2160 };
+const HD = { width: 1920, height: 1080 };
+
+/**
+ * Executor whose attempts stay running until the test settles them
+ */
+function manualExecutor() {
+  const calls = [];
+  const execute = (job, context) => new Promise((resolve, reject) => calls.push({ job, context, resolve, reject }));
+  return { calls, execute };
+}
+
+function queueWith(config) {
+  return new RenderQueue({ store: new MemoryJobStore(), ...config });
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('RenderQueue - runs a job, reporting progress until it succeeds', async () => {
+  const { calls, execute } = manualExecutor();
+  const queue = queueWith({ execute });
+  const id = await queue.submit({ tenantId: 'studio-a', resolution: UHD, payload: { scene: 'lobby' } });
+
+  let job = queue.getJob(id);
+  assert.deepStrictEqual([job.status, job.priority, job.attempts, job.progress], [JOB_STATUS.RUNNING, 'normal', 1, 0]);
+  assert.deepStrictEqual(calls[0].job, { id, tenantId: 'studio-a', payload: { scene: 'lobby' }, attempt: 1 });
+  assert.deepStrictEqual(calls[0].context.resolution, UHD);
+
+  calls[0].context.onProgress(0.4, 'rasterize');
+  calls[0].context.onProgress(0.2); // Progress never moves backwards
+  job = queue.getJob(id);
+  assert.deepStrictEqual([job.progress, job.stage], [0.4, 'rasterize']);
+
+  calls[0].resolve({ png: Buffer.from('image') });
+  await queue.idle();
+  job = queue.getJob(id);
+  assert.deepStrictEqual([job.status, job.progress, job.fallback, job.error], [JOB_STATUS.SUCCEEDED, 1, null, null]);
+  assert.ok(job.result.png.equals(Buffer.from('image')));
+  assert.ok(job.finishedAt >= job.startedAt && job.startedAt >= job.submittedAt);
+  assert.deepStrictEqual(queue.summary(), { queued: 0, running: 0, succeeded: 1, failed: 0, cancelled: 0, lastSaveError: null });
+});
+
+test('RenderQueue - starts jobs by priority, then in submission order', async () => {
+  const { calls, execute } = manualExecutor();
+  const queue = queueWith({ execute, concurrency: 1 });
+  const first = await queue.submit({ tenantId: 'a', resolution: HD, priority: 'low' });
+  const normal = await queue.submit({ tenantId: 'a', resolution: HD });
+  const low = await queue.submit({ tenantId: 'a', resolution: HD, priority: 'low' });
+  const high = await queue.submit({ tenantId: 'a', resolution: HD, priority: 'high' });
+  await queue.setPriority(low, 'high'); // Now ahead of the later high priority job
+
+  for (let i = 0; i < 4; i++) {
+    calls[i].resolve('done');
+    await tick();
+  }
+  await queue.idle();
+  assert.deepStrictEqual(calls.map(call => call.job.id), [first, low, high, normal]);
+
+  await assert.rejects(() => queue.setPriority(low, 'normal'), { code: 'INCONSISTENT_VALUES', path: 'jobId' });
+  await assert.rejects(() => queue.setPriority(normal, 'urgent'), { code: 'INVALID_ENUM', path: 'priority' });
+});
+
+test('RenderQueue - enforces concurrency and per-tenant quotas', async () => {
+  const { calls, execute } = manualExecutor();
+  const queue = queueWith({ execute, concurrency: 2, tenantQuota: { maxQueued: 1 } });
+  const a1 = await queue.submit({ tenantId: 'a', resolution: HD });
+  const a2 = await queue.submit({ tenantId: 'a', resolution: HD });
+  const b1 = await queue.submit({ tenantId: 'b', resolution: HD });
+
+  // One running job per tenant by default, so b1 starts ahead of a2
+  assert.deepStrictEqual(calls.map(call => call.job.id), [a1, b1]);
+  assert.strictEqual(queue.getJob(a2).status, JOB_STATUS.QUEUED);
+  await assert.rejects(() => queue.submit({ tenantId: 'a', resolution: HD }), {
+    code: 'OUT_OF_RANGE',
+    path: 'job.tenantId',
+    message: 'Tenant a already has 1 render jobs queued, its quota'
+  });
+  assert.strictEqual(queue.list({ tenantId: 'a' }).length, 2);
+
+  calls[1].resolve('b done');
+  await tick();
+  assert.strictEqual(calls.length, 2); // A free slot, but tenant a is at its running limit
+  calls[0].resolve('a done');
+  await tick();
+  assert.deepStrictEqual(calls.map(call => call.job.id), [a1, b1, a2]);
+  calls[2].resolve('a done');
+  await queue.idle();
+});
+
+test('RenderQueue - cancels queued and running jobs', async () => {
+  const { calls, execute } = manualExecutor();
+  const queue = queueWith({ execute, concurrency: 1 });
+  const running = await queue.submit({ tenantId: 'a', resolution: HD });
+  const queued = await queue.submit({ tenantId: 'b', resolution: HD });
+
+  assert.strictEqual((await queue.cancel(queued)).status, JOB_STATUS.CANCELLED);
+  const cancelled = await queue.cancel(running);
+  assert.strictEqual(cancelled.status, JOB_STATUS.CANCELLED);
+  assert.ok(calls[0].context.signal.aborted);
+  assert.strictEqual(calls[0].context.signal.reason.message, `Render job ${running} was cancelled`);
+
+  calls[0].resolve('too late'); // Whatever a cancelled executor returns is discarded
+  await queue.idle();
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual([queue.getJob(running).status, queue.getJob(running).result], [JOB_STATUS.CANCELLED, null]);
+
+  await assert.rejects(() => queue.cancel(running), {
+    code: 'INCONSISTENT_VALUES',
+    message: `Render job ${running} is already cancelled and cannot be cancelled`
+  });
+  await assert.rejects(() => queue.cancel('missing'), { code: 'INVALID_ENUM', path: 'jobId', message: 'Unknown render job: missing' });
+});
+
+test('RenderQueue - falls back to the fallback resolution when a job runs over its time budget', async () => {
+  const resolutions = [];
+  const execute = (job, { resolution }) => {
+    resolutions.push(resolution);
+    // 4K attempts ignore their signal and never finish; the queue stops waiting regardless
+    return resolution.width > HD.width ? new Promise(() => {}) : Promise.resolve(`${resolution.width}p`);
+  };
+  const queue = queueWith({ execute, timeBudgetMs: 20 });
+  const id = await queue.submit({ tenantId: 'a', resolution: UHD });
+  await queue.idle();
+
+  const job = queue.getJob(id);
+  assert.deepStrictEqual(resolutions, [UHD, HD]);
+  assert.deepStrictEqual([job.status, job.attempts, job.result], [JOB_STATUS.SUCCEEDED, 2, '1920p']);
+  assert.deepStrictEqual(job.fallback, { from: UHD, to: HD, reason: 'time' });
+
+  // Jobs already at or below the fallback resolution fail instead
+  const slow = await queue.submit({ tenantId: 'a', resolution: { width: 2560, height: 1440 } });
+  const small = queueWith({ execute: () => new Promise(() => {}), timeBudgetMs: 20 });
+  const stuck = await small.submit({ tenantId: 'a', resolution: HD });
+  await Promise.all([queue.idle(), small.idle()]);
+  assert.strictEqual(queue.getJob(slow).fallback.reason, 'time');
+  assert.deepStrictEqual(small.getJob(stuck).error, { name: 'BudgetError', message: 'Render job ran over its 20 ms time budget at 1920x1080' });
+  assert.strictEqual(small.getJob(stuck).status, JOB_STATUS.FAILED);
+});
+
+test('RenderQueue - falls back before starting when a job would exceed its memory budget', async () => {
+  const resolutions = [];
+  const execute = async (job, { resolution }) => resolutions.push(resolution);
+  const estimateMemory = (job, { width, height }) => width * height * 40;
+  const queue = queueWith({ execute, estimateMemory, memoryBudgetBytes: 100 * 2 ** 20 });
+  const id = await queue.submit({ tenantId: 'a', resolution: UHD });
+  await queue.idle();
+
+  const job = queue.getJob(id);
+  assert.deepStrictEqual(resolutions, [HD]);
+  assert.deepStrictEqual([job.status, job.attempts, job.fallback], [JOB_STATUS.SUCCEEDED, 1, { from: UHD, to: HD, reason: 'memory' }]);
+
+  const tight = queueWith({ execute, estimateMemory, memoryBudgetBytes: 50 * 2 ** 20 });
+  const failed = await tight.submit({ tenantId: 'a', resolution: UHD });
+  await tight.idle();
+  assert.strictEqual(resolutions.length, 1); // Never attempted, at either resolution
+  assert.deepStrictEqual(tight.getJob(failed).error, {
+    name: 'BudgetError',
+    message: 'Render job needs an estimated 80 MiB at 1920x1080, over its 50 MiB memory budget'
+  });
+});
+
+test('RenderQueue - records executor errors', async () => {
+  const queue = queueWith({ execute: async () => { throw new TypeError('Model has no scenes'); } });
+  const id = await queue.submit({ tenantId: 'a', resolution: UHD });
+  await queue.idle();
+  const job = queue.getJob(id);
+  assert.deepStrictEqual([job.status, job.attempts, job.fallback, job.error], [JOB_STATUS.FAILED, 1, null, { name: 'TypeError', message: 'Model has no scenes' }]);
+});
+
+test('RenderQueue - calls complete once, for the attempt that succeeds', async () => {
+  const completed = [];
+  const abandoned = [];
+  const execute = (job, { resolution }) => {
+    if (resolution.width > HD.width) {
+      // Finishes after its time budget, like an executor that ignores its signal
+      return new Promise(resolve => setTimeout(() => { abandoned.push(job.attempt); resolve('late'); }, 60));
+    }
+    return Promise.resolve(`${resolution.width}p`);
+  };
+  const complete = (job, result) => {
+    completed.push([job.attempt, result]);
+    return { result };
+  };
+  const queue = queueWith({ execute, complete, timeBudgetMs: 20 });
+  const id = await queue.submit({ tenantId: 'a', resolution: UHD });
+  await queue.idle();
+  await new Promise(resolve => setTimeout(resolve, 80));
+
+  assert.deepStrictEqual(abandoned, [1]);
+  assert.deepStrictEqual(completed, [[2, '1920p']]);
+  assert.deepStrictEqual(queue.getJob(id).result, { result: '1920p' });
+
+  const throwing = queueWith({ execute: async () => 'done', complete: () => { throw new Error('Store unavailable'); } });
+  const failed = await throwing.submit({ tenantId: 'a', resolution: HD });
+  await throwing.idle();
+  assert.deepStrictEqual([throwing.getJob(failed).status, throwing.getJob(failed).error.message], [JOB_STATUS.FAILED, 'Store unavailable']);
+});
+
+test('RenderQueue - restores saved jobs after a restart, rerunning interrupted ones', async () => {
+  const store = new MemoryJobStore();
+  const { calls, execute } = manualExecutor();
+  const before = new RenderQueue({ execute, store, concurrency: 1, timeBudgetMs: 20 });
+  const done = await before.submit({ tenantId: 'a', resolution: HD, payload: { n: 1 } });
+  const interrupted = await before.submit({ tenantId: 'a', resolution: HD, payload: { n: 2 } });
+  const waiting = await before.submit({ tenantId: 'b', resolution: HD, priority: 'low', payload: { n: 3 } });
+  calls[0].resolve({ png: Buffer.from([0x89, 0x50]), width: 1920 });
+  await tick();
+  assert.strictEqual(before.getJob(interrupted).status, JOB_STATUS.RUNNING);
+  await before.saving;
+
+  // A new process with the same store; the old one stops without finishing its running job
+  const after = new RenderQueue({ execute: async (job, { resolution }) => ({ n: job.payload.n, attempt: job.attempt, resolution }), store });
+  assert.deepStrictEqual(await after.restore(), { restored: 3, requeued: 1 });
+  await after.idle();
+
+  assert.deepStrictEqual(after.getJob(done).result, { png: Buffer.from([0x89, 0x50]), width: 1920 });
+  assert.deepStrictEqual(after.getJob(interrupted).result, { n: 2, attempt: 2, resolution: HD });
+  assert.deepStrictEqual(after.getJob(waiting).result, { n: 3, attempt: 1, resolution: HD });
+  assert.deepStrictEqual(after.list().map(job => job.status), Array(3).fill(JOB_STATUS.SUCCEEDED));
+
+  // Later jobs continue the submission order
+  const next = await after.submit({ tenantId: 'a', resolution: HD, payload: { n: 4 } });
+  await after.idle();
+  assert.deepStrictEqual(after.list().map(job => job.id), [done, interrupted, waiting, next]);
+
+  await assert.rejects(() => after.restore(), { code: 'INCONSISTENT_VALUES', path: 'store' });
+  const empty = new RenderQueue({ execute, store: new MemoryJobStore() });
+  assert.deepStrictEqual(await empty.restore(), { restored: 0, requeued: 0 });
+  await empty.config.store.save({ version: 99, jobs: [] });
+  await assert.rejects(() => empty.restore(), { code: 'INVALID_ENUM', path: 'snapshot.version' });
+});
+
+test('RenderQueue - keeps the latest finished jobs and reports failed saves', async () => {
+  const queue = queueWith({ execute: async job => job.payload, keepFinished: 2 });
+  const ids = [];
+  for (let n = 0; n < 4; n++) {
+    ids.push(await queue.submit({ tenantId: 'a', resolution: HD, payload: n }));
+    await queue.idle();
+  }
+  assert.deepStrictEqual(queue.list().map(job => job.result), [2, 3]);
+  assert.throws(() => queue.getJob(ids[0]), { code: 'INVALID_ENUM' });
+
+  queue.config.store.save = async () => { throw new Error('Disk full'); };
+  await assert.rejects(() => queue.submit({ tenantId: 'a', resolution: HD }), { message: 'Disk full' });
+  assert.strictEqual(queue.list().length, 2); // A job that could not be saved is not accepted
+  assert.strictEqual(queue.summary().lastSaveError, 'Disk full');
+});
+
+test('RenderQueue - validates its config and jobs', async () => {
+  assert.throws(() => new RenderQueue({ store: new MemoryJobStore() }), { code: 'REQUIRED', path: 'config.execute' });
+  assert.throws(() => queueWith({ execute: 'render' }), { code: 'INVALID_TYPE', path: 'config.execute' });
+  assert.throws(() => queueWith({ execute: async () => {}, estimateMemory: 42 }), { code: 'INVALID_TYPE', path: 'config.estimateMemory' });
+  assert.throws(() => queueWith({ execute: async () => {}, complete: 'annotate' }), { code: 'INVALID_TYPE', path: 'config.complete' });
+  assert.throws(() => queueWith({ execute: async () => {}, tenantQuota: { maxJobs: 3 } }), { code: 'UNKNOWN_FIELD', path: 'config.tenantQuota.maxJobs' });
+
+  const queue = queueWith({ execute: async () => {} });
+  await assert.rejects(() => queue.submit({ tenantId: 'a', resolution: { width: 7680, height: 4320 } }), { code: 'OUT_OF_RANGE', path: 'job.resolution.width' });
+  await assert.rejects(() => queue.submit({ resolution: HD }), { code: 'REQUIRED', path: 'job.tenantId' });
+});
+
+console.log('✓ All Render Queue tests passed');
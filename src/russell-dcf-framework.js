@@ -3,6 +3,25 @@
  * Optimizes yield projection for Shinjuku Tower with Phi-Hedged IRR and liquidity validation
  */
 
+import IRRSolver from './irr-solver.js';
+import DebtFinancingModel from './debt-financing.js';
+import FXConverter, { formatMoney } from './fx-conversion.js';
+import DistributionWaterfall from './distribution-waterfall.js';
+import { buildPeriodSchedule, discountTime, periodsPerYear, toPeriodRate } from './periodicity.js';
+import { STATE_VERSION, diffValues, fingerprint, setPath } from './analysis-runs.js';
+import Money from './money.js';
+import { ValidationError, VALIDATION_CODES, assertValid, validate } from './validation.js';
+import {
+  CURRENCY_ANALYSIS_SCHEMA,
+  DCF_CONFIG_SCHEMA,
+  DCF_PARAMS_SCHEMA,
+  IRR_OPTIONS_SCHEMA,
+  LIQUIDITY_SCHEMA,
+  PROJECTION_SCHEMA,
+  TERMINAL_VALUE_SCHEMA,
+  YIELD_PROJECTION_SCHEMA
+} from './schemas.js';
+
 export class RussellDCFFramework {
   constructor(config = {}) {
     this.config = {
@@ -10,121 +29,495 @@ export class RussellDCFFramework {
       location: 'Shinjuku, Tokyo',
       phiRatio: 1.618033988749895, // Golden ratio for Phi-Hedged calculations
       discountRate: 0.08, // 8% discount rate
+      functionalCurrency: 'USD', // Currency the project's cash flows are priced in
+      reportingCurrency: 'USD', // Currency investors report in
+      reportingDiscountRate: null, // Discount rate for reporting-currency NPV (default: discountRate)
+      periodicity: 'annual', // Cash-flow period: 'annual', 'quarterly' or 'monthly'
+      discountingConvention: 'endOfPeriod', // 'endOfPeriod' or 'midPeriod' cash-flow timing
+      runHistoryLimit: 50, // Most recent generateComprehensiveDCF runs kept in `runs`
+      roundingMode: 'halfEven', // 'halfEven' (banker's) or 'halfUp' rounding of reported amounts to the minor unit
       ...config
     };
+    assertValid(DCF_CONFIG_SCHEMA, this.config, 'config');
     this.cashFlows = [];
     this.liquidityPool = 0;
+    this.runs = [];
+    this.runSequence = 0;
   }
 
   /**
    * Calculate yield projection for Shinjuku Tower
-   * @param {Object} projectionParams - Projection parameters
+   * Builds a property cash-flow model: gross potential rent -> vacancy -> operating expenses and
+   * Tokyo property taxes -> NOI -> capex reserve, depreciation and corporate tax -> free cash flow.
+   * `growthRate` (rent growth) and `occupancyRate` accept either a constant or a per-year path
+   * (array indexed from year 1). Years are the annual summary; their amounts are split into
+   * `config.periodicity` periods, which become the cash flows. `firstYearFraction` shortens year 1
+   * for acquisitions that close mid-year. Each call replaces the cash flows of the previous one.
+   * @param {Object} projectionParams - Projection parameters (see PROJECTION_SCHEMA)
    * @returns {Object} Yield projection results
+   * @throws {ValidationError} When a parameter is missing, mistyped or out of range
    */
-  calculateYieldProjection(projectionParams) {
+  calculateYieldProjection(projectionParams = {}) {
+    assertValid(PROJECTION_SCHEMA, projectionParams, 'projection');
     const {
-      initialInvestment = 50000000, // $50M initial investment
+      initialInvestment = 50000000, // $50M purchase price
       years = 10,
-      growthRate = 0.12, // 12% annual growth
-      occupancyRate = 0.92 // 92% occupancy
+      growthRate = 0.12, // 12% annual rent growth
+      occupancyRate = 0.92, // 92% occupancy
+      leasableArea = 6000, // Net leasable area in square meters
+      rentPerSqm = 700, // Annual market rent per square meter
+      operatingExpenseRatio = 0.20, // Operating expenses as a share of effective gross income
+      assessedValue = initialInvestment * 0.7, // Tax assessment base for fixed asset taxes
+      fixedAssetTaxRate = 0.014, // Tokyo fixed-asset tax (1.4%)
+      cityPlanningTaxRate = 0.003, // Tokyo city planning tax (0.3%)
+      capexReserveRatio = 0.05, // Capital expenditure reserve as a share of effective gross income
+      buildingRatio = 0.4, // Depreciable building share of the purchase price (land is not depreciated)
+      usefulLife = 50, // Statutory useful life for SRC office buildings in years
+      corporateTaxRate = 0.3062, // Effective Japanese corporate tax rate
+      firstYearFraction = 1 // Share of year 1 owned, e.g. 0.5 for a close at mid-year
     } = projectionParams;
 
+    const annualDepreciation = (initialInvestment * buildingRatio) / usefulLife;
     const yearlyProjections = [];
     let cumulativeYield = 0;
+    let growthIndex = 1;
+    let lossCarryForward = 0;
+
+    let startTime = 0;
 
     for (let year = 1; year <= years; year++) {
-      const baseYield = initialInvestment * Math.pow(1 + growthRate, year);
-      const adjustedYield = baseYield * occupancyRate;
-      const phiAdjustedYield = adjustedYield * (1 + (1 / this.config.phiRatio - 1) * 0.1);
+      const yearOccupancy = this.valueForYear(occupancyRate, year);
+      const yearFraction = year === 1 ? firstYearFraction : 1;
+      growthIndex *= 1 + this.valueForYear(growthRate, year);
+
+      // Revenue
+      const grossPotentialRent = leasableArea * rentPerSqm * growthIndex * yearFraction;
+      const vacancyLoss = grossPotentialRent * (1 - yearOccupancy);
+      const effectiveGrossIncome = grossPotentialRent - vacancyLoss;
+
+      // Operating expenses and Tokyo property taxes
+      const operatingExpenses = effectiveGrossIncome * operatingExpenseRatio;
+      const fixedAssetTax = assessedValue * fixedAssetTaxRate * yearFraction;
+      const cityPlanningTax = assessedValue * cityPlanningTaxRate * yearFraction;
+      const netOperatingIncome = effectiveGrossIncome - operatingExpenses - fixedAssetTax - cityPlanningTax;
+
+      // Below-NOI items
+      const capexReserve = effectiveGrossIncome * capexReserveRatio;
+      const depreciation = year <= usefulLife ? annualDepreciation * yearFraction : 0;
+      const taxableIncomeBeforeLosses = netOperatingIncome - depreciation;
+      const lossUtilized = taxableIncomeBeforeLosses > 0 ? Math.min(lossCarryForward, taxableIncomeBeforeLosses) : 0;
+      lossCarryForward += taxableIncomeBeforeLosses < 0 ? -taxableIncomeBeforeLosses : -lossUtilized;
+      const taxableIncome = Math.max(0, taxableIncomeBeforeLosses - lossUtilized);
+      const corporateTax = taxableIncome * corporateTaxRate;
+      const freeCashFlow = netOperatingIncome - capexReserve - corporateTax;
+
+      const phiAdjustedYield = freeCashFlow * (1 + (1 / this.config.phiRatio - 1) * 0.1);
       
       cumulativeYield += phiAdjustedYield;
+      const endTime = startTime + yearFraction;
 
       yearlyProjections.push({
         year,
-        baseYield,
-        adjustedYield,
+        yearFraction,
+        startTime,
+        endTime,
+        discountTime: discountTime(startTime, endTime, this.config.discountingConvention),
+        grossPotentialRent,
+        vacancyLoss,
+        effectiveGrossIncome,
+        operatingExpenses,
+        fixedAssetTax,
+        cityPlanningTax,
+        netOperatingIncome,
+        capexReserve,
+        depreciation,
+        taxableIncome,
+        corporateTax,
+        freeCashFlow,
+        baseYield: netOperatingIncome,
+        adjustedYield: freeCashFlow,
         phiAdjustedYield,
         cumulativeYield,
-        occupancyRate
-      });
-
-      // Store cash flows for DCF calculation
-      this.cashFlows.push({
-        year,
-        amount: phiAdjustedYield
+        occupancyRate: yearOccupancy
       });
+      startTime = endTime;
     }
 
+    const periodicProjections = this.splitIntoPeriods(yearlyProjections);
+
+    // Cash paid out is whole minor units: each year's cash flow is rounded once and split across
+    // its periods by largest remainder, so the periods add back up to the year exactly
+    yearlyProjections.forEach(projection => {
+      projection.cashFlow = this.toMoney(projection.phiAdjustedYield);
+      const periods = periodicProjections.filter(p => p.year === projection.year);
+      projection.cashFlow
+        .allocate(periods.map(p => p.endTime - p.startTime))
+        .forEach((cashFlow, index) => { periods[index].cashFlow = cashFlow; });
+    });
+
+    // Store Phi-adjusted free cash flow per period for DCF calculation
+    this.cashFlows = periodicProjections.map(period => ({
+      period: period.period,
+      year: period.year,
+      time: period.discountTime,
+      endTime: period.endTime,
+      amount: period.phiAdjustedYield,
+      money: period.cashFlow
+    }));
+
+    const holdPeriodYears = startTime;
+
     return {
       projectName: this.config.projectName,
       initialInvestment,
       projectionPeriod: years,
+      holdPeriodYears,
+      firstYearFraction,
+      periodicity: this.config.periodicity,
+      periodsPerYear: periodsPerYear(this.config.periodicity),
+      discountingConvention: this.config.discountingConvention,
+      growthRate,
+      occupancyRate,
+      // Every projection input after defaults, as used by this projection
+      assumptions: {
+        initialInvestment,
+        years,
+        growthRate,
+        occupancyRate,
+        leasableArea,
+        rentPerSqm,
+        operatingExpenseRatio,
+        assessedValue,
+        fixedAssetTaxRate,
+        cityPlanningTaxRate,
+        capexReserveRatio,
+        buildingRatio,
+        usefulLife,
+        corporateTaxRate,
+        firstYearFraction
+      },
       yearlyProjections,
+      periodicProjections,
+      totalNetOperatingIncome: yearlyProjections.reduce((sum, p) => sum + p.netOperatingIncome, 0),
+      totalFreeCashFlow: yearlyProjections.reduce((sum, p) => sum + p.freeCashFlow, 0),
       totalProjectedYield: cumulativeYield,
-      averageAnnualYield: cumulativeYield / years,
+      averageAnnualYield: cumulativeYield / holdPeriodYears,
+      money: {
+        currency: this.config.functionalCurrency,
+        roundingMode: this.config.roundingMode,
+        initialInvestment: this.toMoney(initialInvestment),
+        totalProjectedYield: Money.sum(yearlyProjections.map(p => p.cashFlow))
+      },
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Round an amount to the currency's minor unit with the configured rounding mode
+   * @param {number} amount - Amount in major units
+   * @param {string} currency - ISO 4217 currency code (default: config.functionalCurrency)
+   * @returns {Money} Exact amount
+   * @throws {ValidationError} When amount is not a finite number
+   */
+  toMoney(amount, currency = this.config.functionalCurrency) {
+    assertValid({ type: 'number' }, amount, 'amount');
+    return Money.of(amount, currency, this.config.roundingMode);
+  }
+
+  /**
+   * Split each projection year's cash-flow items evenly across its periods
+   * @private
+   */
+  splitIntoPeriods(yearlyProjections) {
+    const { periodicity, discountingConvention } = this.config;
+    const periods = buildPeriodSchedule(yearlyProjections.map(p => p.yearFraction), periodicity);
+    const items = [
+      'effectiveGrossIncome',
+      'operatingExpenses',
+      'netOperatingIncome',
+      'capexReserve',
+      'corporateTax',
+      'freeCashFlow',
+      'phiAdjustedYield'
+    ];
+
+    return periods.map(({ period, year, periodInYear, startTime, endTime, share }) => {
+      const projection = yearlyProjections[year - 1];
+      return {
+        period,
+        year,
+        periodInYear,
+        startTime,
+        endTime,
+        discountTime: discountTime(startTime, endTime, discountingConvention),
+        propertyTaxes: (projection.fixedAssetTax + projection.cityPlanningTax) * share,
+        ...Object.fromEntries(items.map(item => [item, projection[item] * share]))
+      };
+    });
+  }
+
+  /**
+   * Resolve a constant-or-path projection input for a given year
+   * @private
+   */
+  valueForYear(value, year) {
+    return Array.isArray(value) ? value[Math.min(year, value.length) - 1] : value;
+  }
+
   /**
    * Calculate Phi-Hedged Internal Rate of Return (IRR)
-   * Uses golden ratio for risk-adjusted returns
-   * @param {number} initialInvestment - Initial investment amount
-   * @returns {Object} IRR calculation results
+   * Solves the true IRR of the signed cash-flow series and applies the golden ratio hedge on top
+   * @param {number} initialInvestment - Initial investment amount (outflow at t=0)
+   * @param {Object} options - Optional MIRR rates
+   * @param {number} options.financeRate - MIRR finance rate (default: config.discountRate)
+   * @param {number} options.reinvestmentRate - MIRR reinvestment rate (default: config.discountRate)
+   * @param {Object} options.simulation - MonteCarloSimulator result supplying the risk metrics
+   * @param {number} options.terminalCashFlow - Terminal value received with the final cash flow (default: 0)
+   * @param {number[]} options.cashFlows - Cash flow amounts to use instead of the projected cash flows (e.g. levered)
+   * @param {number[]} options.times - Time of each cash flow in years (default: projected timing, or years 1..n for `cashFlows`)
+   * @param {number} options.terminalTime - Time the terminal cash flow is received (default: end of the final period)
+   * @returns {Object} IRR calculation results (annual rates)
+   * @throws {ValidationError} When initialInvestment or an option is invalid
    */
-  calculatePhiHedgedIRR(initialInvestment) {
-    if (this.cashFlows.length === 0) {
+  calculatePhiHedgedIRR(initialInvestment, options = {}) {
+    assertValid({ type: 'number' }, initialInvestment, 'initialInvestment');
+    assertValid(IRR_OPTIONS_SCHEMA, options, 'options');
+    const projected = options.cashFlows === undefined;
+    const {
+      financeRate = this.config.discountRate,
+      reinvestmentRate = this.config.discountRate,
+      simulation = null,
+      terminalCashFlow = 0,
+      cashFlows = this.cashFlows.map(cf => cf.amount),
+      times = projected ? this.cashFlows.map(cf => cf.time ?? cf.year) : cashFlows.map((_, index) => index + 1)
+    } = options;
+
+    if (cashFlows.length === 0) {
       throw new Error('No cash flows available. Run calculateYieldProjection first.');
     }
 
-    // Simplified IRR calculation using approximation
-    const totalCashFlow = this.cashFlows.reduce((sum, cf) => sum + cf.amount, 0);
-    const years = this.cashFlows.length;
-    const averageCashFlow = totalCashFlow / years;
-    
-    // Basic IRR approximation
-    const baseIRR = (Math.pow(totalCashFlow / initialInvestment, 1 / years) - 1);
+    const {
+      terminalTime = projected ? this.cashFlows[this.cashFlows.length - 1].endTime ?? times[times.length - 1] : times[times.length - 1]
+    } = options;
+
+    const solver = new IRRSolver({ guess: this.config.discountRate });
+    const series = [-initialInvestment, ...cashFlows];
+    const seriesTimes = [0, ...times];
+    if (terminalCashFlow !== 0) {
+      if (terminalTime === seriesTimes[seriesTimes.length - 1]) {
+        series[series.length - 1] += terminalCashFlow;
+      } else {
+        series.push(terminalCashFlow);
+        seriesTimes.push(terminalTime);
+      }
+    }
+    const irrResult = solver.irr(series, seriesTimes);
+    const mirrResult = solver.mirr(series, financeRate, reinvestmentRate, seriesTimes);
+
+    const phiHedgeFactor = 1 / this.config.phiRatio; // ~0.618 (inverse golden ratio)
+
+    if (irrResult.rate === null) {
+      return {
+        baseIRR: 'N/A',
+        phiHedgedIRR: 'N/A',
+        mirr: mirrResult.rate === null ? 'N/A' : (mirrResult.rate * 100).toFixed(2) + '%',
+        phiRatio: this.config.phiRatio,
+        hedgeFactor: phiHedgeFactor,
+        rates: {
+          baseIRR: null,
+          phiHedgedIRR: null,
+          mirr: mirrResult.rate
+        },
+        solver: {
+          status: irrResult.status,
+          roots: irrResult.roots,
+          message: irrResult.message
+        },
+        riskMetrics: this.formatRiskMetrics(simulation),
+        recommendation: 'Hold',
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const baseIRR = irrResult.rate;
     
     // Apply Phi-hedging for risk adjustment
-    const phiHedgeFactor = 1 / this.config.phiRatio; // ~0.618 (inverse golden ratio)
     const phiHedgedIRR = baseIRR * (1 + phiHedgeFactor * 0.15); // 15% phi-hedge adjustment
-    
-    // Calculate risk-adjusted metrics
-    const sharpeRatio = phiHedgedIRR / 0.15; // Assuming 15% volatility
-    const sortinoRatio = phiHedgedIRR / 0.10; // Assuming 10% downside deviation
 
     return {
       baseIRR: (baseIRR * 100).toFixed(2) + '%',
       phiHedgedIRR: (phiHedgedIRR * 100).toFixed(2) + '%',
+      mirr: mirrResult.rate === null ? 'N/A' : (mirrResult.rate * 100).toFixed(2) + '%',
       phiRatio: this.config.phiRatio,
       hedgeFactor: phiHedgeFactor,
-      riskMetrics: {
-        sharpeRatio: sharpeRatio.toFixed(2),
-        sortinoRatio: sortinoRatio.toFixed(2),
-        volatility: '15%',
-        downsideDeviation: '10%'
+      rates: {
+        baseIRR,
+        phiHedgedIRR,
+        mirr: mirrResult.rate
       },
+      solver: {
+        status: irrResult.status,
+        roots: irrResult.roots,
+        message: irrResult.message,
+        financeRate,
+        reinvestmentRate
+      },
+      riskMetrics: this.formatRiskMetrics(simulation),
       recommendation: phiHedgedIRR > 0.12 ? 'Strong Buy' : phiHedgedIRR > 0.08 ? 'Buy' : 'Hold',
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Format risk ratios from a Monte Carlo simulation result
+   * Without a simulation there is no volatility estimate, so the ratios are not reported
+   * @private
+   */
+  formatRiskMetrics(simulation) {
+    const ratios = simulation?.riskMetrics;
+
+    if (!ratios || ratios.volatility === null) {
+      return {
+        sharpeRatio: null,
+        sortinoRatio: null,
+        volatility: null,
+        downsideDeviation: null,
+        source: 'NOT_SIMULATED'
+      };
+    }
+
+    const formatRatio = ratio => ratio === null ? null : ratio.toFixed(2);
+
+    return {
+      sharpeRatio: formatRatio(ratios.sharpeRatio),
+      sortinoRatio: formatRatio(ratios.sortinoRatio),
+      volatility: (ratios.volatility * 100).toFixed(2) + '%',
+      downsideDeviation: (ratios.downsideDeviation * 100).toFixed(2) + '%',
+      riskFreeRate: ratios.riskFreeRate,
+      source: 'MONTE_CARLO',
+      iterations: simulation.iterations,
+      seed: simulation.seed
+    };
+  }
+
+  /**
+   * Calculate terminal value at the end of the explicit projection period
+   * @param {Object} yieldProjection - Result of calculateYieldProjection
+   * @param {Object} terminalParams - Terminal value parameters
+   * @param {string} terminalParams.method - 'gordon' (growth perpetuity) or 'exitCapRate'
+   * @param {number} terminalParams.growthRate - Perpetual growth of cash flow / NOI after the final year (default: 0.02)
+   * @param {number} terminalParams.exitCapRate - Capitalization rate applied to forward NOI (exitCapRate method)
+   * @param {number} terminalParams.dispositionCostRate - Sale costs as a share of gross sale price (default: 0.02)
+   * @returns {Object} Terminal value results
+   * @throws {ValidationError} When the parameters are invalid or inconsistent with config.discountRate
+   */
+  calculateTerminalValue(yieldProjection, terminalParams) {
+    assertValid(YIELD_PROJECTION_SCHEMA, yieldProjection, 'yieldProjection');
+    const [error] = [
+      ...validate(TERMINAL_VALUE_SCHEMA, terminalParams, 'terminalValue'),
+      ...this.terminalValueErrors(terminalParams, 'terminalValue')
+    ];
+    if (error) {
+      throw error;
+    }
+
+    const {
+      method,
+      growthRate = 0.02,
+      exitCapRate,
+      dispositionCostRate = 0.02
+    } = terminalParams;
+
+    const finalYear = yieldProjection.yearlyProjections[yieldProjection.yearlyProjections.length - 1];
+    const discountRate = this.config.discountRate;
+    // A short final year (a one-year hold closed mid-year) is annualized before capitalizing
+    const yearFraction = finalYear.yearFraction ?? 1;
+    let grossValue;
+    let dispositionCosts = 0;
+    let basis;
+
+    if (method === 'gordon') {
+      basis = finalYear.phiAdjustedYield / yearFraction * (1 + growthRate);
+      grossValue = basis / (discountRate - growthRate);
+    } else {
+      basis = finalYear.netOperatingIncome / yearFraction * (1 + growthRate);
+      grossValue = basis / exitCapRate;
+      dispositionCosts = grossValue * dispositionCostRate;
+    }
+
+    // The sale closes at the end of the hold, whatever the discounting convention
+    const time = finalYear.endTime ?? finalYear.year;
+    const terminalValue = grossValue - dispositionCosts;
+    const presentValue = terminalValue / Math.pow(1 + discountRate, time);
+
+    return {
+      method,
+      year: finalYear.year,
+      time,
+      basis,
+      growthRate,
+      exitCapRate: method === 'exitCapRate' ? exitCapRate : null,
+      grossValue,
+      dispositionCosts,
+      terminalValue,
+      presentValue
+    };
+  }
+
+  /**
+   * Cross-field terminal value checks the schema cannot express
+   * @private
+   */
+  terminalValueErrors(terminalParams, path) {
+    if (!terminalParams || typeof terminalParams !== 'object') {
+      return [];
+    }
+    const { method, growthRate = 0.02, exitCapRate } = terminalParams;
+    const discountRate = this.config.discountRate;
+
+    if (method === 'gordon' && typeof growthRate === 'number' && discountRate <= growthRate) {
+      return [new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: `${path}.growthRate`,
+        allowed: `a rate less than discountRate (${discountRate})`,
+        value: growthRate,
+        message: 'Gordon growth terminal value requires discountRate greater than growthRate'
+      })];
+    }
+    if (method === 'exitCapRate' && exitCapRate === undefined) {
+      return [new ValidationError({
+        code: VALIDATION_CODES.REQUIRED,
+        path: `${path}.exitCapRate`,
+        allowed: 'a number greater than 0',
+        value: exitCapRate,
+        message: 'Exit cap rate terminal value requires a positive exitCapRate'
+      })];
+    }
+    return [];
+  }
+
   /**
    * Validate liquidity mechanisms
    * Ensures sufficient liquidity for operations and exits
-   * @param {Object} liquidityParams - Liquidity parameters
+   * @param {Object} liquidityParams - Liquidity parameters (see LIQUIDITY_SCHEMA)
    * @returns {Object} Liquidity validation results
+   * @throws {ValidationError} When a parameter is mistyped or out of range
    */
-  validateLiquidityMechanisms(liquidityParams) {
+  validateLiquidityMechanisms(liquidityParams = {}) {
+    assertValid(LIQUIDITY_SCHEMA, liquidityParams, 'liquidity');
     const {
       totalAssetValue = 100000000, // $100M total asset value
       currentLiquidity = 15000000, // $15M current liquidity
       requiredLiquidityRatio = 0.20, // 20% liquidity requirement
-      emergencyReserveRatio = 0.05 // 5% emergency reserve
+      emergencyReserveRatio = 0.05, // 5% emergency reserve
+      annualDebtService = 0, // Next 12 months of scheduled interest and principal
+      debtServiceReserveMonths = 6, // Months of debt service to hold on top of the emergency reserve
+      covenantBreaches = [] // Loan covenant breaches from DebtFinancingModel.analyze
     } = liquidityParams;
 
     const requiredLiquidity = totalAssetValue * requiredLiquidityRatio;
     const emergencyReserve = totalAssetValue * emergencyReserveRatio;
+    const debtServiceReserve = annualDebtService * debtServiceReserveMonths / 12;
     const actualLiquidityRatio = currentLiquidity / totalAssetValue;
     
     // Phi-adjusted liquidity score
@@ -138,7 +531,9 @@ export class RussellDCFFramework {
       sufficientLiquidity: currentLiquidity >= requiredLiquidity,
       emergencyReserveMet: currentLiquidity >= emergencyReserve,
       optimalRatio: actualLiquidityRatio >= requiredLiquidityRatio && actualLiquidityRatio <= 0.35,
-      phiAligned: phiLiquidityScore >= 0.30
+      phiAligned: phiLiquidityScore >= 0.30,
+      debtServiceCovered: currentLiquidity >= emergencyReserve + debtServiceReserve,
+      covenantsMet: covenantBreaches.length === 0
     };
 
     const allValidationsPassed = Object.values(validations).every(v => v);
@@ -148,11 +543,12 @@ export class RussellDCFFramework {
       currentLiquidity,
       requiredLiquidity,
       emergencyReserve,
+      debtServiceReserve,
       actualLiquidityRatio: (actualLiquidityRatio * 100).toFixed(2) + '%',
       phiLiquidityScore: phiLiquidityScore.toFixed(4),
       validations,
       status: allValidationsPassed ? 'VALIDATED' : 'NEEDS_ATTENTION',
-      recommendations: this.generateLiquidityRecommendations(validations, currentLiquidity, requiredLiquidity),
+      recommendations: this.generateLiquidityRecommendations(validations, currentLiquidity, requiredLiquidity, covenantBreaches),
       timestamp: new Date().toISOString()
     };
   }
@@ -161,12 +557,12 @@ export class RussellDCFFramework {
    * Generate liquidity recommendations based on validation
    * @private
    */
-  generateLiquidityRecommendations(validations, current, required) {
+  generateLiquidityRecommendations(validations, current, required, covenantBreaches = []) {
     const recommendations = [];
 
     if (!validations.sufficientLiquidity) {
       const deficit = required - current;
-      recommendations.push(`Increase liquidity by $${(deficit / 1000000).toFixed(2)}M to meet requirements`);
+      recommendations.push(`Increase liquidity by ${formatMoney(deficit, this.config.functionalCurrency)} to meet requirements`);
     }
 
     if (!validations.emergencyReserveMet) {
@@ -185,6 +581,16 @@ export class RussellDCFFramework {
       recommendations.push('Adjust liquidity to align with Phi-hedged optimal ratio for risk balance');
     }
 
+    if (validations.debtServiceCovered === false) {
+      recommendations.push('Hold a debt service reserve on top of the emergency reserve to cover scheduled loan payments');
+    }
+
+    if (validations.covenantsMet === false) {
+      const covenants = [...new Set(covenantBreaches.map(b => b.covenant.toUpperCase()))];
+      const firstYear = Math.min(...covenantBreaches.map(b => b.year));
+      recommendations.push(`Loan covenant breach (${covenants.join(', ')}) from year ${firstYear} - negotiate waivers, cure with equity or reduce leverage`);
+    }
+
     if (recommendations.length === 0) {
       recommendations.push('All liquidity mechanisms validated - maintain current strategy');
     }
@@ -192,56 +598,456 @@ export class RussellDCFFramework {
     return recommendations;
   }
 
+  /**
+   * Translate the analysis into the reporting currency and attribute the FX effect
+   * Cash flows convert at the forward rate for their year; the investment converts at spot.
+   * @param {Object} params - Translation inputs
+   * @param {number} params.initialInvestment - Initial investment in functional currency
+   * @param {number[]} params.cashFlows - Cash flows in functional currency, one per year or per period (first first)
+   * @param {number} params.terminalCashFlow - Terminal value received in the final year
+   * @param {number[]} params.times - Discounting time of each cash flow in years (default: years 1..n)
+   * @param {number[]} params.fxYears - Projection year of each cash flow, whose forward rate converts it (default: 1..n)
+   * @param {number} params.terminalTime - Time the terminal value is received (default: final cash-flow time)
+   * @param {number} params.functionalNPV - NPV in functional currency
+   * @param {Object} params.fx - FXConverter config plus optional hedging inputs
+   * @param {number} params.fx.hedgeCostRate - Annual hedge cost as a share of hedged cash flow (default: 0)
+   * @param {number} params.fx.hedgeRatio - Share of each cash flow hedged (default: 1)
+   * @returns {Object} Functional and reporting currency results with FX attribution
+   * @throws {ValidationError} When a required input is missing or invalid
+   */
+  calculateCurrencyAnalysis(params) {
+    assertValid(CURRENCY_ANALYSIS_SCHEMA, params, 'params');
+    const {
+      initialInvestment,
+      cashFlows,
+      terminalCashFlow = 0,
+      times = cashFlows.map((_, index) => index + 1),
+      fxYears: cashFlowYears = cashFlows.map((_, index) => index + 1),
+      terminalTime = times[times.length - 1],
+      functionalNPV,
+      fx
+    } = params;
+    const { functionalCurrency, reportingCurrency } = this.config;
+    const { hedgeCostRate = 0, hedgeRatio = 1, ...fxConfig } = fx;
+    const converter = new FXConverter(fxConfig);
+    const discountRate = this.config.reportingDiscountRate ?? this.config.discountRate;
+    const solver = new IRRSolver({ guess: discountRate });
+
+    // The terminal value joins the final cash flow unless mid-period timing puts that flow earlier
+    const flows = [...cashFlows];
+    const flowTimes = [...times];
+    const fxYears = [...cashFlowYears];
+    const finalYear = fxYears[fxYears.length - 1];
+    // Period end times are sums of fractions, so compare within rounding
+    if (Math.abs(terminalTime - flowTimes[flowTimes.length - 1]) < 1e-9) {
+      flows[flows.length - 1] += terminalCashFlow;
+    } else if (terminalCashFlow !== 0) {
+      flows.push(terminalCashFlow);
+      flowTimes.push(terminalTime);
+      fxYears.push(finalYear);
+    }
+
+    const investment = converter.convert(initialInvestment, functionalCurrency, reportingCurrency, 0);
+    const converted = flows.map((amount, index) => converter.convert(amount, functionalCurrency, reportingCurrency, fxYears[index]));
+    const hedgeCosts = converted.map(amount => Math.abs(amount) * hedgeRatio * hedgeCostRate);
+    const hedged = converted.map((amount, index) => amount - hedgeCosts[index]);
+
+    const seriesTimes = [0, ...flowTimes];
+    const presentValue = amounts => solver.npv([-investment, ...amounts], discountRate, seriesTimes);
+
+    const unhedgedNPV = presentValue(converted);
+    const reportingNPV = presentValue(hedged);
+    const npvAtSpot = converter.convert(functionalNPV, functionalCurrency, reportingCurrency, 0);
+
+    const functionalIRR = solver.irr([-initialInvestment, ...flows], seriesTimes).rate;
+    const unhedgedIRR = solver.irr([-investment, ...converted], seriesTimes).rate;
+    const reportingIRR = solver.irr([-investment, ...hedged], seriesTimes).rate;
+    const difference = (a, b) => a === null || b === null ? null : a - b;
+
+    return {
+      functionalCurrency,
+      reportingCurrency,
+      fx: {
+        baseCurrency: converter.config.baseCurrency,
+        quoteCurrency: converter.config.quoteCurrency,
+        spot: converter.config.spot,
+        rates: converter.curve(finalYear),
+        hedgeCostRate,
+        hedgeRatio
+      },
+      functional: {
+        npv: functionalNPV,
+        formatted: formatMoney(functionalNPV, functionalCurrency),
+        irr: functionalIRR
+      },
+      reporting: {
+        initialInvestment: investment,
+        cashFlows: hedged,
+        hedgeCosts,
+        totalHedgeCost: hedgeCosts.reduce((sum, cost) => sum + cost, 0),
+        discountRate,
+        npv: reportingNPV,
+        formatted: formatMoney(reportingNPV, reportingCurrency),
+        irr: reportingIRR
+      },
+      attribution: {
+        npvAtSpot,
+        fxEffectOnNPV: unhedgedNPV - npvAtSpot,
+        hedgeCostEffectOnNPV: reportingNPV - unhedgedNPV,
+        fxEffectOnIRR: difference(unhedgedIRR, functionalIRR),
+        hedgeCostEffectOnIRR: difference(reportingIRR, unhedgedIRR)
+      }
+    };
+  }
+
+  /**
+   * Validate a whole dcfParams document up front, reporting every error rather than the first
+   * Covers the schema of each section plus the cross-field rules generateComprehensiveDCF enforces.
+   * @param {Object} params - generateComprehensiveDCF params (see DCF_PARAMS_SCHEMA)
+   * @returns {Object} { valid, errorCount, errors } with errors as ValidationError instances in document order
+   */
+  validateDCFParams(params) {
+    const errors = validate(DCF_PARAMS_SCHEMA, params, '');
+    if (params && typeof params === 'object' && !Array.isArray(params)) {
+      errors.push(...this.terminalValueErrors(params.terminalValue, 'terminalValue'));
+
+      const { functionalCurrency, reportingCurrency } = this.config;
+      if (functionalCurrency !== reportingCurrency && !params.fx) {
+        errors.push(new ValidationError({
+          code: VALIDATION_CODES.REQUIRED,
+          path: 'fx',
+          allowed: `FX rates from ${functionalCurrency} to ${reportingCurrency}`,
+          value: params.fx,
+          message: `FX rates required to report ${functionalCurrency} cash flows in ${reportingCurrency}`
+        }));
+      }
+    }
+
+    return { valid: errors.length === 0, errorCount: errors.length, errors };
+  }
+
   /**
    * Generate comprehensive DCF analysis
    * @param {Object} params - Analysis parameters
-   * @returns {Object} Complete DCF analysis
+   * @param {Object} params.projection - Yield projection parameters
+   * @param {Object} params.liquidity - Liquidity validation parameters
+   * @param {Object} params.simulation - Optional MonteCarloSimulator result used for the risk metrics
+   * @param {Object} params.terminalValue - Optional terminal value parameters (see calculateTerminalValue)
+   * @param {Object} params.financing - Optional DebtFinancingModel config (tranches, covenants)
+   * @param {Object} params.fx - FX rates, required when reporting and functional currencies differ
+   * @param {Object} params.waterfall - Optional DistributionWaterfall config for LP/GP distributions
+   * @returns {Object} Complete DCF analysis, identified by `run` (see recordRun)
+   * @throws {ValidationError} The first error reported by validateDCFParams
    */
-  generateComprehensiveDCF(params) {
+  generateComprehensiveDCF(params = {}) {
+    const [error] = this.validateDCFParams(params).errors;
+    if (error) {
+      throw error;
+    }
+
+    const initialInvestment = params.projection?.initialInvestment || 50000000;
     const yieldProjection = this.calculateYieldProjection(params.projection || {});
-    const irrAnalysis = this.calculatePhiHedgedIRR(params.projection?.initialInvestment || 50000000);
-    const liquidityValidation = this.validateLiquidityMechanisms(params.liquidity || {});
+    const terminalValue = params.terminalValue
+      ? this.calculateTerminalValue(yieldProjection, params.terminalValue)
+      : null;
+    const irrAnalysis = this.calculatePhiHedgedIRR(initialInvestment, {
+      simulation: params.simulation,
+      terminalCashFlow: terminalValue ? terminalValue.terminalValue : 0
+    });
+
+    const financing = params.financing
+      ? new DebtFinancingModel(params.financing).analyze({
+        yieldProjection,
+        unleveredCashFlows: yieldProjection.yearlyProjections.map(p => p.phiAdjustedYield),
+        purchasePrice: initialInvestment,
+        terminalValue: terminalValue ? terminalValue.terminalValue : 0
+      })
+      : null;
+    // The loan model runs annually in arrears, so levered flows fall at each year end
+    const leveredIrrAnalysis = financing
+      ? this.calculatePhiHedgedIRR(financing.equityInvestment, {
+        cashFlows: financing.leveredCashFlows,
+        times: yieldProjection.yearlyProjections.map(p => p.endTime)
+      })
+      : null;
+
+    const liquidityValidation = this.validateLiquidityMechanisms({
+      ...(params.liquidity || {}),
+      ...(financing && {
+        annualDebtService: financing.yearlyMetrics[0].debtService,
+        covenantBreaches: financing.breaches
+      })
+    });
 
     // Calculate Net Present Value (NPV)
-    const npv = this.cashFlows.reduce((sum, cf) => {
-      return sum + (cf.amount / Math.pow(1 + this.config.discountRate, cf.year));
-    }, 0) - (params.projection?.initialInvestment || 50000000);
+    // Discounting by time in years applies the effective period rate for any periodicity
+    const explicitPresentValue = this.cashFlows.reduce((sum, cf) => {
+      return sum + (cf.amount / Math.pow(1 + this.config.discountRate, cf.time ?? cf.year));
+    }, 0);
+    const terminalPresentValue = terminalValue ? terminalValue.presentValue : 0;
+    const explicitPeriodNPV = explicitPresentValue - initialInvestment;
+    const npv = explicitPeriodNPV + terminalPresentValue;
+    const totalPresentValue = explicitPresentValue + terminalPresentValue;
+    const terminalValueShare = totalPresentValue > 0 ? terminalPresentValue / totalPresentValue : 0;
 
-    return {
+    const { functionalCurrency, reportingCurrency } = this.config;
+    // Translate the same periodic flows the NPV discounts, each at its projection year's forward rate
+    const currency = params.fx
+      ? this.calculateCurrencyAnalysis({
+        initialInvestment,
+        cashFlows: this.cashFlows.map(cf => cf.amount),
+        terminalCashFlow: terminalValue ? terminalValue.terminalValue : 0,
+        times: this.cashFlows.map(cf => cf.time),
+        fxYears: this.cashFlows.map(cf => cf.year),
+        terminalTime: yieldProjection.holdPeriodYears,
+        functionalNPV: npv,
+        fx: params.fx
+      })
+      : null;
+
+    // Investors are paid from equity cash flows: levered when the deal is financed
+    const unleveredCashFlows = yieldProjection.yearlyProjections.map(p => p.phiAdjustedYield);
+    unleveredCashFlows[unleveredCashFlows.length - 1] += terminalValue ? terminalValue.terminalValue : 0;
+    const waterfall = params.waterfall
+      ? new DistributionWaterfall(params.waterfall).run(financing
+        ? { initialInvestment: financing.equityInvestment, cashFlows: financing.leveredCashFlows }
+        : { initialInvestment, cashFlows: unleveredCashFlows })
+      : null;
+
+    const result = {
       projectName: this.config.projectName,
       location: this.config.location,
       analysis: {
         yieldProjection,
         irrAnalysis,
+        leveredIrrAnalysis,
+        financing,
         liquidityValidation,
+        terminalValue,
+        currency,
+        waterfall,
         npv: {
           value: npv,
-          formatted: `$${(npv / 1000000).toFixed(2)}M`,
+          amount: this.toMoney(npv),
+          currency: functionalCurrency,
+          formatted: formatMoney(npv, functionalCurrency),
+          explicitPeriodNPV,
+          terminalPresentValue,
+          terminalValueShare: (terminalValueShare * 100).toFixed(2) + '%',
           discountRate: (this.config.discountRate * 100) + '%',
+          periodDiscountRate: toPeriodRate(this.config.discountRate, this.config.periodicity),
+          periodicity: this.config.periodicity,
+          discountingConvention: this.config.discountingConvention,
           status: npv > 0 ? 'POSITIVE' : 'NEGATIVE'
         }
       },
       overallAssessment: {
         investmentViability: npv > 0 && liquidityValidation.status === 'VALIDATED' ? 'VIABLE' : 'REVIEW_NEEDED',
-        riskLevel: parseFloat(irrAnalysis.phiHedgedIRR) > 12 ? 'LOW' : 'MODERATE',
+        riskLevel: parseFloat(irrAnalysis.phiHedgedIRR) > 12 && terminalValueShare <= 0.75 ? 'LOW' : 'MODERATE',
+        terminalValueDependence: terminalValueShare > 0.75 ? 'HIGH' : terminalValueShare > 0.5 ? 'MODERATE' : 'LOW',
         phiAlignment: 'OPTIMIZED'
       },
       timestamp: new Date().toISOString()
     };
+
+    const run = this.recordRun(params, result);
+    result.run = { id: run.id, sequence: run.sequence, inputsHash: run.inputsHash };
+    return result;
   }
 
   /**
-   * Get current framework state
-   * @returns {Object} Current state
+   * Record a run's inputs, assumptions and headline outputs in the run history
+   * The inputs hash covers the config and params, so runs with equal hashes reproduce the same outputs.
+   * @private
+   */
+  recordRun(params, result) {
+    const { yieldProjection, irrAnalysis, leveredIrrAnalysis, terminalValue, currency, liquidityValidation, npv } = result.analysis;
+    const config = structuredClone(this.config);
+    const inputs = structuredClone(params);
+    const inputsHash = fingerprint({ config, inputs });
+
+    this.runSequence += 1;
+    const run = {
+      id: `run-${this.runSequence}-${inputsHash.slice(0, 8)}`,
+      sequence: this.runSequence,
+      inputsHash,
+      config,
+      inputs,
+      assumptions: structuredClone(yieldProjection.assumptions),
+      outputs: {
+        npv: npv.value,
+        explicitPeriodNPV: npv.explicitPeriodNPV,
+        terminalPresentValue: npv.terminalPresentValue,
+        terminalValue: terminalValue ? terminalValue.terminalValue : null,
+        irr: irrAnalysis.rates.baseIRR,
+        phiHedgedIRR: irrAnalysis.rates.phiHedgedIRR,
+        mirr: irrAnalysis.rates.mirr,
+        leveredIRR: leveredIrrAnalysis ? leveredIrrAnalysis.rates.baseIRR : null,
+        reportingNPV: currency ? currency.reporting.npv : null,
+        totalProjectedYield: yieldProjection.totalProjectedYield,
+        liquidityStatus: liquidityValidation.status,
+        investmentViability: result.overallAssessment.investmentViability
+      },
+      timestamp: result.timestamp
+    };
+
+    this.runs.push(run);
+    if (this.runs.length > this.config.runHistoryLimit) {
+      this.runs.splice(0, this.runs.length - this.config.runHistoryLimit);
+    }
+    return run;
+  }
+
+  /**
+   * Re-run a recorded run on a fresh framework with the run's config and inputs
+   * @param {Object|string} run - Run record or the id of a run in this framework's history
+   * @returns {Object} Complete DCF analysis
+   */
+  replayRun(run) {
+    const { config, inputs } = this.resolveRun(run);
+    return new RussellDCFFramework(config).generateComprehensiveDCF(structuredClone(inputs));
+  }
+
+  /**
+   * Compare two recorded runs
+   * Lists every changed config value, input and resolved assumption with the change in each output.
+   * NPV is attributed by replaying the earlier run and applying the config and input changes one at a
+   * time in path order, so each step's NPV change depends on the changes applied before it.
+   * @param {Object|string} before - Earlier run record or run id
+   * @param {Object|string} after - Later run record or run id
+   * @returns {Object} Changes, output deltas and NPV attribution
+   */
+  diffRuns(before, after) {
+    const from = this.resolveRun(before);
+    const to = this.resolveRun(after);
+
+    const outputs = Object.fromEntries(Object.keys(to.outputs).map(key => {
+      const a = from.outputs[key] ?? null;
+      const b = to.outputs[key] ?? null;
+      const change = typeof a === 'number' && typeof b === 'number' ? b - a : null;
+      return [key, { before: a, after: b, change }];
+    }));
+    const drivers = diffValues({ config: from.config, inputs: from.inputs }, { config: to.config, inputs: to.inputs });
+
+    // Replay the earlier run, then move one driver at a time to the later run's value
+    const current = { config: structuredClone(from.config), inputs: structuredClone(from.inputs) };
+    let previousNPV = drivers.length > 0 ? this.replayRun(current).analysis.npv.value : from.outputs.npv;
+    const npvAttribution = drivers.map(driver => {
+      setPath(current, driver.keys, driver.after);
+      const npv = this.replayRun(current).analysis.npv.value;
+      const step = { path: driver.path, npvChange: npv - previousNPV };
+      previousNPV = npv;
+      return step;
+    });
+    const strip = ({ keys, ...change }) => change;
+
+    return {
+      from: from.id,
+      to: to.id,
+      sameInputs: from.inputsHash === to.inputsHash,
+      changes: {
+        config: drivers.filter(d => d.keys[0] === 'config').map(strip),
+        inputs: drivers.filter(d => d.keys[0] === 'inputs').map(strip),
+        assumptions: diffValues(from.assumptions, to.assumptions).map(strip)
+      },
+      outputs,
+      npvAttribution,
+      // Non-zero only if a run does not reproduce from its recorded config and inputs
+      unexplainedNPVChange: (to.outputs.npv - from.outputs.npv) - npvAttribution.reduce((sum, s) => sum + s.npvChange, 0)
+    };
+  }
+
+  /**
+   * Look up a run record by id, or pass a record through
+   * @private
+   */
+  resolveRun(run) {
+    if (typeof run !== 'string') {
+      if (!run?.config || !run?.inputs) {
+        throw new ValidationError({
+          code: VALIDATION_CODES.REQUIRED,
+          path: 'run',
+          allowed: 'a run id or a run record with config and inputs',
+          value: run,
+          message: 'Run records require config and inputs'
+        });
+      }
+      return run;
+    }
+
+    const found = this.runs.find(r => r.id === run);
+    if (!found) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: 'run',
+        allowed: 'the id of a recorded run',
+        value: run,
+        message: `Run not found: ${run}`
+      });
+    }
+    return found;
+  }
+
+  /**
+   * Get a serializable snapshot of the framework state
+   * @returns {Object} Config, cash flows, liquidity pool and run history (see restoreState)
    */
   getState() {
     return {
-      config: this.config,
+      version: STATE_VERSION,
+      config: structuredClone(this.config),
+      cashFlows: this.cashFlows.map(cf => ({ ...cf, ...(cf.money && { money: cf.money.toJSON() }) })),
       cashFlowCount: this.cashFlows.length,
       liquidityPool: this.liquidityPool,
+      runSequence: this.runSequence,
+      runs: structuredClone(this.runs),
       timestamp: new Date().toISOString()
     };
   }
+
+  /**
+   * Restore a snapshot taken with getState, replacing the current state
+   * @param {Object} state - getState snapshot (or its JSON-parsed form)
+   * @returns {RussellDCFFramework} This framework
+   * @throws {ValidationError} When the version is unsupported, a section is missing or the config fails DCF_CONFIG_SCHEMA
+   */
+  restoreState(state) {
+    if (state?.version !== STATE_VERSION) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: 'state.version',
+        allowed: `${STATE_VERSION}`,
+        value: state?.version,
+        message: `Unsupported framework state version: ${state?.version}`
+      });
+    }
+    if (!state.config || !Array.isArray(state.cashFlows) || !Array.isArray(state.runs)) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.REQUIRED,
+        path: 'state',
+        allowed: 'a snapshot with config, cashFlows and runs',
+        value: state,
+        message: 'Framework state requires config, cashFlows and runs'
+      });
+    }
+    assertValid(DCF_CONFIG_SCHEMA, state.config, 'state.config');
+
+    this.config = structuredClone(state.config);
+    this.cashFlows = state.cashFlows.map(cf => ({ ...cf, ...(cf.money && { money: Money.fromJSON(cf.money) }) }));
+    this.liquidityPool = state.liquidityPool ?? 0;
+    this.runs = structuredClone(state.runs);
+    this.runSequence = state.runSequence ?? this.runs.length;
+    return this;
+  }
+
+  /**
+   * Create a framework from a getState snapshot
+   * @param {Object} state - getState snapshot
+   * @returns {RussellDCFFramework} Restored framework
+   */
+  static fromState(state) {
+    return new RussellDCFFramework(state?.config).restoreState(state);
+  }
 }
 
 export default RussellDCFFramework;
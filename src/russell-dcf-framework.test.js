@@ -59,6 +59,64 @@ test('RussellDCFFramework - calculateYieldProjection applies Phi adjustment', ()
   assert.ok(firstYear.phiAdjustedYield !== firstYear.adjustedYield);
 });
 
+test('RussellDCFFramework - calculateYieldProjection builds NOI and free cash flow line items', () => {
+  const russellDCF = new RussellDCFFramework();
+  const result = russellDCF.calculateYieldProjection({
+    initialInvestment: 50000000,
+    years: 3,
+    growthRate: 0,
+    occupancyRate: 0.9,
+    leasableArea: 1000,
+    rentPerSqm: 1000,
+    operatingExpenseRatio: 0.2,
+    assessedValue: 10000000,
+    capexReserveRatio: 0.05,
+    buildingRatio: 0.4,
+    usefulLife: 50,
+    corporateTaxRate: 0.3
+  });
+
+  const year1 = result.yearlyProjections[0];
+  assert.strictEqual(year1.grossPotentialRent, 1000000);
+  assert.ok(Math.abs(year1.vacancyLoss - 100000) < 1e-6);
+  assert.ok(Math.abs(year1.effectiveGrossIncome - 900000) < 1e-6);
+  assert.ok(Math.abs(year1.operatingExpenses - 180000) < 1e-6);
+  assert.ok(Math.abs(year1.fixedAssetTax - 140000) < 1e-6);
+  assert.ok(Math.abs(year1.cityPlanningTax - 30000) < 1e-6);
+  assert.ok(Math.abs(year1.netOperatingIncome - 550000) < 1e-6);
+  assert.ok(Math.abs(year1.capexReserve - 45000) < 1e-6);
+  assert.strictEqual(year1.depreciation, 400000);
+  assert.ok(Math.abs(year1.corporateTax - 45000) < 1e-6);
+  assert.ok(Math.abs(year1.freeCashFlow - 460000) < 1e-6);
+  assert.strictEqual(russellDCF.cashFlows[0].amount, year1.phiAdjustedYield);
+});
+
+test('RussellDCFFramework - calculateYieldProjection carries tax losses forward', () => {
+  const russellDCF = new RussellDCFFramework();
+  const result = russellDCF.calculateYieldProjection({
+    initialInvestment: 50000000,
+    years: 2,
+    growthRate: [0, 1],
+    occupancyRate: 1,
+    leasableArea: 1000,
+    rentPerSqm: 300,
+    operatingExpenseRatio: 0,
+    assessedValue: 0,
+    capexReserveRatio: 0,
+    buildingRatio: 0.4,
+    usefulLife: 50,
+    corporateTaxRate: 0.3
+  });
+
+  // Year 1: 300k NOI - 400k depreciation = 100k loss, no tax
+  // Year 2: 600k NOI - 400k depreciation - 100k loss carried forward = 100k taxable
+  const [year1, year2] = result.yearlyProjections;
+  assert.strictEqual(year1.taxableIncome, 0);
+  assert.strictEqual(year1.corporateTax, 0);
+  assert.ok(Math.abs(year2.taxableIncome - 100000) < 1e-6);
+  assert.ok(Math.abs(year2.corporateTax - 30000) < 1e-6);
+});
+
 test('RussellDCFFramework - calculatePhiHedgedIRR throws error without cash flows', () => {
   const russellDCF = new RussellDCFFramework();
   
@@ -82,11 +140,64 @@ test('RussellDCFFramework - calculatePhiHedgedIRR returns valid results', () =>
   assert.ok(result.phiHedgedIRR);
   assert.strictEqual(result.phiRatio, 1.618033988749895);
   assert.ok(result.hedgeFactor < 1);
-  assert.ok(result.riskMetrics.sharpeRatio);
-  assert.ok(result.riskMetrics.sortinoRatio);
+  assert.strictEqual(result.riskMetrics.source, 'NOT_SIMULATED');
+  assert.strictEqual(result.riskMetrics.sharpeRatio, null);
   assert.ok(['Strong Buy', 'Buy', 'Hold'].includes(result.recommendation));
 });
 
+test('RussellDCFFramework - calculatePhiHedgedIRR takes risk metrics from a simulation', () => {
+  const russellDCF = new RussellDCFFramework();
+  russellDCF.calculateYieldProjection({ initialInvestment: 50000000, years: 10 });
+
+  const result = russellDCF.calculatePhiHedgedIRR(50000000, {
+    simulation: {
+      iterations: 1000,
+      seed: 7,
+      riskMetrics: {
+        sharpeRatio: 1.234,
+        sortinoRatio: 2.5,
+        volatility: 0.0812,
+        downsideDeviation: 0.04,
+        riskFreeRate: 0.01
+      }
+    }
+  });
+
+  assert.strictEqual(result.riskMetrics.source, 'MONTE_CARLO');
+  assert.strictEqual(result.riskMetrics.sharpeRatio, '1.23');
+  assert.strictEqual(result.riskMetrics.sortinoRatio, '2.50');
+  assert.strictEqual(result.riskMetrics.volatility, '8.12%');
+  assert.strictEqual(result.riskMetrics.seed, 7);
+});
+
+test('RussellDCFFramework - calculatePhiHedgedIRR solves the true IRR of the cash flows', () => {
+  const russellDCF = new RussellDCFFramework();
+  russellDCF.cashFlows = [
+    { year: 1, amount: 600 },
+    { year: 2, amount: 400 },
+    { year: 3, amount: 100 }
+  ];
+
+  const result = russellDCF.calculatePhiHedgedIRR(1000);
+
+  // NPV of [-1000, 600, 400, 100] is zero at 6.42%
+  assert.strictEqual(result.solver.status, 'SOLVED');
+  assert.strictEqual(result.baseIRR, '6.42%');
+  assert.strictEqual(result.phiHedgedIRR, ((result.solver.roots[0] * (1 + result.hedgeFactor * 0.15)) * 100).toFixed(2) + '%');
+  assert.ok(result.mirr);
+});
+
+test('RussellDCFFramework - calculatePhiHedgedIRR reports when no IRR exists', () => {
+  const russellDCF = new RussellDCFFramework();
+  russellDCF.cashFlows = [{ year: 1, amount: 100 }];
+
+  const result = russellDCF.calculatePhiHedgedIRR(0);
+
+  assert.strictEqual(result.solver.status, 'NO_ROOT');
+  assert.strictEqual(result.baseIRR, 'N/A');
+  assert.strictEqual(result.recommendation, 'Hold');
+});
+
 test('RussellDCFFramework - validateLiquidityMechanisms with sufficient liquidity', () => {
   const russellDCF = new RussellDCFFramework();
   const result = russellDCF.validateLiquidityMechanisms({
@@ -167,6 +278,72 @@ test('RussellDCFFramework - NPV calculation is correct', () => {
   assert.ok(['POSITIVE', 'NEGATIVE'].includes(result.analysis.npv.status));
 });
 
+test('RussellDCFFramework - Gordon growth terminal value is discounted and reported separately', () => {
+  const russellDCF = new RussellDCFFramework({ discountRate: 0.08 });
+  const result = russellDCF.generateComprehensiveDCF({
+    projection: { initialInvestment: 50000000, years: 10, growthRate: 0.02 },
+    terminalValue: { method: 'gordon', growthRate: 0.02 }
+  });
+
+  const tv = result.analysis.terminalValue;
+  const finalYear = result.analysis.yieldProjection.yearlyProjections[9];
+  const expectedTV = finalYear.phiAdjustedYield * 1.02 / (0.08 - 0.02);
+
+  assert.strictEqual(tv.method, 'gordon');
+  assert.ok(Math.abs(tv.terminalValue - expectedTV) < 1e-6);
+  assert.ok(Math.abs(tv.presentValue - expectedTV / Math.pow(1.08, 10)) < 1e-6);
+  assert.ok(Math.abs(result.analysis.npv.value - (result.analysis.npv.explicitPeriodNPV + tv.presentValue)) < 1e-6);
+  assert.ok(parseFloat(result.analysis.npv.terminalValueShare) > 0);
+});
+
+test('RussellDCFFramework - exit cap rate terminal value deducts disposition costs', () => {
+  const russellDCF = new RussellDCFFramework();
+  const yieldProjection = russellDCF.calculateYieldProjection({ years: 5, growthRate: 0.03 });
+  const tv = russellDCF.calculateTerminalValue(yieldProjection, {
+    method: 'exitCapRate',
+    exitCapRate: 0.04,
+    growthRate: 0.03,
+    dispositionCostRate: 0.03
+  });
+
+  const forwardNOI = yieldProjection.yearlyProjections[4].netOperatingIncome * 1.03;
+  assert.ok(Math.abs(tv.grossValue - forwardNOI / 0.04) < 1e-6);
+  assert.ok(Math.abs(tv.terminalValue - tv.grossValue * 0.97) < 1e-6);
+});
+
+test('RussellDCFFramework - terminal value raises IRR and drives the assessment', () => {
+  const params = {
+    projection: { initialInvestment: 50000000, years: 10, growthRate: 0.02 },
+    liquidity: { currentLiquidity: 25000000 }
+  };
+  const withoutTV = new RussellDCFFramework().generateComprehensiveDCF(params);
+  const withTV = new RussellDCFFramework().generateComprehensiveDCF({
+    ...params,
+    terminalValue: { method: 'exitCapRate', exitCapRate: 0.035 }
+  });
+
+  assert.strictEqual(withoutTV.analysis.terminalValue, null);
+  assert.strictEqual(withoutTV.overallAssessment.terminalValueDependence, 'LOW');
+  assert.ok(withTV.analysis.irrAnalysis.rates.baseIRR > withoutTV.analysis.irrAnalysis.rates.baseIRR);
+  assert.strictEqual(withTV.analysis.npv.status, 'POSITIVE');
+  assert.strictEqual(withTV.overallAssessment.investmentViability, 'VIABLE');
+  assert.strictEqual(withTV.overallAssessment.terminalValueDependence, 'HIGH');
+});
+
+test('RussellDCFFramework - terminal value rejects invalid parameters', () => {
+  const russellDCF = new RussellDCFFramework({ discountRate: 0.03 });
+  const yieldProjection = russellDCF.calculateYieldProjection({ years: 3 });
+
+  assert.throws(() => russellDCF.calculateTerminalValue(yieldProjection, { method: 'gordon', growthRate: 0.04 }), /greater than growthRate/);
+  assert.throws(() => russellDCF.calculateTerminalValue(yieldProjection, { method: 'exitCapRate' }), /positive exitCapRate/);
+  assert.throws(() => russellDCF.calculateTerminalValue(yieldProjection, { method: 'multiple' }), {
+    name: 'ValidationError',
+    code: 'INVALID_ENUM',
+    path: 'terminalValue.method',
+    allowed: 'one of "gordon", "exitCapRate"'
+  });
+});
+
 test('RussellDCFFramework - getState returns current state', () => {
   const russellDCF = new RussellDCFFramework();
   russellDCF.calculateYieldProjection({
@@ -185,4 +362,161 @@ test('RussellDCFFramework - getState returns current state', () => {
   assert.ok(state.timestamp);
 });
 
+test('RussellDCFFramework - repeated projections replace the cash flows', () => {
+  const russellDCF = new RussellDCFFramework();
+  const first = russellDCF.generateComprehensiveDCF({ projection: { years: 5 } });
+  const second = russellDCF.generateComprehensiveDCF({ projection: { years: 5 } });
+
+  assert.strictEqual(russellDCF.cashFlows.length, 5);
+  assert.strictEqual(second.analysis.npv.value, first.analysis.npv.value);
+  assert.strictEqual(second.analysis.irrAnalysis.rates.baseIRR, first.analysis.irrAnalysis.rates.baseIRR);
+});
+
+test('RussellDCFFramework - records each run with inputs, assumptions and outputs', () => {
+  const russellDCF = new RussellDCFFramework({ runHistoryLimit: 2 });
+  const params = { projection: { years: 5, growthRate: 0.05 } };
+  const first = russellDCF.generateComprehensiveDCF(params);
+  const repeat = russellDCF.generateComprehensiveDCF(params);
+  russellDCF.generateComprehensiveDCF({ projection: { years: 5, growthRate: 0.06 } });
+
+  assert.notStrictEqual(first.run.id, repeat.run.id);
+  assert.strictEqual(first.run.inputsHash, repeat.run.inputsHash);
+  assert.deepStrictEqual(russellDCF.runs.map(r => r.sequence), [2, 3]);
+
+  const [run, changed] = russellDCF.runs;
+  assert.notStrictEqual(changed.inputsHash, run.inputsHash);
+  assert.deepStrictEqual(run.inputs, params);
+  assert.strictEqual(run.assumptions.leasableArea, 6000);
+  assert.strictEqual(run.assumptions.assessedValue, 35000000);
+  assert.strictEqual(run.outputs.npv, first.analysis.npv.value);
+  assert.strictEqual(run.outputs.irr, first.analysis.irrAnalysis.rates.baseIRR);
+
+  // Recorded inputs are copies, not references to the caller's objects
+  params.projection.years = 7;
+  assert.strictEqual(run.inputs.projection.years, 5);
+  assert.strictEqual(russellDCF.replayRun(run.id).analysis.npv.value, run.outputs.npv);
+});
+
+test('RussellDCFFramework - getState snapshot restores through JSON', () => {
+  const russellDCF = new RussellDCFFramework({ discountRate: 0.07 });
+  russellDCF.generateComprehensiveDCF({ projection: { years: 4 }, liquidity: { currentLiquidity: 20000000 } });
+
+  const saved = JSON.parse(JSON.stringify(russellDCF.getState()));
+  const restored = RussellDCFFramework.fromState(saved);
+
+  assert.strictEqual(restored.config.discountRate, 0.07);
+  assert.deepStrictEqual(restored.cashFlows, russellDCF.cashFlows);
+  assert.strictEqual(restored.liquidityPool, 20000000);
+  assert.deepStrictEqual(restored.runs, russellDCF.runs);
+  assert.strictEqual(restored.calculatePhiHedgedIRR(50000000).baseIRR, russellDCF.calculatePhiHedgedIRR(50000000).baseIRR);
+
+  // New runs continue the sequence
+  assert.strictEqual(restored.generateComprehensiveDCF({}).run.sequence, 2);
+  assert.strictEqual(russellDCF.runs.length, 1);
+
+  assert.throws(() => restored.restoreState({ ...saved, version: 99 }), /Unsupported framework state version: 99/);
+  assert.throws(() => restored.restoreState({ version: saved.version, config: {} }), /requires config, cashFlows and runs/);
+
+  // A corrupt config is rejected up front and leaves the current state in place
+  assert.throws(() => restored.restoreState({ ...saved, config: { ...saved.config, discountRate: '0.07' } }), { code: 'INVALID_TYPE', path: 'state.config.discountRate' });
+  assert.throws(() => restored.restoreState({ ...saved, config: { ...saved.config, phiRatio: -1 } }), { code: 'OUT_OF_RANGE', path: 'state.config.phiRatio' });
+  assert.strictEqual(restored.config.discountRate, 0.07);
+  assert.strictEqual(restored.runs.length, 2);
+});
+
+test('RussellDCFFramework - diffRuns explains the NPV change between runs', () => {
+  const russellDCF = new RussellDCFFramework();
+  const before = russellDCF.generateComprehensiveDCF({ projection: { years: 5, growthRate: 0.05 } });
+  russellDCF.config.discountRate = 0.09;
+  const after = russellDCF.generateComprehensiveDCF({
+    projection: { years: 5, growthRate: 0.04 },
+    terminalValue: { method: 'exitCapRate', exitCapRate: 0.05 }
+  });
+
+  const diff = russellDCF.diffRuns(before.run.id, after.run.id);
+
+  assert.strictEqual(diff.sameInputs, false);
+  assert.deepStrictEqual(diff.changes.config, [{ path: 'config.discountRate', before: 0.08, after: 0.09 }]);
+  assert.deepStrictEqual(diff.changes.inputs.map(c => c.path), ['inputs.projection.growthRate', 'inputs.terminalValue']);
+  assert.deepStrictEqual(diff.changes.assumptions, [{ path: 'growthRate', before: 0.05, after: 0.04 }]);
+  assert.strictEqual(diff.outputs.npv.change, after.analysis.npv.value - before.analysis.npv.value);
+  assert.strictEqual(diff.outputs.terminalValue.before, null);
+
+  assert.deepStrictEqual(diff.npvAttribution.map(s => s.path), ['config.discountRate', 'inputs.projection.growthRate', 'inputs.terminalValue']);
+  assert.ok(diff.npvAttribution[0].npvChange < 0);
+  assert.ok(diff.npvAttribution[2].npvChange > 0);
+  assert.ok(Math.abs(diff.unexplainedNPVChange) < 1e-6);
+
+  const same = russellDCF.diffRuns(after.run.id, russellDCF.runs[1]);
+  assert.strictEqual(same.sameInputs, true);
+  assert.deepStrictEqual(same.npvAttribution, []);
+  assert.throws(() => russellDCF.diffRuns('run-404', after.run.id), /Run not found: run-404/);
+});
+
+test('RussellDCFFramework - reports cash flows and NPV as exact money', () => {
+  const russellDCF = new RussellDCFFramework({ periodicity: 'monthly', functionalCurrency: 'JPY', reportingCurrency: 'JPY' });
+  const result = russellDCF.generateComprehensiveDCF({ projection: { years: 3, initialInvestment: 7500000000, rentPerSqm: 105000 } });
+  const { yieldProjection, npv } = result.analysis;
+
+  yieldProjection.yearlyProjections.forEach(year => {
+    const periods = russellDCF.cashFlows.filter(cf => cf.year === year.year);
+    assert.strictEqual(periods.reduce((sum, cf) => sum + cf.money.minor, 0), year.cashFlow.minor);
+    assert.ok(Math.abs(year.cashFlow.toNumber() - year.phiAdjustedYield) <= 0.5);
+  });
+  assert.strictEqual(yieldProjection.money.totalProjectedYield.minor,
+    yieldProjection.yearlyProjections.reduce((sum, p) => sum + p.cashFlow.minor, 0));
+  assert.strictEqual(yieldProjection.money.initialInvestment.format(), '¥7,500,000,000');
+  assert.strictEqual(npv.amount.currency, 'JPY');
+  assert.strictEqual(npv.amount.minor, Math.round(npv.value));
+
+  const restored = RussellDCFFramework.fromState(JSON.parse(JSON.stringify(russellDCF.getState())));
+  assert.ok(restored.cashFlows[0].money.equals(russellDCF.cashFlows[0].money));
+});
+
+test('RussellDCFFramework - rejects invalid inputs with a code, path and allowed range', () => {
+  const russellDCF = new RussellDCFFramework();
+
+  assert.throws(() => russellDCF.calculateYieldProjection({ years: -3 }), {
+    name: 'ValidationError',
+    code: 'OUT_OF_RANGE',
+    path: 'projection.years',
+    allowed: 'an integer at least 1 and at most 100',
+    message: 'projection.years must be an integer at least 1 and at most 100, got -3'
+  });
+  assert.throws(() => russellDCF.calculateYieldProjection({ occupancyRate: [0.9, 1.7] }), {
+    code: 'OUT_OF_RANGE',
+    path: 'projection.occupancyRate[1]'
+  });
+  assert.throws(() => russellDCF.calculateYieldProjection({ initialInvestment: '50000000' }), { code: 'INVALID_TYPE' });
+  assert.throws(() => russellDCF.calculateYieldProjection({ yeers: 10 }), { code: 'UNKNOWN_FIELD', path: 'projection.yeers' });
+  assert.throws(() => russellDCF.validateLiquidityMechanisms({ requiredLiquidityRatio: 1.2 }), { path: 'liquidity.requiredLiquidityRatio' });
+  assert.throws(() => russellDCF.calculatePhiHedgedIRR(NaN), { code: 'INVALID_TYPE', path: 'initialInvestment' });
+  assert.throws(() => new RussellDCFFramework({ periodicity: 'weekly' }), { code: 'INVALID_ENUM', path: 'config.periodicity' });
+  assert.strictEqual(russellDCF.cashFlows.length, 0);
+});
+
+test('RussellDCFFramework - validateDCFParams reports every error in the document', () => {
+  const russellDCF = new RussellDCFFramework({ reportingCurrency: 'JPY' });
+  const params = {
+    projection: { years: 2.5, occupancyRate: 1.7 },
+    liquidity: { totalAssetValue: 0 },
+    terminalValue: { method: 'gordon', growthRate: 0.1 }
+  };
+
+  const report = russellDCF.validateDCFParams(params);
+
+  assert.strictEqual(report.valid, false);
+  assert.strictEqual(report.errorCount, 5);
+  assert.deepStrictEqual(report.errors.map(e => [e.code, e.path]), [
+    ['NOT_INTEGER', 'projection.years'],
+    ['OUT_OF_RANGE', 'projection.occupancyRate'],
+    ['OUT_OF_RANGE', 'liquidity.totalAssetValue'],
+    ['INCONSISTENT_VALUES', 'terminalValue.growthRate'],
+    ['REQUIRED', 'fx']
+  ]);
+  assert.throws(() => russellDCF.generateComprehensiveDCF(params), { code: 'NOT_INTEGER' });
+  assert.strictEqual(russellDCF.runs.length, 0);
+  assert.deepStrictEqual(new RussellDCFFramework().validateDCFParams({ projection: { years: 5 } }), { valid: true, errorCount: 0, errors: [] });
+});
+
 console.log('✓ All Russell DCF Framework tests passed');
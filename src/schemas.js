@@ -0,0 +1,864 @@
+/**
+ * Input Schemas
+ * Declarative schemas for the public inputs of RussellDCFFramework and Harlem4KARRender (see validation.js)
+ */
+
+import { ROUNDING_MODES } from './money.js';
+import { DISCOUNTING_CONVENTIONS, PERIODS_PER_YEAR } from './periodicity.js';
+import { ASNAF } from './asnaf.js';
+import { ANTI_ALIASING_MODES } from './anti-aliasing.js';
+import { ENGAGEMENT_EVENT_TYPES } from './engagement-events.js';
+import { LENGTH_UNITS, AREA_UNITS } from './units.js';
+import { ACCESSIBILITY_RULE_PACK_IDS } from './accessibility-rules.js';
+
+const number = (constraints = {}) => ({ type: 'number', ...constraints });
+const integer = (constraints = {}) => ({ type: 'integer', ...constraints });
+const string = (constraints = {}) => ({ type: 'string', ...constraints });
+const ratio = number({ minimum: 0, maximum: 1 });
+const rate = number({ exclusiveMinimum: -1 }); // Rates at or below -100% are undefined
+const positive = number({ exclusiveMinimum: 0 });
+const nonNegative = number({ minimum: 0 });
+const boolean = { type: 'boolean' };
+const numbers = { type: 'array', items: number() };
+const vector = { type: 'array', minItems: 3, items: number() };
+// Output size, at most 4K UHD
+const resolution = {
+  type: 'object',
+  required: ['width', 'height'],
+  properties: { width: integer({ minimum: 1, maximum: 3840 }), height: integer({ minimum: 1, maximum: 2160 }) }
+};
+// Render job priority
+const priority = string({ enum: ['high', 'normal', 'low'] });
+// Accessibility rule packs to check against, in report order
+const rulePacks = { type: 'array', minItems: 1, items: string({ enum: ACCESSIBILITY_RULE_PACK_IDS }) };
+// Level index, from 0 for the ground level
+const level = integer({ minimum: 0 });
+// A constant or a per-year path indexed from year 1
+const constantOrPath = schema => ({ anyOf: [schema, { type: 'array', items: schema, minItems: 1 }] });
+// A non-negative amount as a number or Money
+const amount = { anyOf: [nonNegative, { type: 'money', minimum: 0 }] };
+// Gold and silver holdings by value, or by weight valued at metalPrices
+const metal = { anyOf: [...amount.anyOf, { type: 'object', additionalProperties: false, required: ['grams'], properties: { grams: nonNegative } }] };
+// An allocation policy recipient, mapped to one or more asnaf
+const recipient = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    id: string(),
+    name: string(),
+    share: nonNegative, // Relative weight; shares need not add up to 100
+    asnaf: { type: 'array', minItems: 1, items: string({ enum: ASNAF }) },
+    minimum: nonNegative, // In the currency of the allocated amount
+    maximum: nonNegative
+  }
+};
+
+/**
+ * RussellDCFFramework constructor config
+ */
+export const DCF_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    projectName: string(),
+    location: string(),
+    phiRatio: positive,
+    discountRate: rate,
+    functionalCurrency: string(),
+    reportingCurrency: string(),
+    reportingDiscountRate: { ...rate, nullable: true },
+    periodicity: string({ enum: Object.keys(PERIODS_PER_YEAR) }),
+    discountingConvention: string({ enum: DISCOUNTING_CONVENTIONS }),
+    runHistoryLimit: integer({ minimum: 0 }),
+    roundingMode: string({ enum: ROUNDING_MODES })
+  }
+};
+
+/**
+ * calculateYieldProjection params
+ */
+export const PROJECTION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    initialInvestment: positive,
+    years: integer({ minimum: 1, maximum: 100 }),
+    growthRate: constantOrPath(rate),
+    occupancyRate: constantOrPath(ratio),
+    leasableArea: positive,
+    rentPerSqm: nonNegative,
+    operatingExpenseRatio: ratio,
+    assessedValue: nonNegative,
+    fixedAssetTaxRate: ratio,
+    cityPlanningTaxRate: ratio,
+    capexReserveRatio: ratio,
+    buildingRatio: ratio,
+    usefulLife: positive,
+    corporateTaxRate: ratio,
+    firstYearFraction: number({ exclusiveMinimum: 0, maximum: 1 })
+  }
+};
+
+/**
+ * validateLiquidityMechanisms params
+ */
+export const LIQUIDITY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    totalAssetValue: positive,
+    currentLiquidity: number(), // Negative once a stress path has run out of cash
+    requiredLiquidityRatio: ratio,
+    emergencyReserveRatio: ratio,
+    annualDebtService: nonNegative,
+    debtServiceReserveMonths: nonNegative,
+    covenantBreaches: { type: 'array' }
+  }
+};
+
+/**
+ * calculateTerminalValue params
+ */
+export const TERMINAL_VALUE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['method'],
+  properties: {
+    method: string({ enum: ['gordon', 'exitCapRate'] }),
+    growthRate: rate,
+    exitCapRate: positive,
+    dispositionCostRate: number({ minimum: 0, exclusiveMaximum: 1 })
+  }
+};
+
+/**
+ * FX rates for reporting-currency analysis (FXConverter config plus hedging)
+ */
+export const FX_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    baseCurrency: string(),
+    quoteCurrency: string(),
+    spot: positive,
+    forwardCurve: { type: 'array', items: positive, nullable: true },
+    hedgeCostRate: ratio,
+    hedgeRatio: ratio
+  }
+};
+
+/**
+ * DebtFinancingModel config
+ */
+export const FINANCING_SCHEMA = {
+  type: 'object',
+  properties: {
+    tranches: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          name: string(),
+          type: string(),
+          principal: nonNegative,
+          ltv: ratio,
+          rateType: string({ enum: ['fixed', 'floating'] }),
+          fixedRate: rate,
+          baseRate: constantOrPath(number()),
+          spread: number(),
+          rateFloor: number(),
+          interestOnlyYears: integer({ minimum: 0 }),
+          amortizationYears: integer({ minimum: 1 }),
+          amortizationType: string({ enum: ['annuity', 'straightLine', 'none'] }),
+          maturityYears: integer({ minimum: 1 }),
+          upfrontFeeRate: ratio
+        }
+      }
+    },
+    covenants: {
+      type: 'object',
+      properties: {
+        minDSCR: nonNegative,
+        maxLTV: positive,
+        minDebtYield: nonNegative
+      }
+    }
+  }
+};
+
+/**
+ * DistributionWaterfall config
+ */
+export const WATERFALL_SCHEMA = {
+  type: 'object',
+  properties: {
+    style: string({ enum: ['european', 'american'] }),
+    commitments: {
+      type: 'object',
+      nullable: true,
+      required: ['lp', 'gp'],
+      properties: { lp: positive, gp: nonNegative }
+    },
+    gpCommitmentShare: number({ minimum: 0, exclusiveMaximum: 1 }),
+    preferredReturn: rate,
+    catchUp: ratio,
+    carriedInterest: ratio,
+    hurdleType: string({ enum: ['irr', 'multiple'] }),
+    tiers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['hurdle', 'gpShare'],
+        properties: { name: string(), hurdle: number(), gpShare: ratio }
+      }
+    }
+  }
+};
+
+/**
+ * generateComprehensiveDCF params: the whole dcfParams document
+ */
+export const DCF_PARAMS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    projection: PROJECTION_SCHEMA,
+    liquidity: LIQUIDITY_SCHEMA,
+    simulation: { type: 'object', nullable: true },
+    terminalValue: { ...TERMINAL_VALUE_SCHEMA, nullable: true },
+    financing: { ...FINANCING_SCHEMA, nullable: true },
+    fx: { ...FX_SCHEMA, nullable: true },
+    waterfall: { ...WATERFALL_SCHEMA, nullable: true }
+  }
+};
+
+/**
+ * calculatePhiHedgedIRR options
+ */
+export const IRR_OPTIONS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    financeRate: rate,
+    reinvestmentRate: rate,
+    simulation: { type: 'object', nullable: true },
+    terminalCashFlow: number(),
+    cashFlows: numbers,
+    times: { type: 'array', items: nonNegative },
+    terminalTime: nonNegative
+  }
+};
+
+/**
+ * calculateCurrencyAnalysis params
+ */
+export const CURRENCY_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['initialInvestment', 'cashFlows', 'functionalNPV', 'fx'],
+  properties: {
+    initialInvestment: number(),
+    cashFlows: { ...numbers, minItems: 1 },
+    terminalCashFlow: number(),
+    times: { type: 'array', items: nonNegative },
+    fxYears: { type: 'array', items: integer({ minimum: 1 }) },
+    terminalTime: nonNegative,
+    functionalNPV: number(),
+    fx: FX_SCHEMA
+  }
+};
+
+/**
+ * calculateTerminalValue yieldProjection argument
+ */
+export const YIELD_PROJECTION_SCHEMA = {
+  type: 'object',
+  required: ['yearlyProjections'],
+  properties: {
+    yearlyProjections: { type: 'array', minItems: 1, items: { type: 'object' } }
+  }
+};
+
+/**
+ * Harlem4KARRender constructor config
+ */
+export const RENDER_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    targetAudience: integer({ minimum: 1 }),
+    resolution: string(),
+    renderEngine: string(),
+    zakatFlowEnabled: boolean,
+    currency: string(),
+    roundingMode: string({ enum: ROUNDING_MODES }),
+    zakat: { type: 'object' },
+    allocationPolicyId: string(),
+    ledger: { type: 'object', nullable: true },
+    paymentProvider: { type: 'object', nullable: true },
+    disbursement: { type: 'object' },
+    geminiClient: { type: 'object', nullable: true },
+    gemini: { type: 'object' },
+    massing: { type: 'object' },
+    renderQueue: { type: 'object' },
+    jobStore: { type: 'object', nullable: true },
+    analytics: { type: 'object', nullable: true },
+    annotations: { type: 'object', nullable: true },
+    annotationStore: { type: 'object', nullable: true },
+    accessibilityRulePacks: rulePacks
+  }
+};
+
+/**
+ * initializeGeminiRenderer params
+ */
+export const RENDERER_PARAMS_SCHEMA = {
+  type: 'object',
+  properties: {
+    resolution: {
+      type: 'object',
+      required: ['width', 'height'],
+      properties: { width: integer({ minimum: 1 }), height: integer({ minimum: 1 }) }
+    },
+    aiModel: string(),
+    framerate: positive,
+    colorDepth: integer({ enum: [8, 10, 12] }),
+    hdrEnabled: boolean,
+    antiAliasing: string({ enum: ANTI_ALIASING_MODES })
+  }
+};
+
+/**
+ * calculateZakatFlow transaction amount
+ */
+export const TRANSACTION_AMOUNT_SCHEMA = amount;
+
+/**
+ * engageArchitects project
+ */
+export const PROJECT_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    id: string(),
+    name: string()
+  }
+};
+
+/**
+ * generateARVisualization building specs
+ */
+export const BUILDING_SPECS_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: string(),
+    floors: integer({ minimum: 1 }),
+    height: positive,
+    type: string(),
+    footprint: { type: 'array', minItems: 3, items: { type: 'array', minItems: 2, items: number() } },
+    // Accessibility features, in meters; rules for features left out are not evaluated
+    elevators: {
+      type: 'array',
+      items: { type: 'object', required: ['cabWidth', 'cabDepth', 'doorWidth'], properties: { cabWidth: positive, cabDepth: positive, doorWidth: positive } }
+    },
+    entrances: {
+      type: 'array',
+      items: { type: 'object', required: ['width', 'stepFree'], properties: { width: positive, stepFree: boolean, level } }
+    },
+    ramps: {
+      type: 'array',
+      items: { type: 'object', required: ['rise', 'run', 'width'], properties: { rise: positive, run: positive, width: positive, handrails: boolean, level } }
+    },
+    restrooms: { type: 'object', required: ['total', 'accessible'], properties: { total: integer({ minimum: 0 }), accessible: integer({ minimum: 0 }) } },
+    corridors: { type: 'array', items: { type: 'object', required: ['level', 'width'], properties: { level, width: positive } } }
+  }
+};
+
+/**
+ * ZakatCalculator config
+ */
+export const ZAKAT_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    currency: string(),
+    roundingMode: string({ enum: ROUNDING_MODES }),
+    nisabBasis: string({ enum: ['gold', 'silver'] }),
+    goldNisabGrams: positive,
+    silverNisabGrams: positive,
+    zakatRate: ratio,
+    hawlRule: string({ enum: ['continuous', 'endpoints'] })
+  }
+};
+
+/**
+ * ZakatCalculator.assess holding
+ */
+export const ZAKAT_HOLDING_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['date', 'metalPrices'],
+  properties: {
+    date: { type: 'date' },
+    assets: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        cash: amount,
+        tradeGoods: amount,
+        gold: metal,
+        silver: metal,
+        receivables: amount,
+        doubtfulReceivables: amount
+      }
+    },
+    liabilities: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        debts: amount,
+        expenses: amount
+      }
+    },
+    metalPrices: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        gold: positive,
+        silver: positive
+      }
+    }
+  }
+};
+
+/**
+ * Beneficiary allocation policy
+ */
+export const ALLOCATION_POLICY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'version', 'recipients'],
+  properties: {
+    id: string(),
+    version: integer({ minimum: 1 }),
+    name: string(),
+    description: string(),
+    recipients: { type: 'array', minItems: 1, items: { ...recipient, required: ['id', 'share', 'asnaf'] } },
+    // Per-project recipient changes, keyed by project id; new recipients need share and asnaf
+    projectOverrides: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['recipients'],
+        properties: {
+          recipients: { type: 'array', minItems: 1, items: { ...recipient, required: ['id'] } }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Policy selection and ledger reference for a zakat calculation
+ */
+export const ALLOCATION_OPTIONS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    policyId: string(),
+    policyVersion: integer({ minimum: 1 }),
+    projectId: string(),
+    reference: string()
+  }
+};
+
+/**
+ * disburseZakat options
+ */
+export const DISBURSEMENT_OPTIONS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    reference: string(),
+    memo: string()
+  }
+};
+
+/**
+ * DisbursementEngine constructor config
+ */
+export const DISBURSEMENT_CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['ledger', 'provider'],
+  properties: {
+    ledger: { type: 'object' },
+    provider: { type: 'object' },
+    maxAttempts: integer({ minimum: 1 }),
+    minimumPayout: nonNegative
+  }
+};
+
+/**
+ * Payout recipient registered with a DisbursementEngine
+ */
+export const PAYOUT_RECIPIENT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'category', 'account'],
+  properties: {
+    id: string(),
+    name: string(),
+    category: string(), // Allocation policy recipient paid from, e.g. 'community'
+    account: string(), // Destination understood by the payment provider
+    share: positive // Weight within the category (default: 1)
+  }
+};
+
+/**
+ * DisbursementEngine.createBatch options
+ */
+export const PAYOUT_BATCH_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['idempotencyKey'],
+  properties: {
+    idempotencyKey: string(),
+    categories: { type: 'array', items: string() }
+  }
+};
+
+/**
+ * GeminiInsights constructor config
+ */
+export const GEMINI_CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['client'],
+  properties: {
+    client: { type: 'object' },
+    model: string(),
+    timeoutMs: positive,
+    maxRetries: integer({ minimum: 0 }),
+    retryDelayMs: nonNegative,
+    cacheSize: integer({ minimum: 0 }),
+    temperature: number({ minimum: 0, maximum: 2 })
+  }
+};
+
+/**
+ * Gemini material suggestions
+ */
+export const MATERIALS_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['materials'],
+  properties: {
+    materials: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['element', 'material', 'rationale'],
+        properties: { element: string(), material: string(), rationale: string() }
+      }
+    }
+  }
+};
+
+/**
+ * Gemini lighting description
+ */
+export const LIGHTING_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['description', 'colorTemperatureK', 'keyLights'],
+  properties: {
+    description: string(),
+    colorTemperatureK: number({ minimum: 1000, maximum: 12000 }),
+    keyLights: { type: 'array', items: string() }
+  }
+};
+
+/**
+ * Gemini accessibility insights
+ */
+export const ACCESSIBILITY_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['insights'],
+  properties: {
+    insights: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['area', 'recommendation', 'priority'],
+        properties: { area: string(), recommendation: string(), priority: string({ enum: ['high', 'medium', 'low'] }) }
+      }
+    }
+  }
+};
+
+/**
+ * generateMassing options
+ */
+export const MASSING_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    width: positive,
+    depth: positive,
+    slabThickness: positive,
+    coreRatio: number({ exclusiveMinimum: 0, exclusiveMaximum: 1 }),
+    facadeOffset: nonNegative
+  }
+};
+
+/**
+ * exportMassingModel options
+ */
+export const MODEL_EXPORT_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    format: string({ enum: ['glb', 'gltf'] })
+  }
+};
+
+/**
+ * SoftwareRenderer config
+ */
+export const SOFTWARE_RENDERER_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    resolution,
+    antiAliasing: string({ enum: ANTI_ALIASING_MODES }),
+    colorDepth: integer({ enum: [8, 10, 12] }),
+    draftScale: number({ exclusiveMinimum: 0, maximum: 1 }),
+    exposure: positive,
+    ambient: nonNegative,
+    background: { type: 'array', minItems: 3, items: ratio },
+    bandHeight: integer({ minimum: 1 })
+  }
+};
+
+/**
+ * SoftwareRenderer.render options
+ */
+export const RENDER_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    camera: {
+      type: 'object',
+      properties: {
+        position: vector,
+        target: vector,
+        up: vector,
+        fov: number({ exclusiveMinimum: 0, exclusiveMaximum: 180 }),
+        near: positive
+      }
+    },
+    draft: boolean,
+    layers: { type: 'array', items: string() }
+  }
+};
+
+/**
+ * renderPreview options; camera fields are checked by RENDER_OPTIONS_SCHEMA
+ */
+export const PREVIEW_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    camera: { type: 'object' },
+    draft: boolean,
+    layers: { type: 'array', items: string() },
+    toneMapped: boolean
+  }
+};
+
+/**
+ * RenderQueue constructor config; execute and estimateMemory are checked to be functions by the queue
+ */
+export const RENDER_QUEUE_CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['execute', 'store'],
+  properties: {
+    execute: { type: 'any' },
+    estimateMemory: { type: 'any', nullable: true },
+    complete: { type: 'any', nullable: true },
+    store: { type: 'object' },
+    concurrency: integer({ minimum: 1 }),
+    tenantQuota: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { maxQueued: integer({ minimum: 1 }), maxRunning: integer({ minimum: 1 }) }
+    },
+    timeBudgetMs: positive,
+    memoryBudgetBytes: positive,
+    fallbackResolution: resolution,
+    keepFinished: integer({ minimum: 0 })
+  }
+};
+
+/**
+ * RenderQueue.submit job
+ */
+export const RENDER_JOB_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['tenantId', 'resolution'],
+  properties: {
+    tenantId: string(),
+    priority,
+    resolution,
+    payload: { type: 'any' }
+  }
+};
+
+/**
+ * submitRenderJob request; options are checked by PREVIEW_OPTIONS_SCHEMA
+ */
+export const RENDER_JOB_REQUEST_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['tenantId', 'specs'],
+  properties: {
+    tenantId: string(),
+    kind: string({ enum: ['preview', 'visualization'] }),
+    specs: { type: 'object' },
+    options: { type: 'object' },
+    priority,
+    resolution
+  }
+};
+
+/**
+ * RenderQueue job priority
+ */
+export const JOB_PRIORITY_SCHEMA = priority;
+
+/**
+ * EngagementAnalytics constructor config
+ */
+export const ENGAGEMENT_ANALYTICS_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    precision: integer({ minimum: 4, maximum: 16 }),
+    projectPrecision: integer({ minimum: 4, maximum: 16 }),
+    dailyWindowDays: integer({ minimum: 7 }),
+    cohortWeeks: integer({ minimum: 1 })
+  }
+};
+
+/**
+ * Engagement event reported by an AR session; other fields are ignored
+ */
+export const ENGAGEMENT_EVENT_SCHEMA = {
+  type: 'object',
+  required: ['type', 'architectId', 'projectId', 'timestamp'],
+  properties: {
+    type: string({ enum: ENGAGEMENT_EVENT_TYPES }),
+    architectId: string(),
+    projectId: string(),
+    timestamp: { type: 'date' }
+  }
+};
+
+/**
+ * Point in model coordinates: [x, y, z] in meters, Y up
+ */
+export const POINT_SCHEMA = vector;
+
+/**
+ * Measurement units and height check limits; limit lengths are in `unit`
+ */
+export const MEASUREMENT_OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    unit: string({ enum: Object.keys(LENGTH_UNITS) }),
+    areaUnit: string({ enum: Object.keys(AREA_UNITS) }),
+    limits: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxHeight: positive,
+        maxFloors: integer({ minimum: 1 }),
+        minFloorToFloorHeight: positive
+      }
+    }
+  }
+};
+
+/**
+ * Where an annotation is pinned: a point, a massing model element (optionally on one level), or both
+ */
+export const ANNOTATION_ANCHOR_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    position: vector,
+    element: string({ enum: ['slabs', 'core', 'facade'] }), // Massing model meshes
+    level
+  }
+};
+
+/**
+ * AnnotationStore comment: a new thread's first comment, or a reply
+ */
+export const ANNOTATION_COMMENT_SCHEMA = {
+  type: 'object',
+  required: ['author', 'body'],
+  properties: {
+    author: string(),
+    body: string()
+  }
+};
+
+/**
+ * AnnotationStore thread
+ */
+export const ANNOTATION_THREAD_SCHEMA = {
+  type: 'object',
+  required: ['visualizationId', 'anchor', 'author', 'body'],
+  properties: {
+    ...ANNOTATION_COMMENT_SCHEMA.properties,
+    visualizationId: string(),
+    anchor: ANNOTATION_ANCHOR_SCHEMA
+  }
+};
+
+/**
+ * AnnotationStore thread as exported and saved: the created thread with its comments and status history
+ */
+export const ANNOTATION_SAVED_THREAD_SCHEMA = {
+  type: 'object',
+  required: ['id', 'visualizationId', 'anchor', 'status', 'author', 'createdAt', 'updatedAt', 'comments', 'history'],
+  properties: {
+    id: string(),
+    visualizationId: ANNOTATION_THREAD_SCHEMA.properties.visualizationId,
+    anchor: ANNOTATION_ANCHOR_SCHEMA,
+    status: string({ enum: ['open', 'resolved'] }),
+    author: string(),
+    createdAt: string(),
+    updatedAt: string(),
+    resolvedBy: string({ nullable: true }),
+    resolvedAt: string({ nullable: true }),
+    comments: {
+      type: 'array',
+      minItems: 1,
+      items: { ...ANNOTATION_COMMENT_SCHEMA, required: ['id', 'author', 'body', 'createdAt'], properties: { ...ANNOTATION_COMMENT_SCHEMA.properties, id: string(), createdAt: string() } }
+    },
+    history: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'object', required: ['status', 'by', 'at'], properties: { status: string({ enum: ['open', 'resolved'] }), by: string(), at: string() } }
+    }
+  }
+};
+
+/**
+ * AnnotationStore config
+ */
+export const ANNOTATION_STORE_CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['store'],
+  properties: {
+    store: { type: 'object' }
+  }
+};
+
+/**
+ * checkAccessibility rule pack ids
+ */
+export const ACCESSIBILITY_RULE_PACKS_SCHEMA = rulePacks;
@@ -0,0 +1,549 @@
+/**
+ * Software Renderer
+ * CPU-only rasterizer for still previews of glTF massing models, with multisample anti-aliasing and PNG output
+ */
+
+import { ValidationError, VALIDATION_CODES, assertValid } from './validation.js';
+import { SOFTWARE_RENDERER_CONFIG_SCHEMA, RENDER_OPTIONS_SCHEMA } from './schemas.js';
+import { SAMPLE_PATTERNS } from './anti-aliasing.js';
+import { loadGLTF } from './gltf-export.js';
+import { encodePNG } from './png.js';
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+const DEFAULT_MATERIAL = { pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1] } };
+
+export class SoftwareRenderer {
+  constructor(config = {}) {
+    this.config = {
+      resolution: { width: 3840, height: 2160 }, // Full-quality output size, at most 3840x2160
+      antiAliasing: 'MSAA-8x', // Sample pattern from SAMPLE_PATTERNS; 'none' samples pixel centers only
+      colorDepth: 10, // Bits per channel of the tone-mapped PNG
+      draftScale: 0.25, // Draft renders are this share of the resolution, at one sample per pixel
+      exposure: 0.4, // Scales scene radiance before display encoding
+      ambient: 0.75, // Sky light reaching every surface, before exposure
+      background: [0.78, 0.84, 0.9], // Linear RGB at the horizon, darkening toward the top of the frame
+      bandHeight: 32, // Rows rasterized at a time, bounding sample memory at 4K
+      ...config
+    };
+    assertValid(SOFTWARE_RENDERER_CONFIG_SCHEMA, this.config, 'config');
+  }
+
+  /**
+   * Rasterize a glTF scene
+   * Triangles are flat shaded by the scene's directional lights plus ambient sky light. Opaque
+   * triangles are depth tested per sample; blended ones are composited back to front over them.
+   * @param {(Object|Buffer)} model - glTF document with embedded buffers, or GLB bytes
+   * @param {Object} options - Render options
+   * @param {Object} options.camera - { position, target, up, fov, near }; unset fields frame the whole model (see defaultCamera)
+   * @param {boolean} options.draft - Render at draftScale with one sample per pixel (default: false)
+   * @param {string[]} options.layers - Root nodes to draw, by name (default: all)
+   * @returns {Object} { width, height, antiAliasing, samples, draft, camera, pixels, stats } with pixels as linear RGB floats
+   * @throws {ValidationError} For invalid options, an unknown layer or a camera looking along its up vector
+   */
+  render(model, options = {}) {
+    const { image, bands } = this.start(model, options);
+    while (!bands.next().done); // Rasterize every band
+    return image;
+  }
+
+  /**
+   * Rasterize a glTF scene like render(), yielding to the event loop between bands
+   * @param {(Object|Buffer)} model - glTF document with embedded buffers, or GLB bytes
+   * @param {Object} options - Render options (see render), plus:
+   * @param {AbortSignal} options.signal - Stops the render between bands, rejecting with the signal's reason
+   * @param {Function} options.onProgress - Called after each band with the fraction of rows done
+   * @returns {Promise<Object>} See render
+   * @throws {ValidationError} As render does
+   */
+  async renderAsync(model, { signal, onProgress, ...options } = {}) {
+    signal?.throwIfAborted();
+    const { image, bands } = this.start(model, options);
+    for (const progress of bands) {
+      onProgress?.(progress);
+      await new Promise(resolve => setImmediate(resolve));
+      signal?.throwIfAborted();
+    }
+    return image;
+  }
+
+  /**
+   * Peak bytes a render and its PNG encoding allocate, excluding the model itself
+   * Counts the linear pixels, one band of samples, the quantized samples and the PNG scanlines.
+   * @param {Object} options - { draft } (see render)
+   * @returns {number} Estimated bytes
+   */
+  estimateMemory({ draft = false } = {}) {
+    const { width, height, antiAliasing } = this.dimensions(draft);
+    const samples = SAMPLE_PATTERNS[antiAliasing].length;
+    const storedBytes = this.config.colorDepth > 8 ? 2 : 1;
+    const pixels = width * height * 3 * Float32Array.BYTES_PER_ELEMENT;
+    const band = width * Math.min(height, this.config.bandHeight) * samples * 4 * Float32Array.BYTES_PER_ELEMENT; // Depth and RGB
+    const quantized = width * height * 3 * storedBytes;
+    const scanlines = (width * 3 * storedBytes + 1) * height;
+    return pixels + band + quantized + scanlines * 2; // Raw scanlines, and a compressed copy at most as large
+  }
+
+  /**
+   * Encode a rendered image as an 8-bit sRGB PNG, clipping highlights
+   * @param {Object} image - Result of render()
+   * @returns {Buffer} PNG bytes
+   */
+  toPNG(image) {
+    return encodePNG({ width: image.width, height: image.height, data: quantize(image.pixels, 8, value => value) });
+  }
+
+  /**
+   * Encode a rendered image as a PNG at config.colorDepth bits, tone mapping highlights with the ACES filmic curve.
+   * Depths above 8 bits are stored as 16-bit samples, with the depth recorded in the sBIT chunk.
+   * @param {Object} image - Result of render()
+   * @returns {Buffer} PNG bytes
+   */
+  toToneMappedPNG(image) {
+    const { colorDepth } = this.config;
+    return encodePNG({
+      width: image.width,
+      height: image.height,
+      data: quantize(image.pixels, colorDepth, acesFilmic),
+      significantBits: colorDepth
+    });
+  }
+
+  /**
+   * Validate options, load and project the scene, and return the image whose pixels the
+   * bands generator fills
+   * @private
+   */
+  start(model, options) {
+    assertValid(RENDER_OPTIONS_SCHEMA, options, 'options');
+    const { draft = false } = options;
+    const { width, height, antiAliasing } = this.dimensions(draft);
+
+    const scene = loadScene(model, options.layers);
+    const camera = { ...defaultCamera(scene.bounds, options.camera?.fov), ...options.camera };
+    const triangles = this.project(scene, camera, width, height);
+    const pattern = SAMPLE_PATTERNS[antiAliasing].map(([x, y]) => [0.5 + x / 16, 0.5 + y / 16]);
+    const pixels = new Float32Array(width * height * 3);
+
+    return {
+      image: {
+        width,
+        height,
+        antiAliasing,
+        samples: pattern.length,
+        draft,
+        camera,
+        pixels,
+        stats: { triangles: scene.triangles.length, drawn: triangles.length, culled: triangles.culled }
+      },
+      bands: this.rasterize(triangles, width, height, pattern, pixels)
+    };
+  }
+
+  /**
+   * Output size and sample pattern of a full or draft render
+   * @private
+   */
+  dimensions(draft) {
+    const scale = draft ? this.config.draftScale : 1;
+    return {
+      width: Math.max(1, Math.round(this.config.resolution.width * scale)),
+      height: Math.max(1, Math.round(this.config.resolution.height * scale)),
+      antiAliasing: draft ? 'none' : this.config.antiAliasing
+    };
+  }
+
+  /**
+   * Shade, cull, clip and project triangles to screen space
+   * @private
+   */
+  project(scene, camera, width, height) {
+    const basis = cameraBasis(camera);
+    const tanHalf = Math.tan((camera.fov * Math.PI) / 360);
+    const aspect = width / height;
+    const { ambient, exposure } = this.config;
+
+    const projected = [];
+    projected.culled = 0;
+    for (const triangle of scene.triangles) {
+      let normal = triangle.normal;
+      if (dot(normal, subtract(camera.position, triangle.points[0])) <= 0) {
+        if (!triangle.doubleSided) {
+          projected.culled += 1;
+          continue;
+        }
+        normal = normal.map(value => -value);
+      }
+      const light = scene.lights.reduce(
+        (sum, { color, intensity, toLight }) => sum.map((value, k) => value + color[k] * intensity * Math.max(0, dot(normal, toLight))),
+        [ambient, ambient, ambient]
+      );
+      const color = triangle.color.map((value, k) => value * light[k] * exposure);
+
+      const polygon = clipNear(triangle.points.map(point => toCameraSpace(point, basis)), camera.near);
+      const screen = polygon.map(([x, y, z]) => [
+        ((x / (z * tanHalf * aspect) + 1) / 2) * width,
+        ((1 - y / (z * tanHalf)) / 2) * height,
+        1 / z
+      ]);
+      for (let i = 1; i < screen.length - 1; i++) {
+        const setup = setupTriangle(screen[0], screen[i], screen[i + 1], width, height);
+        if (setup) projected.push({ ...setup, color, alpha: triangle.alpha });
+      }
+      if (polygon.length < 3) projected.culled += 1;
+    }
+    return projected;
+  }
+
+  /**
+   * Rasterize band by band into per-sample depth and color, averaging the samples of each pixel into
+   * pixels; yields the fraction of rows done after each band
+   * @private
+   */
+  *rasterize(triangles, width, height, pattern, pixels) {
+    const { background, bandHeight } = this.config;
+    const samples = pattern.length;
+    const opaque = triangles.filter(t => t.alpha >= 1);
+    const blended = triangles.filter(t => t.alpha < 1).sort((a, b) => a.depth - b.depth); // Farthest first
+
+    const depth = new Float32Array(width * bandHeight * samples);
+    const color = new Float32Array(width * bandHeight * samples * 3);
+    for (let y0 = 0; y0 < height; y0 += bandHeight) {
+      const band = { y0, y1: Math.min(height, y0 + bandHeight), width, pattern, depth, color };
+      depth.fill(0);
+      for (let y = y0; y < band.y1; y++) {
+        const start = (y - y0) * width * samples * 3;
+        color.set(background.map(value => value * (0.65 + 0.35 * ((y + 0.5) / height))), start);
+        for (let filled = 3; filled < width * samples * 3; filled *= 2) {
+          color.copyWithin(start + filled, start, start + Math.min(filled, width * samples * 3 - filled));
+        }
+      }
+
+      opaque.forEach(triangle => fill(triangle, band, false));
+      blended.forEach(triangle => fill(triangle, band, true));
+
+      for (let p = 0; p < (band.y1 - y0) * width; p++) {
+        const out = (y0 * width + p) * 3;
+        let [r, g, b] = [0, 0, 0];
+        for (let i = p * samples * 3; i < (p + 1) * samples * 3; i += 3) {
+          r += color[i];
+          g += color[i + 1];
+          b += color[i + 2];
+        }
+        pixels[out] = r / samples;
+        pixels[out + 1] = g / samples;
+        pixels[out + 2] = b / samples;
+      }
+      yield band.y1 / height;
+    }
+  }
+}
+
+/**
+ * Camera that frames bounds from above and to the front-right, looking at their center
+ * @param {Object} bounds - { min: [x, y, z], max: [x, y, z] }
+ * @param {number} fov - Vertical field of view in degrees (default: 45)
+ * @returns {Object} { position, target, up, fov, near }
+ */
+export function defaultCamera(bounds, fov = 45) {
+  const target = bounds.min.map((value, k) => (value + bounds.max[k]) / 2);
+  const radius = Math.max(Math.hypot(...bounds.max.map((value, k) => value - bounds.min[k])) / 2, 1);
+  const distance = (radius / Math.sin((fov * Math.PI) / 360)) * 1.05;
+  const direction = normalize([1, 0.6, 1.4]);
+  return {
+    position: target.map((value, k) => value + direction[k] * distance),
+    target,
+    up: [0, 1, 0],
+    fov,
+    near: 0.1
+  };
+}
+
+/**
+ * World-space triangles and directional lights of the scene's nodes; bounds cover hidden layers too,
+ * so toggling a layer does not move the default camera
+ * @private
+ */
+function loadScene(model, layers) {
+  const { json, accessor } = loadGLTF(model);
+  const roots = json.scenes[json.scene ?? 0].nodes;
+  const names = roots.map(index => json.nodes[index].name);
+  (layers ?? []).forEach((layer, i) => {
+    if (!names.includes(layer)) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: `options.layers[${i}]`,
+        allowed: names,
+        value: layer,
+        message: `options.layers[${i}] must be one of ${names.join(', ')}, got ${layer}`
+      });
+    }
+  });
+
+  const scene = { triangles: [], lights: [], bounds: { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] } };
+  const visit = (index, parent, visible) => {
+    const node = json.nodes[index];
+    const matrix = multiply(parent, localMatrix(node));
+
+    const light = json.extensions?.KHR_lights_punctual?.lights[node.extensions?.KHR_lights_punctual?.light];
+    if (visible && light?.type === 'directional') {
+      const direction = normalize(transformDirection(matrix, [0, 0, -1]));
+      scene.lights.push({ color: light.color ?? [1, 1, 1], intensity: light.intensity ?? 1, toLight: direction.map(value => -value) });
+    }
+
+    for (const primitive of json.meshes?.[node.mesh]?.primitives ?? []) {
+      const positions = accessor(primitive.attributes.POSITION);
+      const points = Array.from({ length: positions.length / 3 }, (_, i) => transformPoint(matrix, positions.subarray(i * 3, i * 3 + 3)));
+      points.forEach(point => point.forEach((value, k) => {
+        scene.bounds.min[k] = Math.min(scene.bounds.min[k], value);
+        scene.bounds.max[k] = Math.max(scene.bounds.max[k], value);
+      }));
+      if (!visible) continue;
+
+      const material = json.materials?.[primitive.material] ?? DEFAULT_MATERIAL;
+      const [r, g, b, a] = material.pbrMetallicRoughness?.baseColorFactor ?? [1, 1, 1, 1];
+      const indices = primitive.indices === undefined ? points.map((_, i) => i) : accessor(primitive.indices);
+      for (let i = 0; i + 2 < indices.length; i += 3) {
+        const triangle = [points[indices[i]], points[indices[i + 1]], points[indices[i + 2]]];
+        const normal = cross(subtract(triangle[1], triangle[0]), subtract(triangle[2], triangle[0]));
+        if (Math.hypot(...normal) === 0) continue;
+        scene.triangles.push({
+          points: triangle,
+          normal: normalize(normal),
+          color: [r, g, b],
+          alpha: material.alphaMode === 'BLEND' ? a : 1,
+          doubleSided: material.doubleSided === true
+        });
+      }
+    }
+    (node.children ?? []).forEach(child => visit(child, matrix, visible));
+  };
+  roots.forEach((index, i) => visit(index, IDENTITY, !layers || layers.includes(names[i])));
+
+  if (scene.bounds.min[0] === Infinity) scene.bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+  return scene;
+}
+
+/**
+ * Screen-space triangle with positive area, its pixel bounds and mean inverse depth; null when degenerate or off screen
+ * @private
+ */
+function setupTriangle(a, b, c, width, height) {
+  let area = edge(a, b, c);
+  if (Math.abs(area) < 1e-9) return null;
+  if (area < 0) {
+    [b, c] = [c, b];
+    area = -area;
+  }
+  const xs = [a[0], b[0], c[0]];
+  const ys = [a[1], b[1], c[1]];
+  const minX = Math.max(0, Math.floor(Math.min(...xs)));
+  const maxX = Math.min(width - 1, Math.ceil(Math.max(...xs)));
+  const minY = Math.max(0, Math.floor(Math.min(...ys)));
+  const maxY = Math.min(height - 1, Math.ceil(Math.max(...ys)));
+  if (minX > maxX || minY > maxY) return null;
+  return {
+    vertices: [a, b, c],
+    area,
+    // Top-left fill rule: a sample exactly on an edge belongs to one of the two triangles sharing it
+    owns: [[b, c], [c, a], [a, b]].map(([p, q]) => q[1] - p[1] < 0 || (q[1] === p[1] && q[0] - p[0] > 0)),
+    minX,
+    maxX,
+    minY,
+    maxY,
+    depth: (a[2] + b[2] + c[2]) / 3
+  };
+}
+
+/**
+ * Write a triangle's coverage into a band: depth tested and stored for opaque triangles,
+ * depth tested and alpha blended for blended ones
+ * @private
+ */
+function fill(triangle, { y0, y1, width, pattern, depth, color }, blend) {
+  const { vertices: [a, b, c], area, owns, color: [r, g, bl], alpha } = triangle;
+  const samples = pattern.length;
+  for (let y = Math.max(y0, triangle.minY); y <= Math.min(y1 - 1, triangle.maxY); y++) {
+    for (let x = triangle.minX; x <= triangle.maxX; x++) {
+      for (let s = 0; s < samples; s++) {
+        // edge() inlined: this loop runs for every covered sample
+        const px = x + pattern[s][0];
+        const py = y + pattern[s][1];
+        const w0 = (px - b[0]) * (c[1] - b[1]) - (py - b[1]) * (c[0] - b[0]);
+        const w1 = (px - c[0]) * (a[1] - c[1]) - (py - c[1]) * (a[0] - c[0]);
+        const w2 = (px - a[0]) * (b[1] - a[1]) - (py - a[1]) * (b[0] - a[0]);
+        if (w0 < 0 || w1 < 0 || w2 < 0 || (w0 === 0 && !owns[0]) || (w1 === 0 && !owns[1]) || (w2 === 0 && !owns[2])) continue;
+
+        const z = (w0 * a[2] + w1 * b[2] + w2 * c[2]) / area; // Inverse depth: larger is nearer
+        const i = ((y - y0) * width + x) * samples + s;
+        if (z <= depth[i]) continue;
+        if (blend) {
+          color[i * 3] += (r - color[i * 3]) * alpha;
+          color[i * 3 + 1] += (g - color[i * 3 + 1]) * alpha;
+          color[i * 3 + 2] += (bl - color[i * 3 + 2]) * alpha;
+        } else {
+          depth[i] = z;
+          color[i * 3] = r;
+          color[i * 3 + 1] = g;
+          color[i * 3 + 2] = bl;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Twice the signed area of (a, b, p); positive when p is to the right of a→b in y-down screen space
+ * @private
+ */
+function edge(a, b, p) {
+  return (p[0] - a[0]) * (b[1] - a[1]) - (p[1] - a[1]) * (b[0] - a[0]);
+}
+
+/**
+ * Clip a camera-space polygon to the part in front of the near plane
+ * @private
+ */
+function clipNear(points, near) {
+  const clipped = [];
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    if (p[2] >= near) clipped.push(p);
+    if ((p[2] >= near) !== (q[2] >= near)) {
+      const t = (near - p[2]) / (q[2] - p[2]);
+      clipped.push(p.map((value, k) => value + (q[k] - value) * t));
+    }
+  });
+  return clipped;
+}
+
+/**
+ * @private
+ */
+function cameraBasis({ position, target, up = [0, 1, 0] }) {
+  const forward = normalize(subtract(target, position));
+  const side = cross(forward, up);
+  if (Math.hypot(...side) < 1e-9) {
+    throw new ValidationError({
+      code: VALIDATION_CODES.INCONSISTENT_VALUES,
+      path: 'options.camera.up',
+      allowed: 'a vector not parallel to the view direction',
+      value: up,
+      message: 'Camera up vector is parallel to the view direction'
+    });
+  }
+  const right = normalize(side);
+  return { position, right, up: cross(right, forward), forward };
+}
+
+/**
+ * @private
+ */
+function toCameraSpace(point, { position, right, up, forward }) {
+  const d = subtract(point, position);
+  return [dot(d, right), dot(d, up), dot(d, forward)];
+}
+
+/**
+ * Column-major local transform of a glTF node
+ * @private
+ */
+function localMatrix(node) {
+  if (node.matrix) return node.matrix;
+  const [x, y, z, w] = node.rotation ?? [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale ?? [1, 1, 1];
+  const [tx, ty, tz] = node.translation ?? [0, 0, 0];
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+    2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+    2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    tx, ty, tz, 1
+  ];
+}
+
+/**
+ * @private
+ */
+function multiply(a, b) {
+  return Array.from({ length: 16 }, (_, i) => {
+    const column = Math.floor(i / 4);
+    const row = i % 4;
+    return a[row] * b[column * 4] + a[4 + row] * b[column * 4 + 1] + a[8 + row] * b[column * 4 + 2] + a[12 + row] * b[column * 4 + 3];
+  });
+}
+
+/**
+ * @private
+ */
+function transformPoint(m, [x, y, z]) {
+  return [m[0] * x + m[4] * y + m[8] * z + m[12], m[1] * x + m[5] * y + m[9] * z + m[13], m[2] * x + m[6] * y + m[10] * z + m[14]];
+}
+
+/**
+ * @private
+ */
+function transformDirection(m, [x, y, z]) {
+  return [m[0] * x + m[4] * y + m[8] * z, m[1] * x + m[5] * y + m[9] * z, m[2] * x + m[6] * y + m[10] * z];
+}
+
+/**
+ * Display-encode linear pixels to integer samples of the given bit depth
+ * @private
+ */
+function quantize(pixels, bits, toneMap) {
+  const max = 2 ** bits - 1;
+  const data = bits > 8 ? new Uint16Array(pixels.length) : new Uint8Array(pixels.length);
+  // Samples deeper than 8 bits are stored in 16, scaled so the full range maps to 0-65535
+  const scale = bits > 8 ? 65535 / max : 1;
+  for (let i = 0; i < pixels.length; i++) {
+    data[i] = Math.round(Math.round(srgbEncode(toneMap(pixels[i])) * max) * scale);
+  }
+  return data;
+}
+
+/**
+ * ACES filmic tone curve (Narkowicz fit): compresses highlights above 1 instead of clipping them
+ * @private
+ */
+function acesFilmic(x) {
+  return (x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14);
+}
+
+/**
+ * sRGB transfer function, clamping to [0, 1]
+ * @private
+ */
+function srgbEncode(value) {
+  const v = Math.min(1, Math.max(0, value));
+  return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+}
+
+/**
+ * @private
+ */
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+/**
+ * @private
+ */
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * @private
+ */
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * @private
+ */
+function normalize(v) {
+  const length = Math.hypot(...v);
+  return v.map(value => value / length);
+}
+
+export default SoftwareRenderer;
@@ -0,0 +1,160 @@
+/**
+ * Tests for Software Renderer
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import SoftwareRenderer, { defaultCamera } from './software-renderer.js';
+import { generateMassing } from './massing-model.js';
+import { exportGLB, exportGLTF } from './gltf-export.js';
+import { decodePNG } from './png.js';
+
+const massing = generateMassing({ name: 'Lenox Terrace', floors: 3, height: 12, type: 'Residential' });
+const glb = exportGLB(massing, { lighting: { colorTemperatureK: 3000 } });
+const small = { resolution: { width: 96, height: 54 } };
+
+/**
+ * Sky color the renderer paints behind row y
+ */
+function sky(renderer, y, height) {
+  return renderer.config.background.map(value => Math.fround(value * (0.65 + 0.35 * ((y + 0.5) / height))));
+}
+
+function pixel(image, x, y) {
+  const i = (y * image.width + x) * 3;
+  return Array.from(image.pixels.subarray(i, i + 3));
+}
+
+function distinctColors(image) {
+  return new Set(Array.from({ length: image.width * image.height }, (_, p) => pixel(image, p % image.width, Math.floor(p / image.width)).join())).size;
+}
+
+test('SoftwareRenderer - draws the model over the sky at the configured size', () => {
+  const renderer = new SoftwareRenderer({ ...small, antiAliasing: 'MSAA-4x' });
+  const image = renderer.render(glb);
+
+  assert.deepStrictEqual([image.width, image.height, image.samples, image.antiAliasing, image.draft], [96, 54, 4, 'MSAA-4x', false]);
+  assert.strictEqual(image.pixels.length, 96 * 54 * 3);
+  assert.deepStrictEqual(pixel(image, 0, 0), sky(renderer, 0, 54));
+  assert.notDeepStrictEqual(pixel(image, 48, 27), sky(renderer, 27, 54));
+
+  // Closed slabs and core show only their front faces; the double-sided facade shows both
+  assert.strictEqual(image.stats.triangles, 4 * 12 + 12 + 8);
+  assert.ok(image.stats.culled > 0 && image.stats.drawn > 0);
+  assert.deepStrictEqual(image.camera.target, [0, 6, 0]);
+});
+
+test('SoftwareRenderer - draft mode renders smaller with one sample per pixel', () => {
+  const renderer = new SoftwareRenderer({ resolution: { width: 192, height: 108 } });
+  const draft = renderer.render(glb, { draft: true });
+  assert.deepStrictEqual([draft.width, draft.height, draft.samples, draft.antiAliasing, draft.draft], [48, 27, 1, 'none', true]);
+});
+
+test('SoftwareRenderer - multisampling blends edge pixels', () => {
+  const aliased = new SoftwareRenderer({ ...small, antiAliasing: 'none' }).render(glb);
+  const msaa = new SoftwareRenderer({ ...small, antiAliasing: 'MSAA-8x' }).render(glb);
+  assert.strictEqual(msaa.samples, 8);
+  assert.ok(distinctColors(msaa) > distinctColors(aliased) * 2);
+});
+
+test('SoftwareRenderer - layers toggle root nodes', () => {
+  const renderer = new SoftwareRenderer(small);
+  const mean = image => image.pixels.reduce((sum, value) => sum + value, 0) / image.pixels.length;
+
+  const lightOnly = renderer.render(glb, { layers: ['lighting'] });
+  for (let y = 0; y < 54; y++) assert.deepStrictEqual(pixel(lightOnly, 10 + y, y), sky(renderer, y, 54));
+  assert.deepStrictEqual(lightOnly.camera, renderer.render(glb).camera); // Hidden layers still frame the view
+
+  const unlit = renderer.render(glb, { layers: ['structure', 'materials'] });
+  assert.ok(mean(unlit) < mean(renderer.render(glb)));
+
+  assert.throws(() => renderer.render(glb, { layers: ['environment'] }), {
+    code: 'INVALID_ENUM',
+    path: 'options.layers[0]',
+    allowed: ['structure', 'materials', 'lighting', 'annotations']
+  });
+});
+
+test('SoftwareRenderer - encodes 8-bit and tone-mapped PNGs', () => {
+  const renderer = new SoftwareRenderer({ ...small, exposure: 2 });
+  const image = renderer.render(glb);
+
+  const png = decodePNG(renderer.toPNG(image));
+  assert.deepStrictEqual([png.width, png.height, png.bitDepth], [96, 54, 8]);
+
+  const hdr = decodePNG(renderer.toToneMappedPNG(image));
+  assert.deepStrictEqual([hdr.bitDepth, hdr.significantBits], [16, 10]);
+  assert.ok(hdr.data.every(value => value === Math.round(Math.round((value * 1023) / 65535) * (65535 / 1023)))); // 10-bit codes
+
+  // Overexposed highlights clip in the 8-bit PNG but keep detail once tone mapped
+  const clipped = png.data.filter(value => value === 255).length;
+  const saturated = hdr.data.filter(value => value === 65535).length;
+  assert.ok(clipped > 1000);
+  assert.strictEqual(saturated, 0);
+
+  const eightBit = new SoftwareRenderer({ ...small, colorDepth: 8 });
+  assert.strictEqual(decodePNG(eightBit.toToneMappedPNG(eightBit.render(glb))).bitDepth, 8);
+
+  // Rendering is deterministic
+  assert.ok(renderer.toPNG(renderer.render(glb)).equals(renderer.toPNG(image)));
+});
+
+test('SoftwareRenderer - cameras, node transforms and near-plane clipping', () => {
+  const renderer = new SoftwareRenderer(small);
+
+  const gltf = exportGLTF(massing);
+  gltf.nodes[0].scale = [2, 2, 2];
+  gltf.nodes[1].scale = [2, 2, 2];
+  assert.deepStrictEqual(renderer.render(gltf).camera.target, [0, 12, 0]);
+
+  // From inside the core, triangles behind the camera are clipped away rather than wrapping around
+  const inside = renderer.render(glb, { camera: { position: [0, 6, 0], target: [10, 6, 0], fov: 90 } });
+  assert.deepStrictEqual(inside.camera.up, [0, 1, 0]);
+  assert.ok(inside.stats.drawn > 0);
+  assert.ok(inside.pixels.every(Number.isFinite));
+
+  assert.throws(() => renderer.render(glb, { camera: { position: [0, 50, 0], target: [0, 0, 0] } }), {
+    code: 'INCONSISTENT_VALUES',
+    path: 'options.camera.up'
+  });
+  assert.throws(() => renderer.render(glb, { camera: { fov: 180 } }), { code: 'OUT_OF_RANGE', path: 'options.camera.fov' });
+});
+
+test('SoftwareRenderer - renderAsync reports progress per band and stops when aborted', async () => {
+  const renderer = new SoftwareRenderer({ ...small, bandHeight: 16 });
+  const progress = [];
+  const image = await renderer.renderAsync(glb, { onProgress: fraction => progress.push(fraction) });
+  assert.deepStrictEqual(progress, [16 / 54, 32 / 54, 48 / 54, 1]);
+  assert.deepStrictEqual(image.pixels, renderer.render(glb).pixels);
+
+  const controller = new AbortController();
+  const reason = new Error('Preview no longer needed');
+  const aborted = renderer.renderAsync(glb, { signal: controller.signal, onProgress: () => controller.abort(reason) });
+  await assert.rejects(aborted, reason);
+  await assert.rejects(renderer.renderAsync(glb, { signal: controller.signal }), reason);
+});
+
+test('SoftwareRenderer - estimates the memory of a render and its PNG', () => {
+  const uhd = new SoftwareRenderer();
+  const hd = new SoftwareRenderer({ resolution: { width: 1920, height: 1080 } });
+  const bytes = uhd.estimateMemory();
+  assert.ok(bytes > 3840 * 2160 * 3 * 4 && bytes < 512 * 2 ** 20);
+  assert.ok(hd.estimateMemory() < bytes / 3.5);
+  assert.ok(uhd.estimateMemory({ draft: true }) < bytes / 10);
+});
+
+test('defaultCamera - frames the bounding sphere from above', () => {
+  const camera = defaultCamera({ min: [-10, 0, -10], max: [10, 20, 10] }, 60);
+  assert.deepStrictEqual(camera.target, [0, 10, 0]);
+  const distance = Math.hypot(...camera.position.map((value, k) => value - camera.target[k]));
+  assert.strictEqual(Math.round(distance * 1000) / 1000, Math.round(Math.hypot(20, 20, 20) / 2 / Math.sin(Math.PI / 6) * 1.05 * 1000) / 1000);
+  assert.ok(camera.position[1] > camera.target[1]);
+});
+
+test('SoftwareRenderer - validates its config', () => {
+  assert.throws(() => new SoftwareRenderer({ resolution: { width: 4096, height: 2160 } }), { code: 'OUT_OF_RANGE', path: 'config.resolution.width' });
+  assert.throws(() => new SoftwareRenderer({ antiAliasing: 'FXAA' }), { code: 'INVALID_ENUM', path: 'config.antiAliasing' });
+  assert.throws(() => new SoftwareRenderer({ colorDepth: 16 }), { code: 'INVALID_ENUM', path: 'config.colorDepth' });
+});
+
+console.log('✓ All Software Renderer tests passed');
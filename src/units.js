@@ -0,0 +1,30 @@
+/**
+ * Units
+ * Length and area units that measurements can be reported in
+ */
+
+/**
+ * Meters per unit of length
+ */
+export const LENGTH_UNITS = {
+  m: 1,
+  ft: 0.3048 // International foot
+};
+
+/**
+ * Square meters per unit of area
+ * A tsubo is the area of a square 1 ken (6 shaku, 20/11 m) on a side, as used for floor areas in Japan.
+ */
+export const AREA_UNITS = {
+  m2: 1,
+  ft2: 0.09290304,
+  tsubo: 400 / 121
+};
+
+/**
+ * Area unit of each length unit, used when a measurement names only a length unit
+ */
+export const AREA_UNIT_OF = {
+  m: 'm2',
+  ft: 'ft2'
+};
@@ -0,0 +1,307 @@
+/**
+ * Validation
+ * Declarative input schemas and typed validation errors with stable codes
+ */
+
+import Money from './money.js';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Stable error codes carried by ValidationError
+ */
+export const VALIDATION_CODES = Object.freeze({
+  REQUIRED: 'REQUIRED', // A required field is missing
+  INVALID_TYPE: 'INVALID_TYPE', // Wrong type, or a non-finite number
+  NOT_INTEGER: 'NOT_INTEGER', // A whole number was expected
+  OUT_OF_RANGE: 'OUT_OF_RANGE', // Number outside its minimum/maximum
+  INVALID_ENUM: 'INVALID_ENUM', // Value is not one of the allowed options
+  TOO_FEW_ITEMS: 'TOO_FEW_ITEMS', // Array shorter than its minimum length
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD', // Field not in a closed schema, usually a typo
+  INCONSISTENT_VALUES: 'INCONSISTENT_VALUES' // Valid fields that do not work together
+});
+
+export class ValidationError extends Error {
+  /**
+   * @param {Object} details - Error details
+   * @param {string} details.code - One of VALIDATION_CODES
+   * @param {string} details.path - Offending field path, e.g. 'projection.years' or 'fx.forwardCurve[2]'
+   * @param {string} details.allowed - Human-readable allowed values or range
+   * @param {*} details.value - Offending value
+   * @param {string} details.message - Message (default: built from path, allowed and value)
+   */
+  constructor({ code, path, allowed = null, value, message }) {
+    super(message ?? `${path} must be ${allowed}, got ${describe(value)}`);
+    this.name = 'ValidationError';
+    this.code = code;
+    this.path = path;
+    this.allowed = allowed;
+    this.value = value;
+  }
+
+  toJSON() {
+    return { code: this.code, path: this.path, allowed: this.allowed, value: this.value, message: this.message };
+  }
+}
+
+/**
+ * Validate a value against a schema, collecting every error
+ * Schemas are plain objects: { type, required, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * enum, items, minItems, properties, additionalProperties, anyOf, nullable }; `additionalProperties` is false
+ * for a closed object or a schema for the values of any other properties. `type` is one of
+ * 'number', 'integer', 'string', 'boolean', 'object', 'array', 'money', 'date' or 'any'; `required` lists the
+ * required properties of an object. The value itself is required; absent optional fields are skipped.
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used in error paths
+ * @returns {ValidationError[]} Every failure, in document order
+ */
+export function validate(schema, value, path) {
+  if (value === undefined) {
+    return [new ValidationError({
+      code: VALIDATION_CODES.REQUIRED,
+      path,
+      allowed: describeAllowed(schema),
+      value,
+      message: `${path} is required`
+    })];
+  }
+  return check(schema, value, path);
+}
+
+/**
+ * Validate a value that may be absent
+ * @private
+ */
+function check(schema, value, path) {
+  if (value === undefined) {
+    return [];
+  }
+  if (value === null) {
+    return schema.nullable ? [] : [typeError(schema, value, path)];
+  }
+  if (schema.anyOf) {
+    const branch = schema.anyOf.find(option => matchesType(option.type, value));
+    return branch ? check(branch, value, path) : [typeError(schema, value, path)];
+  }
+  if (!matchesType(schema.type, value)) {
+    return [typeError(schema, value, path)];
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      return validateNumber(schema, value, path);
+    case 'string':
+      return validateEnum(schema, value, path);
+    case 'array':
+      return validateArray(schema, value, path);
+    case 'object':
+      return validateObject(schema, value, path);
+    case 'money':
+      return isOutOfRange(schema, value.toNumber())
+        ? [new ValidationError({ code: VALIDATION_CODES.OUT_OF_RANGE, path, allowed: describeAllowed(schema), value })]
+        : [];
+    default:
+      return validateEnum(schema, value, path);
+  }
+}
+
+/**
+ * Validate a value and throw the first failure
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value
+ * @throws {ValidationError} First failure
+ */
+export function assertValid(schema, value, path) {
+  const [error] = validate(schema, value, path);
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Human-readable description of a schema's allowed values
+ * @param {Object} schema - Schema
+ * @returns {string} e.g. 'a number greater than 0 and at most 1'
+ */
+export function describeAllowed(schema) {
+  if (schema.anyOf) {
+    return schema.anyOf.map(describeAllowed).join(' or ');
+  }
+  if (schema.enum) {
+    return `one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+  }
+
+  const noun = {
+    number: 'a number',
+    integer: 'an integer',
+    string: 'a string',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array',
+    money: 'a Money amount',
+    date: 'a date',
+    any: 'a value'
+  }[schema.type] ?? 'a value';
+  const bounds = describeBounds(schema);
+  const items = schema.type === 'array' && schema.items ? ` (items: ${describeAllowed(schema.items)})` : '';
+  return `${noun}${items}${bounds ? ` ${bounds}` : ''}`;
+}
+
+/**
+ * @private
+ */
+function validateNumber(schema, value, path) {
+  if (schema.type === 'integer' && !Number.isInteger(value)) {
+    return [new ValidationError({ code: VALIDATION_CODES.NOT_INTEGER, path, allowed: describeAllowed(schema), value })];
+  }
+
+  return isOutOfRange(schema, value)
+    ? [new ValidationError({ code: VALIDATION_CODES.OUT_OF_RANGE, path, allowed: describeAllowed(schema), value })]
+    : validateEnum(schema, value, path);
+}
+
+/**
+ * @private
+ */
+function isOutOfRange({ minimum, maximum, exclusiveMinimum, exclusiveMaximum }, value) {
+  return (minimum !== undefined && value < minimum) ||
+    (maximum !== undefined && value > maximum) ||
+    (exclusiveMinimum !== undefined && value <= exclusiveMinimum) ||
+    (exclusiveMaximum !== undefined && value >= exclusiveMaximum);
+}
+
+/**
+ * @private
+ */
+function validateEnum(schema, value, path) {
+  return schema.enum && !schema.enum.includes(value)
+    ? [new ValidationError({ code: VALIDATION_CODES.INVALID_ENUM, path, allowed: describeAllowed(schema), value })]
+    : [];
+}
+
+/**
+ * @private
+ */
+function validateArray(schema, value, path) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    return [new ValidationError({
+      code: VALIDATION_CODES.TOO_FEW_ITEMS,
+      path,
+      allowed: `at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`,
+      value,
+      message: `${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}, got ${value.length}`
+    })];
+  }
+  return schema.items
+    ? value.flatMap((item, index) => item === undefined
+      ? [typeError(schema.items, item, `${path}[${index}]`)]
+      : check(schema.items, item, `${path}[${index}]`))
+    : [];
+}
+
+/**
+ * @private
+ */
+function validateObject(schema, value, path) {
+  const properties = schema.properties ?? {};
+  const errors = [];
+
+  (schema.required ?? []).forEach(key => {
+    if (value[key] === undefined) {
+      errors.push(new ValidationError({
+        code: VALIDATION_CODES.REQUIRED,
+        path: join(path, key),
+        allowed: describeAllowed(properties[key] ?? { type: 'any' }),
+        value: undefined,
+        message: `${join(path, key)} is required`
+      }));
+    }
+  });
+
+  Object.keys(value).forEach(key => {
+    if (properties[key]) {
+      errors.push(...check(properties[key], value[key], join(path, key)));
+    } else if (schema.additionalProperties === false) {
+      errors.push(new ValidationError({
+        code: VALIDATION_CODES.UNKNOWN_FIELD,
+        path: join(path, key),
+        allowed: `one of the fields ${Object.keys(properties).join(', ')}`,
+        value: value[key],
+        message: `${join(path, key)} is not a recognized field`
+      }));
+    } else if (schema.additionalProperties) {
+      // A schema for every other property, as in a map keyed by id
+      errors.push(...check(schema.additionalProperties, value[key], join(path, key)));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * @private
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value) && !(value instanceof Money) && !(value instanceof Date);
+    case 'money':
+      return value instanceof Money;
+    case 'date':
+      // A valid Date, or an ISO string starting YYYY-MM-DD
+      return value instanceof Date
+        ? !Number.isNaN(value.getTime())
+        : typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+    default:
+      return true;
+  }
+}
+
+/**
+ * @private
+ */
+function typeError(schema, value, path) {
+  return new ValidationError({ code: VALIDATION_CODES.INVALID_TYPE, path, allowed: describeAllowed(schema), value });
+}
+
+/**
+ * @private
+ */
+function describeBounds({ minimum, maximum, exclusiveMinimum, exclusiveMaximum }) {
+  const lower = exclusiveMinimum !== undefined ? `greater than ${exclusiveMinimum}`
+    : minimum !== undefined ? `at least ${minimum}` : null;
+  const upper = exclusiveMaximum !== undefined ? `less than ${exclusiveMaximum}`
+    : maximum !== undefined ? `at most ${maximum}` : null;
+  return [lower, upper].filter(Boolean).join(' and ');
+}
+
+/**
+ * @private
+ */
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * @private
+ */
+function describe(value) {
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) return `an array of ${value.length}`;
+  if (value instanceof Money) return value.toString();
+  if (value !== null && typeof value === 'object') return 'an object';
+  return String(value);
+}
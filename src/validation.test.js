@@ -0,0 +1,92 @@
+/**
+ * Tests for Validation
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ValidationError, VALIDATION_CODES, assertValid, describeAllowed, validate } from './validation.js';
+import { PROJECTION_SCHEMA, TRANSACTION_AMOUNT_SCHEMA } from './schemas.js';
+import Money from './money.js';
+
+test('validate - collects every error with its code and path', () => {
+  const errors = validate(PROJECTION_SCHEMA, {
+    years: 0,
+    growthRate: [0.03, -1.5],
+    occupancyRate: 'full',
+    rentPerSqm: Infinity,
+    leasableAreaa: 5000
+  }, 'projection');
+
+  assert.deepStrictEqual(errors.map(e => [e.code, e.path]), [
+    ['OUT_OF_RANGE', 'projection.years'],
+    ['OUT_OF_RANGE', 'projection.growthRate[1]'],
+    ['INVALID_TYPE', 'projection.occupancyRate'],
+    ['INVALID_TYPE', 'projection.rentPerSqm'],
+    ['UNKNOWN_FIELD', 'projection.leasableAreaa']
+  ]);
+  assert.ok(errors.every(e => e instanceof ValidationError && e instanceof Error));
+  assert.deepStrictEqual(validate(PROJECTION_SCHEMA, {}, 'projection'), []);
+});
+
+test('validate - checks required fields, enums, integers and array lengths', () => {
+  const schema = {
+    type: 'object',
+    required: ['method'],
+    properties: {
+      method: { type: 'string', enum: ['gordon', 'exitCapRate'] },
+      years: { type: 'integer' },
+      curve: { type: 'array', minItems: 2, items: { type: 'number' } },
+      note: { type: 'string', nullable: true }
+    }
+  };
+
+  assert.deepStrictEqual(validate(schema, { years: 1.5, curve: [1], note: null }, 'tv').map(e => e.code), [
+    VALIDATION_CODES.REQUIRED,
+    VALIDATION_CODES.NOT_INTEGER,
+    VALIDATION_CODES.TOO_FEW_ITEMS
+  ]);
+  assert.strictEqual(validate(schema, { method: 'dcf' }, 'tv')[0].code, VALIDATION_CODES.INVALID_ENUM);
+  assert.strictEqual(validate(schema, undefined, 'tv')[0].message, 'tv is required');
+  assert.strictEqual(validate(schema, null, 'tv')[0].code, VALIDATION_CODES.INVALID_TYPE);
+});
+
+test('validate - anyOf picks the branch matching the value type', () => {
+  assert.deepStrictEqual(validate(TRANSACTION_AMOUNT_SCHEMA, 100, 'amount'), []);
+  assert.deepStrictEqual(validate(TRANSACTION_AMOUNT_SCHEMA, Money.of(100), 'amount'), []);
+
+  const [error] = validate(TRANSACTION_AMOUNT_SCHEMA, true, 'amount');
+  assert.strictEqual(error.code, VALIDATION_CODES.INVALID_TYPE);
+  assert.strictEqual(error.allowed, 'a number at least 0 or a Money amount at least 0');
+
+  assert.deepStrictEqual(validate({ type: 'money', exclusiveMinimum: 0 }, Money.of(0.01), 'amount'), []);
+  assert.strictEqual(validate({ type: 'money', exclusiveMinimum: 0 }, Money.zero(), 'amount')[0].code, VALIDATION_CODES.OUT_OF_RANGE);
+});
+
+test('assertValid - throws the first error with a readable message', () => {
+  assert.doesNotThrow(() => assertValid({ type: 'number' }, 3, 'x'));
+  assert.throws(() => assertValid({ type: 'number', minimum: 0, maximum: 1 }, 1.7, 'occupancyRate'), {
+    name: 'ValidationError',
+    code: 'OUT_OF_RANGE',
+    path: 'occupancyRate',
+    allowed: 'a number at least 0 and at most 1',
+    value: 1.7,
+    message: 'occupancyRate must be a number at least 0 and at most 1, got 1.7'
+  });
+});
+
+test('describeAllowed and toJSON - stable, serializable descriptions', () => {
+  assert.strictEqual(describeAllowed({ type: 'number', exclusiveMinimum: 0, maximum: 1 }), 'a number greater than 0 and at most 1');
+  assert.strictEqual(describeAllowed({ type: 'array', items: { type: 'integer' } }), 'an array (items: an integer)');
+  assert.strictEqual(describeAllowed({ type: 'string', enum: ['a', 'b'] }), 'one of "a", "b"');
+
+  const error = validate({ type: 'integer', minimum: 1 }, 0, 'years')[0];
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(error)), {
+    code: 'OUT_OF_RANGE',
+    path: 'years',
+    allowed: 'an integer at least 1',
+    value: 0,
+    message: 'years must be an integer at least 1, got 0'
+  });
+});
+
+console.log('✓ All Validation tests passed');
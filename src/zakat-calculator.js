@@ -0,0 +1,276 @@
+/**
+ * Zakat Calculator
+ * Assesses zakat on net zakatable wealth against a gold or silver nisab, tracking each holder's hawl over the Hijri year
+ */
+
+import Money from './money.js';
+import { ValidationError, VALIDATION_CODES, assertValid } from './validation.js';
+import { ZAKAT_CONFIG_SCHEMA, ZAKAT_HOLDING_SCHEMA } from './schemas.js';
+import { addHijriYears, formatHijri, fromHijri, toHijri, toISODate } from './hijri-calendar.js';
+
+const DAY_MS = 86400000;
+
+/**
+ * Zakatable asset categories, in reporting order
+ */
+export const ZAKATABLE_CATEGORIES = ['cash', 'tradeGoods', 'gold', 'silver', 'receivables'];
+
+/**
+ * Liabilities deducted from zakatable assets
+ */
+export const DEDUCTIBLE_LIABILITIES = ['debts', 'expenses'];
+
+/**
+ * Assessment outcomes
+ */
+export const ZAKAT_STATUS = Object.freeze({
+  DUE: 'DUE',
+  BELOW_NISAB: 'BELOW_NISAB',
+  HAWL_INCOMPLETE: 'HAWL_INCOMPLETE'
+});
+
+export class ZakatCalculator {
+  constructor(config = {}) {
+    this.config = {
+      currency: 'USD', // Currency of amounts and metal prices
+      roundingMode: 'halfEven', // Rounding of zakat to the minor unit
+      nisabBasis: 'gold', // 'gold' or 'silver'; silver gives the lower threshold
+      goldNisabGrams: 85,
+      silverNisabGrams: 595,
+      zakatRate: 0.025, // 2.5% per lunar year
+      hawlRule: 'continuous', // 'continuous': falling below nisab restarts the hawl; 'endpoints': only its start and end count
+      ...config
+    };
+    assertValid(ZAKAT_CONFIG_SCHEMA, this.config, 'config');
+    this.holders = {};
+  }
+
+  /**
+   * Nisab threshold from the price of gold or silver
+   * @param {Object} metalPrices - Price per gram in config.currency: { gold, silver }
+   * @param {string} basis - 'gold' or 'silver' (default: config.nisabBasis)
+   * @returns {Object} { basis, grams, pricePerGram, threshold } with threshold as Money
+   * @throws {ValidationError} When the basis metal has no price
+   */
+  calculateNisab(metalPrices, basis = this.config.nisabBasis) {
+    const grams = basis === 'gold' ? this.config.goldNisabGrams : this.config.silverNisabGrams;
+    const pricePerGram = this.metalPrice(metalPrices, basis, `a ${basis} nisab`);
+    return { basis, grams, pricePerGram, threshold: this.toMoney(grams * pricePerGram) };
+  }
+
+  /**
+   * Net zakatable wealth: zakatable assets less deductible liabilities, never below zero
+   * Doubtful receivables are reported but excluded until collected.
+   * @param {Object} assets - { cash, tradeGoods, gold, silver, receivables, doubtfulReceivables }; gold and silver may be { grams }
+   * @param {Object} liabilities - { debts, expenses } due now or within the coming lunar year
+   * @param {Object} metalPrices - Price per gram, needed for metal held by weight
+   * @returns {Object} Assets, liabilities and net wealth by category, as Money
+   */
+  calculateWealth(assets = {}, liabilities = {}, metalPrices = {}) {
+    const byCategory = Object.fromEntries(ZAKATABLE_CATEGORIES.map(category => {
+      const value = assets[category];
+      return [category, value?.grams !== undefined
+        ? this.toMoney(value.grams * this.metalPrice(metalPrices, category, `${category} held by weight`))
+        : this.toMoney(value ?? 0)];
+    }));
+    const totalAssets = Money.sum(Object.values(byCategory), this.config.currency);
+
+    const liabilitiesByCategory = Object.fromEntries(DEDUCTIBLE_LIABILITIES.map(category => [category, this.toMoney(liabilities[category] ?? 0)]));
+    const totalLiabilities = Money.sum(Object.values(liabilitiesByCategory), this.config.currency);
+    const deductibleLiabilities = totalLiabilities.compare(totalAssets) > 0 ? totalAssets : totalLiabilities;
+
+    return {
+      assets: byCategory,
+      excluded: { doubtfulReceivables: this.toMoney(assets.doubtfulReceivables ?? 0) },
+      totalAssets,
+      liabilities: liabilitiesByCategory,
+      totalLiabilities,
+      deductibleLiabilities,
+      netZakatableWealth: totalAssets.subtract(deductibleLiabilities)
+    };
+  }
+
+  /**
+   * Assess a holder's zakat on a date and advance their hawl
+   * Each assessment is an observation of the holder's wealth. The hawl starts when wealth first reaches the
+   * nisab and completes one Hijri year later; zakat is due on the whole net wealth once it completes with
+   * wealth at or above the nisab. The next hawl then runs from the anniversary. Under the 'continuous' rule
+   * any observation below the nisab restarts the hawl; under 'endpoints' only the observation at its end does.
+   * @param {string} holderId - Holder whose hawl is tracked
+   * @param {Object} holding - Wealth on the date (see ZAKAT_HOLDING_SCHEMA)
+   * @param {(Date|string)} holding.date - Assessment date; a holder's assessments must be in date order
+   * @param {Object} holding.assets - Zakatable assets (see calculateWealth)
+   * @param {Object} holding.liabilities - Deductible liabilities (see calculateWealth)
+   * @param {Object} holding.metalPrices - Gold and silver price per gram in config.currency
+   * @returns {Object} Assessment with status, zakatAmount and an explanation of why zakat is or is not due
+   * @throws {ValidationError} For invalid input or an assessment dated before the holder's last one
+   */
+  assess(holderId, holding) {
+    assertValid({ type: 'string' }, holderId, 'holderId');
+    assertValid(ZAKAT_HOLDING_SCHEMA, holding, 'holding');
+
+    const date = toISODate(holding.date);
+    const previous = this.holders[holderId];
+    if (previous && date < previous.lastAssessed) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'holding.date',
+        allowed: `a date on or after ${previous.lastAssessed}`,
+        value: holding.date,
+        message: `Assessments for ${holderId} must be in date order: ${date} is before ${previous.lastAssessed}`
+      });
+    }
+
+    const { zakatRate, roundingMode, hawlRule } = this.config;
+    const wealth = this.calculateWealth(holding.assets, holding.liabilities, holding.metalPrices);
+    const nisab = this.calculateNisab(holding.metalPrices);
+    const net = wealth.netZakatableWealth;
+    const meetsNisab = net.compare(nisab.threshold) >= 0;
+    const explanation = [this.explainWealth(wealth), this.explainNisab(nisab, net, meetsNisab)];
+
+    let start = previous?.hawlStart ?? null;
+    if (start && !meetsNisab && (hawlRule === 'continuous' || date >= hawlEnd(start))) {
+      explanation.push(`Wealth fell below the nisab, so the hawl that started on ${describeDate(start)} lapses.`);
+      start = null;
+    }
+    if (!start && meetsNisab) {
+      start = date;
+      explanation.push(`Wealth reached the nisab, so a hawl starts on ${describeDate(start)} and completes on ${describeDate(hawlEnd(start))}.`);
+    }
+
+    const hawl = this.describeHawl(start, date);
+    let status;
+    let zakatAmount = Money.zero(this.config.currency);
+    let nextHawlStart = start;
+
+    if (!meetsNisab) {
+      status = ZAKAT_STATUS.BELOW_NISAB;
+    } else if (!hawl.complete) {
+      status = ZAKAT_STATUS.HAWL_INCOMPLETE;
+      explanation.push(`The hawl completes in ${hawl.daysRemaining} days; zakat is not due before a full lunar year has passed.`);
+    } else {
+      status = ZAKAT_STATUS.DUE;
+      zakatAmount = net.multiply(zakatRate, roundingMode);
+      while (hawlEnd(nextHawlStart) <= date) {
+        nextHawlStart = hawlEnd(nextHawlStart);
+      }
+      explanation.push(`A full lunar year has passed since ${describeDate(start)}, with wealth at or above the nisab.`);
+      explanation.push(`Zakat of ${Number((zakatRate * 100).toFixed(4))}% on ${net} is ${zakatAmount}; the next hawl runs from ${describeDate(nextHawlStart)}.`);
+    }
+
+    this.holders[holderId] = { hawlStart: nextHawlStart, lastAssessed: date };
+
+    return {
+      holderId,
+      date,
+      hijriDate: { ...toHijri(date), formatted: formatHijri(toHijri(date)) },
+      currency: this.config.currency,
+      wealth,
+      nisab: { ...nisab, met: meetsNisab },
+      hawl,
+      status,
+      zakatDue: status === ZAKAT_STATUS.DUE,
+      zakatRate,
+      zakatAmount,
+      nextHawlStart,
+      explanation
+    };
+  }
+
+  /**
+   * Current hawl of a holder
+   * @param {string} holderId - Holder
+   * @returns {Object|null} { holderId, hawlStart, completes, lastAssessed }, or null if never assessed
+   */
+  getHawl(holderId) {
+    const holder = this.holders[holderId];
+    if (!holder) {
+      return null;
+    }
+    return {
+      holderId,
+      hawlStart: holder.hawlStart,
+      completes: holder.hawlStart ? hawlEnd(holder.hawlStart) : null,
+      lastAssessed: holder.lastAssessed
+    };
+  }
+
+  /**
+   * @private
+   */
+  toMoney(value) {
+    return value instanceof Money ? value : Money.of(value, this.config.currency, this.config.roundingMode);
+  }
+
+  /**
+   * @private
+   */
+  metalPrice(metalPrices, metal, purpose) {
+    const price = metalPrices?.[metal];
+    if (price === undefined) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.REQUIRED,
+        path: `holding.metalPrices.${metal}`,
+        allowed: 'a number greater than 0',
+        value: price,
+        message: `holding.metalPrices.${metal} is required for ${purpose}`
+      });
+    }
+    return price;
+  }
+
+  /**
+   * @private
+   */
+  describeHawl(start, date) {
+    if (!start) {
+      return { rule: this.config.hawlRule, start: null, startHijri: null, completes: null, completesHijri: null, complete: false, daysRemaining: null };
+    }
+    const completes = hawlEnd(start);
+    return {
+      rule: this.config.hawlRule,
+      start,
+      startHijri: formatHijri(toHijri(start)),
+      completes,
+      completesHijri: formatHijri(toHijri(completes)),
+      complete: date >= completes,
+      daysRemaining: Math.max(0, (Date.parse(completes) - Date.parse(date)) / DAY_MS)
+    };
+  }
+
+  /**
+   * @private
+   */
+  explainWealth(wealth) {
+    const excluded = wealth.excluded.doubtfulReceivables;
+    return `Net zakatable wealth is ${wealth.netZakatableWealth}: assets of ${wealth.totalAssets} less ${wealth.deductibleLiabilities} of deductible liabilities.` +
+      (excluded.isZero() ? '' : ` Doubtful receivables of ${excluded} are excluded until collected.`);
+  }
+
+  /**
+   * @private
+   */
+  explainNisab({ basis, grams, pricePerGram, threshold }, net, meetsNisab) {
+    const nisab = `The nisab is ${grams} g of ${basis} at ${this.toMoney(pricePerGram)}/g, or ${threshold}`;
+    return meetsNisab
+      ? `${nisab}; wealth of ${net} meets it.`
+      : `${nisab}; wealth of ${net} is below it, so no zakat is due.`;
+  }
+}
+
+/**
+ * ISO date one Hijri year after an ISO date
+ * @private
+ */
+function hawlEnd(start) {
+  return toISODate(fromHijri(addHijriYears(toHijri(start), 1)));
+}
+
+/**
+ * @private
+ */
+function describeDate(date) {
+  return `${date} (${formatHijri(toHijri(date))})`;
+}
+
+export default ZakatCalculator;
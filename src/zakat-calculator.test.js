@@ -0,0 +1,122 @@
+/**
+ * Tests for Zakat Calculator
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import ZakatCalculator, { ZAKAT_STATUS } from './zakat-calculator.js';
+import Money from './money.js';
+
+const metalPrices = { gold: 92.5, silver: 1.05 };
+const holding = (date, cash, extra = {}) => ({ date, assets: { cash }, metalPrices, ...extra });
+
+test('ZakatCalculator - nets zakatable assets against deductible liabilities', () => {
+  const calculator = new ZakatCalculator();
+  const wealth = calculator.calculateWealth(
+    { cash: 5000, tradeGoods: Money.of(2500), gold: { grams: 10 }, silver: 300, receivables: 1200, doubtfulReceivables: 800 },
+    { debts: 1500, expenses: 250.5 },
+    metalPrices
+  );
+
+  assert.strictEqual(wealth.assets.gold.toDecimalString(), '925.00');
+  assert.strictEqual(wealth.totalAssets.toDecimalString(), '9925.00');
+  assert.strictEqual(wealth.excluded.doubtfulReceivables.toDecimalString(), '800.00');
+  assert.strictEqual(wealth.netZakatableWealth.toDecimalString(), '8174.50');
+
+  const underwater = calculator.calculateWealth({ cash: 100 }, { debts: 400 });
+  assert.ok(underwater.netZakatableWealth.isZero());
+  assert.strictEqual(underwater.totalLiabilities.toDecimalString(), '400.00');
+});
+
+test('ZakatCalculator - nisab uses the gold or silver price', () => {
+  const calculator = new ZakatCalculator();
+
+  assert.strictEqual(calculator.calculateNisab(metalPrices).threshold.toDecimalString(), '7862.50');
+  assert.strictEqual(calculator.calculateNisab(metalPrices, 'silver').threshold.toDecimalString(), '624.75');
+  assert.throws(() => calculator.calculateNisab({ silver: 1.05 }), {
+    name: 'ValidationError',
+    code: 'REQUIRED',
+    path: 'holding.metalPrices.gold'
+  });
+});
+
+test('ZakatCalculator - zakat is due only after a full Hijri year at or above nisab', () => {
+  const calculator = new ZakatCalculator();
+
+  const start = calculator.assess('fatima', holding('2025-03-01', 10000));
+  assert.strictEqual(start.status, ZAKAT_STATUS.HAWL_INCOMPLETE);
+  assert.strictEqual(start.hawl.start, '2025-03-01');
+  assert.strictEqual(start.hawl.completes, '2026-02-18'); // 1 Ramadan 1446 to 1 Ramadan 1447, 354 days
+  assert.strictEqual(start.hawl.daysRemaining, 354);
+  assert.ok(start.zakatAmount.isZero());
+  assert.match(start.explanation.join(' '), /not due before a full lunar year/);
+
+  assert.strictEqual(calculator.assess('fatima', holding('2026-02-17', 12000)).status, ZAKAT_STATUS.HAWL_INCOMPLETE);
+
+  const due = calculator.assess('fatima', holding('2026-02-18', 12345.5));
+  assert.strictEqual(due.status, ZAKAT_STATUS.DUE);
+  assert.strictEqual(due.zakatDue, true);
+  assert.strictEqual(due.zakatAmount.toDecimalString(), '308.64'); // 2.5% of 12,345.50 = 308.6375
+  assert.strictEqual(due.nextHawlStart, '2026-02-18');
+  assert.match(due.explanation.at(-1), /Zakat of 2.5% on \$12,345.50 is \$308.64/);
+
+  assert.strictEqual(calculator.assess('fatima', holding('2026-03-01', 12000)).status, ZAKAT_STATUS.HAWL_INCOMPLETE);
+  assert.deepStrictEqual(calculator.getHawl('fatima'), {
+    holderId: 'fatima',
+    hawlStart: '2026-02-18',
+    completes: '2027-02-08',
+    lastAssessed: '2026-03-01'
+  });
+  assert.strictEqual(calculator.getHawl('omar'), null);
+});
+
+test('ZakatCalculator - explains why wealth below nisab owes nothing', () => {
+  const calculator = new ZakatCalculator();
+  const result = calculator.assess('omar', holding('2025-03-01', 5000, { liabilities: { debts: 500 } }));
+
+  assert.strictEqual(result.status, ZAKAT_STATUS.BELOW_NISAB);
+  assert.strictEqual(result.hawl.start, null);
+  assert.deepStrictEqual(result.explanation, [
+    'Net zakatable wealth is $4,500.00: assets of $5,000.00 less $500.00 of deductible liabilities.',
+    'The nisab is 85 g of gold at $92.50/g, or $7,862.50; wealth of $4,500.00 is below it, so no zakat is due.'
+  ]);
+
+  const silver = new ZakatCalculator({ nisabBasis: 'silver' }).assess('omar', holding('2025-03-01', 5000));
+  assert.strictEqual(silver.status, ZAKAT_STATUS.HAWL_INCOMPLETE);
+});
+
+test('ZakatCalculator - hawl rules differ on a dip below nisab mid-year', () => {
+  const dip = calculator => {
+    calculator.assess('aisha', holding('2025-03-01', 10000));
+    calculator.assess('aisha', holding('2025-08-01', 2000));
+    return calculator.assess('aisha', holding('2026-02-18', 10000));
+  };
+
+  const continuous = dip(new ZakatCalculator());
+  assert.strictEqual(continuous.status, ZAKAT_STATUS.HAWL_INCOMPLETE);
+  assert.strictEqual(continuous.hawl.start, '2026-02-18');
+
+  const endpoints = dip(new ZakatCalculator({ hawlRule: 'endpoints' }));
+  assert.strictEqual(endpoints.status, ZAKAT_STATUS.DUE);
+  assert.strictEqual(endpoints.zakatAmount.toDecimalString(), '250.00');
+});
+
+test('ZakatCalculator - rejects invalid holdings', () => {
+  const calculator = new ZakatCalculator();
+  calculator.assess('fatima', holding('2025-03-01', 10000));
+
+  assert.throws(() => calculator.assess('fatima', holding('2025-02-01', 10000)), {
+    code: 'INCONSISTENT_VALUES',
+    path: 'holding.date',
+    message: 'Assessments for fatima must be in date order: 2025-02-01 is before 2025-03-01'
+  });
+  assert.throws(() => calculator.assess('fatima', holding('2025-03-02', -1)), { code: 'OUT_OF_RANGE', path: 'holding.assets.cash' });
+  assert.throws(() => calculator.assess('fatima', { date: 'yesterday', metalPrices }), { code: 'INVALID_TYPE', path: 'holding.date' });
+  assert.throws(() => calculator.assess('fatima', holding('2025-03-02', 1, { assets: { jewellery: 1 } })), { code: 'UNKNOWN_FIELD' });
+  assert.throws(() => calculator.assess('fatima', { date: '2025-03-02', assets: { silver: { grams: 700 } }, metalPrices: { gold: 92.5 } }), {
+    path: 'holding.metalPrices.silver'
+  });
+  assert.throws(() => new ZakatCalculator({ nisabBasis: 'platinum' }), { code: 'INVALID_ENUM', path: 'config.nisabBasis' });
+});
+
+console.log('✓ All Zakat Calculator tests passed');
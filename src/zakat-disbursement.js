@@ -0,0 +1,356 @@
+/**
+ * Zakat Disbursement
+ * Pays accrued ledger balances to registered recipients in batches, through a payment provider adapter
+ */
+
+import Money from './money.js';
+import { PROVIDER_STATUS } from './payment-provider.js';
+import { ValidationError, VALIDATION_CODES, assertValid } from './validation.js';
+import { DISBURSEMENT_CONFIG_SCHEMA, PAYOUT_BATCH_SCHEMA, PAYOUT_RECIPIENT_SCHEMA } from './schemas.js';
+
+/**
+ * Payout lifecycle: pending → sending → sent → settled, or failed from sending or sent
+ */
+export const PAYOUT_STATUS = Object.freeze({
+  PENDING: 'pending', // Created, or awaiting a retry after a transient error
+  SENDING: 'sending', // Handed to the provider by a dispatch that has not had its answer yet
+  SENT: 'sent', // Accepted by the provider
+  SETTLED: 'settled', // Paid and recorded in the ledger
+  FAILED: 'failed' // Declined by the provider, or out of attempts
+});
+
+export class DisbursementEngine {
+  /**
+   * @param {Object} config - Engine configuration
+   * @param {ZakatLedger} config.ledger - Ledger whose category balances are paid out; settled payouts are recorded in it
+   * @param {PaymentProvider} config.provider - Payment provider adapter
+   */
+  constructor(config = {}) {
+    this.config = {
+      maxAttempts: 3, // Sends per payout; transient errors are retried with the same idempotency key
+      minimumPayout: 0, // Categories with less available are left to accrue
+      ...config
+    };
+    assertValid(DISBURSEMENT_CONFIG_SCHEMA, this.config, 'config');
+    this.recipients = {};
+    this.batches = {}; // By idempotency key
+    this.payouts = {}; // By idempotency key
+  }
+
+  /**
+   * Register a recipient to be paid from a beneficiary category
+   * @param {Object} recipient - { id, category, account, name, share } (see PAYOUT_RECIPIENT_SCHEMA)
+   * @returns {Object} The frozen recipient
+   * @throws {ValidationError} For an invalid recipient or an id already registered
+   */
+  registerRecipient(recipient) {
+    assertValid(PAYOUT_RECIPIENT_SCHEMA, recipient, 'recipient');
+    if (this.recipients[recipient.id]) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'recipient.id',
+        allowed: 'an id not yet registered',
+        value: recipient.id,
+        message: `Payout recipient ${recipient.id} is already registered`
+      });
+    }
+
+    this.recipients[recipient.id] = Object.freeze({ share: 1, ...recipient });
+    return this.recipients[recipient.id];
+  }
+
+  /**
+   * Ledger balance of a category less the payouts still holding part of it
+   * Pending and sent payouts, and failed ones that may have reached the provider, are held.
+   * @param {string} category - Beneficiary category
+   * @returns {Money} Amount available for new payouts
+   */
+  available(category) {
+    const { ledger } = this.config;
+    const balance = ledger.balances().categories[category]?.balance ?? Money.zero(ledger.config.currency);
+    const held = Object.values(this.payouts).filter(p => p.category === category && isHeld(p)).map(p => p.amount);
+    return balance.subtract(Money.sum(held, balance.currency));
+  }
+
+  /**
+   * Create payout instructions for the available balance of each category
+   * Each category is split across its recipients by share. Creating a batch again with the same
+   * idempotency key returns the original batch instead of paying twice.
+   * @param {Object} options - Batch options
+   * @param {string} options.idempotencyKey - Caller's key for this batch, e.g. '2026-03'
+   * @param {string[]} options.categories - Categories to pay (default: every category with recipients)
+   * @returns {Object} { idempotencyKey, createdAt, ledgerHead, total, payouts, skipped }
+   * @throws {ValidationError} For invalid options
+   */
+  createBatch(options) {
+    assertValid(PAYOUT_BATCH_SCHEMA, options, 'options');
+    const { idempotencyKey } = options;
+    if (this.batches[idempotencyKey]) {
+      return this.getBatch(idempotencyKey);
+    }
+
+    const recipients = Object.values(this.recipients);
+    const categories = options.categories ?? [...new Set(recipients.map(r => r.category))];
+    const batch = {
+      idempotencyKey,
+      createdAt: new Date().toISOString(),
+      ledgerHead: this.config.ledger.verify().head,
+      payouts: [],
+      skipped: []
+    };
+
+    categories.forEach(category => {
+      const payees = recipients.filter(r => r.category === category);
+      const available = this.available(category);
+      const reason = payees.length === 0
+        ? 'No registered recipients'
+        : available.isZero() || available.isNegative() || available.toNumber() < this.config.minimumPayout
+          ? `Available ${available} is below the minimum payout`
+          : null;
+      if (reason) {
+        batch.skipped.push({ category, available, reason });
+        return;
+      }
+
+      available.allocate(payees.map(r => r.share)).forEach((amount, index) => {
+        if (amount.isZero()) return;
+        const payout = this.createPayout(batch, payees[index], amount);
+        batch.payouts.push(payout.idempotencyKey);
+      });
+    });
+
+    this.batches[idempotencyKey] = batch;
+    return this.getBatch(idempotencyKey);
+  }
+
+  /**
+   * Send pending payouts to the provider
+   * A payout whose send throws stays pending for the next dispatch until it runs out of attempts.
+   * Payouts are marked sending before the first await, so a concurrent dispatch of the same batch skips them.
+   * If recording a settlement throws, dispatch rejects and every payout it has not finished returns to pending;
+   * resending uses the same idempotency key, so the provider reports the original payment.
+   * @param {string} batchKey - Batch to send (default: every pending payout)
+   * @returns {Promise<Object[]>} The payouts attempted
+   */
+  async dispatch(batchKey) {
+    const keys = batchKey === undefined ? Object.keys(this.payouts) : this.findBatch(batchKey).payouts;
+    const due = keys.map(key => this.payouts[key]).filter(p => p.status === PAYOUT_STATUS.PENDING);
+    // Not recorded in the history: a payout leaves sending as soon as the provider answers
+    due.forEach(payout => { payout.status = PAYOUT_STATUS.SENDING; });
+
+    for (const payout of due) {
+      payout.attempts += 1;
+      let result;
+      try {
+        result = await this.config.provider.send({
+          idempotencyKey: payout.idempotencyKey,
+          payoutId: payout.idempotencyKey,
+          recipientId: payout.recipientId,
+          account: payout.account,
+          amount: payout.amount,
+          reference: payout.batch
+        });
+      } catch (error) {
+        payout.lastError = error.message;
+        if (payout.attempts >= this.config.maxAttempts) {
+          // The provider may have accepted the payment before erroring, so its amount stays held
+          this.transition(payout, PAYOUT_STATUS.FAILED, { reason: `Gave up after ${payout.attempts} attempts: ${error.message}`, confirmed: false });
+        } else {
+          payout.status = PAYOUT_STATUS.PENDING;
+          this.record(payout, PAYOUT_STATUS.PENDING, error.message);
+        }
+        continue;
+      }
+
+      payout.providerReference = result.providerReference;
+      try {
+        this.apply(payout, result);
+      } catch (error) {
+        due.filter(p => p.status === PAYOUT_STATUS.SENDING).forEach(p => { p.status = PAYOUT_STATUS.PENDING; });
+        throw error;
+      }
+    }
+
+    return due.map(p => this.snapshot(p));
+  }
+
+  /**
+   * Ask the provider for the status of sent payouts, settling or failing them
+   * @returns {Promise<Object[]>} Payouts whose status changed
+   */
+  async syncStatuses() {
+    const changed = [];
+    for (const payout of Object.values(this.payouts).filter(p => p.status === PAYOUT_STATUS.SENT)) {
+      let result;
+      try {
+        result = await this.config.provider.getStatus(payout.providerReference);
+      } catch (error) {
+        payout.lastError = error.message;
+        continue;
+      }
+
+      if (result.status !== PROVIDER_STATUS.SENT) {
+        this.apply(payout, result);
+        changed.push(this.snapshot(payout));
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Return a payout that ran out of attempts to pending, to be resent with the same idempotency key
+   * @param {string} idempotencyKey - Payout key
+   * @returns {Object} The payout
+   * @throws {ValidationError} Unless the payout failed without the provider confirming it
+   */
+  retry(idempotencyKey) {
+    const payout = this.findPayout(idempotencyKey);
+    if (payout.status !== PAYOUT_STATUS.FAILED || payout.failure.confirmed) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'idempotencyKey',
+        allowed: 'a payout that failed without a provider decision',
+        value: idempotencyKey,
+        message: `Payout ${idempotencyKey} is ${payout.status}${payout.failure?.confirmed ? ' by the provider' : ''} and cannot be retried`
+      });
+    }
+
+    payout.attempts = 0;
+    payout.failure = null;
+    this.transition(payout, PAYOUT_STATUS.PENDING);
+    return this.snapshot(payout);
+  }
+
+  /**
+   * @param {string} idempotencyKey - Payout key
+   * @returns {Object} Copy of the payout
+   */
+  getPayout(idempotencyKey) {
+    return this.snapshot(this.findPayout(idempotencyKey));
+  }
+
+  /**
+   * @param {string} idempotencyKey - Batch key
+   * @returns {Object} Copy of the batch with its payouts and total
+   */
+  getBatch(idempotencyKey) {
+    const batch = this.findBatch(idempotencyKey);
+    const payouts = batch.payouts.map(key => this.snapshot(this.payouts[key]));
+    return {
+      ...batch,
+      total: Money.sum(payouts.map(p => p.amount), this.config.ledger.config.currency),
+      payouts,
+      skipped: [...batch.skipped]
+    };
+  }
+
+  /**
+   * @private
+   */
+  createPayout(batch, recipient, amount) {
+    const payout = {
+      idempotencyKey: `${batch.idempotencyKey}:${recipient.id}`,
+      batch: batch.idempotencyKey,
+      recipientId: recipient.id,
+      category: recipient.category,
+      account: recipient.account,
+      amount,
+      status: PAYOUT_STATUS.PENDING,
+      attempts: 0,
+      provider: this.config.provider.name,
+      providerReference: null,
+      lastError: null,
+      failure: null,
+      ledgerEntry: null,
+      history: []
+    };
+    this.record(payout, PAYOUT_STATUS.PENDING);
+    this.payouts[payout.idempotencyKey] = payout;
+    return payout;
+  }
+
+  /**
+   * Move a payout to the status the provider reported; settled payouts are recorded in the ledger
+   * @private
+   */
+  apply(payout, { status, reason }) {
+    if (payout.ledgerEntry) return; // Already settled and recorded
+    if (status === PROVIDER_STATUS.SETTLED) {
+      const entry = this.config.ledger.recordDisbursement({
+        recipientId: payout.category,
+        amount: payout.amount,
+        reference: payout.idempotencyKey,
+        memo: `Payout to ${payout.recipientId} via ${payout.provider}`
+      });
+      payout.ledgerEntry = { sequence: entry.sequence, hash: entry.hash };
+      this.transition(payout, PAYOUT_STATUS.SETTLED);
+    } else if (status === PROVIDER_STATUS.FAILED) {
+      this.transition(payout, PAYOUT_STATUS.FAILED, { reason: reason ?? 'Declined by the provider', confirmed: true });
+    } else if (payout.status !== PAYOUT_STATUS.SENT) {
+      this.transition(payout, PAYOUT_STATUS.SENT);
+    }
+  }
+
+  /**
+   * @private
+   */
+  transition(payout, status, failure = null) {
+    payout.status = status;
+    if (failure) payout.failure = failure;
+    this.record(payout, status, failure?.reason);
+  }
+
+  /**
+   * @private
+   */
+  record(payout, status, note = null) {
+    payout.history.push({ status, at: new Date().toISOString(), attempt: payout.attempts, note });
+  }
+
+  /**
+   * @private
+   */
+  snapshot(payout) {
+    return { ...payout, failure: payout.failure && { ...payout.failure }, history: payout.history.map(h => ({ ...h })) };
+  }
+
+  /**
+   * @private
+   */
+  findPayout(idempotencyKey) {
+    return this.payouts[idempotencyKey] ?? unknown('payout', idempotencyKey, this.payouts);
+  }
+
+  /**
+   * @private
+   */
+  findBatch(idempotencyKey) {
+    return this.batches[idempotencyKey] ?? unknown('batch', idempotencyKey, this.batches);
+  }
+}
+
+/**
+ * Whether a payout still holds its amount out of the category's available balance
+ * @private
+ */
+function isHeld(payout) {
+  return payout.status === PAYOUT_STATUS.PENDING ||
+    payout.status === PAYOUT_STATUS.SENDING ||
+    payout.status === PAYOUT_STATUS.SENT ||
+    (payout.status === PAYOUT_STATUS.FAILED && !payout.failure.confirmed);
+}
+
+/**
+ * @private
+ */
+function unknown(kind, idempotencyKey, known) {
+  throw new ValidationError({
+    code: VALIDATION_CODES.INVALID_ENUM,
+    path: 'idempotencyKey',
+    allowed: Object.keys(known).join(', ') || 'none yet',
+    value: idempotencyKey,
+    message: `Unknown ${kind}: ${idempotencyKey}`
+  });
+}
+
+export default DisbursementEngine;
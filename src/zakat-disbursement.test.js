@@ -0,0 +1,170 @@
+/**
+ * Tests for Zakat Disbursement
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import DisbursementEngine, { PAYOUT_STATUS } from './zakat-disbursement.js';
+import { MockPaymentProvider } from './payment-provider.js';
+import ZakatLedger from './zakat-ledger.js';
+import Money from './money.js';
+
+const setup = (config = {}, providerConfig = {}) => {
+  const ledger = new ZakatLedger();
+  ledger.recordContribution({ amount: Money.of(1000), allocations: { community: Money.of(600), education: Money.of(400) } });
+  const provider = new MockPaymentProvider(providerConfig);
+  const engine = new DisbursementEngine({ ledger, provider, ...config });
+  engine.registerRecipient({ id: 'food-bank', category: 'community', account: 'acct-food', share: 2 });
+  engine.registerRecipient({ id: 'shelter', category: 'community', account: 'acct-shelter' });
+  engine.registerRecipient({ id: 'school', category: 'education', account: 'acct-school' });
+  return { ledger, provider, engine };
+};
+
+const amounts = batch => Object.fromEntries(batch.payouts.map(p => [p.recipientId, p.amount.toDecimalString()]));
+
+test('DisbursementEngine - batches each category across its recipients by share', () => {
+  const { engine } = setup();
+  const batch = engine.createBatch({ idempotencyKey: '2026-03' });
+
+  assert.deepStrictEqual(amounts(batch), { 'food-bank': '400.00', shelter: '200.00', school: '400.00' });
+  assert.strictEqual(batch.total.toDecimalString(), '1000.00');
+  assert.deepStrictEqual(batch.payouts.map(p => [p.idempotencyKey, p.status]), [
+    ['2026-03:food-bank', PAYOUT_STATUS.PENDING],
+    ['2026-03:shelter', PAYOUT_STATUS.PENDING],
+    ['2026-03:school', PAYOUT_STATUS.PENDING]
+  ]);
+  assert.match(batch.ledgerHead, /^[0-9a-f]{64}$/);
+
+  // Pending payouts hold the balance, so a second batch has nothing to pay
+  assert.ok(engine.available('community').isZero());
+  const second = engine.createBatch({ idempotencyKey: '2026-04' });
+  assert.deepStrictEqual(second.payouts, []);
+  assert.deepStrictEqual(second.skipped.map(s => s.category), ['community', 'education']);
+
+  // The same key returns the original batch
+  assert.deepStrictEqual(engine.createBatch({ idempotencyKey: '2026-03' }).payouts.map(p => p.idempotencyKey), batch.payouts.map(p => p.idempotencyKey));
+});
+
+test('DisbursementEngine - settles payouts into the ledger', async () => {
+  const { engine, ledger, provider } = setup();
+  engine.createBatch({ idempotencyKey: '2026-03', categories: ['community'] });
+
+  const sent = await engine.dispatch('2026-03');
+  assert.deepStrictEqual(sent.map(p => p.status), [PAYOUT_STATUS.SENT, PAYOUT_STATUS.SENT]);
+  assert.strictEqual(ledger.entries.length, 1);
+
+  provider.settle(engine.getPayout('2026-03:food-bank').providerReference);
+  const changed = await engine.syncStatuses();
+  assert.deepStrictEqual(changed.map(p => [p.recipientId, p.status]), [['food-bank', PAYOUT_STATUS.SETTLED]]);
+
+  const entry = ledger.entries[1];
+  assert.deepStrictEqual([entry.type, entry.recipientId, entry.amount, entry.reference], ['disbursement', 'community', '400.00', '2026-03:food-bank']);
+  assert.deepStrictEqual(engine.getPayout('2026-03:food-bank').ledgerEntry, { sequence: 2, hash: entry.hash });
+  assert.deepStrictEqual(engine.getPayout('2026-03:food-bank').history.map(h => h.status), ['pending', 'sent', 'settled']);
+  assert.strictEqual(ledger.balances().categories.community.balance.toDecimalString(), '200.00');
+  assert.ok(engine.available('community').isZero()); // shelter's 200 is still sent
+  assert.strictEqual(ledger.verify().valid, true);
+});
+
+test('DisbursementEngine - retries transient errors with the same idempotency key', async () => {
+  const { engine, ledger, provider } = setup({}, { settlement: 'immediate' });
+  engine.createBatch({ idempotencyKey: 'b1', categories: ['education'] });
+
+  // The provider records the payment but the response is lost
+  provider.failNext(1, { reason: 'Timed out', afterAccept: true });
+  const [first] = await engine.dispatch();
+  assert.strictEqual(first.status, PAYOUT_STATUS.PENDING);
+  assert.strictEqual(first.lastError, 'Timed out');
+
+  const [retried] = await engine.dispatch();
+  assert.strictEqual(retried.status, PAYOUT_STATUS.SETTLED);
+  assert.strictEqual(retried.attempts, 2);
+  assert.strictEqual(provider.list().length, 1);
+  assert.strictEqual(ledger.balances().totals.disbursed.toDecimalString(), '400.00');
+  assert.deepStrictEqual(await engine.dispatch(), []);
+});
+
+test('DisbursementEngine - concurrent dispatches send and record each payout once', async () => {
+  const { engine, ledger, provider } = setup({}, { settlement: 'immediate' });
+  engine.createBatch({ idempotencyKey: 'b1', categories: ['community'] });
+
+  // A retried payOutZakat dispatches the batch again while the first dispatch is waiting on the provider
+  const first = engine.dispatch('b1');
+  assert.strictEqual(engine.getPayout('b1:shelter').status, PAYOUT_STATUS.SENDING);
+  assert.ok(engine.available('community').isZero());
+  const [sent, again] = await Promise.all([first, engine.dispatch('b1')]);
+
+  assert.deepStrictEqual(sent.map(p => p.status), [PAYOUT_STATUS.SETTLED, PAYOUT_STATUS.SETTLED]);
+  assert.deepStrictEqual(again, []);
+  assert.strictEqual(provider.sendCount, 2);
+  assert.deepStrictEqual(ledger.entries.filter(e => e.type === 'disbursement').map(e => e.reference), ['b1:food-bank', 'b1:shelter']);
+  assert.strictEqual(ledger.balances().totals.disbursed.toDecimalString(), '600.00');
+  assert.deepStrictEqual(engine.getPayout('b1:food-bank').history.map(h => h.status), ['pending', 'settled']);
+});
+
+test('DisbursementEngine - returns unfinished payouts to pending when recording a settlement throws', async () => {
+  const { engine, ledger, provider } = setup({}, { settlement: 'immediate' });
+  engine.createBatch({ idempotencyKey: 'b1' });
+  // Drawn down outside the engine, so food-bank's settlement overdraws community
+  ledger.recordDisbursement({ recipientId: 'community', amount: Money.of(500) });
+
+  await assert.rejects(engine.dispatch('b1'), { message: 'Disbursement of $400.00 exceeds the community balance of $100.00' });
+  assert.deepStrictEqual(['food-bank', 'shelter', 'school'].map(id => engine.getPayout(`b1:${id}`).status), [PAYOUT_STATUS.PENDING, PAYOUT_STATUS.PENDING, PAYOUT_STATUS.PENDING]);
+  assert.strictEqual(provider.sendCount, 1);
+
+  ledger.recordContribution({ amount: Money.of(500), allocations: { community: Money.of(500) } });
+  const sent = await engine.dispatch('b1');
+  assert.deepStrictEqual(sent.map(p => p.status), [PAYOUT_STATUS.SETTLED, PAYOUT_STATUS.SETTLED, PAYOUT_STATUS.SETTLED]);
+  assert.strictEqual(provider.payments.size, 3); // food-bank was resent under its original key
+  assert.deepStrictEqual(ledger.entries.filter(e => e.reference?.startsWith('b1:')).map(e => e.reference), ['b1:food-bank', 'b1:shelter', 'b1:school']);
+});
+
+test('DisbursementEngine - fails payouts and releases only confirmed failures', async () => {
+  const { engine, provider } = setup({ maxAttempts: 2 });
+  provider.decline('acct-shelter', 'Account closed');
+  engine.createBatch({ idempotencyKey: 'b1' });
+
+  provider.failNext(1);
+  await engine.dispatch(); // food-bank errors; shelter is declined; school is sent
+  provider.failNext(1);
+  await engine.dispatch(); // food-bank errors again and gives up
+  const foodBank = engine.getPayout('b1:food-bank');
+  const shelter = engine.getPayout('b1:shelter');
+  assert.strictEqual(foodBank.status, PAYOUT_STATUS.FAILED);
+  assert.deepStrictEqual(foodBank.failure, { reason: 'Gave up after 2 attempts: Provider unavailable', confirmed: false });
+  assert.deepStrictEqual(shelter.failure, { reason: 'Account closed', confirmed: true });
+
+  // Only the declined payout's amount returns to the category
+  assert.strictEqual(engine.available('community').toDecimalString(), '200.00');
+  assert.throws(() => engine.retry('b1:shelter'), { message: 'Payout b1:shelter is failed by the provider and cannot be retried' });
+
+  assert.strictEqual(engine.retry('b1:food-bank').status, PAYOUT_STATUS.PENDING);
+  const [resent] = await engine.dispatch('b1');
+  assert.strictEqual(resent.status, PAYOUT_STATUS.SENT);
+
+  // A sent payout can still fail later, e.g. when returned by the bank
+  provider.reject(resent.providerReference, 'Returned by bank');
+  await engine.syncStatuses();
+  assert.strictEqual(engine.getPayout('b1:food-bank').status, PAYOUT_STATUS.FAILED);
+  assert.strictEqual(engine.available('community').toDecimalString(), '600.00');
+});
+
+test('DisbursementEngine - validates recipients, batches and lookups', () => {
+  const { engine } = setup({ minimumPayout: 500 });
+
+  assert.throws(() => engine.registerRecipient({ id: 'school', category: 'education', account: 'x' }), { code: 'INCONSISTENT_VALUES', path: 'recipient.id' });
+  assert.throws(() => engine.registerRecipient({ id: 'x', category: 'education' }), { code: 'REQUIRED', path: 'recipient.account' });
+  assert.throws(() => engine.registerRecipient({ id: 'x', category: 'education', account: 'x', share: 0 }), { code: 'OUT_OF_RANGE', path: 'recipient.share' });
+  assert.throws(() => engine.createBatch({}), { code: 'REQUIRED', path: 'options.idempotencyKey' });
+  assert.throws(() => engine.getPayout('nope'), { code: 'INVALID_ENUM', message: 'Unknown payout: nope' });
+  assert.throws(() => new DisbursementEngine({ ledger: new ZakatLedger() }), { code: 'REQUIRED', path: 'config.provider' });
+
+  const batch = engine.createBatch({ idempotencyKey: 'b1', categories: ['community', 'education', 'emergency'] });
+  assert.deepStrictEqual(amounts(batch), { 'food-bank': '400.00', shelter: '200.00' });
+  assert.deepStrictEqual(batch.skipped.map(s => [s.category, s.reason]), [
+    ['education', 'Available $400.00 is below the minimum payout'],
+    ['emergency', 'No registered recipients']
+  ]);
+});
+
+console.log('✓ All Zakat Disbursement tests passed');
@@ -0,0 +1,388 @@
+/**
+ * Zakat Ledger
+ * Append-only, hash-chained ledger of zakat contributions and disbursements with verification and reconciliation
+ */
+
+import { createHash } from 'node:crypto';
+import Money from './money.js';
+import { stableStringify } from './analysis-runs.js';
+import { ValidationError, VALIDATION_CODES, assertValid } from './validation.js';
+
+/**
+ * Version of the ledger export format
+ */
+export const LEDGER_VERSION = 1;
+
+/**
+ * previousHash of the first entry
+ */
+export const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Entry types: zakat collected and allocated to recipients, and zakat paid out of a recipient's balance
+ */
+export const LEDGER_ENTRY_TYPES = ['contribution', 'disbursement'];
+
+// Balance key for contributed zakat that no recipient could take (every cap reached)
+const UNALLOCATED = 'unallocated';
+
+const CSV_COLUMNS = ['sequence', 'timestamp', 'type', 'currency', 'amount', 'recipientId', 'allocations', 'policyId', 'policyVersion', 'policyFingerprint', 'reference', 'memo', 'previousHash', 'hash'];
+
+export class ZakatLedger {
+  /**
+   * @param {Object} config - Ledger configuration
+   * @param {string} config.currency - Currency of every entry (default: 'USD')
+   */
+  constructor(config = {}) {
+    this.config = {
+      currency: 'USD',
+      ...config
+    };
+    assertValid({ type: 'object', properties: { currency: { type: 'string' } } }, this.config, 'config');
+    this.entries = [];
+  }
+
+  /**
+   * Rebuild a ledger from an export, refusing one whose chain does not verify
+   * @param {Object} data - export() result, or its JSON-parsed form
+   * @returns {ZakatLedger} Ledger continuing the exported chain
+   * @throws {ValidationError} For an unsupported version or a chain that fails verification
+   */
+  static fromJSON(data) {
+    if (data?.version !== LEDGER_VERSION || !Array.isArray(data.entries)) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INVALID_ENUM,
+        path: 'ledger.version',
+        allowed: `${LEDGER_VERSION}`,
+        value: data?.version,
+        message: `Unsupported zakat ledger export version: ${data?.version}`
+      });
+    }
+
+    const verification = verifyChain(data.entries);
+    if (!verification.valid) {
+      const [problem] = verification.problems;
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: `ledger.entries[${problem.index}]`,
+        allowed: 'an unmodified hash chain',
+        value: problem.sequence,
+        message: `Zakat ledger failed verification at entry ${problem.index + 1}: ${problem.reason}`
+      });
+    }
+
+    // A chain cut short still verifies, so it must also end where the export says it does
+    [['entryCount', verification.entryCount], ['head', verification.head]].forEach(([field, actual]) => {
+      if (data[field] !== actual) {
+        throw new ValidationError({
+          code: VALIDATION_CODES.INCONSISTENT_VALUES,
+          path: `ledger.${field}`,
+          allowed: `${actual}, from the exported entries`,
+          value: data[field],
+          message: `Zakat ledger export ${field} is ${data[field]} but its entries give ${actual}; entries are missing or were added`
+        });
+      }
+    });
+
+    const ledger = new ZakatLedger({ currency: data.currency });
+    ledger.entries = data.entries.map(entry => deepFreeze(structuredClone(entry)));
+    return ledger;
+  }
+
+  /**
+   * Append a zakat contribution and how it was allocated
+   * @param {Object} contribution - Contribution details
+   * @param {Money} contribution.amount - Zakat collected
+   * @param {Object<string, Money>} contribution.allocations - Amount per recipient category
+   * @param {Money} contribution.unallocated - Part no recipient could take (default: the rest of `amount`)
+   * @param {Object} contribution.policy - Allocation policy used: { id, version, fingerprint }
+   * @param {string} contribution.reference - Source reference, e.g. a holder or transaction id
+   * @param {string} contribution.memo - Free-text note
+   * @returns {Object} The frozen entry
+   * @throws {ValidationError} When the allocations do not add up to the amount
+   */
+  recordContribution({ amount, allocations = {}, unallocated, policy = null, reference = null, memo = null }) {
+    this.assertAmount(amount, 'amount');
+    Object.entries(allocations).forEach(([recipientId, part]) => this.assertAmount(part, `allocations.${recipientId}`));
+    const allocated = Money.sum(Object.values(allocations), this.config.currency);
+    const rest = unallocated ?? amount.subtract(allocated);
+    this.assertAmount(rest, 'unallocated');
+
+    if (!allocated.add(rest).equals(amount)) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path: 'allocations',
+        allowed: `allocations and unallocated adding up to ${amount}`,
+        value: allocated.add(rest).toDecimalString(),
+        message: `Contribution allocations add up to ${allocated.add(rest)}, not ${amount}`
+      });
+    }
+
+    return this.append({
+      type: 'contribution',
+      amount: amount.toDecimalString(),
+      allocations: Object.fromEntries(Object.entries(allocations).map(([id, part]) => [id, part.toDecimalString()])),
+      unallocated: rest.toDecimalString(),
+      policy: policy && { id: policy.id, version: policy.version, fingerprint: policy.fingerprint },
+      reference,
+      memo
+    });
+  }
+
+  /**
+   * Append a payment out of a recipient category's balance
+   * @param {Object} disbursement - Disbursement details
+   * @param {string} disbursement.recipientId - Recipient category paid from
+   * @param {Money} disbursement.amount - Amount paid; at most the category's balance
+   * @param {string} disbursement.reference - Payment reference
+   * @param {string} disbursement.memo - Free-text note
+   * @returns {Object} The frozen entry
+   * @throws {ValidationError} When the amount is not positive or exceeds the balance
+   */
+  recordDisbursement({ recipientId, amount, reference = null, memo = null }) {
+    assertValid({ type: 'string' }, recipientId, 'recipientId');
+    this.assertAmount(amount, 'amount', { exclusiveMinimum: 0 });
+    const balance = this.balances().categories[recipientId]?.balance ?? Money.zero(this.config.currency);
+    if (amount.compare(balance) > 0) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.OUT_OF_RANGE,
+        path: 'amount',
+        allowed: `at most the ${recipientId} balance of ${balance}`,
+        value: amount.toDecimalString(),
+        message: `Disbursement of ${amount} exceeds the ${recipientId} balance of ${balance}`
+      });
+    }
+
+    return this.append({
+      type: 'disbursement',
+      amount: amount.toDecimalString(),
+      recipientId,
+      reference,
+      memo
+    });
+  }
+
+  /**
+   * Recompute every hash and link, detecting edited, inserted, removed or reordered entries
+   * @returns {Object} { valid, entryCount, head, problems } (see verifyChain)
+   */
+  verify() {
+    return verifyChain(this.entries);
+  }
+
+  /**
+   * Contributed, disbursed and remaining balance per recipient category, derived from the entries
+   * @returns {Object} { currency, categories: { [id]: { contributed, disbursed, balance } }, totals } as Money
+   */
+  balances() {
+    const { currency } = this.config;
+    const categories = {};
+    const category = id => categories[id] ?? (categories[id] = { contributed: Money.zero(currency), disbursed: Money.zero(currency) });
+    let contributed = Money.zero(currency);
+    let disbursed = Money.zero(currency);
+
+    this.entries.forEach(entry => {
+      const amount = Money.of(entry.amount, currency);
+      if (entry.type === 'contribution') {
+        contributed = contributed.add(amount);
+        Object.entries({ ...entry.allocations, [UNALLOCATED]: entry.unallocated }).forEach(([id, part]) => {
+          if (id !== UNALLOCATED || Money.of(part, currency).minor !== 0) {
+            category(id).contributed = category(id).contributed.add(Money.of(part, currency));
+          }
+        });
+      } else {
+        disbursed = disbursed.add(amount);
+        category(entry.recipientId).disbursed = category(entry.recipientId).disbursed.add(amount);
+      }
+    });
+
+    Object.values(categories).forEach(c => {
+      c.balance = c.contributed.subtract(c.disbursed);
+    });
+    return {
+      currency,
+      categories,
+      totals: { contributed, disbursed, balance: contributed.subtract(disbursed) }
+    };
+  }
+
+  /**
+   * Reconcile category balances, optionally against an external statement such as bank-held balances
+   * Reconciles when the categories add up to the ledger totals, no category is overdrawn and every
+   * statement balance matches.
+   * @param {Object<string, (number|Money)>} statement - Expected balance per category (default: none)
+   * @returns {Object} { reconciled, categories: { [id]: { contributed, disbursed, balance, expected, difference } }, totals, problems }
+   */
+  reconcile(statement = {}) {
+    const { currency, categories, totals } = this.balances();
+    const problems = [];
+    const toMoney = value => (value instanceof Money ? value : Money.of(value, currency));
+
+    const sum = Money.sum(Object.values(categories).map(c => c.balance), currency);
+    if (!sum.equals(totals.balance)) {
+      problems.push(`Category balances add up to ${sum}, not the ledger balance of ${totals.balance}`);
+    }
+
+    const ids = [...new Set([...Object.keys(categories), ...Object.keys(statement)])];
+    const rows = Object.fromEntries(ids.map(id => {
+      const row = categories[id] ?? { contributed: Money.zero(currency), disbursed: Money.zero(currency), balance: Money.zero(currency) };
+      if (row.balance.isNegative()) {
+        problems.push(`${id} is overdrawn by ${row.balance.negate()}`);
+      }
+      if (statement[id] === undefined) {
+        return [id, { ...row, expected: null, difference: null }];
+      }
+      const expected = toMoney(statement[id]);
+      const difference = row.balance.subtract(expected);
+      if (!difference.isZero()) {
+        problems.push(`${id} ledger balance ${row.balance} differs from the statement's ${expected} by ${difference}`);
+      }
+      return [id, { ...row, expected, difference }];
+    }));
+
+    return { reconciled: problems.length === 0, currency, categories: rows, totals, problems };
+  }
+
+  /**
+   * Export the ledger for external auditors
+   * JSON keeps every field needed to re-verify the chain (see fromJSON); CSV has one row per entry,
+   * with contribution allocations as 'id=amount' pairs separated by ';'.
+   * @param {string} format - 'json' or 'csv' (default: 'json')
+   * @returns {(Object|string)} Export document or CSV text
+   */
+  export(format = 'json') {
+    assertValid({ type: 'string', enum: ['json', 'csv'] }, format, 'format');
+    if (format === 'csv') {
+      return [CSV_COLUMNS.join(','), ...this.entries.map(entry => CSV_COLUMNS.map(column => csvCell(csvValue(entry, column))).join(','))].join('\n');
+    }
+
+    const verification = this.verify();
+    return {
+      format: 'zakat-ledger',
+      version: LEDGER_VERSION,
+      currency: this.config.currency,
+      exportedAt: new Date().toISOString(),
+      entryCount: this.entries.length,
+      head: verification.head,
+      verified: verification.valid,
+      entries: structuredClone(this.entries)
+    };
+  }
+
+  /**
+   * @returns {Object} Export document, so JSON.stringify(ledger) is a full export
+   */
+  toJSON() {
+    return this.export('json');
+  }
+
+  /**
+   * Link, hash, freeze and append an entry
+   * @private
+   */
+  append(fields) {
+    const previous = this.entries[this.entries.length - 1];
+    const entry = {
+      sequence: this.entries.length + 1,
+      timestamp: new Date().toISOString(),
+      currency: this.config.currency,
+      ...fields,
+      previousHash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+    this.entries.push(deepFreeze(entry));
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  assertAmount(amount, path, bounds = { minimum: 0 }) {
+    assertValid({ type: 'money', ...bounds }, amount, path);
+    if (amount.currency !== this.config.currency) {
+      throw new ValidationError({
+        code: VALIDATION_CODES.INCONSISTENT_VALUES,
+        path,
+        allowed: `an amount in ${this.config.currency}`,
+        value: amount.toString(),
+        message: `Currency mismatch: ${amount.currency} and ${this.config.currency}`
+      });
+    }
+  }
+}
+
+/**
+ * Verify a chain of ledger entries
+ * Each entry's hash must match its content, link to the previous entry's hash and carry the next sequence number.
+ * @param {Object[]} entries - Ledger entries, oldest first
+ * @returns {Object} { valid, entryCount, head, problems: [{ index, sequence, reason }] }
+ */
+export function verifyChain(entries) {
+  const problems = [];
+  entries.forEach((entry, index) => {
+    const expectedPrevious = index === 0 ? GENESIS_HASH : entries[index - 1].hash;
+    if (entry.sequence !== index + 1) {
+      problems.push({ index, sequence: entry.sequence, reason: `sequence ${entry.sequence} is out of order (expected ${index + 1})` });
+    }
+    if (entry.previousHash !== expectedPrevious) {
+      problems.push({ index, sequence: entry.sequence, reason: 'previousHash does not match the preceding entry' });
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      problems.push({ index, sequence: entry.sequence, reason: 'content does not match its hash' });
+    }
+  });
+
+  return {
+    valid: problems.length === 0,
+    entryCount: entries.length,
+    head: entries.length > 0 ? entries[entries.length - 1].hash : GENESIS_HASH,
+    problems
+  };
+}
+
+/**
+ * SHA-256 of the canonical JSON of an entry without its own hash
+ * @private
+ */
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+/**
+ * @private
+ */
+function csvValue(entry, column) {
+  switch (column) {
+    case 'allocations':
+      return entry.allocations ? Object.entries(entry.allocations).map(([id, amount]) => `${id}=${amount}`).join(';') : '';
+    case 'policyId':
+      return entry.policy?.id;
+    case 'policyVersion':
+      return entry.policy?.version;
+    case 'policyFingerprint':
+      return entry.policy?.fingerprint;
+    default:
+      return entry[column];
+  }
+}
+
+/**
+ * @private
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @private
+ */
+function deepFreeze(value) {
+  Object.values(value).forEach(child => {
+    if (child && typeof child === 'object') deepFreeze(child);
+  });
+  return Object.freeze(value);
+}
+
+export default ZakatLedger;
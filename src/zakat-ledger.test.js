@@ -0,0 +1,170 @@
+/**
+ * Tests for Zakat Ledger
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import ZakatLedger, { GENESIS_HASH, verifyChain } from './zakat-ledger.js';
+import Money from './money.js';
+
+const policy = { id: 'harlem-default', version: 1, fingerprint: 'abc123' };
+
+const sampleLedger = () => {
+  const ledger = new ZakatLedger();
+  ledger.recordContribution({
+    amount: Money.of(100),
+    allocations: { community: Money.of(40), education: Money.of(60) },
+    policy,
+    reference: 'tx-1'
+  });
+  ledger.recordContribution({
+    amount: Money.of(50),
+    allocations: { community: Money.of(20), education: Money.of(25) },
+    unallocated: Money.of(5),
+    policy
+  });
+  ledger.recordDisbursement({ recipientId: 'community', amount: Money.of(35), reference: 'pay-1', memo: 'Food bank, March' });
+  return ledger;
+};
+
+test('ZakatLedger - links each entry to the hash of the one before', () => {
+  const ledger = sampleLedger();
+  const [first, second, third] = ledger.entries;
+
+  assert.strictEqual(first.previousHash, GENESIS_HASH);
+  assert.strictEqual(second.previousHash, first.hash);
+  assert.strictEqual(third.previousHash, second.hash);
+  assert.deepStrictEqual(ledger.entries.map(e => [e.sequence, e.type]), [[1, 'contribution'], [2, 'contribution'], [3, 'disbursement']]);
+  assert.match(first.hash, /^[0-9a-f]{64}$/);
+  assert.deepStrictEqual(first.allocations, { community: '40.00', education: '60.00' });
+  assert.strictEqual(first.unallocated, '0.00');
+  assert.ok(Object.isFrozen(first) && Object.isFrozen(first.allocations));
+
+  assert.deepStrictEqual(ledger.verify(), { valid: true, entryCount: 3, head: third.hash, problems: [] });
+  assert.strictEqual(new ZakatLedger().verify().head, GENESIS_HASH);
+});
+
+test('verifyChain - detects edited, reordered and removed entries', () => {
+  const { entries } = sampleLedger().export();
+
+  const edited = structuredClone(entries);
+  edited[0].allocations.community = '10.00';
+  assert.deepStrictEqual(verifyChain(edited).problems, [{ index: 0, sequence: 1, reason: 'content does not match its hash' }]);
+
+  const reordered = [entries[1], entries[0], entries[2]];
+  const reasons = verifyChain(reordered).problems.map(p => [p.index, p.reason]);
+  assert.deepStrictEqual(reasons, [
+    [0, 'sequence 2 is out of order (expected 1)'],
+    [0, 'previousHash does not match the preceding entry'],
+    [1, 'sequence 1 is out of order (expected 2)'],
+    [1, 'previousHash does not match the preceding entry'],
+    [2, 'previousHash does not match the preceding entry']
+  ]);
+
+  // Re-hashing an edited entry still breaks the link from the entry after it
+  const rehashed = structuredClone(entries);
+  rehashed[1].amount = '500.00';
+  rehashed[1].hash = new ZakatLedger().recordContribution({ amount: Money.of(1) }).hash;
+  assert.strictEqual(verifyChain(rehashed).valid, false);
+
+  assert.deepStrictEqual(verifyChain([entries[0], entries[2]]).problems.map(p => p.index), [1, 1]);
+  assert.strictEqual(verifyChain(entries.slice(0, 2)).valid, true);
+});
+
+test('ZakatLedger - reconciles balances per beneficiary category', () => {
+  const ledger = sampleLedger();
+  const { categories, totals } = ledger.balances();
+
+  assert.deepStrictEqual(Object.fromEntries(Object.entries(categories).map(([id, c]) => [id, c.balance.toDecimalString()])), {
+    community: '25.00',
+    education: '85.00',
+    unallocated: '5.00'
+  });
+  assert.strictEqual(totals.contributed.toDecimalString(), '150.00');
+  assert.strictEqual(totals.disbursed.toDecimalString(), '35.00');
+
+  const matched = ledger.reconcile({ community: 25, education: Money.of(85) });
+  assert.strictEqual(matched.reconciled, true);
+  assert.ok(matched.categories.community.difference.isZero());
+  assert.strictEqual(matched.categories.unallocated.expected, null);
+
+  const mismatched = ledger.reconcile({ community: 20, emergency: 3 });
+  assert.strictEqual(mismatched.reconciled, false);
+  assert.deepStrictEqual(mismatched.problems, [
+    'community ledger balance $25.00 differs from the statement\'s $20.00 by $5.00',
+    'emergency ledger balance $0.00 differs from the statement\'s $3.00 by -$3.00'
+  ]);
+});
+
+test('ZakatLedger - rejects overdrawn and inconsistent entries', () => {
+  const ledger = sampleLedger();
+
+  assert.throws(() => ledger.recordDisbursement({ recipientId: 'community', amount: Money.of(25.01) }), {
+    code: 'OUT_OF_RANGE',
+    path: 'amount',
+    message: 'Disbursement of $25.01 exceeds the community balance of $25.00'
+  });
+  assert.throws(() => ledger.recordDisbursement({ recipientId: 'infrastructure', amount: Money.of(1) }), { code: 'OUT_OF_RANGE' });
+  assert.throws(() => ledger.recordDisbursement({ recipientId: 'community', amount: Money.zero() }), { code: 'OUT_OF_RANGE' });
+  assert.throws(() => ledger.recordContribution({ amount: Money.of(10), allocations: { community: Money.of(11) } }), {
+    code: 'OUT_OF_RANGE',
+    path: 'unallocated'
+  });
+  assert.throws(() => ledger.recordContribution({ amount: Money.of(10), allocations: { community: Money.of(5) }, unallocated: Money.of(1) }), {
+    code: 'INCONSISTENT_VALUES',
+    path: 'allocations'
+  });
+  assert.throws(() => ledger.recordContribution({ amount: Money.of(10, 'EUR') }), {
+    code: 'INCONSISTENT_VALUES',
+    message: 'Currency mismatch: EUR and USD'
+  });
+  assert.strictEqual(ledger.entries.length, 3);
+});
+
+test('ZakatLedger - exports for auditors and restores only an intact chain', () => {
+  const ledger = sampleLedger();
+  const exported = JSON.parse(JSON.stringify(ledger));
+
+  assert.strictEqual(exported.format, 'zakat-ledger');
+  assert.strictEqual(exported.entryCount, 3);
+  assert.strictEqual(exported.verified, true);
+  assert.strictEqual(exported.head, ledger.entries[2].hash);
+
+  const restored = ZakatLedger.fromJSON(exported);
+  assert.strictEqual(restored.balances().totals.balance.toDecimalString(), '115.00');
+  const next = restored.recordDisbursement({ recipientId: 'education', amount: Money.of(85) });
+  assert.strictEqual(next.previousHash, exported.head);
+  assert.strictEqual(restored.verify().valid, true);
+
+  exported.entries[2].amount = '5.00';
+  assert.throws(() => ZakatLedger.fromJSON(exported), {
+    code: 'INCONSISTENT_VALUES',
+    path: 'ledger.entries[2]',
+    message: 'Zakat ledger failed verification at entry 3: content does not match its hash'
+  });
+  assert.throws(() => ZakatLedger.fromJSON({ version: 99, entries: [] }), { code: 'INVALID_ENUM', path: 'ledger.version' });
+
+  // Dropping trailing entries leaves a valid chain, but not the exported count and head
+  const truncated = JSON.parse(JSON.stringify(ledger));
+  truncated.entries.pop();
+  assert.throws(() => ZakatLedger.fromJSON(truncated), {
+    code: 'INCONSISTENT_VALUES',
+    path: 'ledger.entryCount',
+    message: 'Zakat ledger export entryCount is 3 but its entries give 2; entries are missing or were added'
+  });
+  assert.throws(() => ZakatLedger.fromJSON({ ...truncated, entryCount: 2 }), { code: 'INCONSISTENT_VALUES', path: 'ledger.head' });
+
+  // Restored entries are frozen all the way down, as appended ones are
+  const entry = ZakatLedger.fromJSON(JSON.parse(JSON.stringify(ledger))).entries[0];
+  assert.ok(Object.isFrozen(entry.allocations));
+  assert.throws(() => { entry.allocations.community = '0.00'; }, TypeError);
+
+  const csv = ledger.export('csv').split('\n');
+  assert.strictEqual(csv[0], 'sequence,timestamp,type,currency,amount,recipientId,allocations,policyId,policyVersion,policyFingerprint,reference,memo,previousHash,hash');
+  assert.strictEqual(csv.length, 4);
+  assert.match(csv[1], /^1,[^,]+,contribution,USD,100\.00,,community=40\.00;education=60\.00,harlem-default,1,abc123,tx-1,,0{64},[0-9a-f]{64}$/);
+  assert.match(csv[3], /,disbursement,USD,35\.00,community,,,,,pay-1,"Food bank, March",/);
+  assert.throws(() => ledger.export('xml'), { code: 'INVALID_ENUM', path: 'format' });
+});
+
+console.log('✓ All Zakat Ledger tests passed');